@@ -0,0 +1,438 @@
+/**
+ * 帧动画精灵 - AnimatedSprite
+ *
+ * 把图集里的几帧轮流画出来，就成了动画：小鸟扇翅膀、蛇吐信子、金币转圈……
+ * 一个精灵可以有好几段动画（"片段"），比如 fly（一直飞）和 flap（用力扇一下），用 play() 切换。
+ *
+ *   const sprite = this.sprites.create({
+ *     clips: {
+ *       fly: { frames: ['bird_0', 'bird_1', 'bird_2', 'bird_1'], fps: 10 },
+ *       flap: { frames: ['bird_3', 'bird_4'], fps: 20, loop: 'once', next: 'fly', events: { 1: 'wingDown' } }
+ *     },
+ *     play: 'fly',
+ *     target: bird.getBody(),   // 跟着物理体走（画的时候用插值后的位置）
+ *     height: 60                // 画多高（宽度按图片比例算）
+ *   });
+ *   sprite.on('wingDown', () => this.playSound('flap'));
+ *   sprite.play('flap', { restart: true });
+ *   sprite.render(ctx, alpha);
+ *
+ * 片段的写法：
+ *   - frames     帧的名字（在 source 里找，见下面）或者帧对象（见 assets/SpriteSheet.js 的 drawFrame）
+ *   - fps        每秒播放几帧（默认 10）
+ *   - durations  每一帧播放几秒，写了就不用 fps；可以是一个数字，也可以每帧一个
+ *   - loop       'loop' 从头循环（默认）/ 'pingpong' 来回播放 / 'once' 播一遍停在最后一帧
+ *   - next       'once' 的片段播完后接着播放哪个片段
+ *   - events     { 帧序号: 事件名 或 [事件名...] }，播到这一帧时触发，用 on() 监听
+ * 另外还有两个自带的事件：'loop'（循环的片段每播完一遍）和 'complete'（'once' 的片段播完）。
+ *
+ * 帧按名字在 source 里找（游戏的 this.assets 或一个 SpriteSheet），每次画的时候才找，
+ * 所以图片还没加载完、加载失败时 currentFrame 是 null，render() 什么都不画、返回 false，这时用代码画。
+ *
+ * 一般用游戏的 this.sprites.create() 创建（见 SpriteAnimator.js），动画由 GameManager 每帧推进，
+ * 游戏暂停时停住；render() 要游戏自己在合适的地方调用，决定画在哪一层。
+ */
+
+import { drawFrame } from '../assets/SpriteSheet.js';
+
+const LOOP_MODES = ['loop', 'pingpong', 'once'];
+
+export default class AnimatedSprite {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.clips - 动画片段 { 名字: 片段 }（写法见上面）
+   * @param {string} options.play - 一开始播放的片段（默认不播放）
+   * @param {AssetBundle|SpriteSheet} options.source - 按名字找帧的地方
+   * @param {number} options.x - X 位置（跟着 target 时是相对 target 的偏移）
+   * @param {number} options.y - Y 位置（同上）
+   * @param {Object} options.target - 跟着哪个对象走（有 x、y 的对象，比如 PhysicsBody）
+   * @param {number} options.width - 画多宽（不写时按高度和图片比例算，都不写就是原图大小）
+   * @param {number} options.height - 画多高（同上）
+   * @param {number} options.anchorX - 锚点 X（0 是左边，1 是右边；不写就用帧的 pivot，一般是 0.5）
+   * @param {number} options.anchorY - 锚点 Y（0 是上边，1 是下边）
+   * @param {number} options.rotation - 旋转（弧度，绕锚点转）
+   * @param {number} options.scaleX - 水平缩放（默认 1）
+   * @param {number} options.scaleY - 垂直缩放（默认 1）
+   * @param {boolean} options.flipX - 左右翻转
+   * @param {boolean} options.flipY - 上下翻转
+   * @param {number} options.opacity - 不透明度（0 ~ 1，默认 1）
+   * @param {number} options.speed - 播放速度（默认 1，2 是两倍速）
+   */
+  constructor(options = {}) {
+    // 片段 名字 -> { frames, durations, loop, next, events }
+    this.clips = new Map();
+    for (const [name, clip] of Object.entries(options.clips || {})) {
+      this.clips.set(name, parseClip(name, clip));
+    }
+    for (const [name, clip] of this.clips) {
+      if (clip.next && !this.clips.has(clip.next)) {
+        throw new Error(`动画 ${name} 的 next 是 ${clip.next}，但没有这段动画`);
+      }
+    }
+    this.source = options.source || null;
+
+    // 位置：没有 target 时是画布上的位置，有 target 时是相对 target 的偏移
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.target = options.target || null;
+
+    // 画出来的样子
+    this.width = options.width !== undefined ? options.width : null;
+    this.height = options.height !== undefined ? options.height : null;
+    this.anchorX = options.anchorX !== undefined ? options.anchorX : null;
+    this.anchorY = options.anchorY !== undefined ? options.anchorY : null;
+    this.rotation = options.rotation || 0;
+    this.scaleX = options.scaleX !== undefined ? options.scaleX : 1;
+    this.scaleY = options.scaleY !== undefined ? options.scaleY : 1;
+    this.flipX = options.flipX || false;
+    this.flipY = options.flipY || false;
+    this.opacity = options.opacity !== undefined ? options.opacity : 1;
+    this.visible = true;
+
+    // 播放状态
+    this.speed = options.speed !== undefined ? options.speed : 1;
+    this.clipName = null;
+    this.clip = null;
+    this.frameIndex = 0;
+    this.frameTime = 0;       // 当前这一帧已经播放的时间
+    this.direction = 1;       // 'pingpong' 时往回播是 -1
+    this.loops = 0;           // 这个片段播完了几遍
+    this.playing = false;
+    this.isFinished = false;
+
+    // 事件名 -> 监听函数列表
+    this.listeners = new Map();
+
+    if (options.play) {
+      this.play(options.play);
+    }
+  }
+
+  /**
+   * 播放一个片段
+   *
+   * 正在播放的就是这个片段时什么都不做（每帧都调用也不会从头开始），要从头播加上 { restart: true }
+   *
+   * @param {string} name - 片段名字
+   * @param {Object} options - 选项
+   * @param {boolean} options.restart - 正在播放这个片段时是否从头开始
+   * @returns {boolean} 是否有这个片段
+   */
+  play(name, options = {}) {
+    const clip = this.clips.get(name);
+    if (!clip) {
+      console.warn(`⚠️ 没有这段动画: ${name}`);
+      return false;
+    }
+    if (this.clip === clip && this.playing && !options.restart) {
+      return true;
+    }
+
+    this.clipName = name;
+    this.clip = clip;
+    this.frameTime = 0;
+    this.direction = 1;
+    this.loops = 0;
+    this.playing = true;
+    this.isFinished = false;
+    this.enterFrame(0);
+    return true;
+  }
+
+  /**
+   * 停在当前这一帧
+   */
+  stop() {
+    this.playing = false;
+  }
+
+  /**
+   * 接着播放 stop() 停下的片段（播完的 'once' 片段要用 play(名字, { restart: true }) 重播）
+   */
+  resume() {
+    if (this.clip && !this.isFinished) {
+      this.playing = true;
+    }
+  }
+
+  /**
+   * 是否正在播放（某个片段）
+   *
+   * @param {string} name - 片段名字（不写就是任何片段）
+   * @returns {boolean}
+   */
+  isPlaying(name) {
+    return this.playing && (name === undefined || this.clipName === name);
+  }
+
+  /**
+   * 监听动画事件（片段 events 里写的，或者 'loop' / 'complete'）
+   *
+   * @param {string} name - 事件名
+   * @param {Function} handler - 监听函数，参数是 { name, sprite, clip, frame }
+   * @returns {Function} 调用它取消监听
+   */
+  on(name, handler) {
+    if (!this.listeners.has(name)) {
+      this.listeners.set(name, []);
+    }
+    this.listeners.get(name).push(handler);
+
+    return () => {
+      const handlers = this.listeners.get(name);
+      if (handlers) {
+        this.listeners.set(name, handlers.filter((h) => h !== handler));
+      }
+    };
+  }
+
+  /**
+   * 跟着一个对象走（比如小鸟的物理体）
+   *
+   * @param {Object} target - 有 x、y 的对象（有 getRenderPosition 的话画的时候用插值后的位置）
+   * @param {number} offsetX - 相对 target 的偏移
+   * @param {number} offsetY - 相对 target 的偏移
+   */
+  attach(target, offsetX = 0, offsetY = 0) {
+    this.target = target;
+    this.x = offsetX;
+    this.y = offsetY;
+  }
+
+  /**
+   * 不再跟着对象走，停在现在的位置
+   */
+  detach() {
+    const position = this.getPosition();
+    this.target = null;
+    this.x = position.x;
+    this.y = position.y;
+  }
+
+  /**
+   * 推进动画（由 SpriteAnimator 调用）
+   *
+   * 一次推进的时间超过一帧时会连续翻过好几帧，中间每一帧的事件都会触发
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    let time = deltaTime * this.speed;
+    while (this.playing && time > 0) {
+      const left = this.clip.durations[this.frameIndex] - this.frameTime;
+      if (time < left) {
+        this.frameTime += time;
+        return;
+      }
+      time -= left;
+      this.frameTime = 0;
+      this.nextFrame();
+    }
+  }
+
+  /**
+   * 当前这一帧（帧对象），还没播放、图片没加载好时返回 null
+   */
+  get currentFrame() {
+    if (!this.clip) {
+      return null;
+    }
+    const frame = this.clip.frames[this.frameIndex];
+    if (typeof frame !== 'string') {
+      return frame;
+    }
+    if (!this.source) {
+      return null;
+    }
+    return this.source.frame ? this.source.frame(frame) : this.source.getFrame(frame);
+  }
+
+  /**
+   * 锚点在画布上的位置
+   *
+   * @param {number} alpha - 渲染插值比例（跟着物理体时用）
+   * @returns {Object} { x, y }
+   */
+  getPosition(alpha = 1) {
+    if (!this.target) {
+      return { x: this.x, y: this.y };
+    }
+    const base = this.target.getRenderPosition
+      ? this.target.getRenderPosition(alpha)
+      : { x: this.target.x, y: this.target.y };
+    return { x: base.x + this.x, y: base.y + this.y };
+  }
+
+  /**
+   * 画当前这一帧：锚点放在 getPosition() 的位置，绕锚点旋转、缩放、翻转
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例（固定步长模式下使用）
+   * @returns {boolean} 是否画了（没有帧可画、隐藏时返回 false）
+   */
+  render(ctx, alpha = 1) {
+    const frame = this.currentFrame;
+    if (!frame || !this.visible) {
+      return false;
+    }
+
+    const position = this.getPosition(alpha);
+    const size = this.getSize(frame);
+    const anchorX = this.anchorX !== null ? this.anchorX : frame.pivotX;
+    const anchorY = this.anchorY !== null ? this.anchorY : frame.pivotY;
+
+    ctx.save();
+    ctx.translate(position.x, position.y);
+    if (this.rotation) {
+      ctx.rotate(this.rotation);
+    }
+    ctx.scale(this.scaleX * (this.flipX ? -1 : 1), this.scaleY * (this.flipY ? -1 : 1));
+    if (this.opacity < 1) {
+      ctx.globalAlpha *= this.opacity;
+    }
+    drawFrame(ctx, frame, -anchorX * size.width, -anchorY * size.height, size.width, size.height);
+    ctx.restore();
+    return true;
+  }
+
+  /**
+   * 这一帧画多大（缩放之前）
+   */
+  getSize(frame) {
+    if (this.width !== null && this.height !== null) {
+      return { width: this.width, height: this.height };
+    }
+    if (this.width !== null) {
+      return { width: this.width, height: this.width * frame.sourceHeight / frame.sourceWidth };
+    }
+    if (this.height !== null) {
+      return { width: this.height * frame.sourceWidth / frame.sourceHeight, height: this.height };
+    }
+    return { width: frame.sourceWidth, height: frame.sourceHeight };
+  }
+
+  /**
+   * 翻到下一帧，到头了按 loop 方式处理
+   */
+  nextFrame() {
+    const clip = this.clip;
+    const last = clip.frames.length - 1;
+    const next = this.frameIndex + this.direction;
+    if (next >= 0 && next <= last) {
+      this.enterFrame(next);
+      return;
+    }
+
+    if (clip.loop === 'once') {
+      this.playing = false;
+      this.isFinished = true;
+      this.emit('complete');
+      // complete 的监听函数里没有换别的片段，才接着播 next
+      if (clip.next && this.clip === clip && this.isFinished) {
+        this.play(clip.next);
+      }
+      return;
+    }
+
+    if (clip.loop === 'pingpong' && last > 0) {
+      this.direction = -this.direction;
+      if (this.direction === 1) {
+        this.finishLoop();
+      }
+      if (this.clip === clip) {
+        this.enterFrame(this.frameIndex + this.direction);
+      }
+      return;
+    }
+
+    this.finishLoop();
+    if (this.clip === clip) {
+      this.enterFrame(0);
+    }
+  }
+
+  /**
+   * 循环的片段播完一遍
+   */
+  finishLoop() {
+    this.loops++;
+    this.emit('loop');
+  }
+
+  /**
+   * 进入某一帧，触发这一帧的事件
+   */
+  enterFrame(index) {
+    this.frameIndex = index;
+    const events = this.clip.events[index];
+    if (!events) {
+      return;
+    }
+    const clip = this.clip;
+    for (const name of events) {
+      // 监听函数里换了片段，这一帧剩下的事件就不触发了
+      if (this.clip !== clip || this.frameIndex !== index) {
+        return;
+      }
+      this.emit(name);
+    }
+  }
+
+  /**
+   * 通知监听函数
+   */
+  emit(name) {
+    const handlers = this.listeners.get(name);
+    if (!handlers) {
+      return;
+    }
+    const event = { name: name, sprite: this, clip: this.clipName, frame: this.frameIndex };
+    for (const handler of handlers.slice()) {
+      handler(event);
+    }
+  }
+}
+
+/**
+ * 检查片段的写法，整理成 { frames, durations, loop, next, events }
+ */
+function parseClip(name, clip) {
+  const frames = clip && clip.frames;
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error(`动画 ${name} 没有帧（frames 应该是帧名字的数组）`);
+  }
+
+  const loop = clip.loop || 'loop';
+  if (!LOOP_MODES.includes(loop)) {
+    throw new Error(`动画 ${name} 的 loop 应该是 ${LOOP_MODES.join(' / ')}，不是 ${loop}`);
+  }
+
+  let durations;
+  if (Array.isArray(clip.durations)) {
+    if (clip.durations.length !== frames.length) {
+      throw new Error(`动画 ${name} 的 durations 和 frames 不一样长`);
+    }
+    durations = clip.durations.slice();
+  } else if (clip.durations !== undefined) {
+    durations = frames.map(() => clip.durations);
+  } else {
+    durations = frames.map(() => 1 / (clip.fps || 10));
+  }
+  if (durations.some((duration) => !(duration > 0))) {
+    throw new Error(`动画 ${name} 每一帧的时间都要大于 0`);
+  }
+
+  // 帧序号 -> [事件名...]
+  const events = {};
+  for (const [index, names] of Object.entries(clip.events || {})) {
+    events[index] = Array.isArray(names) ? names : [names];
+  }
+
+  return {
+    frames: frames,
+    durations: durations,
+    loop: loop,
+    next: clip.next || null,
+    events: events
+  };
+}
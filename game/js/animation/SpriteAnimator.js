@@ -0,0 +1,121 @@
+/**
+ * 帧动画管理器 - SpriteAnimator
+ *
+ * 每个游戏有自己的 this.sprites（见 BaseGame），和补间动画、粒子一样，
+ * GameManager 在调用场景的 update(deltaTime) 之前推进它，
+ * 所以游戏暂停、被浮层盖住时帧动画也会停住，重新开始、游戏销毁时一起清掉。
+ *
+ * 用它创建的精灵默认在游戏的 this.assets 里找帧：
+ *   this.birdSprite = this.sprites.create({ clips: { fly: { frames: ['bird_0', 'bird_1'] } }, play: 'fly' });
+ *
+ * 它只负责推进，画不画、画在哪一层由游戏决定：在 render() 里调用 sprite.render(ctx, alpha)，
+ * 或者用 this.sprites.render(ctx, alpha) 按添加的顺序全部画出来。
+ */
+
+import AnimatedSprite from './AnimatedSprite.js';
+
+export default class SpriteAnimator {
+  /**
+   * @param {Object} options - 选项
+   * @param {AssetBundle|SpriteSheet} options.source - create() 创建的精灵默认在这里找帧
+   */
+  constructor(options = {}) {
+    this.source = options.source || null;
+
+    // 正在推进的精灵
+    this.sprites = [];
+
+    // 是否暂停
+    this.paused = false;
+  }
+
+  /**
+   * 创建一个精灵并开始推进它
+   *
+   * @param {Object} options - 精灵的选项（见 AnimatedSprite）
+   * @returns {AnimatedSprite}
+   */
+  create(options = {}) {
+    return this.add(new AnimatedSprite({ source: this.source, ...options }));
+  }
+
+  /**
+   * 推进一个已经创建好的精灵
+   *
+   * @param {AnimatedSprite} sprite - 精灵
+   * @returns {AnimatedSprite} 传入的精灵
+   */
+  add(sprite) {
+    if (!this.sprites.includes(sprite)) {
+      this.sprites.push(sprite);
+    }
+    return sprite;
+  }
+
+  /**
+   * 不再推进某个精灵（它停在当前这一帧）
+   *
+   * @param {AnimatedSprite} sprite - 精灵
+   */
+  remove(sprite) {
+    this.sprites = this.sprites.filter((s) => s !== sprite);
+  }
+
+  /**
+   * 推进所有精灵（由 GameManager 调用）
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    if (this.paused) {
+      return;
+    }
+
+    // 复制一份：动画事件的监听函数里可能添加或移除精灵
+    for (const sprite of this.sprites.slice()) {
+      if (this.sprites.includes(sprite)) {
+        sprite.update(deltaTime);
+      }
+    }
+  }
+
+  /**
+   * 按添加的顺序画出所有精灵
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例
+   */
+  render(ctx, alpha = 1) {
+    for (const sprite of this.sprites) {
+      sprite.render(ctx, alpha);
+    }
+  }
+
+  /**
+   * 移除所有精灵
+   */
+  clear() {
+    this.sprites = [];
+  }
+
+  /**
+   * 暂停所有精灵
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 继续推进
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * 精灵的数量
+   */
+  get count() {
+    return this.sprites.length;
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * 补间动画 - Tween
+ *
+ * "补间"就是：告诉它起点和终点，中间的每一帧它帮你算出来。
+ * 比如让方块的 scale 在 0.2 秒内从 0 变到 1：
+ *
+ *   this.tweens.to(tile, { scale: 1 }, { from: { scale: 0 }, duration: 0.2 });
+ *
+ * 任何对象的任何数字属性都可以动画（x、y、alpha、scale、自己起名的属性……）。
+ *
+ * 一般不用直接 new Tween，而是用 TweenManager 的 to()；
+ * 只有在 sequence() / parallel() 里组合动画时才需要自己创建。
+ */
+
+import { Easing, lerp } from '../utils/utils.js';
+
+export default class Tween {
+  /**
+   * @param {Object} target - 要动画的对象（传 null 就是一段"空白等待"）
+   * @param {Object} props - 终点值，比如 { x: 100, alpha: 0 }
+   * @param {Object} options - 选项
+   * @param {number} options.duration - 持续时间（秒，默认 0.3）
+   * @param {number} options.delay - 开始前等待的时间（秒，默认 0）
+   * @param {Function|string} options.easing - 缓动函数，或 Easing 里的名字（默认 'easeOutQuad'）
+   * @param {Object} options.from - 起点值（不传就用开始时对象身上的值）
+   * @param {number} options.repeat - 额外重复几次（默认 0，-1 表示一直重复）
+   * @param {boolean} options.yoyo - 重复时是否来回播放（去 → 回 → 去……）
+   * @param {Function} options.onUpdate - 每次更新后调用
+   * @param {Function} options.onComplete - 播放完成后调用（一直重复的动画不会完成）
+   */
+  constructor(target, props = {}, options = {}) {
+    this.target = target;
+    this.props = props;
+
+    this.duration = options.duration !== undefined ? options.duration : 0.3;
+    this.delay = options.delay || 0;
+    this.easing = Tween.resolveEasing(options.easing);
+    this.from = options.from || null;
+    this.repeat = options.repeat || 0;
+    this.yoyo = options.yoyo || false;
+    this.onUpdate = options.onUpdate || null;
+    this.onComplete = options.onComplete || null;
+
+    // 播放状态
+    this.delayLeft = this.delay;  // 还要等多久才开始
+    this.elapsed = 0;             // 这一轮已经播放的时间
+    this.repeatsLeft = this.repeat;
+    this.reversed = false;        // yoyo 时是否正在"往回"播放
+    this.started = false;
+    this.isFinished = false;
+
+    // 开始时记录的起点值
+    this.startValues = {};
+  }
+
+  /**
+   * 把缓动参数变成函数
+   *
+   * @param {Function|string} easing - 缓动函数或名字
+   * @returns {Function}
+   */
+  static resolveEasing(easing) {
+    if (typeof easing === 'function') {
+      return easing;
+    }
+    if (easing === undefined) {
+      return Easing.easeOutQuad;
+    }
+    if (!Easing[easing]) {
+      console.warn(`⚠️ 未知的缓动函数: ${easing}，改用 linear`);
+      return Easing.linear;
+    }
+    return Easing[easing];
+  }
+
+  /**
+   * 推进动画
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   * @returns {number} 没用完的时间（动画在这一帧中途结束时，剩下的时间交给序列里的下一个动画）
+   */
+  update(deltaTime) {
+    if (this.isFinished) {
+      return deltaTime;
+    }
+
+    let time = deltaTime;
+
+    // 先把延迟等完
+    if (this.delayLeft > 0) {
+      const wait = Math.min(time, this.delayLeft);
+      this.delayLeft -= wait;
+      time -= wait;
+      if (this.delayLeft > 0) {
+        return 0;
+      }
+    }
+
+    if (!this.started) {
+      this.begin();
+    }
+
+    // 持续时间为 0：直接跳到终点
+    if (this.duration <= 0) {
+      this.apply(1);
+      return this.finish(time);
+    }
+
+    this.elapsed += time;
+
+    // 一帧里可能跨过了好几轮（重复播放时）
+    while (this.elapsed >= this.duration) {
+      this.apply(1);
+
+      if (this.repeatsLeft === 0) {
+        return this.finish(this.elapsed - this.duration);
+      }
+
+      this.elapsed -= this.duration;
+      if (this.repeatsLeft > 0) {
+        this.repeatsLeft--;
+      }
+      if (this.yoyo) {
+        this.reversed = !this.reversed;
+      }
+    }
+
+    this.apply(this.elapsed / this.duration);
+    return 0;
+  }
+
+  /**
+   * 开始播放：记录起点值
+   */
+  begin() {
+    this.started = true;
+    if (!this.target) {
+      return;
+    }
+
+    for (const key in this.props) {
+      const start = this.from && this.from[key] !== undefined ? this.from[key] : this.target[key];
+      if (typeof start !== 'number') {
+        console.warn(`⚠️ 补间动画的属性 ${key} 不是数字，已忽略`);
+        continue;
+      }
+      this.startValues[key] = start;
+    }
+  }
+
+  /**
+   * 按进度设置属性值
+   *
+   * @param {number} progress - 这一轮的进度（0-1）
+   */
+  apply(progress) {
+    if (this.target) {
+      const t = this.easing(this.reversed ? 1 - progress : progress);
+      for (const key in this.startValues) {
+        this.target[key] = lerp(this.startValues[key], this.props[key], t);
+      }
+    }
+
+    if (this.onUpdate) {
+      this.onUpdate(this.target);
+    }
+  }
+
+  /**
+   * 播放完成
+   *
+   * @param {number} leftover - 没用完的时间
+   * @returns {number} 没用完的时间
+   */
+  finish(leftover) {
+    this.isFinished = true;
+    if (this.onComplete) {
+      this.onComplete(this.target);
+    }
+    return leftover;
+  }
+
+  /**
+   * 这个动画是否在改变某个对象
+   *
+   * @param {Object} target - 对象
+   * @returns {boolean}
+   */
+  involves(target) {
+    return this.target === target;
+  }
+}
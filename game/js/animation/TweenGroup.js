@@ -0,0 +1,147 @@
+/**
+ * 动画组合 - TweenGroup
+ *
+ * 把好几个动画组合起来：
+ * - 'sequence'（序列）：一个播完再播下一个，比如"先放大，再缩小消失"
+ * - 'parallel'（并行）：同时播放，全部播完才算完成，比如"一边变透明一边往上飘"
+ *
+ * 组合里的每一步可以是：
+ * - Tween                 一个补间动画
+ * - TweenGroup            另一个组合（可以嵌套）
+ * - 数字                  等待几秒
+ * - 函数                  执行一下（比如动画播完后把格子真正删掉）
+ *
+ * 一般通过 TweenManager 的 sequence() / parallel() 创建。
+ */
+
+import Tween from './Tween.js';
+
+export default class TweenGroup {
+  /**
+   * @param {string} mode - 'sequence' | 'parallel'
+   * @param {Array} steps - 组合里的步骤
+   * @param {Object} options - 选项
+   * @param {Function} options.onComplete - 全部播放完成后调用
+   */
+  constructor(mode, steps, options = {}) {
+    this.mode = mode;
+    this.steps = steps.map((step) => TweenGroup.toStep(step));
+    this.onComplete = options.onComplete || null;
+
+    this.index = 0;           // 序列模式下正在播放第几步
+    this.isFinished = false;
+  }
+
+  /**
+   * 把数字、函数也包装成能 update() 的步骤
+   */
+  static toStep(step) {
+    if (typeof step === 'number') {
+      return new Tween(null, {}, { duration: step });
+    }
+    if (typeof step === 'function') {
+      return new CallStep(step);
+    }
+    return step;
+  }
+
+  /**
+   * 推进动画
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   * @returns {number} 没用完的时间
+   */
+  update(deltaTime) {
+    if (this.isFinished) {
+      return deltaTime;
+    }
+
+    const leftover = this.mode === 'sequence'
+      ? this.updateSequence(deltaTime)
+      : this.updateParallel(deltaTime);
+
+    if (leftover === null) {
+      return 0;
+    }
+
+    this.isFinished = true;
+    if (this.onComplete) {
+      this.onComplete();
+    }
+    return leftover;
+  }
+
+  /**
+   * 序列：当前这一步播完了，剩下的时间交给下一步
+   *
+   * @returns {number|null} 全部播完时返回没用完的时间，否则返回 null
+   */
+  updateSequence(deltaTime) {
+    let time = deltaTime;
+    while (this.index < this.steps.length) {
+      const step = this.steps[this.index];
+      time = step.update(time);
+      if (!step.isFinished) {
+        return null;
+      }
+      this.index++;
+    }
+    return time;
+  }
+
+  /**
+   * 并行：所有步骤一起推进
+   *
+   * @returns {number|null} 全部播完时返回没用完的时间，否则返回 null
+   */
+  updateParallel(deltaTime) {
+    let allFinished = true;
+    let leftover = deltaTime;
+
+    for (const step of this.steps) {
+      if (step.isFinished) {
+        continue;
+      }
+      const stepLeftover = step.update(deltaTime);
+      if (step.isFinished) {
+        leftover = Math.min(leftover, stepLeftover);
+      } else {
+        allFinished = false;
+      }
+    }
+
+    return allFinished ? leftover : null;
+  }
+
+  /**
+   * 组合里有没有动画在改变某个对象
+   *
+   * @param {Object} target - 对象
+   * @returns {boolean}
+   */
+  involves(target) {
+    return this.steps.some((step) => step.involves(target));
+  }
+}
+
+/**
+ * 组合里的"执行一下"步骤：调用函数后立刻完成，不占用时间
+ */
+class CallStep {
+  constructor(callback) {
+    this.callback = callback;
+    this.isFinished = false;
+  }
+
+  update(deltaTime) {
+    if (!this.isFinished) {
+      this.isFinished = true;
+      this.callback();
+    }
+    return deltaTime;
+  }
+
+  involves(target) {
+    return false;
+  }
+}
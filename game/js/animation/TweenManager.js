@@ -0,0 +1,159 @@
+/**
+ * 动画管理器 - TweenManager
+ *
+ * 每个场景有自己的 this.tweens（BaseGame 和大厅都有），
+ * GameManager 在调用场景的 update(deltaTime) 之前推进它，
+ * 所以场景暂停、被浮层盖住时动画也会停住，场景销毁时动画一起清掉。
+ *
+ * 用法：
+ *   // 单个动画：0.2 秒内从 0 放大到 1
+ *   this.tweens.to(tile, { scale: 1 }, { from: { scale: 0 }, duration: 0.2 });
+ *
+ *   // 呼吸效果：来回缩放，一直重复
+ *   this.tweens.to(this, { titleScale: 1.05 }, { duration: 0.35, yoyo: true, repeat: -1 });
+ *
+ *   // 序列：先放大，再缩小消失，最后执行函数
+ *   this.tweens.sequence([
+ *     new Tween(cell, { scale: 1.2 }, { duration: 0.1 }),
+ *     new Tween(cell, { scale: 0, alpha: 0 }, { duration: 0.2 }),
+ *     () => { cell.removing = false; }
+ *   ]);
+ *
+ *   // 并行：同时播放，全部播完再回调
+ *   this.tweens.parallel([...], { onComplete: () => {} });
+ */
+
+import Tween from './Tween.js';
+import TweenGroup from './TweenGroup.js';
+
+export default class TweenManager {
+  constructor() {
+    // 正在播放的动画（Tween 或 TweenGroup）
+    this.animations = [];
+
+    // 是否暂停
+    this.paused = false;
+  }
+
+  /**
+   * 播放一个补间动画
+   *
+   * @param {Object} target - 要动画的对象
+   * @param {Object} props - 终点值
+   * @param {Object} options - 选项（见 Tween）
+   * @returns {Tween}
+   */
+  to(target, props, options = {}) {
+    return this.add(new Tween(target, props, options));
+  }
+
+  /**
+   * 按顺序播放一组动画
+   *
+   * @param {Array} steps - 步骤（Tween、TweenGroup、等待秒数、函数）
+   * @param {Object} options - 选项 { onComplete }
+   * @returns {TweenGroup}
+   */
+  sequence(steps, options = {}) {
+    return this.add(new TweenGroup('sequence', steps, options));
+  }
+
+  /**
+   * 同时播放一组动画
+   *
+   * @param {Array} steps - 步骤（Tween、TweenGroup、等待秒数、函数）
+   * @param {Object} options - 选项 { onComplete }
+   * @returns {TweenGroup}
+   */
+  parallel(steps, options = {}) {
+    return this.add(new TweenGroup('parallel', steps, options));
+  }
+
+  /**
+   * 添加一个已经创建好的动画
+   *
+   * @param {Tween|TweenGroup} animation - 动画
+   * @returns {Tween|TweenGroup} 传入的动画
+   */
+  add(animation) {
+    this.animations.push(animation);
+    return animation;
+  }
+
+  /**
+   * 推进所有动画（由 GameManager 调用）
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    if (this.paused) {
+      return;
+    }
+
+    // 复制一份：动画的回调里可能添加或停止其他动画
+    for (const animation of this.animations.slice()) {
+      if (this.animations.includes(animation)) {
+        animation.update(deltaTime);
+      }
+    }
+
+    this.animations = this.animations.filter((animation) => !animation.isFinished);
+  }
+
+  /**
+   * 停止某个动画（停在当前的样子，不会调用 onComplete）
+   *
+   * @param {Tween|TweenGroup} animation - 动画
+   */
+  stop(animation) {
+    this.animations = this.animations.filter((a) => a !== animation);
+  }
+
+  /**
+   * 停止所有正在改变某个对象的动画
+   * 比如方块又要播放新动画时，先把旧的停掉，免得两个动画抢着改同一个属性
+   *
+   * @param {Object} target - 对象
+   */
+  killTweensOf(target) {
+    this.animations = this.animations.filter((animation) => !animation.involves(target));
+  }
+
+  /**
+   * 某个对象是否正在动画
+   *
+   * @param {Object} target - 对象
+   * @returns {boolean}
+   */
+  isAnimating(target) {
+    return this.animations.some((animation) => animation.involves(target));
+  }
+
+  /**
+   * 停止所有动画
+   */
+  clear() {
+    this.animations = [];
+  }
+
+  /**
+   * 暂停所有动画
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 继续播放
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * 正在播放的动画数量
+   */
+  get count() {
+    return this.animations.length;
+  }
+}
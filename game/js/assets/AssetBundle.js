@@ -0,0 +1,165 @@
+/**
+ * 一份资源清单的资源 - AssetBundle
+ *
+ * gameManager.assets.load(manifest) 返回它，游戏里就是 this.assets（见 BaseGame）。
+ * 清单里的每个资源都在 AssetManager 的缓存里记了一次引用，用完调用 release() 还回去。
+ *
+ * 还没加载完、加载失败的资源取到的都是 null，用之前判断一下，没有就用代码画：
+ *   const frame = this.assets.frame('bird');
+ *   if (frame) {
+ *     drawFrame(ctx, frame, x, y, 60, 60);
+ *   } else {
+ *     // 原来的画法
+ *   }
+ */
+
+import SpriteSheet from './SpriteSheet.js';
+
+const TYPES = ['image', 'atlas', 'font'];
+
+export default class AssetBundle {
+  /**
+   * @param {AssetManager} manager - 资源管理器
+   * @param {Object} manifest - 资源清单 { 名字: 路径 或 { image / atlas / font: 路径 } }
+   */
+  constructor(manager, manifest = {}) {
+    this.manager = manager;
+
+    // 名字 -> 缓存条目（先检查整份清单的写法，有写错的就一个都不加载）
+    const specs = Object.entries(manifest || {}).map(([name, spec]) => [name, parseSpec(name, spec)]);
+    this.entries = new Map();
+    for (const [name, { type, path }] of specs) {
+      this.entries.set(name, manager.acquire(type, path));
+    }
+
+    // 整张图片当成一帧时的帧对象（名字 -> 帧）
+    this.imageFrames = new Map();
+
+    this.released = false;
+  }
+
+  /**
+   * 清单里一共有几个资源
+   */
+  get total() {
+    return this.entries.size;
+  }
+
+  /**
+   * 已经加载完的有几个（失败的也算加载完）
+   */
+  get settled() {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.status !== 'loading') {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 加载进度（0 ~ 1），空清单是 1
+   */
+  get progress() {
+    return this.total === 0 ? 1 : this.settled / this.total;
+  }
+
+  /**
+   * 是不是都加载完了（有失败的也算完）
+   */
+  get isComplete() {
+    return this.settled === this.total;
+  }
+
+  /**
+   * 加载失败的资源名字
+   */
+  get failed() {
+    return Array.from(this.entries.entries())
+      .filter(([, entry]) => entry.status === 'failed')
+      .map(([name]) => name);
+  }
+
+  /**
+   * 取一个资源（图片、SpriteSheet 或 BitmapFont）
+   *
+   * @param {string} name - 清单里的名字
+   * @returns {Object|null} 没加载完、加载失败、清单里没有、已经释放时返回 null
+   */
+  get(name) {
+    const entry = this.released ? null : this.entries.get(name);
+    return entry && entry.status === 'loaded' ? entry.data : null;
+  }
+
+  /**
+   * 取一帧：清单里这个名字的图片，或者任何一个图集里这个名字的帧
+   *
+   * @param {string} name - 图片的名字或图集里帧的名字（可以不带 .png）
+   * @returns {Object|null} 帧（见 SpriteSheet.js 的 drawFrame），没有时返回 null
+   */
+  frame(name) {
+    if (this.released) {
+      return null;
+    }
+    const entry = this.entries.get(name);
+    if (entry && entry.type === 'image') {
+      if (entry.status !== 'loaded') {
+        return null;
+      }
+      if (!this.imageFrames.has(name)) {
+        this.imageFrames.set(name, SpriteSheet.imageFrame(entry.data, name));
+      }
+      return this.imageFrames.get(name);
+    }
+
+    for (const other of this.entries.values()) {
+      if (other.type === 'atlas' && other.status === 'loaded') {
+        const frame = other.data.getFrame(name);
+        if (frame) {
+          return frame;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 取一个位图字体
+   *
+   * @param {string} name - 清单里的名字
+   * @returns {BitmapFont|null}
+   */
+  font(name) {
+    const entry = this.entries.get(name);
+    return entry && entry.type === 'font' ? this.get(name) : null;
+  }
+
+  /**
+   * 还回所有引用（可以重复调用）
+   */
+  release() {
+    if (this.released) {
+      return;
+    }
+    this.released = true;
+    for (const entry of this.entries.values()) {
+      this.manager.release(entry);
+    }
+    this.imageFrames.clear();
+  }
+}
+
+/**
+ * 清单里的一项 => { type, path }
+ */
+function parseSpec(name, spec) {
+  if (typeof spec === 'string') {
+    return { type: 'image', path: spec };
+  }
+  const type = TYPES.find((key) => spec && typeof spec[key] === 'string');
+  if (!type) {
+    throw new Error(`资源 ${name} 的写法不对，应该是路径或 { ${TYPES.join(' / ')}: 路径 }`);
+  }
+  return { type: type, path: spec[type] };
+}
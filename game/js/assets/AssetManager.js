@@ -0,0 +1,289 @@
+/**
+ * 资源管理 - AssetManager
+ *
+ * gameManager.assets 负责加载图片、图集（见 SpriteSheet）和位图字体（见 BitmapFont），并把加载好的缓存起来。
+ *
+ * 游戏不用直接调用它：在游戏类上写一份"资源清单"，进入游戏前会先显示加载界面，全部加载完再开始
+ * （见 GameManager.switchToGame 和 scenes/LoadingScene.js），游戏里用 this.assets 取：
+ *   static assets = {
+ *     bird: 'images/flappybird/bird.png',              // 图片
+ *     tiles: { atlas: 'images/linkgame/tiles.json' },  // 图集（TexturePacker 的 JSON，大图的路径写在 JSON 的 meta.image 里）
+ *     score: { font: 'fonts/score.fnt' }                // 位图字体（BMFont 的 .fnt，图片路径写在 page 里）
+ *   };
+ *   this.assets.frame('bird')     // 图片或图集里的一帧，画的时候用 drawFrame()
+ *   this.assets.font('score')     // 位图字体
+ *
+ * 加载失败（文件不存在、平台不能加载图片）时只提示一次，取到的是 null，游戏照样用代码画，
+ * 所以游戏可以先在合适的地方用 this.assets 取图，有了图片文件再补上。
+ *
+ * 引用计数：同一个文件只加载一次，每个用到它的资源清单（AssetBundle）记一次引用，
+ * 游戏销毁时释放自己的引用（见 BaseGame.destroy），没人用了就从缓存里删掉。
+ */
+
+import AssetBundle from './AssetBundle.js';
+import SpriteSheet from './SpriteSheet.js';
+import BitmapFont from './BitmapFont.js';
+
+export default class AssetManager {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.platform - 平台适配器（用它的 createImage / readTextFile 加载文件）
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || null;
+
+    // 缓存 "类型:路径" -> { type, path, refs, status, data, error, listeners, dependencies }
+    // status 是 'loading' / 'loaded' / 'failed'
+    this.cache = new Map();
+
+    // 提示过加载失败的文件（每个只提示一次）
+    this.warned = new Set();
+  }
+
+  /**
+   * 按资源清单加载（已经在缓存里的直接用）
+   *
+   * @param {Object} manifest - 资源清单 { 名字: 路径 或 { image / atlas / font: 路径 } }
+   * @returns {AssetBundle} 这份清单的资源，用完要调用 release()
+   */
+  load(manifest) {
+    return new AssetBundle(this, manifest);
+  }
+
+  /**
+   * 某个文件现在被引用了几次（测试和排查内存用）
+   *
+   * @param {string} path - 文件路径
+   * @returns {number}
+   */
+  refCount(path) {
+    let count = 0;
+    for (const entry of this.cache.values()) {
+      if (entry.path === path) {
+        count += entry.refs;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 引用一个文件（不在缓存里就开始加载）
+   *
+   * @param {string} type - 'image' / 'atlas' / 'font'
+   * @param {string} path - 文件路径
+   * @returns {Object} 缓存条目
+   */
+  acquire(type, path) {
+    const key = `${type}:${path}`;
+    let entry = this.cache.get(key);
+    if (!entry) {
+      entry = {
+        key: key,
+        type: type,
+        path: path,
+        refs: 0,
+        status: 'loading',
+        data: null,
+        error: null,
+        listeners: [],
+        dependencies: [],
+        released: false
+      };
+      this.cache.set(key, entry);
+      this.startLoading(entry);
+    }
+    entry.refs++;
+    return entry;
+  }
+
+  /**
+   * 释放一次引用，没人用了就从缓存里删掉（图集和字体会连带释放它们的图片）
+   *
+   * @param {Object} entry - acquire() 返回的缓存条目
+   */
+  release(entry) {
+    if (entry.released) {
+      return;
+    }
+    entry.refs--;
+    if (entry.refs > 0) {
+      return;
+    }
+
+    // 还在加载的，加载完也不会再用了
+    entry.released = true;
+    entry.listeners = [];
+    this.cache.delete(entry.key);
+    for (const dependency of entry.dependencies) {
+      this.release(dependency);
+    }
+    entry.dependencies = [];
+  }
+
+  /**
+   * 等这个文件加载完（成功或失败都算），已经加载完的马上调用
+   *
+   * @param {Object} entry - 缓存条目
+   * @param {Function} callback - 回调
+   */
+  whenSettled(entry, callback) {
+    if (entry.status === 'loading') {
+      entry.listeners.push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * 按类型开始加载
+   */
+  startLoading(entry) {
+    const fail = (error) => this.fail(entry, error);
+
+    if (entry.type === 'image') {
+      this.loadImage(entry.path, (image) => this.settle(entry, image), fail);
+      return;
+    }
+
+    this.readText(entry.path, (text) => {
+      if (entry.released) {
+        return;
+      }
+      try {
+        if (entry.type === 'atlas') {
+          this.loadAtlas(entry, JSON.parse(text));
+        } else {
+          this.loadFont(entry, BitmapFont.parse(text));
+        }
+      } catch (error) {
+        fail(error.message);
+      }
+    }, fail);
+  }
+
+  /**
+   * 图集：JSON 读好了，再加载它的大图
+   */
+  loadAtlas(entry, data) {
+    if (!data.meta || !data.meta.image) {
+      throw new Error('图集 JSON 里没有 meta.image');
+    }
+    const image = this.acquire('image', resolvePath(entry.path, data.meta.image));
+    entry.dependencies.push(image);
+    this.whenSettled(image, () => {
+      if (image.status === 'loaded') {
+        this.settle(entry, new SpriteSheet(image.data, data));
+      } else {
+        this.fail(entry, image.error);
+      }
+    });
+  }
+
+  /**
+   * 位图字体：.fnt 读好了，再加载每一页的图片
+   */
+  loadFont(entry, data) {
+    const pages = data.pages.map((file) => this.acquire('image', resolvePath(entry.path, file)));
+    entry.dependencies.push(...pages);
+
+    let waiting = pages.length;
+    for (const page of pages) {
+      this.whenSettled(page, () => {
+        waiting--;
+        if (waiting > 0) {
+          return;
+        }
+        const failed = pages.find((other) => other.status === 'failed');
+        if (failed) {
+          this.fail(entry, failed.error);
+        } else {
+          this.settle(entry, new BitmapFont(data, pages.map((other) => other.data)));
+        }
+      });
+    }
+  }
+
+  /**
+   * 通过平台加载图片
+   */
+  loadImage(path, onLoad, onError) {
+    if (!this.platform || !this.platform.createImage) {
+      onError('平台不能加载图片');
+      return;
+    }
+    const image = this.platform.createImage();
+    image.onload = () => onLoad(image);
+    image.onerror = (error) => onError((error && error.errMsg) || '图片加载失败');
+    image.src = path;
+  }
+
+  /**
+   * 通过平台读取文本文件
+   */
+  readText(path, onLoad, onError) {
+    if (!this.platform || !this.platform.readTextFile) {
+      onError('平台不能读取文件');
+      return;
+    }
+    this.platform.readTextFile(path, onLoad, onError);
+  }
+
+  /**
+   * 加载成功
+   */
+  settle(entry, data) {
+    if (entry.released) {
+      return;
+    }
+    entry.status = 'loaded';
+    entry.data = data;
+    this.notify(entry);
+  }
+
+  /**
+   * 加载失败：提示一次，之后取到的都是 null
+   */
+  fail(entry, error) {
+    if (entry.released) {
+      return;
+    }
+    entry.status = 'failed';
+    entry.error = String(error);
+    if (!this.warned.has(entry.key)) {
+      this.warned.add(entry.key);
+      console.warn(`⚠️ 资源加载失败: ${entry.path}（${entry.error}），用代码绘制代替`);
+    }
+    this.notify(entry);
+  }
+
+  /**
+   * 通知等待这个文件的回调
+   */
+  notify(entry) {
+    const listeners = entry.listeners;
+    entry.listeners = [];
+    for (const listener of listeners) {
+      listener();
+    }
+  }
+}
+
+/**
+ * 相对路径转成完整路径（相对于 base 所在的目录）
+ *
+ * resolvePath('images/linkgame/tiles.json', 'tiles.png') => 'images/linkgame/tiles.png'
+ */
+function resolvePath(base, relative) {
+  if (relative.startsWith('/') || relative.includes('://')) {
+    return relative;
+  }
+  const parts = base.split('/').slice(0, -1);
+  for (const part of relative.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+}
@@ -0,0 +1,201 @@
+/**
+ * 位图字体 - BitmapFont
+ *
+ * 把每个字画好放在图片里，显示文字时一个字一个字地贴图。
+ * 适合分数这种要特别好看的数字（描边、渐变、像素风），手机上没有这种字体也能显示。
+ *
+ * 字体文件用 BMFont 的文本格式（.fnt，BMFont、Hiero、Glyph Designer 等工具都能导出）：
+ *   info face="score" size=32
+ *   common lineHeight=36 base=29 scaleW=256 scaleH=256 pages=1
+ *   page id=0 file="score.png"
+ *   char id=48 x=0 y=0 width=20 height=28 xoffset=1 yoffset=4 xadvance=22 page=0
+ *   kerning first=49 second=49 amount=-2
+ *
+ * 一般不用自己创建，在游戏的 static assets 里写 { font: 'xxx.fnt' } 就会自动加载（见 AssetManager）：
+ *   const font = this.assets.font('score');
+ *   font.draw(ctx, '128', this.screenWidth / 2, 100, { align: 'center' });
+ */
+
+export default class BitmapFont {
+  /**
+   * @param {Object} data - BitmapFont.parse() 的结果
+   * @param {Array<Object>} pages - 每一页的图片（和 data.pages 的顺序一样）
+   */
+  constructor(data, pages) {
+    this.face = data.face;
+    this.size = data.size;
+    this.lineHeight = data.lineHeight;
+    this.base = data.base;
+    this.chars = data.chars;
+    this.kernings = data.kernings;
+    this.pages = pages;
+  }
+
+  /**
+   * 解析 .fnt 文件
+   *
+   * @param {string} text - 文件内容
+   * @returns {Object} { face, size, lineHeight, base, pages: [图片路径], chars: Map, kernings: Map }
+   */
+  static parse(text) {
+    const data = {
+      face: '',
+      size: 0,
+      lineHeight: 0,
+      base: 0,
+      pages: [],
+      chars: new Map(),
+      kernings: new Map()
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+      const match = /^(\w+)\s*(.*)$/.exec(line.trim());
+      if (!match) {
+        continue;
+      }
+      const values = parseValues(match[2]);
+      switch (match[1]) {
+        case 'info':
+          data.face = values.face || '';
+          data.size = Math.abs(Number(values.size) || 0);
+          break;
+        case 'common':
+          data.lineHeight = Number(values.lineHeight) || 0;
+          data.base = Number(values.base) || 0;
+          break;
+        case 'page':
+          data.pages[Number(values.id)] = values.file;
+          break;
+        case 'char':
+          data.chars.set(Number(values.id), {
+            x: Number(values.x),
+            y: Number(values.y),
+            width: Number(values.width),
+            height: Number(values.height),
+            offsetX: Number(values.xoffset) || 0,
+            offsetY: Number(values.yoffset) || 0,
+            advance: Number(values.xadvance) || 0,
+            page: Number(values.page) || 0
+          });
+          break;
+        case 'kerning':
+          data.kernings.set(`${values.first},${values.second}`, Number(values.amount) || 0);
+          break;
+      }
+    }
+
+    if (data.pages.length === 0) {
+      throw new Error('位图字体里没有 page（图片）');
+    }
+    return data;
+  }
+
+  /**
+   * 量一下文字有多宽（多行时取最宽的一行）
+   *
+   * @param {string} text - 文字
+   * @param {number} scale - 缩放（默认 1）
+   * @returns {number} 宽度
+   */
+  measure(text, scale = 1) {
+    const widths = String(text).split('\n').map((line) => this.measureLine(line));
+    return Math.max(...widths) * scale;
+  }
+
+  /**
+   * 画文字
+   *
+   * 没有的字会被跳过（空出半个字的位置），所以数字字体里也可以写 "x2"，只是 x 不显示。
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {string} text - 文字（可以用 \n 换行）
+   * @param {number} x - X 位置（align 决定它是左边、中间还是右边）
+   * @param {number} y - 第一行的顶部
+   * @param {Object} options - 选项
+   * @param {string} options.align - 对齐方式 'left' / 'center' / 'right'（默认 'left'）
+   * @param {number} options.scale - 缩放（默认 1）
+   */
+  draw(ctx, text, x, y, options = {}) {
+    const align = options.align || 'left';
+    const scale = options.scale !== undefined ? options.scale : 1;
+
+    String(text).split('\n').forEach((line, index) => {
+      const width = this.measureLine(line) * scale;
+      let cursor = x;
+      if (align === 'center') {
+        cursor -= width / 2;
+      } else if (align === 'right') {
+        cursor -= width;
+      }
+      const top = y + index * this.lineHeight * scale;
+
+      let previous = null;
+      for (const char of line) {
+        const id = char.codePointAt(0);
+        const glyph = this.chars.get(id);
+        if (previous !== null) {
+          cursor += this.getKerning(previous, id) * scale;
+        }
+        if (glyph) {
+          if (glyph.width > 0 && glyph.height > 0) {
+            ctx.drawImage(
+              this.pages[glyph.page],
+              glyph.x, glyph.y, glyph.width, glyph.height,
+              cursor + glyph.offsetX * scale, top + glyph.offsetY * scale,
+              glyph.width * scale, glyph.height * scale
+            );
+          }
+          cursor += glyph.advance * scale;
+        } else {
+          cursor += this.missingAdvance() * scale;
+        }
+        previous = id;
+      }
+    });
+  }
+
+  /**
+   * 一行文字的宽度（不缩放）
+   */
+  measureLine(line) {
+    let width = 0;
+    let previous = null;
+    for (const char of line) {
+      const id = char.codePointAt(0);
+      const glyph = this.chars.get(id);
+      if (previous !== null) {
+        width += this.getKerning(previous, id);
+      }
+      width += glyph ? glyph.advance : this.missingAdvance();
+      previous = id;
+    }
+    return width;
+  }
+
+  /**
+   * 两个字之间的字距调整（比如 "11" 靠得近一点）
+   */
+  getKerning(first, second) {
+    return this.kernings.get(`${first},${second}`) || 0;
+  }
+
+  /**
+   * 没有的字占多宽
+   */
+  missingAdvance() {
+    return this.size / 2;
+  }
+}
+
+/**
+ * 解析一行里的 key=value（值可以用双引号括起来）
+ */
+function parseValues(text) {
+  const values = {};
+  const pattern = /(\w+)=("([^"]*)"|\S*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    values[match[1]] = match[3] !== undefined ? match[3] : match[2];
+  }
+  return values;
+}
@@ -0,0 +1,175 @@
+/**
+ * 图集 - SpriteSheet
+ *
+ * 很多小图（小鸟的每一帧、管道、连连看的图案）拼在一张大图上，再配一个 JSON 说明每张小图在哪里。
+ * 一次加载一张大图，比加载几十张小图快得多。
+ *
+ * JSON 用 TexturePacker 导出的格式（"JSON (Hash)" 和 "JSON (Array)" 都可以）：
+ *   {
+ *     "frames": {
+ *       "bird_0.png": {
+ *         "frame": { "x": 2, "y": 2, "w": 60, "h": 48 },           // 在大图里的位置
+ *         "rotated": false,                                       // 为了拼得更紧，有的小图会被顺时针转 90 度
+ *         "trimmed": true,                                        // 透明的边被裁掉了
+ *         "spriteSourceSize": { "x": 2, "y": 4, "w": 60, "h": 48 },   // 裁剪后的部分在原图里的位置
+ *         "sourceSize": { "w": 64, "h": 56 },                     // 原图大小
+ *         "pivot": { "x": 0.5, "y": 0.5 }                         // 锚点（可选）
+ *       }
+ *     },
+ *     "meta": { "image": "flappybird.png", "size": { "w": 256, "h": 256 } }
+ *   }
+ *
+ * 一般不用自己创建，在游戏的 static assets 里写 { atlas: 'xxx.json' } 就会自动加载（见 AssetManager）。
+ * 帧的名字可以不带 .png：sheet.getFrame('bird_0') 也能找到 "bird_0.png"。
+ */
+
+export default class SpriteSheet {
+  /**
+   * @param {Object} image - 大图（平台的图片对象）
+   * @param {Object} data - TexturePacker 导出的 JSON（已经解析成对象）
+   */
+  constructor(image, data) {
+    this.image = image;
+    this.meta = data.meta || {};
+
+    // 帧 名字 -> 帧（帧的格式见 drawFrame）
+    this.frames = new Map();
+    const entries = Array.isArray(data.frames)
+      ? data.frames.map((frame) => [frame.filename, frame])
+      : Object.entries(data.frames || {});
+    for (const [name, frame] of entries) {
+      this.frames.set(name, parseFrame(image, name, frame));
+    }
+  }
+
+  /**
+   * 把一整张图片当成一帧
+   *
+   * @param {Object} image - 图片
+   * @param {string} name - 帧的名字
+   * @returns {Object} 帧
+   */
+  static imageFrame(image, name = '') {
+    return {
+      name: name,
+      image: image,
+      x: 0,
+      y: 0,
+      width: image.width,
+      height: image.height,
+      rotated: false,
+      offsetX: 0,
+      offsetY: 0,
+      sourceWidth: image.width,
+      sourceHeight: image.height,
+      pivotX: 0.5,
+      pivotY: 0.5
+    };
+  }
+
+  /**
+   * 所有帧的名字（JSON 里的顺序）
+   */
+  get names() {
+    return Array.from(this.frames.keys());
+  }
+
+  /**
+   * 有没有这一帧
+   *
+   * @param {string} name - 帧的名字（可以不带 .png）
+   */
+  has(name) {
+    return this.getFrame(name) !== null;
+  }
+
+  /**
+   * 获取一帧
+   *
+   * @param {string} name - 帧的名字（可以不带 .png）
+   * @returns {Object|null} 帧，没有时返回 null
+   */
+  getFrame(name) {
+    return this.frames.get(name) || this.frames.get(`${name}.png`) || null;
+  }
+
+  /**
+   * 画一帧（见 drawFrame）
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {string} name - 帧的名字
+   * @param {number} x - 左上角 X
+   * @param {number} y - 左上角 Y
+   * @param {number} width - 画多宽（默认原图宽度）
+   * @param {number} height - 画多高（默认原图高度）
+   * @returns {boolean} 是否画了（没有这一帧时返回 false）
+   */
+  draw(ctx, name, x, y, width, height) {
+    const frame = this.getFrame(name);
+    if (!frame) {
+      return false;
+    }
+    drawFrame(ctx, frame, x, y, width, height);
+    return true;
+  }
+}
+
+/**
+ * 把一帧画到画布上
+ *
+ * 帧是这样的对象：{ image, x, y, width, height, rotated, offsetX, offsetY, sourceWidth, sourceHeight, pivotX, pivotY }
+ * x / y / width / height 是裁剪后的部分在大图里的位置，offsetX / offsetY 是它在原图里的位置，
+ * 画的时候按原图大小算，被裁掉的透明边会空出来，所以每一帧的位置都对得齐。
+ *
+ * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {Object} frame - 帧
+ * @param {number} x - 原图左上角 X
+ * @param {number} y - 原图左上角 Y
+ * @param {number} width - 原图画多宽（默认原图宽度）
+ * @param {number} height - 原图画多高（默认原图高度）
+ */
+export function drawFrame(ctx, frame, x, y, width = frame.sourceWidth, height = frame.sourceHeight) {
+  const scaleX = width / frame.sourceWidth;
+  const scaleY = height / frame.sourceHeight;
+  const dx = x + frame.offsetX * scaleX;
+  const dy = y + frame.offsetY * scaleY;
+  const dw = frame.width * scaleX;
+  const dh = frame.height * scaleY;
+
+  if (!frame.rotated) {
+    ctx.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, dx, dy, dw, dh);
+    return;
+  }
+
+  // 大图里存的是顺时针转了 90 度的样子（宽高互换），逆时针转回来再画
+  ctx.save();
+  ctx.translate(dx, dy + dh);
+  ctx.rotate(-Math.PI / 2);
+  ctx.drawImage(frame.image, frame.x, frame.y, frame.height, frame.width, 0, 0, dh, dw);
+  ctx.restore();
+}
+
+/**
+ * 把 JSON 里的一帧变成 drawFrame 用的格式
+ */
+function parseFrame(image, name, data) {
+  const rect = data.frame;
+  const trim = data.spriteSourceSize || { x: 0, y: 0 };
+  const source = data.sourceSize || { w: rect.w, h: rect.h };
+  const pivot = data.pivot || { x: 0.5, y: 0.5 };
+  return {
+    name: name,
+    image: image,
+    x: rect.x,
+    y: rect.y,
+    width: rect.w,
+    height: rect.h,
+    rotated: data.rotated === true,
+    offsetX: trim.x,
+    offsetY: trim.y,
+    sourceWidth: source.w,
+    sourceHeight: source.h,
+    pivotX: pivot.x,
+    pivotY: pivot.y
+  };
+}
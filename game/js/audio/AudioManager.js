@@ -0,0 +1,459 @@
+/**
+ * 声音 - AudioManager
+ *
+ * gameManager.audio 管所有的声音，分两个声道：
+ * - 音乐：同一时间只有一首，换歌时旧的慢慢变小、新的慢慢变大（淡入淡出）
+ * - 音效：跳跃、得分、合并这些短声音，可以同时响好几个
+ *
+ *   audio.register('flappybird/jump', 'audio/jump.mp3', { maxInstances: 2 });
+ *   audio.play('flappybird/jump');        // 没注册过的声音什么都不做
+ *   audio.playMusic('audio/lobby.mp3');   // 默认用 0.8 秒和上一首交叉淡入淡出
+ *   audio.setVolume('sfx', 0.5);          // 'master' / 'music' / 'sfx'，保存在设置里
+ *
+ * 游戏里一般不直接用它：在游戏类上写 static sounds，用 this.playSound('jump') 播放（见 BaseGame）。
+ * 音效不一定要有文件：写成 { synth: 'jump' } 会用合成器现算出来（见 sfxSynth.js、sfxPresets.js），
+ * 写成 WAV 文件存到本地再播放。
+ *
+ * 音效的"声部"：每个正在响的音效占一个音频对象（InnerAudioContext），用完放回池子里复用，
+ * 不会每次都创建新的。每个声音有自己的同时播放上限（maxInstances），
+ * 连续点得很快时，超过上限就把这个声音最早的那一次停掉重新播；池子满了就停掉最早的那个音效。
+ *
+ * 切到后台时 GameManager 调用 suspend()：音乐暂停、音效全部停掉，回来后 resume() 接着放音乐。
+ */
+
+import SilentAudioContext from './SilentAudioContext.js';
+import Random from '../random/Random.js';
+import { renderSfx, SFX_SAMPLE_RATE } from './sfxSynth.js';
+import { resolveSfx } from './sfxPresets.js';
+import { encodeWav } from './wav.js';
+
+// 三种音量的默认值（0 ~ 1）
+const DEFAULT_VOLUMES = { master: 1, music: 0.6, sfx: 1 };
+
+export default class AudioManager {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.platform - 平台适配器（有 createInnerAudioContext 时用它，没有就静音）
+   * @param {SaveStore} options.settings - 保存音量的设置存档（不传就不保存）
+   * @param {number} options.maxVoices - 音效最多同时响几个（默认 8）
+   * @param {number} options.musicFade - 换音乐时淡入淡出的时长（秒，默认 0.8）
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || null;
+    this.settings = options.settings || null;
+    this.maxVoices = options.maxVoices || 8;
+    this.musicFade = options.musicFade !== undefined ? options.musicFade : 0.8;
+
+    // 音量（保存在设置的 audio 里）
+    this.volumes = { ...DEFAULT_VOLUMES };
+    const saved = this.settings ? this.settings.get('audio', null) : null;
+    if (saved && typeof saved === 'object') {
+      for (const channel of Object.keys(DEFAULT_VOLUMES)) {
+        if (typeof saved[channel] === 'number') {
+          this.volumes[channel] = clamp01(saved[channel]);
+        }
+      }
+    }
+
+    // 注册过的音效 名字 -> { src, maxInstances, volume }
+    this.sounds = new Map();
+
+    // 音效声部 [{ context, name, volume, playing, order }]，order 越小越早开始
+    this.voices = [];
+    this.playOrder = 0;
+
+    // 正在放的音乐 { context, src, level, target, speed }，level 是淡入淡出的进度（0 ~ 1）
+    this.music = null;
+
+    // 正在淡出的旧音乐，淡出完就销毁
+    this.fadingOut = [];
+
+    // 是否因为切到后台暂停了
+    this.suspended = false;
+
+    // 出过错的文件（每个只提示一次）
+    this.failedSources = new Set();
+
+    // 合成过的音效 参数的 JSON -> 文件路径（同样的参数只合成一次）
+    this.synthesized = new Map();
+  }
+
+  // ===== 音效 =====
+
+  /**
+   * 注册一个音效
+   *
+   * @param {string} name - 名字（游戏里的音效是 "游戏编号/名字"，见 BaseGame.playSound）
+   * @param {string} src - 音频文件路径
+   * @param {Object} options - 选项
+   * @param {number} options.maxInstances - 这个声音最多同时响几个（默认 3）
+   * @param {number} options.volume - 这个声音自己的音量（默认 1）
+   */
+  register(name, src, options = {}) {
+    this.sounds.set(name, {
+      src: src,
+      maxInstances: options.maxInstances || 3,
+      volume: options.volume !== undefined ? clamp01(options.volume) : 1
+    });
+  }
+
+  /**
+   * 一次注册多个音效（游戏类的 static sounds）
+   *
+   * @param {Object} sounds - { 名字: 路径 } 或 { 名字: { src 或 synth, maxInstances, volume } }
+   * @param {string} prefix - 名字前缀（游戏编号），注册成 "前缀/名字"
+   */
+  registerAll(sounds, prefix = '') {
+    for (const [name, sound] of Object.entries(sounds || {})) {
+      const fullName = prefix ? `${prefix}/${name}` : name;
+      if (typeof sound === 'string') {
+        this.register(fullName, sound);
+      } else {
+        const src = sound.synth !== undefined ? this.synthesize(sound.synth) : sound.src;
+        this.register(fullName, src, sound);
+      }
+    }
+  }
+
+  /**
+   * 合成一个音效，写成 WAV 文件，返回文件路径
+   * 同样的参数只合成一次；平台不能写文件、或者写失败时返回 null（这个声音就不响）
+   *
+   * @param {string|Object} spec - 预设名字或合成参数（见 sfxPresets.js 的 resolveSfx）
+   * @returns {string|null} 文件路径
+   */
+  synthesize(spec) {
+    const params = resolveSfx(spec);
+    const key = JSON.stringify(params);
+    if (this.synthesized.has(key)) {
+      return this.synthesized.get(key);
+    }
+
+    let src = null;
+    if (this.platform && this.platform.writeUserFile) {
+      try {
+        const bytes = encodeWav(renderSfx(params), SFX_SAMPLE_RATE);
+        // 文件名由参数决定，下次启动合成同样的声音时覆盖同一个文件
+        src = this.platform.writeUserFile(`sfx-${Random.hashString(key).toString(16)}.wav`, bytes);
+      } catch (e) {
+        console.error('合成音效失败', e);
+      }
+    }
+    this.synthesized.set(key, src);
+    return src;
+  }
+
+  /**
+   * 有没有注册过这个音效
+   *
+   * @param {string} name - 名字
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.sounds.has(name);
+  }
+
+  /**
+   * 播放音效
+   *
+   * @param {string} name - 名字
+   * @returns {Object|null} 用来播放的声部，没有播放时（没注册、切到后台、音量是 0）返回 null
+   */
+  play(name) {
+    const sound = this.sounds.get(name);
+    if (!sound || !sound.src || this.suspended || this.failedSources.has(sound.src)) {
+      return null;
+    }
+    if (this.volumes.master * this.volumes.sfx * sound.volume === 0) {
+      return null;
+    }
+
+    const voice = this.pickVoice(name, sound);
+    voice.context.stop();
+    if (voice.context.src !== sound.src) {
+      voice.context.src = sound.src;
+    }
+    voice.name = name;
+    voice.volume = sound.volume;
+    voice.playing = true;
+    voice.order = ++this.playOrder;
+    voice.context.volume = this.sfxVolume(voice);
+    voice.context.play();
+    return voice;
+  }
+
+  /**
+   * 停掉所有音效
+   */
+  stopAllSounds() {
+    for (const voice of this.voices) {
+      if (voice.playing) {
+        voice.context.stop();
+        voice.playing = false;
+      }
+    }
+  }
+
+  /**
+   * 正在响的音效个数
+   *
+   * @param {string} name - 只数这个声音（不传就数全部）
+   * @returns {number}
+   */
+  playingCount(name) {
+    return this.voices.filter((voice) => voice.playing && (name === undefined || voice.name === name)).length;
+  }
+
+  /**
+   * 选一个声部来播放：
+   * 1. 这个声音已经响到上限了：停掉它最早的那一次
+   * 2. 有空闲的声部：用空闲的
+   * 3. 池子还没满：新建一个
+   * 4. 池子满了：停掉最早的那个音效
+   */
+  pickVoice(name, sound) {
+    const same = this.voices.filter((voice) => voice.playing && voice.name === name);
+    if (same.length >= sound.maxInstances) {
+      return oldest(same);
+    }
+
+    const idle = this.voices.find((voice) => !voice.playing);
+    if (idle) {
+      return idle;
+    }
+
+    if (this.voices.length < this.maxVoices) {
+      const voice = { context: this.createContext(), name: null, volume: 1, playing: false, order: 0 };
+      voice.context.onEnded(() => {
+        voice.playing = false;
+      });
+      voice.context.onError((err) => {
+        voice.playing = false;
+        this.reportError(voice.context.src, err);
+      });
+      this.voices.push(voice);
+      return voice;
+    }
+
+    return oldest(this.voices);
+  }
+
+  // ===== 音乐 =====
+
+  /**
+   * 播放背景音乐（循环），和正在放的音乐交叉淡入淡出
+   * 已经在放同一首时什么都不做
+   *
+   * @param {string|null} src - 音频文件路径，null 表示停掉音乐
+   * @param {Object} options - 选项
+   * @param {number} options.fade - 淡入淡出的时长（秒，默认 musicFade，0 表示直接切换）
+   */
+  playMusic(src, options = {}) {
+    if (this.music && this.music.src === src) {
+      return;
+    }
+
+    const fade = options.fade !== undefined ? options.fade : this.musicFade;
+    const speed = fade > 0 ? 1 / fade : 0;
+
+    // 旧的音乐淡出（不用淡入淡出时直接变成 0）
+    if (this.music) {
+      this.music.target = 0;
+      this.music.speed = speed;
+      if (fade <= 0) {
+        this.music.level = 0;
+      }
+      this.fadingOut.push(this.music);
+      this.music = null;
+    }
+
+    if (src) {
+      const context = this.createContext();
+      context.src = src;
+      context.loop = true;
+      context.onError((err) => this.reportError(src, err));
+      this.music = { context, src, level: fade > 0 ? 0 : 1, target: 1, speed };
+      this.applyMusicVolume(this.music);
+      if (!this.suspended) {
+        context.play();
+      }
+    }
+
+    // 不用淡入淡出时马上销毁旧的音乐
+    if (fade <= 0) {
+      this.update(0);
+    }
+  }
+
+  /**
+   * 停掉背景音乐（淡出）
+   *
+   * @param {Object} options - 选项（同 playMusic）
+   */
+  stopMusic(options = {}) {
+    this.playMusic(null, options);
+  }
+
+  /**
+   * 正在放的音乐（没有时是 null）
+   *
+   * @returns {string|null}
+   */
+  get currentMusic() {
+    return this.music ? this.music.src : null;
+  }
+
+  /**
+   * 推进淡入淡出（GameManager 每帧调用，用真实时间，游戏暂停时音乐照样淡入淡出）
+   *
+   * @param {number} dt - 时间（秒）
+   */
+  update(dt) {
+    const tracks = this.music ? [this.music, ...this.fadingOut] : this.fadingOut;
+    for (const track of tracks) {
+      if (track.level < track.target) {
+        track.level = Math.min(track.target, track.level + track.speed * dt);
+      } else if (track.level > track.target) {
+        track.level = Math.max(track.target, track.level - track.speed * dt);
+      }
+      this.applyMusicVolume(track);
+    }
+
+    // 淡出完的旧音乐销毁掉
+    this.fadingOut = this.fadingOut.filter((track) => {
+      if (track.level > 0) {
+        return true;
+      }
+      track.context.destroy();
+      return false;
+    });
+  }
+
+  // ===== 音量 =====
+
+  /**
+   * 读取音量
+   *
+   * @param {string} channel - 'master'（总音量）/ 'music' / 'sfx'
+   * @returns {number} 0 ~ 1
+   */
+  getVolume(channel) {
+    return this.volumes[channel];
+  }
+
+  /**
+   * 修改音量，马上对正在响的声音生效，并保存到设置里
+   *
+   * @param {string} channel - 'master' / 'music' / 'sfx'
+   * @param {number} value - 0 ~ 1
+   */
+  setVolume(channel, value) {
+    if (!(channel in this.volumes)) {
+      console.warn(`⚠️ 没有这种音量: ${channel}（只有 master / music / sfx）`);
+      return;
+    }
+
+    this.volumes[channel] = clamp01(value);
+    if (this.settings) {
+      this.settings.set('audio', { ...this.volumes });
+    }
+
+    for (const voice of this.voices) {
+      if (voice.playing) {
+        voice.context.volume = this.sfxVolume(voice);
+      }
+    }
+    const tracks = this.music ? [this.music, ...this.fadingOut] : this.fadingOut;
+    for (const track of tracks) {
+      this.applyMusicVolume(track);
+    }
+  }
+
+  // ===== 切前后台 =====
+
+  /**
+   * 切到后台：音乐暂停，音效停掉（淡入淡出直接做完）
+   */
+  suspend() {
+    if (this.suspended) {
+      return;
+    }
+    this.suspended = true;
+
+    if (this.music) {
+      this.music.level = this.music.target;
+      this.applyMusicVolume(this.music);
+      this.music.context.pause();
+    }
+    for (const track of this.fadingOut) {
+      track.context.destroy();
+    }
+    this.fadingOut = [];
+    this.stopAllSounds();
+  }
+
+  /**
+   * 切回前台：音乐接着放
+   */
+  resume() {
+    if (!this.suspended) {
+      return;
+    }
+    this.suspended = false;
+
+    if (this.music) {
+      this.music.context.play();
+    }
+  }
+
+  // ===== 内部方法 =====
+
+  /**
+   * 创建一个音频对象（平台不支持音频时用静音的代替）
+   */
+  createContext() {
+    if (this.platform && this.platform.createInnerAudioContext) {
+      return this.platform.createInnerAudioContext();
+    }
+    return new SilentAudioContext();
+  }
+
+  /**
+   * 音效实际的音量 = 总音量 × 音效音量 × 这个声音自己的音量
+   */
+  sfxVolume(voice) {
+    return this.volumes.master * this.volumes.sfx * voice.volume;
+  }
+
+  /**
+   * 音乐实际的音量 = 总音量 × 音乐音量 × 淡入淡出的进度
+   */
+  applyMusicVolume(track) {
+    track.context.volume = this.volumes.master * this.volumes.music * track.level;
+  }
+
+  /**
+   * 音频文件加载或播放失败：提示一次，之后不再播放这个文件
+   */
+  reportError(src, err) {
+    if (this.failedSources.has(src)) {
+      return;
+    }
+    this.failedSources.add(src);
+    console.warn(`⚠️ 播放声音失败: ${src}`, err && err.errMsg);
+  }
+}
+
+/**
+ * 把数字限制在 0 ~ 1 之间（不是数字时当成 0）
+ */
+function clamp01(value) {
+  return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+}
+
+/**
+ * 最早开始播放的声部
+ */
+function oldest(voices) {
+  return voices.reduce((a, b) => (b.order < a.order ? b : a));
+}
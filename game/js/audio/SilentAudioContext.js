@@ -0,0 +1,95 @@
+/**
+ * 静音的音频 - SilentAudioContext
+ *
+ * 和 wx.createInnerAudioContext() 返回的对象用法一样，但不会发出任何声音，只记下自己的状态。
+ * 两种情况会用到它：
+ * - NodePlatform（测试）：检查"有没有播、播的是哪个文件、音量多大"
+ * - 平台没有音频能力时，AudioManager 用它代替，游戏代码不用判断
+ *
+ * 测试里可以用 finish() 假装播完了、fail() 假装加载失败：
+ *   const sound = platform.audioContexts[0];
+ *   sound.src;        // 'audio/jump.mp3'
+ *   sound.paused;     // false，正在播
+ *   sound.finish();   // 触发 onEnded
+ */
+
+export default class SilentAudioContext {
+  constructor() {
+    // 和 InnerAudioContext 一样的属性
+    this.src = '';
+    this.volume = 1;
+    this.loop = false;
+    this.autoplay = false;
+    this.paused = true;
+    this.currentTime = 0;
+
+    // 调用过几次 play()（测试用）
+    this.playCount = 0;
+
+    // 是否已经 destroy()
+    this.destroyed = false;
+
+    this.endedHandlers = [];
+    this.errorHandlers = [];
+  }
+
+  play() {
+    this.paused = false;
+    this.playCount++;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  stop() {
+    this.paused = true;
+    this.currentTime = 0;
+  }
+
+  seek(position) {
+    this.currentTime = position;
+  }
+
+  destroy() {
+    this.stop();
+    this.destroyed = true;
+    this.endedHandlers = [];
+    this.errorHandlers = [];
+  }
+
+  onEnded(handler) {
+    this.endedHandlers.push(handler);
+  }
+
+  onError(handler) {
+    this.errorHandlers.push(handler);
+  }
+
+  // ===== 测试辅助方法 =====
+
+  /**
+   * 假装播完了（循环播放的音乐不会结束）
+   */
+  finish() {
+    if (this.paused || this.loop) {
+      return;
+    }
+    this.stop();
+    for (const handler of this.endedHandlers) {
+      handler();
+    }
+  }
+
+  /**
+   * 假装出错了（比如文件不存在）
+   *
+   * @param {string} errMsg - 错误信息
+   */
+  fail(errMsg = 'file not found') {
+    this.paused = true;
+    for (const handler of this.errorHandlers) {
+      handler({ errMsg });
+    }
+  }
+}
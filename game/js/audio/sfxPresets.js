@@ -0,0 +1,99 @@
+/**
+ * 音效预设 - sfxPresets
+ *
+ * 常用音效的合成参数（参数的意思见 sfxSynth.js）。游戏里可以直接用名字，也可以在预设上改几个参数：
+ *   static sounds = {
+ *     jump: { synth: 'jump' },
+ *     eat: { synth: { preset: 'coin', frequency: 660 }, maxInstances: 2 }
+ *   };
+ */
+
+export const SFX_PRESETS = {
+  // 跳跃：方波从低往高滑
+  jump: {
+    wave: 'square',
+    frequency: 320,
+    slide: 3,
+    duty: 0.4,
+    sustain: 0.06,
+    decay: 0.16,
+    volume: 0.35
+  },
+
+  // 金币 / 得分："叮~叮"，第二下高四度
+  coin: {
+    wave: 'square',
+    frequency: 988,
+    arpeggio: 4 / 3,
+    arpeggioTime: 0.06,
+    sustain: 0.06,
+    punch: 0.5,
+    decay: 0.25,
+    volume: 0.3
+  },
+
+  // 撞到：锯齿波快速往下掉
+  hit: {
+    wave: 'sawtooth',
+    frequency: 440,
+    slide: -6,
+    sustain: 0.03,
+    decay: 0.15,
+    lowpass: 3000,
+    volume: 0.4
+  },
+
+  // 爆炸：低沉的噪音，慢慢变闷
+  explosion: {
+    wave: 'noise',
+    frequency: 120,
+    slide: -1.5,
+    sustain: 0.15,
+    punch: 0.6,
+    decay: 0.6,
+    lowpass: 1800,
+    volume: 0.45,
+    seed: 7
+  },
+
+  // 升级 / 奖励：带颤音往上爬，重复三遍
+  powerup: {
+    wave: 'square',
+    frequency: 300,
+    slide: 2.5,
+    repeat: 0.12,
+    duty: 0.3,
+    vibratoDepth: 0.05,
+    vibratoSpeed: 12,
+    sustain: 0.25,
+    decay: 0.11,
+    volume: 0.3
+  },
+
+  // 按钮 / 小提示：短促的一声
+  blip: {
+    wave: 'square',
+    frequency: 880,
+    sustain: 0.04,
+    decay: 0.06,
+    highpass: 100,
+    volume: 0.25
+  }
+};
+
+/**
+ * 把 static sounds 里的 synth 写法变成完整的合成参数
+ *
+ * @param {string|Object} spec - 预设名字（'jump'），或者参数对象（可以用 preset 指定在哪个预设上改）
+ * @returns {Object} 合成参数
+ */
+export function resolveSfx(spec) {
+  if (typeof spec === 'string') {
+    spec = { preset: spec };
+  }
+  const { preset, ...overrides } = spec;
+  if (preset !== undefined && !SFX_PRESETS[preset]) {
+    throw new Error(`没有这个音效预设: ${preset}（可以用 ${Object.keys(SFX_PRESETS).join(' / ')}）`);
+  }
+  return { ...(preset !== undefined ? SFX_PRESETS[preset] : {}), ...overrides };
+}
@@ -0,0 +1,182 @@
+/**
+ * 音效合成器 - sfxSynth
+ *
+ * 跳跃、金币、爆炸这类"哔哔"声不用录音，用几个参数就能算出来（和 sfxr 这个工具的思路一样）：
+ * 选一种波形，定好音高怎么变、音量怎么变，一个采样一个采样地算出声音。
+ *
+ *   const samples = renderSfx({ wave: 'square', frequency: 320, slide: 3, sustain: 0.06, decay: 0.16 });
+ *   const bytes = encodeWav(samples, SFX_SAMPLE_RATE);   // 见 wav.js
+ *
+ * 常用的声音有现成的参数，见 sfxPresets.js；游戏里一般在 static sounds 里写 { synth: 'jump' }（见 BaseGame）。
+ *
+ * 参数（时间都是秒，频率都是 Hz，都可以不写，默认值见 SFX_DEFAULTS）：
+ * - wave：波形 'square'（方波，8 位游戏机的声音）/ 'sawtooth'（锯齿波）/ 'sine'（正弦波）/ 'triangle' / 'noise'（噪音）
+ * - duty / dutySweep：方波"高"的部分占多少（0.5 最饱满，越小越尖细），每秒变化多少
+ * - attack / sustain / punch / decay：音量包络。从 0 升到最大用 attack 秒，保持 sustain 秒
+ *   （punch 让保持段一开始更响，0.5 就是响 50%），再用 decay 秒降到 0
+ * - frequency / slide / slideAccel / minFrequency：起始音高；每秒升高几个八度（负数是降低）；
+ *   slide 每秒变化多少；音高低于 minFrequency 时声音提前结束
+ * - vibratoDepth / vibratoSpeed：颤音的幅度（0.1 就是音高上下变 10%）和每秒颤几次
+ * - arpeggio / arpeggioTime：过了 arpeggioTime 秒后音高乘以 arpeggio（金币声"叮~叮"的第二下）
+ * - repeat：每隔多少秒把音高重新开始一遍（升级声的"嘟嘟嘟"）
+ * - lowpass / highpass：低通（只留下低于这个频率的声音，听起来闷）和高通（去掉低沉的部分）的截止频率，0 表示不用
+ * - volume：总音量（0 ~ 1）
+ * - seed：噪音的随机种子（同样的参数和种子，算出来的声音每次都一模一样）
+ */
+
+import Random from '../random/Random.js';
+
+// 合成的采样率（每秒多少个采样），音效用 22050 就够了，文件也小
+export const SFX_SAMPLE_RATE = 22050;
+
+// 参数的默认值
+export const SFX_DEFAULTS = {
+  wave: 'square',
+  volume: 0.5,
+  attack: 0,
+  sustain: 0.1,
+  punch: 0,
+  decay: 0.2,
+  frequency: 440,
+  minFrequency: 20,
+  slide: 0,
+  slideAccel: 0,
+  vibratoDepth: 0,
+  vibratoSpeed: 0,
+  arpeggio: 1,
+  arpeggioTime: 0,
+  duty: 0.5,
+  dutySweep: 0,
+  repeat: 0,
+  lowpass: 0,
+  highpass: 0,
+  seed: 1
+};
+
+const WAVES = ['square', 'sawtooth', 'sine', 'triangle', 'noise'];
+
+// 噪音每个周期取多少个随机值
+const NOISE_STEPS = 32;
+
+/**
+ * 按参数合成一段声音
+ *
+ * @param {Object} params - 参数（见文件开头的说明）
+ * @param {Object} options - 选项
+ * @param {number} options.sampleRate - 采样率（默认 SFX_SAMPLE_RATE）
+ * @returns {Float32Array} 采样（-1 ~ 1）
+ */
+export function renderSfx(params, options = {}) {
+  const p = { ...SFX_DEFAULTS, ...params };
+  if (!WAVES.includes(p.wave)) {
+    throw new Error(`不认识的波形: ${p.wave}（可以用 ${WAVES.join(' / ')}）`);
+  }
+
+  const sampleRate = options.sampleRate || SFX_SAMPLE_RATE;
+  const dt = 1 / sampleRate;
+  const length = Math.ceil((p.attack + p.sustain + p.decay) * sampleRate);
+  const samples = new Float32Array(length);
+
+  const rng = new Random(p.seed);
+  const noise = new Float32Array(NOISE_STEPS);
+  const refillNoise = () => {
+    for (let i = 0; i < NOISE_STEPS; i++) {
+      noise[i] = rng.next() * 2 - 1;
+    }
+  };
+  refillNoise();
+
+  // 一阶滤波器的系数（截止频率越低，系数越小，声音变得越慢越闷）
+  const lowpassAlpha = p.lowpass > 0 ? 1 - Math.exp(-2 * Math.PI * p.lowpass * dt) : 1;
+  const highpassAlpha = p.highpass > 0 ? 1 - Math.exp(-2 * Math.PI * p.highpass * dt) : 0;
+  let lowpassed = 0;
+  let rumble = 0;
+
+  // 会随时间变化的量（repeat 时回到起点）
+  let frequency = 0;
+  let slide = 0;
+  let duty = 0;
+  let repeatStart = 0;
+  let arpeggioDone = false;
+  const restart = (time) => {
+    frequency = p.frequency;
+    slide = p.slide;
+    duty = p.duty;
+    repeatStart = time;
+    arpeggioDone = false;
+  };
+  restart(0);
+
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const time = i * dt;
+
+    if (p.repeat > 0 && time - repeatStart >= p.repeat) {
+      restart(time);
+    }
+    if (!arpeggioDone && p.arpeggioTime > 0 && time - repeatStart >= p.arpeggioTime) {
+      frequency *= p.arpeggio;
+      arpeggioDone = true;
+    }
+
+    // 音高滑动（按八度算，听起来才是均匀地变高变低）
+    slide += p.slideAccel * dt;
+    frequency = Math.min(frequency * Math.pow(2, slide * dt), sampleRate / 2);
+    if (frequency < p.minFrequency) {
+      return samples.slice(0, i);
+    }
+
+    const vibrato = p.vibratoDepth > 0 ? 1 + p.vibratoDepth * Math.sin(2 * Math.PI * p.vibratoSpeed * time) : 1;
+    phase += frequency * vibrato * dt;
+    if (phase >= 1) {
+      phase -= Math.floor(phase);
+      if (p.wave === 'noise') {
+        refillNoise();
+      }
+    }
+    duty = Math.max(0.05, Math.min(0.95, duty + p.dutySweep * dt));
+
+    let value;
+    switch (p.wave) {
+      case 'square':
+        value = phase < duty ? 1 : -1;
+        break;
+      case 'sawtooth':
+        value = 1 - 2 * phase;
+        break;
+      case 'sine':
+        value = Math.sin(2 * Math.PI * phase);
+        break;
+      case 'triangle':
+        value = 4 * Math.abs(phase - 0.5) - 1;
+        break;
+      default:
+        value = noise[Math.floor(phase * NOISE_STEPS)];
+    }
+
+    // 低通：慢慢跟上原来的波形；高通：减去变化很慢的那部分
+    lowpassed += lowpassAlpha * (value - lowpassed);
+    value = lowpassed;
+    if (highpassAlpha > 0) {
+      rumble += highpassAlpha * (value - rumble);
+      value -= rumble;
+    }
+
+    samples[i] = Math.max(-1, Math.min(1, value * envelope(p, time) * p.volume));
+  }
+  return samples;
+}
+
+/**
+ * 某个时刻的音量（0 ~ 1 + punch）
+ */
+function envelope(p, time) {
+  if (time < p.attack) {
+    return time / p.attack;
+  }
+  const held = time - p.attack;
+  if (held < p.sustain) {
+    return 1 + p.punch * (1 - held / p.sustain);
+  }
+  return p.decay > 0 ? Math.max(0, 1 - (held - p.sustain) / p.decay) : 0;
+}
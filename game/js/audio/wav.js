@@ -0,0 +1,52 @@
+/**
+ * WAV 文件 - wav
+ *
+ * 把声音的采样（-1 ~ 1 的小数）写成 WAV 文件的字节：
+ *   const bytes = encodeWav(samples, 22050);   // Uint8Array，写成文件就能播放
+ *
+ * WAV 是最简单的音频格式：44 字节的文件头，后面直接跟着每个采样的数值。
+ * 这里固定输出单声道、16 位整数采样（-32767 ~ 32767）。
+ */
+
+/**
+ * 把采样写成 WAV 文件
+ *
+ * @param {Float32Array|Array<number>} samples - 采样（-1 ~ 1，超出的部分会被截掉）
+ * @param {number} sampleRate - 采样率（每秒多少个采样）
+ * @returns {Uint8Array} WAV 文件的全部字节
+ */
+export function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+
+  // 文件头（数字都是小端序）
+  writeText(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);   // 后面还有多少字节
+  writeText(view, 8, 'WAVE');
+  writeText(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt 块的长度
+  view.setUint16(20, 1, true);              // 1 = PCM（不压缩）
+  view.setUint16(22, 1, true);              // 单声道
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // 每秒字节数
+  view.setUint16(32, 2, true);              // 每个采样的字节数
+  view.setUint16(34, 16, true);             // 每个采样的位数
+  writeText(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, Math.round(sample * 32767), true);
+  }
+  return bytes;
+}
+
+/**
+ * 写入 ASCII 文字（'RIFF' 这样的标记）
+ */
+function writeText(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
@@ -8,9 +8,113 @@
  * 所有游戏都有：初始化、更新、渲染、暂停、恢复、销毁这些基本功能。
  */
 
-import { drawRoundRect } from '../utils/utils.js';
+import ResumeOverlay from '../scenes/ResumeOverlay.js';
+import ResultsOverlay from '../scenes/ResultsOverlay.js';
+import { GameEvents } from '../events/EventBus.js';
+import Scheduler from '../timing/Scheduler.js';
+import TweenManager from '../animation/TweenManager.js';
+import SpriteAnimator from '../animation/SpriteAnimator.js';
+import ParticleSystem from '../particles/ParticleSystem.js';
+import Random from '../random/Random.js';
+import StateMachine from '../state/StateMachine.js';
+import UIRoot from '../ui/UIRoot.js';
+import Button from '../ui/Button.js';
 
 export default class BaseGame {
+  /**
+   * 是否使用固定步长更新（默认关闭）
+   * 
+   * 子类设置 static fixedTimestep = true 后，GameManager 会用固定的
+   * deltaTime（1 / tickRate 秒）调用 update()，不受手机帧率影响，
+   * 并把渲染插值比例 alpha 传给 render(ctx, alpha)。
+   */
+  static fixedTimestep = false;
+  
+  /**
+   * 固定步长模式下每秒的逻辑更新次数
+   */
+  static tickRate = 60;
+  
+  /**
+   * 按键绑定（电脑版微信可以用键盘玩）
+   * 
+   * 默认绑定见 input/InputActions.js：方向键和 WASD 是上下左右，
+   * 空格和回车是 action，Esc 是 back。
+   * 子类可以覆盖某些动作的按键，比如：
+   *   static inputBindings = { action: ['Space', 'ArrowUp'], up: [] };
+   */
+  static inputBindings = null;
+  
+  /**
+   * 音效（见 audio/AudioManager.js），用 this.playSound('jump') 播放
+   * 
+   *   static sounds = {
+   *     jump: 'audio/flappybird/jump.mp3',
+   *     score: { src: 'audio/flappybird/score.mp3', maxInstances: 1, volume: 0.8 }
+   *   };
+   * 
+   * 没有写在这里的声音，playSound() 什么都不做，所以游戏可以先在合适的地方调用 playSound()，有了声音文件再补上
+   */
+  static sounds = {};
+  
+  /**
+   * 背景音乐（音频文件路径），进入游戏时和大厅的音乐交叉淡入淡出；null 表示没有音乐
+   */
+  static music = null;
+  
+  /**
+   * 振动图案（见 haptics/Haptics.js），用 this.vibrate('bite') 振动
+   * 
+   *   static haptics = {
+   *     bite: ['heavy', 0.07, 'medium'],
+   *     warn: { steps: ['light'], cooldown: 1 }
+   *   };
+   * 
+   * 通用的图案（tap / success / error / crash / long）不用写，直接 this.vibrate('crash') 就行
+   */
+  static haptics = {};
+  
+  /**
+   * 图片资源清单（见 assets/AssetManager.js），进入游戏前会先显示加载界面，全部加载完再开始
+   * 
+   *   static assets = {
+   *     bird: 'images/flappybird/bird.png',
+   *     tiles: { atlas: 'images/linkgame/tiles.json' },
+   *     score: { font: 'fonts/score.fnt' }
+   *   };
+   * 
+   * 游戏里用 this.assets.frame('bird') / this.assets.font('score') 取，加载失败时取到 null，这时用代码画
+   */
+  static assets = {};
+  
+  /**
+   * 存档版本（见 storage/SaveStore.js）
+   * 
+   * 子类的存档格式变了时，把版本号加一，并在 saveMigrations 里补上迁移函数，
+   * 记得保留基类的迁移：
+   *   static saveVersion = 2;
+   *   static saveMigrations = {
+   *     ...BaseGame.saveMigrations,
+   *     2: (save) => save.set('settings', { sound: save.get('sound', true) })
+   *   };
+   */
+  static saveVersion = 1;
+  
+  /**
+   * 存档迁移函数 { 版本号: (save) => {} }
+   */
+  static saveMigrations = {
+    // 第 1 版：最高分以前直接存在 "<游戏编号>_bestscore" 里（Flappy Bird 一直是这样存的），搬进存档
+    1: (save) => {
+      const legacyKey = `${save.namespace}_bestscore`;
+      const legacy = Number(save.readRaw(legacyKey)) || 0;
+      if (legacy > save.get('bestScore', 0)) {
+        save.set('bestScore', legacy);
+      }
+      save.storage.removeItem(legacyKey);
+    }
+  };
+  
   /**
    * 构造函数 - 创建游戏时自动调用
    * @param {GameManager} gameManager - 游戏管理器，用于访问画布和返回大厅
@@ -19,6 +123,9 @@ export default class BaseGame {
     // 保存游戏管理器的引用，以便后续使用
     this.gameManager = gameManager;
     
+    // 平台适配器（时间、存储等系统能力都通过它获取，不要直接用 wx）
+    this.platform = gameManager.platform;
+    
     // 获取画布和绑定上下文
     this.canvas = gameManager.canvas;
     this.ctx = gameManager.ctx;
@@ -27,18 +134,86 @@ export default class BaseGame {
     this.screenWidth = gameManager.screenWidth;
     this.screenHeight = gameManager.screenHeight;
     
+    // 布局工具：按锚点、百分比摆放界面，自动避开刘海（见 layout/Layout.js）
+    this.layout = gameManager.layout;
+    
     // 游戏状态标记
     this.isRunning = false;   // 游戏是否正在运行
     this.isPaused = false;    // 游戏是否暂停
     this.isGameOver = false;  // 游戏是否结束
+    this.pausedByHide = false; // 是否因为切到后台而暂停
     
-    // 返回按钮的位置和大小（左上角）
-    this.backButton = {
-      x: 20,
-      y: 40,
-      width: 80,
-      height: 40
-    };
+    // 游戏流程的状态机（开始界面、进行中、结束……），子类在构造函数里用 defineStates() 创建
+    // 没有状态机的游戏这里是 null
+    this.fsm = null;
+    
+    // 手势订阅（手势名称 -> 处理函数列表），见 onGesture()
+    this.gestureHandlers = {};
+    
+    // 事件总线和这个游戏在总线上的订阅（销毁时自动取消），见 subscribe()
+    this.events = gameManager.events;
+    this.subscriptions = [];
+    
+    // 游戏编号（注册时的 id），事件里用它区分是哪个游戏
+    this.gameId = gameManager.getGameId(this.constructor);
+    
+    // 当前得分，用 addScore() 修改，会广播 score:changed 事件
+    this.score = 0;
+    
+    // 存档：这个游戏自己的本地数据，key 自动加上游戏编号前缀（见 storage/SaveStore.js）
+    this.save = gameManager.openSave(this.constructor);
+    
+    // 声音：注册这个游戏的音效，名字加上游戏编号前缀，不会和别的游戏重名
+    this.audio = gameManager.audio;
+    this.audio.registerAll(this.constructor.sounds, this.gameId);
+    
+    // 振动：和声音一样，这个游戏自己的振动图案也加上游戏编号前缀
+    this.haptics = gameManager.haptics;
+    this.haptics.registerAll(this.constructor.haptics, this.gameId);
+    
+    // 图片资源：switchToGame 已经加载好了，这里只是从缓存里引用一次，游戏销毁时释放
+    this.assets = gameManager.assets.load(this.constructor.assets);
+    
+    // 历史最高分（存在存档的 bestScore 里，游戏结束时自动更新）
+    this.bestScore = this.loadBestScore();
+    
+    // 这一局开始时的游戏时间（见 gameStart()），用来算结算界面上的"用时"
+    this.playStartTime = null;
+    
+    // 定时器：代替 setTimeout，游戏暂停时停住、销毁时自动取消（见 timing/Scheduler.js）
+    this.scheduler = new Scheduler();
+    
+    // 补间动画：让任意数字属性平滑变化，暂停时停住、销毁时自动清掉（见 animation/TweenManager.js）
+    this.tweens = new TweenManager();
+    
+    // 帧动画：图集里的几帧轮流画（小鸟扇翅膀等），暂停时停住、重新开始时清掉（见 animation/AnimatedSprite.js）
+    // 用 this.sprites.create() 创建的精灵默认在 this.assets 里找帧
+    this.sprites = new SpriteAnimator({ source: this.assets });
+    
+    // 随机数生成器：游戏里的随机都用它，不要用 Math.random()（见 random/Random.js）
+    // 每次 init() 都会换一个新种子；setSeed() 固定种子后，每一局的随机序列都完全一样
+    this.fixedSeed = null;
+    this.rng = new Random();
+    
+    // 粒子特效：羽毛、闪光、纸屑等，在 render() 里调用 this.particles.render(ctx) 绘制（见 particles/ParticleSystem.js）
+    // 粒子用分叉出来的随机数，特效多一个少一个都不影响游戏本身的随机序列
+    this.particles = new ParticleSystem({ rng: this.rng.fork('particles') });
+    
+    // 界面控件：按钮、面板、对话框等加到这里，GameManager 会画在游戏画面上面并优先分发触摸（见 ui/UIRoot.js）
+    this.ui = new UIRoot(this.screenWidth, this.screenHeight);
+    
+    // 返回按钮（安全区域左上角往里 20 像素）
+    this.backButton = this.ui.add(new Button({
+      ...this.layout.place({
+        anchor: 'top-left',
+        x: 20,
+        y: 20,
+        width: 80,
+        height: 40
+      }),
+      text: '← 返回',
+      onTap: () => this.backToLobby()
+    }));
   }
   
   /**
@@ -50,9 +225,73 @@ export default class BaseGame {
     this.isRunning = true;
     this.isPaused = false;
     this.isGameOver = false;
+    
+    this.reseed();
+    
+    // 重新开始时，上一局的定时任务、动画和粒子全部作废
+    this.scheduler.clear();
+    this.scheduler.resume();
+    this.tweens.clear();
+    this.tweens.resume();
+    this.sprites.clear();
+    this.sprites.resume();
+    this.particles.clear();
+    this.particles.resume();
+    
+    // 状态机回到初始状态（一般是"点击开始"）
+    if (this.fsm) {
+      this.fsm.reset();
+    }
     console.log('🎮 游戏初始化完成');
   }
   
+  /**
+   * 定义游戏流程的状态机（在构造函数里调用一次），之后用 this.fsm 切换状态
+   * 
+   * 有了状态机，BaseGame 会把 update / render / 触摸 / 按键动作交给当前状态的钩子处理，
+   * init() 时回到初始状态；名字叫 'playing' 的状态表示"一局正在进行"（切后台时暂停、保存未完成的对局）。
+   * 状态的写法见 state/StateMachine.js，例如：
+   *   this.defineStates({
+   *     initial: 'ready',
+   *     states: {
+   *       ready: { to: ['playing'], onTouchStart: () => this.fsm.go('playing') },
+   *       playing: { to: ['over'], enter: () => this.gameStart(), update: (dt) => this.step(dt) },
+   *       over: { to: [], enter: () => this.gameOver() }
+   *     }
+   *   });
+   * 
+   * @param {Object} config - 状态机配置（states、initial、debug）
+   * @returns {StateMachine}
+   */
+  defineStates(config) {
+    this.fsm = new StateMachine({
+      name: this.gameId,
+      context: this,
+      ...config
+    });
+    return this.fsm;
+  }
+  
+  /**
+   * 固定随机种子（每日挑战、回放、测试用），下一次 init() 开始生效
+   * 之后每一局的随机序列都完全一样，传 null 恢复成每局随机
+   * 
+   * 也可以在切换游戏时指定：gameManager.switchToGame(SnakeGame, { seed: '2024-05-01' })
+   * 
+   * @param {number|string|null} seed - 种子
+   */
+  setSeed(seed) {
+    this.fixedSeed = seed;
+  }
+  
+  /**
+   * 新的一局重新播种（init() 会调用；子类不经过 init() 重新开始时也要调用）
+   */
+  reseed() {
+    this.rng = new Random(this.fixedSeed !== null ? this.fixedSeed : Random.randomSeed());
+    this.particles.rng = this.rng.fork('particles');
+  }
+  
   /**
    * 更新游戏逻辑
    * 每一帧都会调用这个方法（大约每秒60次）
@@ -62,13 +301,16 @@ export default class BaseGame {
    * 
    * 子类需要重写这个方法来更新游戏状态
    * 比如：移动小鸟、检查碰撞等
+   * 有状态机时，默认交给当前状态的 update 钩子
    */
   update(deltaTime) {
-    // 如果游戏暂停或结束，不更新
-    if (this.isPaused || this.isGameOver) {
+    // 如果游戏暂停，不更新
+    if (this.isPaused) {
       return;
     }
-    // 子类实现具体逻辑
+    if (this.fsm) {
+      this.fsm.update(deltaTime);
+    }
   }
   
   /**
@@ -76,32 +318,17 @@ export default class BaseGame {
    * 每一帧都会调用这个方法来绘制画面
    * 
    * @param {CanvasRenderingContext2D} ctx - 画布上下文，用于绘制图形
+   * @param {number} alpha - 渲染插值比例（0-1），只在固定步长模式下有意义
+   *                         表示当前画面处于"上一个逻辑帧"和"这一个逻辑帧"之间的位置
    * 
    * 子类需要重写这个方法来绘制游戏画面
    * 比如：画背景、画小鸟、画管道等
+   * 有状态机时，默认交给当前状态的 render 钩子
    */
-  render(ctx) {
-    // 子类实现具体渲染
-  }
-  
-  /**
-   * 渲染返回按钮
-   * 所有游戏都有一个返回大厅的按钮
-   */
-  renderBackButton(ctx) {
-    const btn = this.backButton;
-    
-    // 绘制半透明背景
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    drawRoundRect(ctx, btn.x, btn.y, btn.width, btn.height, 8);
-    ctx.fill();
-    
-    // 绘制文字
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '16px PingFang SC';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('← 返回', btn.x + btn.width / 2, btn.y + btn.height / 2);
+  render(ctx, alpha) {
+    if (this.fsm) {
+      this.fsm.render(ctx, alpha);
+    }
   }
   
   /**
@@ -110,6 +337,10 @@ export default class BaseGame {
    */
   pause() {
     this.isPaused = true;
+    this.scheduler.pause();
+    this.tweens.pause();
+    this.sprites.pause();
+    this.particles.pause();
     console.log('⏸️ 游戏暂停');
   }
   
@@ -119,9 +350,150 @@ export default class BaseGame {
    */
   resume() {
     this.isPaused = false;
+    this.scheduler.resume();
+    this.tweens.resume();
+    this.sprites.resume();
+    this.particles.resume();
     console.log('▶️ 游戏继续');
   }
   
+  /**
+   * 切到后台时由 GameManager 调用
+   * 如果游戏正在进行中，就自动暂停
+   */
+  onAppHide() {
+    if (!this.isPaused && this.shouldPauseOnHide()) {
+      this.pause();
+      this.pausedByHide = true;
+    }
+  }
+  
+  /**
+   * 切回前台时由 GameManager 调用
+   * 不会立刻继续，而是显示"点击继续"浮层，等玩家准备好了再继续
+   */
+  onAppShow() {
+    if (this.pausedByHide) {
+      this.pausedByHide = false;
+      this.gameManager.push(new ResumeOverlay(this.gameManager, this), { transparent: true });
+    }
+  }
+  
+  /**
+   * 切到后台时是否需要暂停（也用来判断"一局正在进行"，见 saveSession）
+   * 有状态机时只在 'playing' 状态暂停；没有状态机时只要游戏没结束就暂停。
+   * 子类可以重写
+   * 
+   * @returns {boolean}
+   */
+  shouldPauseOnHide() {
+    if (this.fsm) {
+      return this.fsm.is('playing');
+    }
+    return this.isRunning && !this.isGameOver;
+  }
+  
+  /**
+   * 被浮层盖住时调用（比如弹出了暂停菜单、确认对话框）
+   * 被盖住期间游戏不会 update，也收不到触摸事件
+   * 
+   * 子类可以重写，比如停止计时
+   */
+  onCovered() {
+    // 子类可以重写
+  }
+  
+  /**
+   * 上面的浮层关闭、重新回到栈顶时调用
+   */
+  onUncovered() {
+    // 子类可以重写
+  }
+  
+  /**
+   * 把这一局的状态变成可以存起来的普通数据（只能有数字、字符串、数组、普通对象）
+   * 
+   * 切到后台、离开游戏时，如果这一局还在进行中（shouldPauseOnHide() 为 true），
+   * GameManager 会把它存进存档；下次从大厅进入这个游戏时，玩家可以选择"继续上次的游戏"。
+   * 得分和用时由 BaseGame 保存，子类只需要保存自己的东西，比如 2048 的棋盘。
+   * 
+   * 默认返回 null，表示这个游戏不支持继续上次的游戏
+   * 
+   * @returns {Object|null}
+   */
+  serialize() {
+    return null;
+  }
+  
+  /**
+   * 用 serialize() 存下来的数据恢复这一局
+   * 调用时 init() 已经执行过了，得分和状态机的状态已经恢复（不会调用状态的 enter）；
+   * 恢复后游戏会暂停，等玩家点击继续
+   * 
+   * @param {Object} state - serialize() 的返回值
+   */
+  deserialize(state) {
+    // 子类实现
+  }
+  
+  /**
+   * 保存未完成的这一局（切后台、离开游戏时由 GameManager 调用）
+   * 这一局已经结束或者还没开始时，删掉之前保存的
+   */
+  saveSession() {
+    const state = this.shouldPauseOnHide() ? this.serialize() : null;
+    if (state === null) {
+      this.save.remove('session');
+      return;
+    }
+    
+    this.save.set('session', {
+      score: this.score,
+      elapsed: this.playStartTime !== null ? this.scheduler.time - this.playStartTime : 0,
+      // 随机数生成器的种子和状态，继续后食物、管道等出现的位置和没被打断时一样
+      seed: this.rng.seed,
+      random: this.rng.getState(),
+      // 状态机的状态（比如 2048 停在胜利界面上）
+      fsm: this.fsm ? this.fsm.getSnapshot() : null,
+      state: state
+    });
+  }
+  
+  /**
+   * 恢复保存的那一局，然后暂停并显示"点击继续"浮层
+   * 恢复失败（比如存档数据不完整）时重新开始，并删掉这份存档
+   * 
+   * @param {Object} session - saveSession() 保存的数据
+   * @returns {boolean} 是否恢复成功
+   */
+  restoreSession(session) {
+    try {
+      this.score = session.score;
+      if (this.fsm) {
+        this.fsm.restore(session.fsm);
+      }
+      this.deserialize(session.state);
+    } catch (e) {
+      console.error('恢复上次的游戏失败，重新开始', e);
+      this.save.remove('session');
+      this.init();
+      this.score = 0;
+      return false;
+    }
+    
+    this.playStartTime = this.scheduler.time - session.elapsed;
+    if (session.seed !== undefined) {
+      // 原地恢复（不换成新对象），连连看的算法等拿着 this.rng 引用的地方也能接上
+      this.rng.seed = Random.normalizeSeed(session.seed);
+      this.rng.setState(session.random);
+      this.particles.rng = this.rng.fork('particles');
+    }
+    this.pause();
+    this.gameManager.push(new ResumeOverlay(this.gameManager, this), { transparent: true });
+    console.log('⏯️ 继续上次的游戏');
+    return true;
+  }
+  
   /**
    * 销毁游戏
    * 当玩家退出游戏（返回大厅）时调用
@@ -131,6 +503,20 @@ export default class BaseGame {
    */
   destroy() {
     this.isRunning = false;
+    this.gestureHandlers = {};
+    this.scheduler.clear();
+    this.tweens.clear();
+    this.sprites.clear();
+    this.particles.clear();
+    this.ui.cancelAll();
+    this.assets.release();
+    
+    // 取消这个游戏在事件总线上的所有订阅
+    for (const off of this.subscriptions) {
+      off();
+    }
+    this.subscriptions = [];
+    
     console.log('🗑️ 游戏资源已释放');
   }
   
@@ -138,18 +524,22 @@ export default class BaseGame {
    * 触摸开始事件
    * 当玩家手指按下屏幕时调用
    * 
-   * @param {Object} touch - 触摸信息，包含 x, y 坐标
+   * @param {Object} touch - 触摸信息 { x, y, id, touches }
+   *                         id 是手指编号，touches 是此刻按在屏幕上的所有手指
+   *                         多根手指按下时，每根手指都会调用一次
    * 
    * 子类可以重写这个方法来处理触摸操作
    * 比如：让小鸟跳起来
+   * 
+   * 按在 this.ui 里的控件（比如返回按钮）上的手指不会走到这里，
+   * 由控件自己处理。
+   * 
+   * 有状态机时，默认交给当前状态的 onTouchStart 钩子
+   * 
+   * @returns {boolean} 是否处理了这次触摸
    */
   onTouchStart(touch) {
-    // 检查是否点击了返回按钮
-    if (this.isPointInBackButton(touch.x, touch.y)) {
-      this.backToLobby();
-      return true; // 表示事件已处理
-    }
-    return false;
+    return this.fsm ? this.fsm.handle('onTouchStart', touch) : false;
   }
   
   /**
@@ -159,7 +549,9 @@ export default class BaseGame {
    * @param {Object} touch - 触摸信息，包含 x, y 坐标
    */
   onTouchMove(touch) {
-    // 子类可以重写
+    if (this.fsm) {
+      this.fsm.handle('onTouchMove', touch);
+    }
   }
   
   /**
@@ -169,40 +561,247 @@ export default class BaseGame {
    * @param {Object} touch - 触摸信息，包含 x, y 坐标
    */
   onTouchEnd(touch) {
+    if (this.fsm) {
+      this.fsm.handle('onTouchEnd', touch);
+    }
+  }
+  
+  /**
+   * 动作按下（键盘按键翻译成的动作）
+   * 默认按 Esc（back）返回大厅，其他动作交给状态机当前状态的 onAction 钩子
+   * 
+   * @param {string} action - 动作名称：up / down / left / right / action / back
+   * @param {Object} info - 动作信息 { action, source, key, code }
+   * @returns {boolean} 是否处理了这个动作
+   * 
+   * 子类可以重写这个方法，比如按方向键移动、按空格跳跃
+   */
+  onAction(action, info) {
+    if (action === 'back') {
+      this.backToLobby();
+      return true;
+    }
+    return this.fsm ? this.fsm.handle('onAction', action, info) : false;
+  }
+  
+  /**
+   * 动作抬起
+   * 
+   * @param {string} action - 动作名称
+   * @param {Object} info - 动作信息
+   */
+  onActionEnd(action, info) {
     // 子类可以重写
   }
   
   /**
-   * 检查点击是否在返回按钮范围内
+   * 订阅手势
+   * 
+   * 不用自己计算手指滑了多远、往哪个方向，直接订阅识别好的手势：
+   * tap、doubletap、longpress、swipe、panstart、pan、panend、pinchstart、pinch、pinchend
+   * 
+   * 一般在构造函数里订阅（init() 在重新开始时会再次调用，在里面订阅会重复），
+   * 游戏销毁时会自动取消所有订阅。
+   * 
+   * 例如：
+   *   this.onGesture('swipe', (gesture) => this.move(gesture.direction));
+   * 
+   * @param {string} type - 手势名称
+   * @param {Function} handler - 处理函数，参数是手势信息（见 GestureRecognizer）
+   * @returns {Function} 调用它可以提前取消订阅
    */
-  isPointInBackButton(x, y) {
-    const btn = this.backButton;
-    return x >= btn.x && x <= btn.x + btn.width &&
-           y >= btn.y && y <= btn.y + btn.height;
+  onGesture(type, handler) {
+    if (!this.gestureHandlers[type]) {
+      this.gestureHandlers[type] = [];
+    }
+    this.gestureHandlers[type].push(handler);
+    
+    return () => {
+      const handlers = this.gestureHandlers[type];
+      if (handlers) {
+        this.gestureHandlers[type] = handlers.filter((h) => h !== handler);
+      }
+    };
+  }
+  
+  /**
+   * 收到手势时由 GameManager 调用，转发给订阅了这个手势的处理函数
+   * 
+   * @param {string} type - 手势名称
+   * @param {Object} gesture - 手势信息
+   */
+  handleGesture(type, gesture) {
+    const handlers = this.gestureHandlers[type];
+    if (!handlers) {
+      return;
+    }
+    for (const handler of handlers.slice()) {
+      handler(gesture);
+    }
+  }
+  
+  /**
+   * 订阅事件总线上的事件
+   * 
+   * 和直接用 this.events.on() 一样，区别是游戏销毁时会自动取消订阅，
+   * 不会出现"游戏已经退出了，监听函数还在跑"的情况。
+   * 
+   * 例如：
+   *   this.subscribe(GameEvents.APP_HIDE, () => this.saveProgress());
+   * 
+   * @param {string} type - 事件名（见 events/EventBus.js 的 GameEvents）
+   * @param {Function} handler - 监听函数
+   * @returns {Function} 调用它可以提前取消订阅
+   */
+  subscribe(type, handler) {
+    const off = this.events.on(type, handler);
+    this.subscriptions.push(off);
+    return off;
+  }
+  
+  /**
+   * 玩家开始了一局游戏（比如点击了"开始"）
+   * 子类在真正开始游戏时调用，会广播 game:start 事件
+   */
+  gameStart() {
+    // 用定时器的时间计时：暂停、切后台的时间不算在用时里
+    this.playStartTime = this.scheduler.time;
+    this.events.emit(GameEvents.GAME_START, {
+      gameId: this.gameId,
+      game: this
+    });
+  }
+  
+  /**
+   * 加分
+   * 子类加分时调用这个方法，而不是直接改 this.score，
+   * 这样统计、成就等模块才能通过 score:changed 事件知道分数变了
+   * 
+   * @param {number} points - 加多少分
+   */
+  addScore(points) {
+    this.score += points;
+    this.events.emit(GameEvents.SCORE_CHANGED, {
+      gameId: this.gameId,
+      game: this,
+      score: this.score,
+      delta: points
+    });
+  }
+  
+  /**
+   * 播放这个游戏的音效（static sounds 里的名字）
+   * 
+   * @param {string} name - 音效名字，比如 'jump'
+   * @returns {Object|null} 播放用的声部，没有播放时（没有这个声音、切到后台、静音）返回 null
+   */
+  playSound(name) {
+    return this.audio.play(`${this.gameId}/${name}`);
+  }
+  
+  /**
+   * 让手机振动（static haptics 里的图案，没有的话用同名的通用图案）
+   * 
+   * @param {string} name - 图案名字，比如 'crash'
+   * @returns {boolean} 是否振动了（玩家关掉了振动、被限流时返回 false）
+   */
+  vibrate(name) {
+    const ownName = `${this.gameId}/${name}`;
+    return this.haptics.play(this.haptics.has(ownName) ? ownName : name);
   }
   
   /**
    * 返回游戏大厅
-   * 清理当前游戏并显示主界面
+   * 淡出当前游戏并显示主界面，游戏会在过渡动画结束后由 GameManager 销毁
    */
   backToLobby() {
     console.log('🏠 返回游戏大厅');
-    this.destroy();
-    this.gameManager.showLobby();
+    this.gameManager.showLobby({ transition: 'fade' });
   }
   
   /**
    * 游戏结束处理
-   * 子类可以重写这个方法来显示游戏结束界面
+   * 会更新最高分、广播 game:over 事件（带上最终得分和结算信息），并显示结算界面
+   * 
+   * 子类可以重写这个方法做自己的收尾（比如停止计时），记得调用 super.gameOver(results)
+   * 
+   * @param {Object} results - 这一局的结算信息（都可以不写）
+   * @param {string} results.title - 结算界面的标题（默认"游戏结束"）
+   * @param {Array<Object>} results.stats - 游戏自己的统计，比如 [{ label: '长度', value: 12 }]
    */
-  gameOver() {
+  gameOver(results = {}) {
     this.isGameOver = true;
+    const report = this.createResults(results);
+    this.events.emit(GameEvents.GAME_OVER, {
+      gameId: this.gameId,
+      game: this,
+      score: this.score,
+      results: report
+    });
     console.log('💀 游戏结束');
+    this.showResults(report);
+  }
+  
+  /**
+   * 整理结算信息，顺便更新最高分
+   * 
+   * @param {Object} results - 游戏传入的结算信息（见 gameOver）
+   * @returns {Object} { gameId, gameName, title, score, best, isNewRecord, duration, stats }
+   */
+  createResults(results) {
+    // 和存储里的比，而不是 this.bestScore：有的游戏一边玩一边刷新 this.bestScore
+    const previousBest = this.loadBestScore();
+    const isNewRecord = this.score > previousBest;
+    if (isNewRecord) {
+      this.saveBestScore(this.score);
+      console.log(`🎉 新纪录: ${this.score}`);
+    }
+    this.bestScore = Math.max(previousBest, this.score);
+    
+    const info = this.gameManager.getGameInfo(this.constructor);
+    return {
+      gameId: this.gameId,
+      gameName: info ? info.name : this.gameId,
+      title: results.title || '游戏结束',
+      score: this.score,
+      best: this.bestScore,
+      isNewRecord: isNewRecord,
+      duration: this.playStartTime !== null ? this.scheduler.time - this.playStartTime : 0,
+      stats: results.stats || []
+    };
+  }
+  
+  /**
+   * 显示结算界面（盖在游戏上面的透明浮层）
+   * 
+   * @param {Object} results - createResults() 整理好的结算信息
+   */
+  showResults(results) {
+    this.gameManager.push(new ResultsOverlay(this.gameManager, this, results), { transparent: true });
+  }
+  
+  /**
+   * 读取最高分
+   * 
+   * @returns {number} 没有记录或数据损坏时返回 0
+   */
+  loadBestScore() {
+    return Number(this.save.get('bestScore', 0)) || 0;
+  }
+  
+  /**
+   * 保存最高分（存储满了写不进去时 SaveStore 会打印错误，不影响游戏）
+   * 
+   * @param {number} score - 新的最高分
+   */
+  saveBestScore(score) {
+    this.save.set('bestScore', score);
   }
   
   /**
    * 重新开始游戏
-   * 重置游戏状态，重新初始化
+   * 重置游戏状态，重新初始化（结算界面的"再来一局"会调用它）
+   * 子类如果有更轻量的重开方式（不用重新创建所有东西），可以重写这个方法
    */
   restart() {
     this.init();
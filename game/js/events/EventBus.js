@@ -0,0 +1,147 @@
+/**
+ * 事件总线 - EventBus
+ *
+ * 就像学校的"广播站"：
+ * - 有人发广播（emit）："3 班的小明得了 100 分！"
+ * - 想听的人提前打开收音机（on），就能收到消息
+ * - 发广播的人不用知道谁在听，听的人也不用认识发广播的人
+ *
+ * 这样统计、成就、音效、数据上报这些功能，
+ * 只要监听事件就能知道游戏里发生了什么，不用去改每个游戏的代码。
+ *
+ * 用法：
+ *   const off = gameManager.events.on('game:over', ({ gameId, score }) => {
+ *     console.log(`${gameId} 结束了，得分 ${score}`);
+ *   });
+ *   off(); // 不想听了
+ *
+ * 事件名都要先登记（见 GameEvents），写错名字时会在控制台给出警告。
+ */
+
+/**
+ * 平台内置的事件和它们携带的数据
+ */
+export const GameEvents = {
+  GAME_START: 'game:start',         // 游戏开始（玩家点击开始）{ gameId, game }
+  GAME_OVER: 'game:over',           // 游戏结束 { gameId, game, score }
+  SCORE_CHANGED: 'score:changed',   // 得分变化 { gameId, game, score, delta }
+  SCENE_CHANGED: 'scene:changed',   // 当前场景变化 { scene, previous }
+  APP_HIDE: 'app:hide',             // 切到后台 {}
+  APP_SHOW: 'app:show'              // 切回前台 { options }
+};
+
+export default class EventBus {
+  constructor() {
+    // 事件名 -> 监听函数列表
+    this.listeners = new Map();
+
+    // 已登记的事件名
+    this.knownEvents = new Set(Object.values(GameEvents));
+  }
+
+  /**
+   * 登记一个新的事件名
+   * 扩展功能（比如成就系统）想发自己的事件时，先在这里登记
+   *
+   * @param {string} type - 事件名，建议用"模块:动作"的格式，比如 'achievement:unlocked'
+   */
+  define(type) {
+    this.knownEvents.add(type);
+  }
+
+  /**
+   * 监听事件
+   *
+   * @param {string} type - 事件名
+   * @param {Function} handler - 监听函数，参数是事件数据
+   * @returns {Function} 调用它就取消监听
+   */
+  on(type, handler) {
+    this.checkType(type);
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * 只监听一次，收到一次后自动取消
+   *
+   * @param {string} type - 事件名
+   * @param {Function} handler - 监听函数
+   * @returns {Function} 调用它就取消监听
+   */
+  once(type, handler) {
+    const off = this.on(type, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  /**
+   * 取消监听
+   *
+   * @param {string} type - 事件名
+   * @param {Function} handler - 之前传给 on() 的监听函数
+   */
+  off(type, handler) {
+    const handlers = this.listeners.get(type);
+    if (!handlers) {
+      return;
+    }
+
+    const index = handlers.indexOf(handler);
+    if (index !== -1) {
+      handlers.splice(index, 1);
+    }
+    if (handlers.length === 0) {
+      this.listeners.delete(type);
+    }
+  }
+
+  /**
+   * 发出事件
+   * 某个监听函数出错不会影响其他监听函数，也不会打断游戏
+   *
+   * @param {string} type - 事件名
+   * @param {Object} payload - 事件数据
+   */
+  emit(type, payload = {}) {
+    this.checkType(type);
+
+    const handlers = this.listeners.get(type);
+    if (!handlers) {
+      return;
+    }
+
+    // 复制一份，监听函数里取消监听不会打乱遍历
+    for (const handler of handlers.slice()) {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`事件 ${type} 的监听函数出错`, e);
+      }
+    }
+  }
+
+  /**
+   * 某个事件现在有多少个监听函数
+   */
+  listenerCount(type) {
+    const handlers = this.listeners.get(type);
+    return handlers ? handlers.length : 0;
+  }
+
+  /**
+   * 检查事件名有没有登记，防止拼写错误
+   */
+  checkType(type) {
+    if (!this.knownEvents.has(type)) {
+      console.warn(`⚠️ 未登记的事件: ${type}（先调用 events.define('${type}')）`);
+    }
+  }
+}
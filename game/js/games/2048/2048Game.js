@@ -10,13 +10,22 @@
  * - 数字合并机制（2+2=4, 4+4=8...）
  * - 游戏胜利条件（合成2048）
  * - 游戏结束检测（无法继续移动）
- * - 触摸滑动和键盘控制
+ * - 触摸滑动和键盘控制（电脑版微信可以用方向键或 WASD）
  */
 
 import BaseGame from '../../base/BaseGame.js';
-import { randomInt } from '../../utils/utils.js';
+import { drawRoundRect } from '../../utils/utils.js';
+import Tween from '../../animation/Tween.js';
+import Button from '../../ui/Button.js';
 
 export default class Game2048 extends BaseGame {
+  /**
+   * 音效（用合成器现算，见 audio/sfxPresets.js）
+   */
+  static sounds = {
+    merge: { synth: 'blip', maxInstances: 2 }
+  };
+  
   /**
    * 构造函数
    */
@@ -27,21 +36,20 @@ export default class Game2048 extends BaseGame {
     this.gridSize = 4;  // 4x4网格
     this.cellSize = 0;   // 方块大小（根据屏幕计算）
     this.gridPadding = 10;  // 网格内边距
+    this.gridY = 100;       // 网格顶部的 Y 坐标（标题下方）
+    this.slideDuration = 0.1; // 方块滑到新格子的时间（秒）
     
     // 游戏状态
     this.grid = [];      // 4x4网格数组
-    this.score = 0;     // 当前得分
-    this.bestScore = 0; // 最高得分
-    this.gameStarted = false;  // 游戏是否开始
-    this.isGameOver = false;   // 游戏是否结束
-    this.isWin = false;        // 是否胜利
-    
-    // 触摸控制相关
-    this.touchStartPos = null;    // 触摸开始位置
-    this.touchEndPos = null;      // 触摸结束位置
-    this.swipeThreshold = 30;     // 滑动阈值
-    this.lastMoveTime = 0;        // 上次移动时间
-    this.moveCooldown = 150;      // 移动冷却时间（毫秒）
+    this.tileEffects = []; // 每个格子的动画效果 { scale, hidden }（出现、合并时弹一下；有方块滑进来时先藏起来）
+    this.slidingTiles = []; // 正在滑动的方块 { value, x, y }（画在格子上面，滑到了再显示格子里的方块）
+    this.slideAnimation = null; // 正在播放的滑动动画（见 playSlideAnimation）
+    this.pendingMerges = []; // 滑完后要播放合并动画的格子
+    this.score = 0;     // 当前得分（最高得分 this.bestScore 由 BaseGame 从本地存储读取）
+    
+    // 滑动控制相关
+    this.moveCooldown = 0.15;     // 移动冷却时间（秒）
+    this.isMoveCoolingDown = false; // 是否在冷却中（冷却期间忽略滑动）
     
     // 颜色配置 - 不同数字对应的颜色
     this.cellColors = {
@@ -75,6 +83,72 @@ export default class Game2048 extends BaseGame {
       2048: '#F9F6F2',
       4096: '#F9F6F2'
     };
+    
+    // 订阅滑动手势：往哪个方向滑，方块就往哪个方向移动
+    this.onGesture('swipe', (gesture) => this.onSwipe(gesture));
+    
+    // 开始/重新开始/继续游戏按钮（位置和文字见 updateActionButton）
+    this.actionButton = this.ui.add(new Button({
+      style: {
+        background: '#8F7A66',
+        textColor: '#F9F6F2',
+        font: 'bold 24px Arial',
+        radius: 10
+      },
+      onTap: () => this.handleScreenTap()
+    }));
+    
+    // 游戏流程：ready（开始界面）→ playing → won（合成了 2048，可以继续玩）→ playing → over
+    // 每一局只会进入一次 won：继续游戏后棋盘上还有 2048，但不会再弹出胜利界面
+    this.defineStates({
+      initial: 'ready',
+      states: {
+        ready: {
+          to: ['playing'],
+          enter: () => this.updateActionButton(),
+          onTouchStart: () => this.fsm.go('playing'),
+          onAction: (action) => action === 'action' && this.fsm.go('playing')
+        },
+        playing: {
+          to: ['won', 'over'],
+          enter: (from) => {
+            this.updateActionButton();
+            if (from === 'ready') {
+              this.gameStart();
+              console.log('▶️ 2048游戏开始');
+            } else {
+              console.log('➡️ 继续游戏，挑战更高分数');
+            }
+          },
+          update: () => {
+            if (!this.fsm.hasVisited('won') && this.checkWinCondition()) {
+              this.fsm.go('won');
+              return;
+            }
+            if (this.checkGameOver()) {
+              this.fsm.go('over');
+            }
+          },
+          onAction: (action) => {
+            if (!['up', 'down', 'left', 'right'].includes(action)) return false;
+            this.tryMove(action);
+          }
+        },
+        won: {
+          to: ['playing'],
+          enter: () => {
+            this.updateActionButton();
+            console.log('🎉 恭喜！你成功合成了2048！');
+          },
+          onTouchStart: () => this.fsm.go('playing'),
+          onAction: (action) => action === 'action' && this.fsm.go('playing')
+        },
+        over: {
+          to: [],
+          enter: () => this.gameOver()
+        }
+      }
+    });
   }
   
   /**
@@ -89,13 +163,16 @@ export default class Game2048 extends BaseGame {
     
     // 初始化网格（4x4，全部为0）
     this.grid = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(0));
+    this.tileEffects = Array(this.gridSize).fill().map(() =>
+      Array(this.gridSize).fill().map(() => ({ scale: 1, hidden: false }))
+    );
+    this.slidingTiles = [];
+    this.slideAnimation = null;
+    this.pendingMerges = [];
     
     // 重置游戏状态
     this.score = 0;
-    this.bestScore = 0;
-    this.gameStarted = false;
-    this.isGameOver = false;
-    this.isWin = false;
+    this.isMoveCoolingDown = false;
     
     // 生成初始的两个数字（2或4）
     this.addRandomTile();
@@ -104,29 +181,6 @@ export default class Game2048 extends BaseGame {
     console.log('🎮 2048游戏初始化完成，等待用户开始');
   }
   
-  /**
-   * 更新游戏逻辑
-   */
-  update(deltaTime) {
-    super.update(deltaTime);
-    
-    // 如果游戏未开始或已结束，不更新
-    if (!this.gameStarted || this.isGameOver) {
-      return;
-    }
-    
-    // 检查胜利条件
-    if (!this.isWin && this.checkWinCondition()) {
-      this.isWin = true;
-      console.log('🎉 恭喜！你成功合成了2048！');
-    }
-    
-    // 检查游戏结束条件
-    if (!this.isGameOver && this.checkGameOver()) {
-      this.gameOver();
-    }
-  }
-  
   /**
    * 渲染游戏画面
    */
@@ -135,17 +189,12 @@ export default class Game2048 extends BaseGame {
     ctx.fillStyle = '#FAF8EF';
     ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
     
-    if (!this.gameStarted) {
+    if (this.fsm.is('ready')) {
       this.renderStartScreen(ctx);
       return;
     }
     
-    if (this.isGameOver) {
-      this.renderGameOver(ctx);
-      return;
-    }
-    
-    if (this.isWin) {
+    if (this.fsm.is('won')) {
       this.renderWinScreen(ctx);
       return;
     }
@@ -156,8 +205,8 @@ export default class Game2048 extends BaseGame {
     // 绘制游戏网格
     this.drawGrid(ctx);
     
-    // 绘制返回按钮
-    this.renderBackButton(ctx);
+    // 绘制粒子特效（合并时的碎屑）
+    this.particles.render(ctx);
     
     // 绘制操作提示
     this.drawControlsHint(ctx);
@@ -180,7 +229,7 @@ export default class Game2048 extends BaseGame {
     const scoreHeight = 60;
     
     ctx.fillStyle = '#BBADA0';
-    this.drawRoundedRect(ctx, scoreX, scoreY, scoreWidth, scoreHeight, 6);
+    drawRoundRect(ctx, scoreX, scoreY, scoreWidth, scoreHeight, 6);
     ctx.fill();
     
     // 分数文字
@@ -200,7 +249,7 @@ export default class Game2048 extends BaseGame {
     const bestScoreHeight = 60;
     
     ctx.fillStyle = '#BBADA0';
-    this.drawRoundedRect(ctx, bestScoreX, bestScoreY, bestScoreWidth, bestScoreHeight, 6);
+    drawRoundRect(ctx, bestScoreX, bestScoreY, bestScoreWidth, bestScoreHeight, 6);
     ctx.fill();
     
     // 最高分数文字
@@ -219,11 +268,11 @@ export default class Game2048 extends BaseGame {
    */
   drawGrid(ctx) {
     const gridX = this.gridPadding;
-    const gridY = 100;  // 从标题下方开始
+    const gridY = this.gridY;
     
     // 绘制网格背景
     ctx.fillStyle = '#BBADA0';
-    this.drawRoundedRect(ctx, gridX, gridY, this.cellSize * this.gridSize, this.cellSize * this.gridSize, 6);
+    drawRoundRect(ctx, gridX, gridY, this.cellSize * this.gridSize, this.cellSize * this.gridSize, 6);
     ctx.fill();
     
     // 绘制每个单元格
@@ -233,31 +282,60 @@ export default class Game2048 extends BaseGame {
         const cellX = gridX + col * this.cellSize;
         const cellY = gridY + row * this.cellSize;
         
-        // 绘制单元格背景
-        ctx.fillStyle = this.cellColors[value] || this.cellColors[0];
-        this.drawRoundedRect(ctx, cellX + 5, cellY + 5, this.cellSize - 10, this.cellSize - 10, 3);
+        // 绘制空单元格背景
+        ctx.fillStyle = this.cellColors[0];
+        drawRoundRect(ctx, cellX + 5, cellY + 5, this.cellSize - 10, this.cellSize - 10, 3);
         ctx.fill();
         
-        // 如果单元格有数字，绘制数字
-        if (value > 0) {
-          ctx.fillStyle = this.textColors[value] || this.textColors[2048];
-          
-          // 根据数字大小调整字体大小
-          let fontSize = 36;
-          if (value >= 1000) fontSize = 24;
-          if (value >= 10000) fontSize = 20;
-          
-          ctx.font = `bold ${fontSize}px Arial`;
-          ctx.textAlign = 'center';
-          ctx.textBaseline = 'middle';
-          ctx.fillText(
-            value.toString(),
-            cellX + this.cellSize / 2,
-            cellY + this.cellSize / 2
-          );
+        // 如果单元格有数字，绘制方块和数字（有方块正滑进这一格时先不画）
+        const effect = this.tileEffects[row][col];
+        if (value > 0 && !effect.hidden) {
+          this.drawTile(ctx, value, cellX, cellY, effect.scale);
         }
       }
     }
+    
+    // 正在滑动的方块画在格子上面
+    for (const tile of this.slidingTiles) {
+      this.drawTile(ctx, tile.value, tile.x, tile.y, 1);
+    }
+  }
+  
+  /**
+   * 绘制一个方块和上面的数字（按动画的缩放比例，以格子中心缩放）
+   * 
+   * @param {number} value - 数字
+   * @param {number} cellX - 格子左上角 X
+   * @param {number} cellY - 格子左上角 Y
+   * @param {number} scale - 缩放比例
+   */
+  drawTile(ctx, value, cellX, cellY, scale) {
+    ctx.save();
+    ctx.translate(cellX + this.cellSize / 2, cellY + this.cellSize / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-(cellX + this.cellSize / 2), -(cellY + this.cellSize / 2));
+    
+    ctx.fillStyle = this.cellColors[value] || this.cellColors[0];
+    drawRoundRect(ctx, cellX + 5, cellY + 5, this.cellSize - 10, this.cellSize - 10, 3);
+    ctx.fill();
+    
+    ctx.fillStyle = this.textColors[value] || this.textColors[2048];
+    
+    // 根据数字大小调整字体大小
+    let fontSize = 36;
+    if (value >= 1000) fontSize = 24;
+    if (value >= 10000) fontSize = 20;
+    
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(
+      value.toString(),
+      cellX + this.cellSize / 2,
+      cellY + this.cellSize / 2
+    );
+    
+    ctx.restore();
   }
   
   /**
@@ -274,23 +352,6 @@ export default class Game2048 extends BaseGame {
     );
   }
   
-  /**
-   * 绘制圆角矩形（工具函数）
-   */
-  drawRoundedRect(ctx, x, y, width, height, radius) {
-    ctx.beginPath();
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + width - radius, y);
-    ctx.arcTo(x + width, y, x + width, y + radius, radius);
-    ctx.lineTo(x + width, y + height - radius);
-    ctx.arcTo(x + width, y + height, x + width - radius, y + height, radius);
-    ctx.lineTo(x + radius, y + height);
-    ctx.arcTo(x, y + height, x, y + height - radius, radius);
-    ctx.lineTo(x, y + radius);
-    ctx.arcTo(x, y, x + radius, y, radius);
-    ctx.closePath();
-  }
-  
   /**
    * 绘制开始界面
    */
@@ -305,64 +366,13 @@ export default class Game2048 extends BaseGame {
     ctx.textAlign = 'center';
     ctx.fillText('2048', this.screenWidth / 2, this.screenHeight / 2 - 80);
     
-    // 开始按钮
-    const buttonX = this.screenWidth / 2 - 80;
-    const buttonY = this.screenHeight / 2;
-    const buttonWidth = 160;
-    const buttonHeight = 60;
-    
-    ctx.fillStyle = '#8F7A66';
-    this.drawRoundedRect(ctx, buttonX, buttonY, buttonWidth, buttonHeight, 10);
-    ctx.fill();
-    
-    ctx.fillStyle = '#F9F6F2';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'center';
+    // 游戏说明（开始按钮是 this.actionButton）
     ctx.textBaseline = 'middle';
-    ctx.fillText('开始游戏', this.screenWidth / 2, buttonY + buttonHeight / 2);
-    
-    // 游戏说明
-    ctx.fillStyle = '#776E65';
     ctx.font = '16px Arial';
     ctx.fillText('滑动合并相同数字，目标是合成2048！', this.screenWidth / 2, this.screenHeight / 2 + 100);
     ctx.fillText('使用方向键或触摸滑动控制', this.screenWidth / 2, this.screenHeight / 2 + 130);
   }
   
-  /**
-   * 绘制游戏结束界面
-   */
-  renderGameOver(ctx) {
-    // 半透明遮罩
-    ctx.fillStyle = 'rgba(238, 228, 218, 0.8)';
-    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
-    
-    // 游戏结束文字
-    ctx.fillStyle = '#776E65';
-    ctx.font = 'bold 48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('游戏结束', this.screenWidth / 2, this.screenHeight / 2 - 60);
-    
-    // 最终得分
-    ctx.font = '24px Arial';
-    ctx.fillText(`最终得分: ${this.score}`, this.screenWidth / 2, this.screenHeight / 2);
-    
-    // 重新开始按钮
-    const buttonX = this.screenWidth / 2 - 100;
-    const buttonY = this.screenHeight / 2 + 50;
-    const buttonWidth = 200;
-    const buttonHeight = 60;
-    
-    ctx.fillStyle = '#8F7A66';
-    this.drawRoundedRect(ctx, buttonX, buttonY, buttonWidth, buttonHeight, 10);
-    ctx.fill();
-    
-    ctx.fillStyle = '#F9F6F2';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('重新开始', this.screenWidth / 2, buttonY + buttonHeight / 2);
-  }
-  
   /**
    * 绘制胜利界面
    */
@@ -381,31 +391,17 @@ export default class Game2048 extends BaseGame {
     ctx.font = '24px Arial';
     ctx.fillText(`得分: ${this.score}`, this.screenWidth / 2, this.screenHeight / 2);
     
-    // 继续游戏按钮
-    const buttonX = this.screenWidth / 2 - 100;
-    const buttonY = this.screenHeight / 2 + 50;
-    const buttonWidth = 200;
-    const buttonHeight = 60;
-    
-    ctx.fillStyle = '#8F7A66';
-    this.drawRoundedRect(ctx, buttonX, buttonY, buttonWidth, buttonHeight, 10);
-    ctx.fill();
-    
-    ctx.fillStyle = '#F9F6F2';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('继续游戏', this.screenWidth / 2, buttonY + buttonHeight / 2);
-    
     // 提示文字
+    ctx.textBaseline = 'middle';
     ctx.font = '16px Arial';
     ctx.fillText('你可以继续游戏挑战更高分数！', this.screenWidth / 2, this.screenHeight / 2 + 130);
   }
   
   /**
    * 添加随机数字方块
+   * @param {number} delay - 出现动画等多久再播放（秒）
    */
-  addRandomTile() {
+  addRandomTile(delay = 0) {
     const emptyCells = [];
     
     // 收集所有空单元格的位置
@@ -419,11 +415,134 @@ export default class Game2048 extends BaseGame {
     
     // 如果有空单元格，随机选择一个并放置数字（90%概率为2，10%概率为4）
     if (emptyCells.length > 0) {
-      const randomCell = emptyCells[randomInt(0, emptyCells.length - 1)];
-      this.grid[randomCell.row][randomCell.col] = Math.random() < 0.9 ? 2 : 4;
+      const randomCell = this.rng.pick(emptyCells);
+      this.grid[randomCell.row][randomCell.col] = this.rng.chance(0.9) ? 2 : 4;
+      this.playAppearAnimation(randomCell.row, randomCell.col, delay);
+    }
+  }
+  
+  /**
+   * 新方块出现的动画：从小到大弹出来
+   * @param {number} delay - 等多久再弹出来（秒），等别的方块滑完
+   */
+  playAppearAnimation(row, col, delay = 0) {
+    const effect = this.tileEffects[row][col];
+    this.tweens.killTweensOf(effect);
+    effect.scale = 0;
+    this.tweens.to(effect, { scale: 1 }, { duration: 0.15, delay, easing: 'easeOutQuad' });
+  }
+  
+  /**
+   * 方块滑动的动画：每个方块从原来的格子滑到新的格子，滑到了再播放合并动画
+   * 滑动的时候格子里的新数字先藏起来，画的是 slidingTiles 里的方块
+   * @param {Array} slides - 每个方块的去向 { from: [{ row, col, value }], to: { row, col } }，合并的方块 from 有两个
+   * @returns {boolean} 是否有方块需要滑动
+   */
+  playSlideAnimation(slides) {
+    // 上一次的还没滑完就直接滑到终点
+    this.finishSlideAnimation();
+    
+    const steps = [];
+    const merged = [];
+    
+    for (const slide of slides) {
+      const { from, to } = slide;
+      if (from.length === 1 && from[0].row === to.row && from[0].col === to.col) {
+        continue;  // 没动
+      }
+      
+      this.tileEffects[to.row][to.col].hidden = true;
+      if (from.length > 1) {
+        merged.push(to);
+      }
+      
+      for (const cell of from) {
+        const tile = {
+          value: cell.value,
+          x: this.gridPadding + cell.col * this.cellSize,
+          y: this.gridY + cell.row * this.cellSize
+        };
+        this.slidingTiles.push(tile);
+        steps.push(new Tween(tile, {
+          x: this.gridPadding + to.col * this.cellSize,
+          y: this.gridY + to.row * this.cellSize
+        }, { duration: this.slideDuration, easing: 'easeOutQuad' }));
+      }
+    }
+    
+    if (steps.length === 0) {
+      return false;
+    }
+    
+    this.pendingMerges = merged;
+    this.slideAnimation = this.tweens.parallel(steps, {
+      onComplete: () => {
+        this.slideAnimation = null;
+        this.finishSlideAnimation();
+      }
+    });
+    return true;
+  }
+  
+  /**
+   * 结束滑动：收起滑动的方块，显示格子里的新数字，播放合并动画
+   */
+  finishSlideAnimation() {
+    if (this.slideAnimation) {
+      this.tweens.stop(this.slideAnimation);
+      this.slideAnimation = null;
+    }
+    
+    this.slidingTiles = [];
+    for (const row of this.tileEffects) {
+      for (const effect of row) {
+        effect.hidden = false;
+      }
+    }
+    
+    const merged = this.pendingMerges;
+    this.pendingMerges = [];
+    for (const cell of merged) {
+      this.playMergeAnimation(cell.row, cell.col);
     }
   }
   
+  /**
+   * 方块合并的动画：放大一下再缩回去
+   */
+  playMergeAnimation(row, col) {
+    const effect = this.tileEffects[row][col];
+    this.tweens.killTweensOf(effect);
+    effect.scale = 1;
+    this.tweens.to(effect, { scale: 1.2 }, { duration: 0.08, yoyo: true, repeat: 1 });
+    
+    // 从方块四周迸出和方块同色的碎屑
+    const center = this.getCellCenter(row, col);
+    this.particles.burst(center.x, center.y, {
+      shape: 'rect',
+      width: this.cellSize - 10,
+      height: this.cellSize - 10,
+      count: 12,
+      speed: [40, 120],
+      drag: 2,
+      lifetime: [0.25, 0.45],
+      particleShape: 'rect',
+      size: [5, 1],
+      spin: [-360, 360],
+      color: this.cellColors[this.grid[row][col]] || this.cellColors[2048]
+    });
+  }
+  
+  /**
+   * 格子中心的屏幕坐标
+   */
+  getCellCenter(row, col) {
+    return {
+      x: this.gridPadding + col * this.cellSize + this.cellSize / 2,
+      y: this.gridY + row * this.cellSize + this.cellSize / 2
+    };
+  }
+  
   /**
    * 移动网格（核心逻辑）
    * @param {string} direction - 移动方向：'up', 'down', 'left', 'right'
@@ -432,25 +551,34 @@ export default class Game2048 extends BaseGame {
   move(direction) {
     let moved = false;
     const oldGrid = this.grid.map(row => [...row]);  // 保存移动前的网格状态
+    const oldScore = this.score;                      // 合并了方块才会加分
+    const slides = [];                                // 每个方块从哪里滑到哪里
     
     switch (direction) {
       case 'up':
-        moved = this.moveUp();
+        moved = this.moveUp(slides);
         break;
       case 'down':
-        moved = this.moveDown();
+        moved = this.moveDown(slides);
         break;
       case 'left':
-        moved = this.moveLeft();
+        moved = this.moveLeft(slides);
         break;
       case 'right':
-        moved = this.moveRight();
+        moved = this.moveRight(slides);
         break;
     }
     
     // 如果发生了移动，添加新数字并更新分数
     if (moved) {
-      this.addRandomTile();
+      // 一次移动不管合并了几对，只响一声
+      if (this.score > oldScore) {
+        this.playSound('merge');
+      }
+      
+      // 新数字等方块滑完再弹出来
+      const sliding = this.playSlideAnimation(slides);
+      this.addRandomTile(sliding ? this.slideDuration : 0);
       
       // 检查网格是否变化
       const gridChanged = this.grid.some((row, i) => 
@@ -467,21 +595,25 @@ export default class Game2048 extends BaseGame {
   
   /**
    * 向上移动
+   * @param {Array} slides - 传入空数组，每个方块的去向会放进去（见 playSlideAnimation）
    */
-  moveUp() {
+  moveUp(slides = []) {
     let moved = false;
     
     for (let col = 0; col < this.gridSize; col++) {
       // 处理每一列
       const column = [];
+      const cells = [];  // 每个数字原来在哪一格
       for (let row = 0; row < this.gridSize; row++) {
         if (this.grid[row][col] !== 0) {
           column.push(this.grid[row][col]);
+          cells.push({ row, col, value: this.grid[row][col] });
         }
       }
       
       // 合并相同数字
-      const mergedColumn = this.mergeTiles(column);
+      const sources = [];
+      const mergedColumn = this.mergeTiles(column, sources);
       
       // 更新网格
       for (let row = 0; row < this.gridSize; row++) {
@@ -491,6 +623,10 @@ export default class Game2048 extends BaseGame {
         }
         this.grid[row][col] = newValue;
       }
+      
+      sources.forEach((from, index) => {
+        slides.push({ from: from.map(i => cells[i]), to: { row: index, col } });
+      });
     }
     
     return moved;
@@ -498,21 +634,25 @@ export default class Game2048 extends BaseGame {
   
   /**
    * 向下移动
+   * @param {Array} slides - 传入空数组，每个方块的去向会放进去（见 playSlideAnimation）
    */
-  moveDown() {
+  moveDown(slides = []) {
     let moved = false;
     
     for (let col = 0; col < this.gridSize; col++) {
       // 处理每一列（从下往上）
       const column = [];
+      const cells = [];  // 每个数字原来在哪一格
       for (let row = this.gridSize - 1; row >= 0; row--) {
         if (this.grid[row][col] !== 0) {
           column.push(this.grid[row][col]);
+          cells.push({ row, col, value: this.grid[row][col] });
         }
       }
       
       // 合并相同数字
-      const mergedColumn = this.mergeTiles(column);
+      const sources = [];
+      const mergedColumn = this.mergeTiles(column, sources);
       
       // 更新网格（从下往上填充）
       for (let row = this.gridSize - 1; row >= 0; row--) {
@@ -523,6 +663,10 @@ export default class Game2048 extends BaseGame {
         }
         this.grid[row][col] = newValue;
       }
+      
+      sources.forEach((from, index) => {
+        slides.push({ from: from.map(i => cells[i]), to: { row: this.gridSize - 1 - index, col } });
+      });
     }
     
     return moved;
@@ -530,21 +674,25 @@ export default class Game2048 extends BaseGame {
   
   /**
    * 向左移动
+   * @param {Array} slides - 传入空数组，每个方块的去向会放进去（见 playSlideAnimation）
    */
-  moveLeft() {
+  moveLeft(slides = []) {
     let moved = false;
     
     for (let row = 0; row < this.gridSize; row++) {
       // 处理每一行
       const line = [];
+      const cells = [];  // 每个数字原来在哪一格
       for (let col = 0; col < this.gridSize; col++) {
         if (this.grid[row][col] !== 0) {
           line.push(this.grid[row][col]);
+          cells.push({ row, col, value: this.grid[row][col] });
         }
       }
       
       // 合并相同数字
-      const mergedLine = this.mergeTiles(line);
+      const sources = [];
+      const mergedLine = this.mergeTiles(line, sources);
       
       // 更新网格
       for (let col = 0; col < this.gridSize; col++) {
@@ -554,6 +702,10 @@ export default class Game2048 extends BaseGame {
         }
         this.grid[row][col] = newValue;
       }
+      
+      sources.forEach((from, index) => {
+        slides.push({ from: from.map(i => cells[i]), to: { row, col: index } });
+      });
     }
     
     return moved;
@@ -561,21 +713,25 @@ export default class Game2048 extends BaseGame {
   
   /**
    * 向右移动
+   * @param {Array} slides - 传入空数组，每个方块的去向会放进去（见 playSlideAnimation）
    */
-  moveRight() {
+  moveRight(slides = []) {
     let moved = false;
     
     for (let row = 0; row < this.gridSize; row++) {
       // 处理每一行（从右往左）
       const line = [];
+      const cells = [];  // 每个数字原来在哪一格
       for (let col = this.gridSize - 1; col >= 0; col--) {
         if (this.grid[row][col] !== 0) {
           line.push(this.grid[row][col]);
+          cells.push({ row, col, value: this.grid[row][col] });
         }
       }
       
       // 合并相同数字
-      const mergedLine = this.mergeTiles(line);
+      const sources = [];
+      const mergedLine = this.mergeTiles(line, sources);
       
       // 更新网格（从右往左填充）
       for (let col = this.gridSize - 1; col >= 0; col--) {
@@ -586,6 +742,10 @@ export default class Game2048 extends BaseGame {
         }
         this.grid[row][col] = newValue;
       }
+      
+      sources.forEach((from, index) => {
+        slides.push({ from: from.map(i => cells[i]), to: { row, col: this.gridSize - 1 - index } });
+      });
     }
     
     return moved;
@@ -594,9 +754,10 @@ export default class Game2048 extends BaseGame {
   /**
    * 合并相同数字
    * @param {Array} tiles - 需要合并的数字数组
+   * @param {Array} sources - 传入空数组，结果中每个数字来自 tiles 的哪几个位置会放进去（用于播放滑动和合并动画）
    * @returns {Array} 合并后的数组
    */
-  mergeTiles(tiles) {
+  mergeTiles(tiles, sources = []) {
     const result = [];
     let i = 0;
     
@@ -604,10 +765,11 @@ export default class Game2048 extends BaseGame {
       if (i < tiles.length - 1 && tiles[i] === tiles[i + 1]) {
         // 合并相同数字
         const mergedValue = tiles[i] * 2;
+        sources.push([i, i + 1]);
         result.push(mergedValue);
         
         // 增加分数（合并后的数字值）
-        this.score += mergedValue;
+        this.addScore(mergedValue);
         
         // 更新最高分
         if (this.score > this.bestScore) {
@@ -617,6 +779,7 @@ export default class Game2048 extends BaseGame {
         i += 2;  // 跳过下一个数字（已经合并）
       } else {
         // 不合并，直接添加
+        sources.push([i]);
         result.push(tiles[i]);
         i += 1;
       }
@@ -674,110 +837,114 @@ export default class Game2048 extends BaseGame {
     return true;  // 没有空单元格且没有可合并的数字，游戏结束
   }
   
+  /**
+   * 棋盘上最大的数字
+   * 
+   * @returns {number}
+   */
+  getMaxTile() {
+    return Math.max(...this.grid.map(row => Math.max(...row)));
+  }
+  
   /**
    * 游戏结束处理
    */
   gameOver() {
-    this.isGameOver = true;
-    this.gameStarted = false;
+    // 棋盘留在结算界面下面，"再来一局"时由 init() 重置
+    super.gameOver({ stats: [{ label: '最大方块', value: this.getMaxTile() }] });
+    this.updateActionButton();
     console.log('💀 2048游戏结束，最终得分:', this.score);
   }
   
   /**
-   * 触摸开始事件
+   * 点击开始/继续按钮：开始游戏、胜利后继续（结束后由结算界面处理）
    */
-  onTouchStart(touch) {
-    // 检查是否点击了返回按钮
-    if (super.onTouchStart(touch)) {
-      return true;
+  handleScreenTap() {
+    if (this.fsm.is('ready', 'won')) {
+      this.fsm.go('playing');
     }
-    
-    // 记录触摸开始位置
-    this.touchStartPos = { x: touch.x, y: touch.y };
-    
-    // 如果游戏未开始，点击屏幕开始游戏
-    if (!this.gameStarted && !this.isGameOver && !this.isWin) {
-      this.gameStarted = true;
-      console.log('▶️ 2048游戏开始');
-      return true;
-    }
-    
-    // 如果游戏结束，点击屏幕重新开始
-    if (this.isGameOver) {
-      this.init();
-      this.gameStarted = false;
-      console.log('🔄 2048游戏重置，等待用户开始');
-      return true;
-    }
-    
-    // 如果胜利，点击屏幕继续游戏
-    if (this.isWin) {
-      this.isWin = false;
-      console.log('➡️ 继续游戏，挑战更高分数');
-      return true;
+  }
+  
+  /**
+   * 开始/继续按钮跟着当前显示的界面变（和 render() 里的判断顺序一致）
+   * 点按钮和点屏幕其他地方效果一样，按钮只是告诉玩家"点这里"
+   */
+  updateActionButton() {
+    const button = this.actionButton;
+    const centerX = this.screenWidth / 2;
+    const centerY = this.screenHeight / 2;
+    
+    if (this.fsm.is('ready')) {
+      button.text = '开始游戏';
+      button.setBounds({ x: centerX - 80, y: centerY, width: 160, height: 60 });
+    } else if (this.fsm.is('won')) {
+      button.text = '继续游戏';
+      button.setBounds({ x: centerX - 100, y: centerY + 50, width: 200, height: 60 });
+    } else {
+      button.hide();
+      return;
     }
-    
-    return true;
+    button.show();
   }
   
   /**
-   * 触摸移动事件
+   * 滑动手势
+   * 
+   * @param {Object} gesture - 手势信息，direction 是 'up' | 'down' | 'left' | 'right'
    */
-  onTouchMove(touch) {
-    // 记录触摸移动位置（用于绘制滑动指示器）
-    this.touchEndPos = { x: touch.x, y: touch.y };
+  onSwipe(gesture) {
+    this.tryMove(gesture.direction);
   }
   
   /**
-   * 触摸结束事件
+   * 游戏进行中且不在冷却时间内时，向指定方向移动
+   * 
+   * @param {string} direction - 'up' | 'down' | 'left' | 'right'
    */
-  onTouchEnd(touch) {
-    if (!this.touchStartPos || !this.gameStarted || this.isGameOver || this.isWin) {
+  tryMove(direction) {
+    if (!this.fsm.is('playing')) {
       return;
     }
     
     // 检查移动冷却时间
-    const currentTime = Date.now();
-    if (currentTime - this.lastMoveTime < this.moveCooldown) {
+    if (this.isMoveCoolingDown) {
       return;
     }
     
-    // 计算滑动距离
-    const deltaX = touch.x - this.touchStartPos.x;
-    const deltaY = touch.y - this.touchStartPos.y;
-    
-    // 确定滑动方向
-    if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > this.swipeThreshold) {
-      // 水平滑动
-      if (deltaX > 0) {
-        this.move('right');
-      } else {
-        this.move('left');
-      }
-      this.lastMoveTime = currentTime;
-    } else if (Math.abs(deltaY) > this.swipeThreshold) {
-      // 垂直滑动
-      if (deltaY > 0) {
-        this.move('down');
-      } else {
-        this.move('up');
-      }
-      this.lastMoveTime = currentTime;
-    }
-    
-    // 重置触摸位置
-    this.touchStartPos = null;
-    this.touchEndPos = null;
+    this.move(direction);
+    this.isMoveCoolingDown = true;
+    this.scheduler.after(this.moveCooldown, () => {
+      this.isMoveCoolingDown = false;
+    });
   }
   
-  // 微信小游戏主要支持触摸事件，键盘控制在此环境中不适用
-  // 游戏通过触摸滑动进行控制
+  /**
+   * 切到后台时是否需要暂停（游戏进行中、停在胜利界面上时都需要，这样回来还能继续这一局）
+   */
+  shouldPauseOnHide() {
+    return this.fsm.is('playing', 'won');
+  }
   
   /**
-   * 销毁游戏
+   * 保存棋盘（得分由 BaseGame 保存）
    */
-  destroy() {
-    super.destroy();
-    this.gameStarted = false;
+  serialize() {
+    return {
+      grid: this.grid.map(row => row.slice())
+    };
+  }
+  
+  /**
+   * 恢复棋盘，直接进入游戏（不显示开始界面，胜利界面由 BaseGame 恢复状态机时恢复）
+   */
+  deserialize(state) {
+    const size = this.gridSize;
+    if (!Array.isArray(state.grid) || state.grid.length !== size ||
+        state.grid.some(row => !Array.isArray(row) || row.length !== size)) {
+      throw new Error('2048 存档的棋盘大小不对');
+    }
+    
+    this.grid = state.grid.map(row => row.slice());
+    this.updateActionButton();
   }
 }
\ No newline at end of file
@@ -12,8 +12,19 @@
  */
 
 import CircleBody from '../../physics/CircleBody.js';
+import { drawFrame } from '../../assets/SpriteSheet.js';
 
 export default class Bird {
+  /**
+   * 帧动画（见 animation/AnimatedSprite.js），帧在 FlappyBird 的资源清单里找
+   * 
+   * fly 是平时一直扇翅膀，flap 是跳的时候用力扇一下，扇完接着 fly
+   */
+  static animations = {
+    fly: { frames: ['bird_0', 'bird_1', 'bird_2', 'bird_1'], fps: 8 },
+    flap: { frames: ['bird_2', 'bird_1', 'bird_0'], fps: 20, loop: 'once', next: 'fly' }
+  };
+  
   /**
    * 创建小鸟
    * 
@@ -43,6 +54,7 @@ export default class Bird {
     this.body.setAcceleration(0, this.gravity);
     
     // 动画相关
+    this.sprite = null;          // 帧动画精灵（见 setSprite）
     this.rotation = 0;           // 旋转角度
     this.wingAngle = 0;          // 翅膀角度（用于扇动动画）
     this.wingDirection = 1;      // 翅膀扇动方向
@@ -63,6 +75,21 @@ export default class Bird {
     
     // 重置翅膀动画
     this.wingAngle = -30;
+    if (this.sprite) {
+      this.sprite.play('flap', { restart: true });
+    }
+  }
+  
+  /**
+   * 用帧动画画小鸟（精灵跟着物理体走，高度和身体一样大）
+   * 
+   * @param {AnimatedSprite} sprite - 用 Bird.animations 创建的精灵
+   */
+  setSprite(sprite) {
+    this.sprite = sprite;
+    sprite.attach(this.body);
+    sprite.height = this.radius * 2;
+    sprite.play('fly');
   }
   
   /**
@@ -102,16 +129,35 @@ export default class Bird {
    * 渲染小鸟
    * 
    * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例（固定步长模式下使用）
+   * @param {Object} sprite - 小鸟的图片（一帧，见 assets/SpriteSheet.js），没有帧动画时用它画，都没有时用代码画
    */
-  render(ctx) {
+  render(ctx, alpha = 1, sprite = null) {
+    // 有帧动画的图片时画帧动画，跟着身体一起转
+    if (this.sprite) {
+      this.sprite.rotation = this.rotation * Math.PI / 180;
+      if (this.sprite.render(ctx, alpha)) {
+        return;
+      }
+    }
+    
     ctx.save();
     
-    // 移动到小鸟位置并旋转
-    ctx.translate(this.body.x, this.body.y);
+    // 移动到小鸟位置（插值后的位置）并旋转
+    const pos = this.body.getRenderPosition(alpha);
+    ctx.translate(pos.x, pos.y);
     ctx.rotate(this.rotation * Math.PI / 180);
     
     const r = this.radius;
     
+    // 有图片时按图片的宽高比画，高度和身体一样大
+    if (sprite) {
+      const width = r * 2 * sprite.sourceWidth / sprite.sourceHeight;
+      drawFrame(ctx, sprite, -width / 2, -r, width, r * 2);
+      ctx.restore();
+      return;
+    }
+    
     // 绘制翅膀（在身体后面）
     ctx.save();
     ctx.rotate(this.wingAngle * Math.PI / 180);
@@ -180,6 +226,9 @@ export default class Bird {
     this.body.setVelocity(0, 0);
     this.rotation = 0;
     this.wingAngle = 0;
+    if (this.sprite) {
+      this.sprite.play('fly');
+    }
   }
   
   /**
@@ -4,7 +4,7 @@
  * 经典的小鸟飞行游戏！🐦
  * 
  * 游戏规则：
- * 1. 点击屏幕让小鸟往上飞
+ * 1. 点击屏幕（电脑上按空格）让小鸟往上飞
  * 2. 小鸟会受重力影响往下掉
  * 3. 躲避管道障碍物
  * 4. 每成功穿过一个管道得 1 分
@@ -19,9 +19,95 @@ import BaseGame from '../../base/BaseGame.js';
 import PhysicsWorld from '../../physics/PhysicsWorld.js';
 import Bird from './Bird.js';
 import Pipe from './Pipe.js';
-import { randomInt, drawRoundRect } from '../../utils/utils.js';
+import { randomInt } from '../../utils/utils.js';
+import Button from '../../ui/Button.js';
 
 export default class FlappyBird extends BaseGame {
+  /**
+   * 使用固定步长更新：重力和管道速度在任何帧率的手机上都一样
+   */
+  static fixedTimestep = true;
+  
+  /**
+   * 按键绑定：空格、回车、↑、W 都是跳跃（↑ 和 W 不再当作"向上"）
+   */
+  static inputBindings = {
+    action: ['Space', 'Enter', 'ArrowUp', 'KeyW'],
+    up: []
+  };
+  
+  /**
+   * 音效（用合成器现算，见 audio/sfxPresets.js）
+   */
+  static sounds = {
+    jump: { synth: 'jump' },
+    score: { synth: 'coin', maxInstances: 1 },
+    hit: { synth: 'hit', maxInstances: 1 }
+  };
+  
+  /**
+   * 图片资源（见 assets/AssetManager.js）
+   * 
+   * 清单里有 bird、pipe（管道主体）、pipeCap（管道帽）这几帧和 score 位图字体时用图片画，
+   * 有 bird_0 ~ bird_2 这几帧时小鸟播放帧动画（见 Bird.animations），
+   * 没有或加载失败时用代码画（现在还没有美术资源，所以是空的）
+   */
+  static assets = {};
+  
+  /**
+   * 构造函数：创建界面控件（init() 每次重新开始都会调用，控件只创建一次）
+   */
+  constructor(gameManager) {
+    super(gameManager);
+    
+    // ===== 调试按钮 =====
+    this.debugButton = this.ui.add(new Button({
+      ...this.layout.place({
+        anchor: 'bottom-left',
+        x: 10,
+        y: -10,
+        width: 80,
+        height: 40
+      }),
+      style: { font: '14px PingFang SC' },
+      onTap: () => this.toggleDebugMode()
+    }));
+    
+    // ===== 游戏流程 =====
+    // ready（小鸟上下浮动，等玩家点击）→ playing（飞行）→ over（小鸟掉下去，显示结算界面）
+    this.defineStates({
+      initial: 'ready',
+      states: {
+        ready: {
+          to: ['playing'],
+          update: (dt) => this.updateReadyState(dt),
+          render: (ctx) => this.renderReadyUI(ctx),
+          onTouchStart: () => this.fsm.go('playing'),
+          onAction: (action) => action === 'action' && this.fsm.go('playing')
+        },
+        playing: {
+          to: ['over'],
+          enter: () => {
+            this.gameStart();
+            this.flap();
+          },
+          update: (dt) => this.updatePlayingState(dt),
+          onTouchStart: () => this.flap(),
+          onAction: (action) => {
+            if (action !== 'action') return false;
+            this.flap();
+          }
+        },
+        over: {
+          to: [],
+          // 更新最高分、广播 game:over 事件；结算界面等小鸟落地后再显示（见 showResults）
+          enter: () => this.gameOver(),
+          update: (dt) => this.updateGameOverState(dt)
+        }
+      }
+    });
+  }
+  
   /**
    * 初始化游戏
    */
@@ -35,11 +121,10 @@ export default class FlappyBird extends BaseGame {
     
     // 默认关闭调试模式，可以通过点击屏幕左下角开启
     this.physicsWorld.setDebugMode(false);
+    this.updateDebugButton();
     
     // ===== 游戏状态 =====
-    this.gameState = 'ready';  // ready | playing | gameover
     this.score = 0;
-    this.bestScore = this.loadBestScore();
     
     // ===== 创建小鸟 =====
     this.bird = new Bird(
@@ -51,6 +136,9 @@ export default class FlappyBird extends BaseGame {
     // 将小鸟的物理体添加到物理世界
     this.physicsWorld.addBody(this.bird.getBody());
     
+    // 小鸟的帧动画（图集里有 bird_0 ~ bird_2 时用它画）
+    this.bird.setSprite(this.sprites.create({ clips: Bird.animations }));
+    
     // ===== 管道配置 =====
     this.pipes = [];
     this.pipeSpawnTimer = 1.5;  // 让第一根管道在0.5秒后出现
@@ -62,16 +150,13 @@ export default class FlappyBird extends BaseGame {
     this.gapMaxY = this.screenHeight * 0.75;
     
     // ===== 背景元素 =====
+    // 云朵用分叉出来的生成器：云飘出屏幕的时机和游戏进度无关，不能让它打乱管道的随机序列
+    this.cloudRng = this.rng.fork('clouds');
     this.clouds = this.createClouds();
     this.groundY = this.screenHeight - 50;  // 地面高度
     
-    // ===== 调试按钮位置 =====
-    this.debugButton = {
-      x: 10,
-      y: this.screenHeight - 50,
-      width: 80,
-      height: 40
-    };
+    // 撞到后等小鸟落地再显示的结算信息（见 showResults）
+    this.pendingResults = null;
     
     // ===== UI 动画 =====
     this.readyTextAlpha = 0;
@@ -85,10 +170,10 @@ export default class FlappyBird extends BaseGame {
     const clouds = [];
     for (let i = 0; i < 5; i++) {
       clouds.push({
-        x: randomInt(0, this.screenWidth),
-        y: randomInt(50, this.screenHeight * 0.4),
-        size: randomInt(40, 80),
-        speed: randomInt(10, 30)
+        x: randomInt(0, this.screenWidth, this.cloudRng),
+        y: randomInt(50, this.screenHeight * 0.4, this.cloudRng),
+        size: randomInt(40, 80, this.cloudRng),
+        speed: randomInt(10, 30, this.cloudRng)
       });
     }
     return clouds;
@@ -100,23 +185,11 @@ export default class FlappyBird extends BaseGame {
    * @param {number} dt - deltaTime
    */
   update(dt) {
-    super.update(dt);
-    
     // 更新背景云朵
     this.updateClouds(dt);
     
-    // 根据游戏状态更新
-    switch (this.gameState) {
-      case 'ready':
-        this.updateReadyState(dt);
-        break;
-      case 'playing':
-        this.updatePlayingState(dt);
-        break;
-      case 'gameover':
-        this.updateGameOverState(dt);
-        break;
-    }
+    // 根据游戏状态更新（见构造函数里的 defineStates）
+    super.update(dt);
   }
   
   /**
@@ -133,8 +206,9 @@ export default class FlappyBird extends BaseGame {
       this.readyTextDirection = 1;
     }
     
-    // 小鸟上下浮动
-    this.bird.getBody().y = this.screenHeight * 0.5 + Math.sin(Date.now() / 300) * 20;
+    // 小鸟上下浮动（按游戏时间算，不用真实时间：开始时小鸟的高度要能回放）
+    const birdBody = this.bird.getBody();
+    birdBody.setPosition(birdBody.x, this.screenHeight * 0.5 + Math.sin(this.scheduler.time * 1000 / 300) * 20);
   }
   
   /**
@@ -170,6 +244,38 @@ export default class FlappyBird extends BaseGame {
     // 物理继续更新（让小鸟掉下去）
     this.physicsWorld.update(dt);
     this.bird.update(dt);
+    
+    // 落到地面就停住，显示结算界面
+    const birdBody = this.bird.getBody();
+    if (birdBody.y + birdBody.radius >= this.groundY) {
+      birdBody.y = this.groundY - birdBody.radius;
+      birdBody.setVelocity(0, 0);
+      birdBody.setAcceleration(0, 0);
+      this.revealResults();
+    }
+  }
+  
+  /**
+   * 撞到之后先让小鸟掉下去，落地后再显示结算界面
+   * 结算界面是盖在上面的浮层，一显示游戏就不再更新了；最多等 1.5 秒，免得一直看不到结算
+   * 
+   * @param {Object} results - 结算信息
+   */
+  showResults(results) {
+    this.pendingResults = results;
+    this.scheduler.after(1.5, () => this.revealResults());
+  }
+  
+  /**
+   * 显示等待中的结算界面（只显示一次）
+   */
+  revealResults() {
+    if (!this.pendingResults) {
+      return;
+    }
+    const results = this.pendingResults;
+    this.pendingResults = null;
+    super.showResults(results);
   }
   
   /**
@@ -180,7 +286,7 @@ export default class FlappyBird extends BaseGame {
       cloud.x -= cloud.speed * dt;
       if (cloud.x + cloud.size < 0) {
         cloud.x = this.screenWidth + cloud.size;
-        cloud.y = randomInt(50, this.screenHeight * 0.4);
+        cloud.y = randomInt(50, this.screenHeight * 0.4, this.cloudRng);
       }
     }
   }
@@ -213,25 +319,26 @@ export default class FlappyBird extends BaseGame {
     if (this.pipeSpawnTimer >= this.pipeSpawnInterval) {
       this.pipeSpawnTimer = 0;
       
-      // 随机生成缺口位置
-      const gapY = randomInt(this.gapMinY, this.gapMaxY);
-      
-      // 创建新管道
-      const pipe = new Pipe(
-        this.screenWidth + 30,  // 从屏幕右边外面开始
-        gapY,
-        this.pipeGapHeight,
-        this.screenWidth,
-        this.screenHeight
-      );
-      
-      // 将管道的物理体添加到物理世界
-      for (const body of pipe.getBodies()) {
-        this.physicsWorld.addBody(body);
-      }
-      
-      this.pipes.push(pipe);
+      // 随机生成缺口位置，从屏幕右边外面开始
+      const gapY = randomInt(this.gapMinY, this.gapMaxY, this.rng);
+      this.addPipe(this.screenWidth + 30, gapY);
+    }
+  }
+  
+  /**
+   * 创建一根管道，并把它的物理体添加到物理世界
+   * 
+   * @param {number} x - 管道的 X 位置
+   * @param {number} gapY - 缺口中心的 Y 位置
+   * @returns {Pipe}
+   */
+  addPipe(x, gapY) {
+    const pipe = new Pipe(x, gapY, this.pipeGapHeight, this.screenWidth, this.screenHeight);
+    for (const body of pipe.getBodies()) {
+      this.physicsWorld.addBody(body);
     }
+    this.pipes.push(pipe);
+    return pipe;
   }
   
   /**
@@ -244,6 +351,7 @@ export default class FlappyBird extends BaseGame {
     for (const pipe of this.pipes) {
       for (const pipeBody of pipe.getBodies()) {
         if (this.physicsWorld.circleVsRect(birdBody, pipeBody)) {
+          this.playFeatherBurst();
           this.handleGameOver();
           return;
         }
@@ -251,6 +359,28 @@ export default class FlappyBird extends BaseGame {
     }
   }
   
+  /**
+   * 撞到管道时羽毛四散
+   */
+  playFeatherBurst() {
+    const birdBody = this.bird.getBody();
+    this.particles.burst(birdBody.x, birdBody.y, {
+      shape: 'circle',
+      radius: this.bird.radius * 0.6,
+      count: 14,
+      speed: [80, 220],
+      angle: [180, 360],
+      gravity: 400,
+      drag: 1.5,
+      lifetime: [0.6, 1.0],
+      particleShape: 'rect',
+      size: [6, 4],
+      spin: [-540, 540],
+      palette: [this.bird.bodyColor, this.bird.wingColor, '#FFFFFF'],
+      alpha: [1, 1, 0]
+    });
+  }
+  
   /**
    * 检查计分
    */
@@ -261,7 +391,8 @@ export default class FlappyBird extends BaseGame {
       // 如果小鸟飞过了管道中心，且还没计分
       if (!pipe.scored && birdX > pipe.x) {
         pipe.scored = true;
-        this.score++;
+        this.addScore(1);
+        this.playSound('score');
         console.log(`🎯 得分: ${this.score}`);
       }
     }
@@ -291,25 +422,29 @@ export default class FlappyBird extends BaseGame {
    * 处理游戏结束
    */
   handleGameOver() {
-    if (this.gameState === 'gameover') return;
-    
-    this.gameState = 'gameover';
-    console.log('💀 游戏结束！');
-    
-    // 更新最高分
-    if (this.score > this.bestScore) {
-      this.bestScore = this.score;
-      this.saveBestScore();
-      console.log(`🎉 新纪录: ${this.bestScore}`);
+    // 同一帧里可能既撞到管道又碰到边界，只结束一次
+    if (this.fsm.can('over')) {
+      this.playSound('hit');
+      this.vibrate('crash');
+      this.fsm.go('over');
     }
   }
   
+  /**
+   * 让小鸟往上跳一下（点击屏幕、按跳跃键）
+   */
+  flap() {
+    this.bird.jump();
+    this.playSound('jump');
+  }
+  
   /**
    * 渲染游戏画面
    * 
    * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例
    */
-  render(ctx) {
+  render(ctx, alpha = 1) {
     // 1. 绘制背景
     this.renderBackground(ctx);
     
@@ -317,27 +452,25 @@ export default class FlappyBird extends BaseGame {
     this.renderClouds(ctx);
     
     // 3. 绘制管道
+    const pipeSprites = { body: this.assets.frame('pipe'), cap: this.assets.frame('pipeCap') };
     for (const pipe of this.pipes) {
-      pipe.render(ctx);
+      pipe.render(ctx, alpha, pipeSprites);
     }
     
     // 4. 绘制地面
     this.renderGround(ctx);
     
     // 5. 绘制小鸟
-    this.bird.render(ctx);
+    this.bird.render(ctx, alpha, this.assets.frame('bird'));
+    
+    // 6. 绘制粒子特效（撞管道时的羽毛）
+    this.particles.render(ctx);
     
-    // 6. 绘制物理调试信息（如果开启）
+    // 7. 绘制物理调试信息（如果开启）
     this.physicsWorld.debugDraw(ctx);
     
-    // 7. 绘制 UI
+    // 8. 绘制 UI
     this.renderUI(ctx);
-    
-    // 8. 绘制返回按钮
-    this.renderBackButton(ctx);
-    
-    // 9. 绘制调试按钮
-    this.renderDebugButton(ctx);
   }
   
   /**
@@ -397,7 +530,22 @@ export default class FlappyBird extends BaseGame {
    * 绘制 UI
    */
   renderUI(ctx) {
-    // 分数显示
+    // 分数显示（有位图字体时用它）
+    const scoreFont = this.assets.font('score');
+    if (scoreFont) {
+      scoreFont.draw(ctx, this.score.toString(), this.screenWidth / 2, 100, { align: 'center' });
+    } else {
+      this.renderScoreText(ctx);
+    }
+    
+    // 根据游戏状态显示不同的 UI（准备状态显示"点击屏幕开始游戏"）
+    this.fsm.render(ctx);
+  }
+  
+  /**
+   * 用系统字体画分数（没有位图字体时）
+   */
+  renderScoreText(ctx) {
     ctx.fillStyle = '#FFFFFF';
     ctx.strokeStyle = '#000000';
     ctx.lineWidth = 3;
@@ -408,16 +556,6 @@ export default class FlappyBird extends BaseGame {
     // 文字描边
     ctx.strokeText(this.score.toString(), this.screenWidth / 2, 100);
     ctx.fillText(this.score.toString(), this.screenWidth / 2, 100);
-    
-    // 根据游戏状态显示不同的 UI
-    switch (this.gameState) {
-      case 'ready':
-        this.renderReadyUI(ctx);
-        break;
-      case 'gameover':
-        this.renderGameOverUI(ctx);
-        break;
-    }
   }
   
   /**
@@ -430,6 +568,7 @@ export default class FlappyBird extends BaseGame {
     ctx.lineWidth = 2;
     ctx.font = 'bold 24px PingFang SC';
     ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
     
     const text = '点击屏幕开始游戏';
     ctx.strokeText(text, this.screenWidth / 2, this.screenHeight * 0.7);
@@ -439,183 +578,46 @@ export default class FlappyBird extends BaseGame {
   }
   
   /**
-   * 绘制游戏结束 UI
-   */
-  renderGameOverUI(ctx) {
-    // 半透明遮罩
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
-    
-    // 游戏结束面板
-    const panelWidth = this.screenWidth * 0.8;
-    const panelHeight = 280;
-    const panelX = (this.screenWidth - panelWidth) / 2;
-    const panelY = (this.screenHeight - panelHeight) / 2;
-    
-    // 面板背景
-    ctx.fillStyle = '#FFFFFF';
-    drawRoundRect(ctx, panelX, panelY, panelWidth, panelHeight, 20);
-    ctx.fill();
-    
-    // 标题
-    ctx.fillStyle = '#333333';
-    ctx.font = 'bold 32px PingFang SC';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('游戏结束', this.screenWidth / 2, panelY + 45);
-    
-    // 分数
-    ctx.font = '20px PingFang SC';
-    ctx.fillText(`得分: ${this.score}`, this.screenWidth / 2, panelY + 100);
-    ctx.fillText(`最高分: ${this.bestScore}`, this.screenWidth / 2, panelY + 135);
-    
-    // 新纪录标记
-    if (this.score >= this.bestScore && this.score > 0) {
-      ctx.fillStyle = '#FF6B35';
-      ctx.font = 'bold 16px PingFang SC';
-      ctx.fillText('🎉 新纪录！', this.screenWidth / 2, panelY + 170);
-    }
-    
-    // 重新开始按钮
-    this.restartButton = {
-      x: panelX + 20,
-      y: panelY + panelHeight - 70,
-      width: (panelWidth - 50) / 2,
-      height: 50
-    };
-    
-    ctx.fillStyle = '#4CAF50';
-    drawRoundRect(
-      ctx,
-      this.restartButton.x,
-      this.restartButton.y,
-      this.restartButton.width,
-      this.restartButton.height,
-      10
-    );
-    ctx.fill();
-    
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 18px PingFang SC';
-    ctx.fillText('重新开始', this.restartButton.x + this.restartButton.width / 2, this.restartButton.y + 25);
-    
-    // 返回大厅按钮
-    this.lobbyButton = {
-      x: panelX + panelWidth / 2 + 5,
-      y: panelY + panelHeight - 70,
-      width: (panelWidth - 50) / 2,
-      height: 50
-    };
-    
-    ctx.fillStyle = '#2196F3';
-    drawRoundRect(
-      ctx,
-      this.lobbyButton.x,
-      this.lobbyButton.y,
-      this.lobbyButton.width,
-      this.lobbyButton.height,
-      10
-    );
-    ctx.fill();
-    
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillText('返回大厅', this.lobbyButton.x + this.lobbyButton.width / 2, this.lobbyButton.y + 25);
-  }
-  
-  /**
-   * 绘制调试按钮
+   * 打开/关闭物理调试显示
    */
-  renderDebugButton(ctx) {
-    const btn = this.debugButton;
-    
-    // 按钮背景
-    ctx.fillStyle = this.physicsWorld.debugMode ? 
-      'rgba(0, 255, 0, 0.7)' : 'rgba(100, 100, 100, 0.7)';
-    drawRoundRect(ctx, btn.x, btn.y, btn.width, btn.height, 8);
-    ctx.fill();
-    
-    // 按钮文字
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '14px PingFang SC';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(
-      this.physicsWorld.debugMode ? '调试:开' : '调试:关',
-      btn.x + btn.width / 2,
-      btn.y + btn.height / 2
-    );
+  toggleDebugMode() {
+    this.physicsWorld.toggleDebugMode();
+    this.updateDebugButton();
   }
   
   /**
-   * 触摸开始事件
+   * 调试按钮的文字和颜色跟着调试状态变
    */
-  onTouchStart(touch) {
-    // 检查返回按钮
-    if (super.onTouchStart(touch)) {
-      return;
-    }
-    
-    // 检查调试按钮
-    if (this.isPointInButton(touch.x, touch.y, this.debugButton)) {
-      this.physicsWorld.toggleDebugMode();
-      return;
-    }
-    
-    // 根据游戏状态处理
-    switch (this.gameState) {
-      case 'ready':
-        // 开始游戏
-        this.gameState = 'playing';
-        this.bird.jump();
-        break;
-        
-      case 'playing':
-        // 让小鸟跳跃
-        this.bird.jump();
-        break;
-        
-      case 'gameover':
-        // 检查是否点击了重新开始按钮
-        if (this.restartButton && this.isPointInButton(touch.x, touch.y, this.restartButton)) {
-          this.restartGame();
-        }
-        // 检查是否点击了返回大厅按钮
-        else if (this.lobbyButton && this.isPointInButton(touch.x, touch.y, this.lobbyButton)) {
-          this.backToLobby();
-        }
-        break;
-    }
+  updateDebugButton() {
+    const on = this.physicsWorld.debugMode;
+    this.debugButton.text = on ? '调试:开' : '调试:关';
+    this.debugButton.style.background = on ? 'rgba(0, 255, 0, 0.7)' : 'rgba(100, 100, 100, 0.7)';
   }
   
   /**
-   * 检查点击是否在按钮范围内
+   * 保存小鸟的高度和速度、每根管道的位置（得分由 BaseGame 保存）
    */
-  isPointInButton(x, y, button) {
-    return x >= button.x && x <= button.x + button.width &&
-           y >= button.y && y <= button.y + button.height;
+  serialize() {
+    const body = this.bird.getBody();
+    return {
+      bird: { y: body.y, vy: body.vy, rotation: this.bird.rotation },
+      pipes: this.pipes.map(pipe => ({ x: pipe.x, gapY: pipe.gapY, scored: pipe.scored })),
+      pipeSpawnTimer: this.pipeSpawnTimer
+    };
   }
   
   /**
-   * 重新开始游戏
+   * 恢复小鸟和管道，直接进入飞行状态（恢复后会先暂停，点击继续后才开始动）
    */
-  restartGame() {
-    // 清除管道
-    for (const pipe of this.pipes) {
-      for (const body of pipe.getBodies()) {
-        this.physicsWorld.removeBody(body);
-      }
-    }
-    this.pipes = [];
-    
-    // 重置小鸟
-    this.bird.reset(this.screenWidth * 0.3, this.screenHeight * 0.5);
-    
-    // 重置游戏状态
-    this.score = 0;
-    this.pipeSpawnTimer = 0;
-    this.gameState = 'ready';
+  deserialize(state) {
+    this.bird.reset(this.screenWidth * 0.3, state.bird.y);
+    this.bird.getBody().setVelocity(0, state.bird.vy);
+    this.bird.rotation = state.bird.rotation;
     
-    console.log('🔄 游戏重新开始');
+    for (const saved of state.pipes) {
+      this.addPipe(saved.x, saved.gapY).scored = saved.scored;
+    }
+    this.pipeSpawnTimer = state.pipeSpawnTimer;
   }
   
   /**
@@ -628,27 +630,4 @@ export default class FlappyBird extends BaseGame {
     super.destroy();
     console.log('🐦 FlappyBird 游戏已关闭');
   }
-  
-  /**
-   * 加载最高分
-   */
-  loadBestScore() {
-    try {
-      const score = wx.getStorageSync('flappybird_bestscore');
-      return score || 0;
-    } catch (e) {
-      return 0;
-    }
-  }
-  
-  /**
-   * 保存最高分
-   */
-  saveBestScore() {
-    try {
-      wx.setStorageSync('flappybird_bestscore', this.bestScore);
-    } catch (e) {
-      console.error('保存最高分失败', e);
-    }
-  }
 }
@@ -12,6 +12,7 @@
  */
 
 import RectBody from '../../physics/RectBody.js';
+import { drawFrame } from '../../assets/SpriteSheet.js';
 
 export default class Pipe {
   /**
@@ -29,6 +30,7 @@ export default class Pipe {
     
     // 保存参数
     this.x = x;
+    this.prevX = x;  // 上一次 update 之前的位置（用于渲染插值）
     this.gapY = gapY;
     this.gapHeight = gapHeight;
     this.screenHeight = screenHeight;
@@ -80,6 +82,9 @@ export default class Pipe {
    * @param {number} dt - deltaTime
    */
   update(dt) {
+    // 记住更新前的位置
+    this.prevX = this.x;
+    
     // 向左移动
     const dx = -this.speed * dt;
     
@@ -98,13 +103,23 @@ export default class Pipe {
    * 渲染管道
    * 
    * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例（固定步长模式下使用）
+   * @param {Object} sprites - 管道的图片 { body, cap }（各是一帧，见 assets/SpriteSheet.js），没有时用代码画
    */
-  render(ctx) {
+  render(ctx, alpha = 1, sprites = null) {
+    // 插值后的位置和当前位置的差
+    const offsetX = (this.prevX - this.x) * (1 - alpha);
+    
+    ctx.save();
+    ctx.translate(offsetX, 0);
+    
     // 绘制上管道
-    this.renderSinglePipe(ctx, this.topBody, true);
+    this.renderSinglePipe(ctx, this.topBody, true, sprites);
     
     // 绘制下管道
-    this.renderSinglePipe(ctx, this.bottomBody, false);
+    this.renderSinglePipe(ctx, this.bottomBody, false, sprites);
+    
+    ctx.restore();
   }
   
   /**
@@ -113,8 +128,9 @@ export default class Pipe {
    * @param {CanvasRenderingContext2D} ctx - 画布上下文
    * @param {RectBody} body - 管道的物理体
    * @param {boolean} isTop - 是否是上管道
+   * @param {Object} sprites - 管道的图片 { body, cap }，没有时用代码画
    */
-  renderSinglePipe(ctx, body, isTop) {
+  renderSinglePipe(ctx, body, isTop, sprites) {
     const x = body.left;
     const y = body.top;
     const w = body.width;
@@ -125,6 +141,20 @@ export default class Pipe {
     const capHeight = 30;
     const capX = x - 5;  // 让帽子比管道宽一点
     
+    if (sprites && sprites.body && sprites.cap) {
+      // 管道主体竖着拉伸到管道的长度；帽子画在缺口那一端，上管道的帽子上下翻转
+      drawFrame(ctx, sprites.body, x, y, w, h);
+      const capY = isTop ? y + h - capHeight : y;
+      ctx.save();
+      if (isTop) {
+        ctx.translate(0, capY * 2 + capHeight);
+        ctx.scale(1, -1);
+      }
+      drawFrame(ctx, sprites.cap, capX, capY, capWidth, capHeight);
+      ctx.restore();
+      return;
+    }
+    
     ctx.save();
     
     // 绘制管道主体
@@ -196,6 +226,7 @@ export default class Pipe {
    */
   reset(x, gapY) {
     this.x = x;
+    this.prevX = x;
     this.gapY = gapY;
     this.scored = false;
     this.isOffScreen = false;
@@ -8,9 +8,28 @@
 
 import BaseGame from '../../base/BaseGame.js';
 import { LinkGameAlgorithm } from './LinkGameAlgorithm.js';
-import { randomInt, drawRoundRect } from '../../utils/utils.js';
+import { drawRoundRect } from '../../utils/utils.js';
+import Tween from '../../animation/Tween.js';
+import Button from '../../ui/Button.js';
+import { drawFrame } from '../../assets/SpriteSheet.js';
 
 export default class LinkGame extends BaseGame {
+  /**
+   * 音效（用合成器现算，见 audio/sfxPresets.js）
+   */
+  static sounds = {
+    match: { synth: 'coin' },
+    levelUp: { synth: 'powerup', maxInstances: 1 }
+  };
+  
+  /**
+   * 图片资源（见 assets/AssetManager.js）
+   * 
+   * 图集里有和图案同名的帧（比如 star_FF6B6B，见 generatePatterns()）时用图片画这个图案，
+   * 没有时用代码画（现在还没有美术资源，所以是空的）
+   */
+  static assets = {};
+  
   /**
    * 构造函数
    */
@@ -18,32 +37,45 @@ export default class LinkGame extends BaseGame {
     super(gameManager);
     
     // 游戏配置
-    this.gridSize = 60;  // 格子大小
+    this.maxGridSize = 60; // 格子最大尺寸
     this.gridRows = 8;   // 网格行数
     this.gridCols = 10;  // 网格列数
     this.gridMargin = 20; // 网格边距
     
-    // 计算网格位置（居中）
-    this.gridWidth = this.gridCols * this.gridSize;
-    this.gridHeight = this.gridRows * this.gridSize;
-    this.gridX = (this.screenWidth - this.gridWidth) / 2;
-    this.gridY = (this.screenHeight - this.gridHeight) / 2 + 30;
+    // 顶部信息栏和提示按钮（跟着安全区域往下移，避开刘海）
+    const safeTop = this.layout.safeArea.y;
+    this.topBarHeight = safeTop + 40;
+    this.topBarTextY = safeTop + 5;
+    this.hintButton = this.ui.add(new Button({
+      ...this.layout.place({
+        anchor: 'top-right',
+        x: -20,
+        y: 50,
+        width: 100,
+        height: 40
+      }),
+      text: '提示',
+      style: { background: '#3498DB' },
+      visible: false,  // 只在游戏进行中显示
+      onTap: () => this.showHint()
+    }));
+    
+    // 计算格子大小和网格位置
+    this.calculateGridLayout();
     
     // 游戏状态
     this.currentLevel = 1;
     this.totalLevels = 5;
     this.score = 0;
     this.timeLeft = 180; // 3分钟
-    this.gameStarted = false;
-    this.isGameOver = false;
+    this.countdownTask = 0; // 倒计时任务的编号（见 beginPlaying()）
         
     // 选中的格子
     this.selectedCell = null;
     this.hintCell = null;
     
-    // 连接线相关
+    // 连接线相关（连接成功后显示 0.5 秒）
     this.connectionPath = null;
-    this.connectionTimer = 0;
     
     // 游戏数据
     this.grid = [];
@@ -61,8 +93,36 @@ export default class LinkGame extends BaseGame {
     // 图案库
     this.patterns = this.generatePatterns();
     
-    // 计时器
-    this.lastUpdateTime = 0;
+    // 游戏流程：ready（开始界面）→ playing（倒计时、点格子）→ over（时间到或者全部通关）
+    this.defineStates({
+      initial: 'ready',
+      states: {
+        ready: {
+          to: ['playing'],
+          onTouchStart: () => this.fsm.go('playing'),
+          onAction: (action) => action === 'action' && this.fsm.go('playing')
+        },
+        playing: {
+          to: ['over'],
+          enter: () => this.startGame(),
+          // 离开时（结束或者重新开始）收起提示按钮、停止倒计时
+          exit: () => {
+            this.hintButton.hide();
+            this.scheduler.cancel(this.countdownTask);
+          },
+          update: () => {
+            if (this.checkLevelComplete()) {
+              this.completeLevel();
+            }
+          },
+          onTouchStart: (touch) => this.handleCellClick(touch.x, touch.y)
+        },
+        over: {
+          to: [],
+          enter: () => this.gameOver()
+        }
+      }
+    });
   }
   
   /**
@@ -75,22 +135,42 @@ export default class LinkGame extends BaseGame {
     this.currentLevel = 1;
     this.score = 0;
     this.timeLeft = 180;
-    this.gameStarted = false;
-    this.isGameOver = false;
     this.selectedCell = null;
     this.hintCell = null;
     this.connectionPath = null;
-    this.connectionTimer = 0;
+    this.hintButton.hide();
     
     // 初始化网格
     this.initializeGrid();
     
     // 创建算法实例
-    this.algorithm = new LinkGameAlgorithm(this.grid);
+    this.algorithm = new LinkGameAlgorithm(this.grid, this.rng);
     
     console.log('🔗 连连看游戏初始化完成');
   }
   
+  /**
+   * 计算格子大小和网格位置
+   * 格子最大 60 像素，屏幕放不下时自动缩小，网格在提示按钮下方的区域里居中
+   */
+  calculateGridLayout() {
+    const area = this.layout.safeArea;
+    const top = this.hintButton.y + this.hintButton.height + 10;
+    const availableWidth = area.width - this.gridMargin * 2;
+    const availableHeight = area.y + area.height - top - this.gridMargin;
+    
+    this.gridSize = Math.min(
+      this.maxGridSize,
+      Math.floor(availableWidth / this.gridCols),
+      Math.floor(availableHeight / this.gridRows)
+    );
+    
+    this.gridWidth = this.gridCols * this.gridSize;
+    this.gridHeight = this.gridRows * this.gridSize;
+    this.gridX = area.x + (area.width - this.gridWidth) / 2;
+    this.gridY = top + (availableHeight - this.gridHeight) / 2;
+  }
+  
   /**
    * 生成图案库
    */
@@ -140,6 +220,9 @@ export default class LinkGame extends BaseGame {
           pattern: null,
           visible: false,
           matched: false,
+          removing: false,  // 是否正在播放消除动画
+          scale: 1,         // 动画用的缩放比例
+          alpha: 1,         // 动画用的透明度
           x: this.gridX + col * this.gridSize,
           y: this.gridY + row * this.gridSize
         };
@@ -192,50 +275,7 @@ export default class LinkGame extends BaseGame {
    * 打乱数组
    */
   shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-  }
-  
-  /**
-   * 更新游戏逻辑
-   */
-  update(deltaTime) {
-    super.update(deltaTime);
-    
-    if (!this.gameStarted || this.isGameOver) {
-      return;
-    }
-    
-    // 更新时间
-    this.lastUpdateTime += deltaTime;
-    
-    // 每秒更新一次计时器
-    if (this.lastUpdateTime >= 1) {
-      this.timeLeft--;
-      this.lastUpdateTime = 0;
-      
-      // 检查时间是否用完
-      if (this.timeLeft <= 0) {
-        this.gameOver();
-        return;
-      }
-    }
-    
-    // 处理连接线动画
-    if (this.connectionPath) {
-      this.connectionTimer += deltaTime;
-      if (this.connectionTimer >= 0.5) {
-        this.connectionPath = null;
-        this.connectionTimer = 0;
-      }
-    }
-    
-    // 检查游戏是否完成
-    if (this.checkLevelComplete()) {
-      this.completeLevel();
-    }
+    this.rng.shuffle(array);
   }
   
   /**
@@ -246,25 +286,20 @@ export default class LinkGame extends BaseGame {
     ctx.fillStyle = '#2C3E50';
     ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
     
-    if (!this.gameStarted) {
+    if (this.fsm.is('ready')) {
       this.renderStartScreen(ctx);
       return;
     }
     
-    if (this.isGameOver) {
-      this.renderGameOver(ctx);
-      return;
-    }
-    
-    // 绘制游戏界面
+    // 绘制游戏界面（结束后也照常画，结算界面盖在上面）
     this.renderGameUI(ctx);
     this.renderGrid(ctx);
     this.renderConnectionLine(ctx);
     this.renderSelectedCell(ctx);
     this.renderHintCell(ctx);
     
-    // 绘制返回按钮
-    this.renderBackButton(ctx);
+    // 绘制粒子特效（过关时的纸屑）
+    this.particles.render(ctx);
   }
   
   /**
@@ -273,52 +308,23 @@ export default class LinkGame extends BaseGame {
   renderGameUI(ctx) {
     // 顶部信息栏
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, this.screenWidth, 60);
+    ctx.fillRect(0, 0, this.screenWidth, this.topBarHeight);
     
     // 关卡信息
     ctx.fillStyle = '#FFFFFF';
     ctx.font = 'bold 18px PingFang SC';
     ctx.textAlign = 'left';
-    ctx.fillText(`关卡: ${this.currentLevel}/${this.totalLevels}`, 20, 25);
+    ctx.fillText(`关卡: ${this.currentLevel}/${this.totalLevels}`, 20, this.topBarTextY);
     
     // 分数
     ctx.textAlign = 'center';
-    ctx.fillText(`分数: ${this.score}`, this.screenWidth / 2, 25);
+    ctx.fillText(`分数: ${this.score}`, this.screenWidth / 2, this.topBarTextY);
     
     // 时间
     const minutes = Math.floor(this.timeLeft / 60);
     const seconds = this.timeLeft % 60;
     ctx.textAlign = 'right';
-    ctx.fillText(`时间: ${minutes}:${seconds.toString().padStart(2, '0')}`, this.screenWidth - 20, 25);
-    
-    // 提示按钮
-    this.renderHintButton(ctx);
-  }
-  
-  /**
-   * 渲染提示按钮
-   */
-  renderHintButton(ctx) {
-    const hintButton = {
-      x: this.screenWidth - 120,
-      y: 70,
-      width: 100,
-      height: 40
-    };
-    
-    // 绘制按钮背景
-    ctx.fillStyle = '#3498DB';
-    drawRoundRect(ctx, hintButton.x, hintButton.y, hintButton.width, hintButton.height, 8);
-    ctx.fill();
-    
-    // 绘制按钮文字
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '16px PingFang SC';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('提示', hintButton.x + hintButton.width / 2, hintButton.y + hintButton.height / 2);
-    
-    this.hintButton = hintButton;
+    ctx.fillText(`时间: ${minutes}:${seconds.toString().padStart(2, '0')}`, this.screenWidth - 20, this.topBarTextY);
   }
   
   /**
@@ -356,7 +362,8 @@ export default class LinkGame extends BaseGame {
     for (let row = 0; row < this.gridRows; row++) {
       for (let col = 0; col < this.gridCols; col++) {
         const cell = this.grid[row][col];
-        if (cell.visible && !cell.matched) {
+        // 已经消除的格子在消除动画播完之前还要画出来
+        if (cell.visible && (!cell.matched || cell.removing)) {
           this.renderCell(ctx, cell);
         }
       }
@@ -371,52 +378,65 @@ export default class LinkGame extends BaseGame {
     const centerY = cell.y + this.gridSize / 2;
     const radius = this.gridSize / 2 - 5;
     
+    // 按动画的缩放比例和透明度绘制（以格子中心缩放）
+    ctx.save();
+    ctx.globalAlpha = cell.alpha;
+    ctx.translate(centerX, centerY);
+    ctx.scale(cell.scale, cell.scale);
+    ctx.translate(-centerX, -centerY);
+    
     // 绘制格子背景
     ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
     drawRoundRect(ctx, cell.x, cell.y, this.gridSize, this.gridSize, 8);
     ctx.fill();
     
     if (cell.pattern) {
-      // 绘制图案
-      ctx.fillStyle = cell.pattern.color;
-      
-      switch (cell.pattern.shape) {
-        case 'circle':
-          ctx.beginPath();
-          ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-          ctx.fill();
-          break;
-          
-        case 'square':
-          ctx.fillRect(centerX - radius, centerY - radius, radius * 2, radius * 2);
-          break;
-          
-        case 'triangle':
-          ctx.beginPath();
-          ctx.moveTo(centerX, centerY - radius);
-          ctx.lineTo(centerX + radius, centerY + radius);
-          ctx.lineTo(centerX - radius, centerY + radius);
-          ctx.closePath();
-          ctx.fill();
-          break;
-          
-        case 'diamond':
-          ctx.beginPath();
-          ctx.moveTo(centerX, centerY - radius);
-          ctx.lineTo(centerX + radius, centerY);
-          ctx.lineTo(centerX, centerY + radius);
-          ctx.lineTo(centerX - radius, centerY);
-          ctx.closePath();
-          ctx.fill();
-          break;
-          
-        case 'star':
-          this.drawStar(ctx, centerX, centerY, radius);
-          break;
-          
-        case 'heart':
-          this.drawHeart(ctx, centerX, centerY, radius);
-          break;
+      const sprite = this.assets.frame(cell.pattern.name);
+      if (sprite) {
+        // 图集里有这个图案的图片
+        drawFrame(ctx, sprite, centerX - radius, centerY - radius, radius * 2, radius * 2);
+      } else {
+        // 绘制图案
+        ctx.fillStyle = cell.pattern.color;
+        
+        switch (cell.pattern.shape) {
+          case 'circle':
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+            
+          case 'square':
+            ctx.fillRect(centerX - radius, centerY - radius, radius * 2, radius * 2);
+            break;
+            
+          case 'triangle':
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY - radius);
+            ctx.lineTo(centerX + radius, centerY + radius);
+            ctx.lineTo(centerX - radius, centerY + radius);
+            ctx.closePath();
+            ctx.fill();
+            break;
+            
+          case 'diamond':
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY - radius);
+            ctx.lineTo(centerX + radius, centerY);
+            ctx.lineTo(centerX, centerY + radius);
+            ctx.lineTo(centerX - radius, centerY);
+            ctx.closePath();
+            ctx.fill();
+            break;
+            
+          case 'star':
+            this.drawStar(ctx, centerX, centerY, radius);
+            break;
+            
+          case 'heart':
+            this.drawHeart(ctx, centerX, centerY, radius);
+            break;
+        }
       }
       
       // 绘制边框
@@ -425,6 +445,8 @@ export default class LinkGame extends BaseGame {
       drawRoundRect(ctx, cell.x, cell.y, this.gridSize, this.gridSize, 8);
       ctx.stroke();
     }
+    
+    ctx.restore();
   }
   
   /**
@@ -495,23 +517,7 @@ export default class LinkGame extends BaseGame {
       const cell = this.hintCell;
       
       // 绘制提示框（闪烁效果）
-      const alpha = Math.sin(Date.now() / 200) * 0.5 + 0.5;
-      ctx.strokeStyle = `rgba(52, 152, 219, ${alpha})`;
-      ctx.lineWidth = 3;
-      drawRoundRect(ctx, cell.x, cell.y, this.gridSize, this.gridSize, 8);
-      ctx.stroke();
-    }
-  }
-  
-  /**
-   * 渲染提示格子
-   */
-  renderHintCell(ctx) {
-    if (this.hintCell) {
-      const cell = this.hintCell;
-      
-      // 绘制提示框（闪烁效果）
-      const alpha = Math.sin(Date.now() / 200) * 0.5 + 0.5;
+      const alpha = Math.sin(this.platform.now() / 200) * 0.5 + 0.5;
       ctx.strokeStyle = `rgba(52, 152, 219, ${alpha})`;
       ctx.lineWidth = 3;
       drawRoundRect(ctx, cell.x, cell.y, this.gridSize, this.gridSize, 8);
@@ -594,68 +600,36 @@ export default class LinkGame extends BaseGame {
   }
   
   /**
-   * 渲染游戏结束界面
+   * 开始游戏，并开始倒计时
    */
-  renderGameOver(ctx) {
-    // 半透明遮罩
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
-    
-    // 游戏结束文字
-    ctx.fillStyle = '#E74C3C';
-    ctx.font = 'bold 36px PingFang SC';
-    ctx.textAlign = 'center';
-    ctx.fillText('游戏结束', this.screenWidth / 2, this.screenHeight / 2 - 60);
-    
-    // 最终得分
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '24px PingFang SC';
-    ctx.fillText(`最终得分: ${this.score}`, this.screenWidth / 2, this.screenHeight / 2);
-    
-    // 到达关卡
-    ctx.fillText(`到达关卡: ${this.currentLevel}`, this.screenWidth / 2, this.screenHeight / 2 + 40);
-    
-    // 重新开始提示
-    ctx.font = '18px PingFang SC';
-    ctx.fillText('点击屏幕重新开始', this.screenWidth / 2, this.screenHeight / 2 + 100);
+  startGame() {
+    this.beginPlaying();
+    this.gameStart();
+    console.log('▶️ 连连看游戏开始');
   }
   
   /**
-   * 触摸开始事件
+   * 进入游戏中的状态：显示提示按钮，开始倒计时（开始新的一局和继续上次的游戏都会调用）
    */
-  onTouchStart(touch) {
-    // 检查是否点击了返回按钮
-    if (super.onTouchStart(touch)) {
-      return true;
-    }
-    
-    // 检查是否点击了提示按钮
-    if (this.hintButton && this.isPointInRect(touch.x, touch.y, this.hintButton)) {
-      this.showHint();
-      return true;
-    }
-    
-    // 如果游戏未开始，点击屏幕开始游戏
-    if (!this.gameStarted && !this.isGameOver) {
-      this.gameStarted = true;
-      this.lastUpdateTime = 0;
-      console.log('▶️ 连连看游戏开始');
-      return true;
-    }
+  beginPlaying() {
+    this.hintButton.show();
     
-    // 如果游戏结束，点击屏幕重新开始
-    if (this.isGameOver) {
-      this.init();
-      return true;
+    // 每秒倒计时一次（游戏暂停时定时器也会停住）
+    this.countdownTask = this.scheduler.every(1, () => this.tick());
+  }
+  
+  /**
+   * 倒计时一秒，时间用完游戏结束
+   */
+  tick() {
+    if (!this.fsm.is('playing')) {
+      return;
     }
     
-    // 处理格子点击
-    if (this.gameStarted && !this.isGameOver) {
-      this.handleCellClick(touch.x, touch.y);
-      return true;
+    this.timeLeft--;
+    if (this.timeLeft <= 0) {
+      this.fsm.go('over');
     }
-    
-    return false;
   }
   
   /**
@@ -687,11 +661,22 @@ export default class LinkGame extends BaseGame {
   tryConnectCells(cell1, cell2) {
     if (this.algorithm.canConnect(cell1, cell2)) {
       // 连接成功
-      this.connectionPath = this.algorithm.getConnectionPath(cell1, cell2);
+      const path = this.algorithm.getConnectionPath(cell1, cell2);
+      this.connectionPath = path;
+      
+      // 0.5 秒后隐藏连接线
+      this.scheduler.after(0.5, () => {
+        if (this.connectionPath === path) {
+          this.connectionPath = null;
+        }
+      });
       
-      // 标记格子为已匹配
+      // 标记格子为已匹配，并播放消除动画
       cell1.matched = true;
       cell2.matched = true;
+      this.playRemoveAnimation(cell1);
+      this.playRemoveAnimation(cell2);
+      this.playSound('match');
       
       // 计算得分
       this.calculateScore(cell1, cell2);
@@ -704,10 +689,45 @@ export default class LinkGame extends BaseGame {
     } else {
       // 连接失败
       this.selectedCell = cell2;
+      this.vibrate('error');
       console.log('❌ 无法连接这两个格子');
     }
   }
   
+  /**
+   * 过关撒纸屑：从屏幕顶部落下彩色纸屑
+   */
+  playConfetti() {
+    this.particles.burst(this.screenWidth / 2, this.layout.safeArea.y, {
+      shape: 'rect',
+      width: this.screenWidth,
+      height: 10,
+      count: 80,
+      angle: [60, 120],
+      speed: [50, 200],
+      gravity: 250,
+      drag: 0.5,
+      lifetime: [1.5, 2.5],
+      particleShape: 'rect',
+      size: [5, 4],
+      spin: [-360, 360],
+      palette: ['#E74C3C', '#F1C40F', '#2ECC71', '#3498DB', '#9B59B6', '#FFFFFF'],
+      alpha: [1, 1, 0]
+    });
+  }
+  
+  /**
+   * 消除动画：先放大一点，再缩小淡出
+   */
+  playRemoveAnimation(cell) {
+    cell.removing = true;
+    this.tweens.sequence([
+      new Tween(cell, { scale: 1.15 }, { duration: 0.08 }),
+      new Tween(cell, { scale: 0, alpha: 0 }, { duration: 0.2, easing: 'easeInQuad' }),
+      () => { cell.removing = false; }
+    ]);
+  }
+  
   /**
    * 计算得分
    */
@@ -736,7 +756,7 @@ export default class LinkGame extends BaseGame {
     const timeBonus = Math.floor(this.timeLeft / 10);
     baseScore += timeBonus;
     
-    this.score += baseScore;
+    this.addScore(baseScore);
   }
   
   /**
@@ -748,11 +768,11 @@ export default class LinkGame extends BaseGame {
       this.hintCell = hint.cell1;
       
       // 3秒后自动清除提示
-      setTimeout(() => {
+      this.scheduler.after(3, () => {
         if (this.hintCell === hint.cell1) {
           this.hintCell = null;
         }
-      }, 3000);
+      });
       
       console.log('💡 显示提示');
     } else {
@@ -782,29 +802,32 @@ export default class LinkGame extends BaseGame {
     console.log(`🎉 完成关卡 ${this.currentLevel}`);
     
     // 关卡完成奖励
-    this.score += this.currentLevel * 50;
+    this.addScore(this.currentLevel * 50);
+    this.playConfetti();
+    this.playSound('levelUp');
     
     // 检查是否还有下一关
     if (this.currentLevel < this.totalLevels) {
       this.currentLevel++;
       this.timeLeft = 180; // 重置时间
       this.initializeGrid();
-      this.algorithm = new LinkGameAlgorithm(this.grid);
+      this.algorithm = new LinkGameAlgorithm(this.grid, this.rng);
       
       console.log(`🚀 进入关卡 ${this.currentLevel}`);
     } else {
       // 完成所有关卡
-      this.gameOver();
+      this.fsm.go('over');
     }
   }
   
   /**
-   * 游戏结束
+   * 游戏结束（时间用完，或者通关了最后一关）
    */
   gameOver() {
-    this.isGameOver = true;
-    this.gameStarted = false;
-    console.log('💀 游戏结束');
+    super.gameOver({
+      title: this.timeLeft > 0 ? '全部通关！' : '时间到',
+      stats: [{ label: '关卡', value: `${this.currentLevel}/${this.totalLevels}` }]
+    });
   }
   
   /**
@@ -827,18 +850,39 @@ export default class LinkGame extends BaseGame {
   }
   
   /**
-   * 检查点是否在矩形内
+   * 保存关卡、剩余时间和棋盘（每个格子存图案编号，已经消掉的存 0）
    */
-  isPointInRect(x, y, rect) {
-    return x >= rect.x && x <= rect.x + rect.width &&
-           y >= rect.y && y <= rect.y + rect.height;
+  serialize() {
+    return {
+      level: this.currentLevel,
+      timeLeft: this.timeLeft,
+      grid: this.grid.map(row => row.map(cell =>
+        cell.visible && !cell.matched ? cell.pattern.id : 0
+      ))
+    };
   }
   
   /**
-   * 销毁游戏
+   * 恢复关卡和棋盘，继续倒计时
    */
-  destroy() {
-    super.destroy();
-    this.gameStarted = false;
+  deserialize(state) {
+    if (!this.levelConfigs[state.level] || !Array.isArray(state.grid) || state.grid.length !== this.gridRows) {
+      throw new Error('连连看存档数据不对');
+    }
+    
+    this.currentLevel = state.level;
+    this.timeLeft = state.timeLeft;
+    this.initializeGrid();
+    for (let row = 0; row < this.gridRows; row++) {
+      for (let col = 0; col < this.gridCols; col++) {
+        const cell = this.grid[row][col];
+        const pattern = this.patterns.find(p => p.id === state.grid[row][col]) || null;
+        cell.pattern = pattern;
+        cell.visible = pattern !== null;
+        cell.matched = pattern === null;
+      }
+    }
+    this.algorithm = new LinkGameAlgorithm(this.grid, this.rng);
+    this.beginPlaying();
   }
 }
\ No newline at end of file
@@ -9,10 +9,16 @@
  */
 
 import { randomInt } from '../../utils/utils.js';
+import { defaultRandom } from '../../random/Random.js';
 
 export class LinkGameAlgorithm {
-  constructor(grid) {
+  /**
+   * @param {Array} grid - 网格
+   * @param {Random} rng - 随机数生成器（提示和重新洗牌用，LinkGame 传入自己的 this.rng）
+   */
+  constructor(grid, rng = defaultRandom) {
     this.grid = grid;
+    this.rng = rng;
     this.gridRows = grid.length;
     this.gridCols = grid[0].length;
   }
@@ -251,7 +257,7 @@ export class LinkGameAlgorithm {
     const pairs = this.findAllConnectablePairs();
     if (pairs.length > 0) {
       // 随机选择一个提示
-      const randomIndex = randomInt(0, pairs.length - 1);
+      const randomIndex = randomInt(0, pairs.length - 1, this.rng);
       return pairs[randomIndex];
     }
     return null;
@@ -336,10 +342,7 @@ export class LinkGameAlgorithm {
    * 打乱数组
    */
   shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
+    this.rng.shuffle(array);
   }
   
   /**
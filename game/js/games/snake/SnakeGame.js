@@ -5,7 +5,7 @@
  * 碰到墙壁或自己的身体游戏结束。
  * 
  * 特色功能：
- * - 通过手指按住并拖动来控制方向
+ * - 通过手指按住并拖动来控制方向（电脑版微信也可以用方向键或 WASD）
  * - 松手后沿当前方向继续移动
  * - 自动生成食物
  * - 碰撞检测和得分计算
@@ -13,7 +13,28 @@
 
 import BaseGame from '../../base/BaseGame.js';
 
+// 方向名称 -> 移动方向和拖动提示文字
+const DIRECTIONS = {
+  up: { x: 0, y: -1, label: '上' },
+  down: { x: 0, y: 1, label: '下' },
+  left: { x: -1, y: 0, label: '左' },
+  right: { x: 1, y: 0, label: '右' }
+};
+
 export default class SnakeGame extends BaseGame {
+  /**
+   * 音效（用合成器现算，见 audio/sfxPresets.js）
+   */
+  static sounds = {
+    eat: { synth: { preset: 'blip', frequency: 660 } },
+    crash: { synth: 'explosion', maxInstances: 1 }
+  };
+  
+  // 咬到自己：重重一下再跟一下，和撞墙（通用的 crash）区分开
+  static haptics = {
+    bite: ['heavy', 0.07, 'medium']
+  };
+  
   /**
    * 构造函数
    */
@@ -32,18 +53,50 @@ export default class SnakeGame extends BaseGame {
     this.food = { x: 0, y: 0 };  // 食物位置
     this.score = 0;  // 得分
     this.speed = 150;  // 移动间隔（毫秒）
-    this.lastMoveTime = 0;  // 上次移动时间
     
     // 触摸控制相关
-    this.touchStartPos = null;      // 触摸开始位置
+    this.touchStartPos = null;      // 拖动开始位置
     this.currentTouchPos = null;    // 当前触摸位置（用于绘制拖动线）
-    this.isTouching = false;        // 是否正在触摸
+    this.isTouching = false;        // 是否正在拖动
     this.swipeThreshold = 20;       // 滑动阈值
     this.currentDragDirection = null; // 当前拖动方向显示
     
-    // 游戏状态
-    this.gameStarted = false;
-    this.isGameOver = false;
+    // 游戏流程：ready（开始界面，点击开始）→ playing（蛇在走）→ over（撞墙或撞到自己）
+    this.defineStates({
+      initial: 'ready',
+      states: {
+        ready: {
+          to: ['playing'],
+          onTouchStart: () => this.fsm.go('playing'),
+          onAction: (action) => action === 'action' && this.fsm.go('playing')
+        },
+        playing: {
+          to: ['over'],
+          enter: () => {
+            this.scheduleMove();
+            this.gameStart();
+            console.log('▶️ 游戏开始');
+          },
+          // 方向键转向
+          onAction: (action) => {
+            if (!DIRECTIONS[action]) return false;
+            this.turn(action);
+          }
+        },
+        over: {
+          to: [],
+          enter: () => {
+            this.playSound('crash');
+            this.gameOver();
+          }
+        }
+      }
+    });
+    
+    // 订阅拖动手势：按住屏幕往哪个方向拖，蛇就往哪个方向转
+    this.onGesture('panstart', (gesture) => this.onPanStart(gesture));
+    this.onGesture('pan', (gesture) => this.onPan(gesture));
+    this.onGesture('panend', () => this.onPanEnd());
   }
   
   /**
@@ -66,8 +119,9 @@ export default class SnakeGame extends BaseGame {
     // 生成第一个食物
     this.generateFood();
     
-    // 重置得分
+    // 重置得分和速度
     this.score = 0;
+    this.speed = 150;
     
     // 重置触摸状态
     this.touchStartPos = null;
@@ -75,32 +129,22 @@ export default class SnakeGame extends BaseGame {
     this.isTouching = false;
     this.currentDragDirection = null;
     
-    // 重置游戏状态 - 游戏开始时显示开始界面，等待用户点击
-    this.gameStarted = false;
-    this.isGameOver = false;
-    this.lastMoveTime = 0; // 重置移动时间，确保游戏开始时重新计时
-    
+    // 状态机已经由 super.init() 回到 ready：显示开始界面，等待用户点击
     console.log('🐍 贪吃蛇游戏初始化完成，等待用户点击开始');
   }
   
   /**
-   * 更新游戏逻辑
+   * 安排蛇的下一步移动（蛇的移动由定时器驱动，游戏暂停时定时器也会停住）
+   * 每走一步再安排下一步，这样吃到食物加速后，新的间隔马上生效
    */
-  update(deltaTime) {
-    super.update(deltaTime);
-    
-    if (!this.gameStarted || this.isGameOver) {
-      return;
-    }
-    
-    // 获取当前时间
-    const currentTime = Date.now();
-    
-    // 检查是否到达移动时间
-    if (currentTime - this.lastMoveTime > this.speed) {
+  scheduleMove() {
+    this.scheduler.after(this.speed / 1000, () => {
+      if (!this.fsm.is('playing')) {
+        return;
+      }
       this.moveSnake();
-      this.lastMoveTime = currentTime;
-    }
+      this.scheduleMove();
+    });
   }
   
   /**
@@ -119,14 +163,16 @@ export default class SnakeGame extends BaseGame {
     
     // 检查碰撞边界
     if (head.x < 0 || head.x >= this.gridWidth || head.y < 0 || head.y >= this.gridHeight) {
-      this.gameOver();
+      this.vibrate('crash');
+      this.fsm.go('over');
       return;
     }
     
     // 检查碰撞自己身体
     for (let i = 0; i < this.snake.length; i++) {
       if (head.x === this.snake[i].x && head.y === this.snake[i].y) {
-        this.gameOver();
+        this.vibrate('bite');
+        this.fsm.go('over');
         return;
       }
     }
@@ -137,7 +183,11 @@ export default class SnakeGame extends BaseGame {
     // 检查是否吃到食物
     if (head.x === this.food.x && head.y === this.food.y) {
       // 增加得分
-      this.score += 10;
+      this.addScore(10);
+      this.playSound('eat');
+      
+      // 吃到食物的闪光
+      this.playEatEffect(this.food.x, this.food.y);
       
       // 生成新食物
       this.generateFood();
@@ -162,8 +212,8 @@ export default class SnakeGame extends BaseGame {
     do {
       // 随机生成食物位置
       newFood = {
-        x: Math.floor(Math.random() * this.gridWidth),
-        y: Math.floor(Math.random() * this.gridHeight)
+        x: this.rng.int(0, this.gridWidth - 1),
+        y: this.rng.int(0, this.gridHeight - 1)
       };
       
       // 检查食物是否在蛇身上
@@ -183,8 +233,7 @@ export default class SnakeGame extends BaseGame {
    * 游戏结束处理
    */
   gameOver() {
-    this.isGameOver = true;
-    this.gameStarted = false; // 游戏结束后需要重新点击开始
+    super.gameOver({ stats: [{ label: '长度', value: this.snake.length }] });
     console.log('💀 贪吃蛇游戏结束，得分:', this.score);
   }
   
@@ -196,16 +245,12 @@ export default class SnakeGame extends BaseGame {
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
     
-    if (!this.gameStarted) {
+    // 游戏结束时还要画出棋盘（结算界面盖在上面）
+    if (this.fsm.is('ready')) {
       this.renderStartScreen(ctx);
       return;
     }
     
-    if (this.isGameOver) {
-      this.renderGameOver(ctx);
-      return;
-    }
-    
     // 绘制网格（可选，帮助玩家观察）
     this.drawGrid(ctx);
     
@@ -215,12 +260,12 @@ export default class SnakeGame extends BaseGame {
     // 绘制食物
     this.drawFood(ctx);
     
+    // 绘制粒子特效
+    this.particles.render(ctx);
+    
     // 绘制得分
     this.drawScore(ctx);
     
-    // 绘制返回按钮
-    this.renderBackButton(ctx);
-    
     // 绘制触摸提示
     if (this.isTouching) {
       this.drawTouchIndicator(ctx);
@@ -327,6 +372,27 @@ export default class SnakeGame extends BaseGame {
     }
   }
   
+  /**
+   * 吃到食物的闪光：从食物的位置迸出一圈小火花
+   * 
+   * @param {number} x - 食物所在的列
+   * @param {number} y - 食物所在的行
+   */
+  playEatEffect(x, y) {
+    this.particles.burst(
+      x * this.gridSize + this.gridSize / 2,
+      y * this.gridSize + this.gridSize / 2,
+      {
+        count: 16,
+        speed: [60, 160],
+        drag: 3,
+        lifetime: [0.3, 0.6],
+        size: [3, 0],
+        color: ['#FFFFFF', '#FFD54F', '#FF5252']
+      }
+    );
+  }
+  
   /**
    * 绘制食物
    */
@@ -420,118 +486,69 @@ export default class SnakeGame extends BaseGame {
   }
   
   /**
-   * 绘制游戏结束界面
+   * 让蛇转向（不能直接掉头，比如向右走时不能马上向左）
+   * 
+   * @param {string} name - 'up' | 'down' | 'left' | 'right'
+   * @returns {boolean} 是否转向成功
    */
-  renderGameOver(ctx) {
-    // 半透明遮罩
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
-    
-    // 游戏结束文字
-    ctx.fillStyle = '#FF5252';
-    ctx.font = '36px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('游戏结束!', this.screenWidth / 2, this.screenHeight / 2 - 50);
-    
-    // 得分
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '24px Arial';
-    ctx.fillText(`最终得分: ${this.score}`, this.screenWidth / 2, this.screenHeight / 2);
-    
-    // 重新开始提示
-    ctx.font = '18px Arial';
-    ctx.fillText('点击屏幕重新开始', this.screenWidth / 2, this.screenHeight / 2 + 50);
+  turn(name) {
+    const dir = DIRECTIONS[name];
+    if (dir.x === -this.direction.x && dir.y === -this.direction.y) {
+      return false;
+    }
+    this.nextDirection = { x: dir.x, y: dir.y };
+    return true;
   }
   
   /**
-   * 触摸开始事件
+   * 拖动开始（仅在游戏进行中时显示拖动线）
+   * 
+   * @param {Object} gesture - 手势信息，startX/startY 是手指按下的位置
    */
-  onTouchStart(touch) {
-    // 检查是否点击了返回按钮
-    if (super.onTouchStart(touch)) {
-      return true;
-    }
-    
-    // 如果游戏未开始且未结束，点击屏幕开始游戏
-    if (!this.gameStarted && !this.isGameOver) {
-      this.gameStarted = true;
-      this.lastMoveTime = Date.now();
-      console.log('▶️ 游戏开始');
-      return true;
-    }
-    
-    // 如果游戏结束，点击屏幕重新开始游戏
-    if (this.isGameOver) {
-      this.init();
-      this.gameStarted = false; // 重新开始后显示开始界面，等待用户点击
-      console.log('🔄 游戏重置，等待用户点击开始');
-      return true;
-    }
-    
-    // 记录触摸开始位置（仅在游戏进行中时）
-    if (this.gameStarted && !this.isGameOver) {
-      this.touchStartPos = { x: touch.x, y: touch.y };
-      this.currentTouchPos = { x: touch.x, y: touch.y };
-      this.isTouching = true;
-      this.currentDragDirection = null;
+  onPanStart(gesture) {
+    if (!this.fsm.is('playing')) {
+      return;
     }
-    
-    return true;
+    this.touchStartPos = { x: gesture.startX, y: gesture.startY };
+    this.currentTouchPos = { x: gesture.x, y: gesture.y };
+    this.isTouching = true;
+    this.currentDragDirection = null;
   }
   
   /**
-   * 触摸移动事件
+   * 拖动中
+   * 
+   * @param {Object} gesture - 手势信息，dx/dy 是相对按下位置的位移
    */
-  onTouchMove(touch) {
+  onPan(gesture) {
     if (!this.touchStartPos || !this.isTouching) {
       return;
     }
     
     // 记录当前触摸位置用于绘制拖动线
-    this.currentTouchPos = { x: touch.x, y: touch.y };
+    this.currentTouchPos = { x: gesture.x, y: gesture.y };
     
-    // 计算滑动距离
-    const deltaX = touch.x - this.touchStartPos.x;
-    const deltaY = touch.y - this.touchStartPos.y;
+    // 滑动距离
+    const deltaX = gesture.dx;
+    const deltaY = gesture.dy;
     
     // 确定主要滑动方向（忽略小的滑动）
+    let name = null;
     if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > this.swipeThreshold) {
-      // 水平滑动
-      if (deltaX > 0) {
-        // 向右滑动 - 向右移动
-        if (this.direction.x !== -1) {
-          this.nextDirection = { x: 1, y: 0 };
-          this.currentDragDirection = '右';
-        }
-      } else {
-        // 向左滑动 - 向左移动
-        if (this.direction.x !== 1) {
-          this.nextDirection = { x: -1, y: 0 };
-          this.currentDragDirection = '左';
-        }
-      }
+      name = deltaX > 0 ? 'right' : 'left';
     } else if (Math.abs(deltaY) > this.swipeThreshold) {
-      // 垂直滑动
-      if (deltaY > 0) {
-        // 向下滑动 - 向下移动
-        if (this.direction.y !== -1) {
-          this.nextDirection = { x: 0, y: 1 };
-          this.currentDragDirection = '下';
-        }
-      } else {
-        // 向上滑动 - 向上移动
-        if (this.direction.y !== 1) {
-          this.nextDirection = { x: 0, y: -1 };
-          this.currentDragDirection = '上';
-        }
-      }
+      name = deltaY > 0 ? 'down' : 'up';
+    }
+    
+    if (name && this.turn(name)) {
+      this.currentDragDirection = DIRECTIONS[name].label;
     }
   }
   
   /**
-   * 触摸结束事件
+   * 拖动结束
    */
-  onTouchEnd(touch) {
+  onPanEnd() {
     // 重置触摸状态，但保持当前方向不变
     this.isTouching = false;
     this.currentTouchPos = null;
@@ -541,10 +558,31 @@ export default class SnakeGame extends BaseGame {
   }
   
   /**
-   * 销毁游戏
+   * 保存蛇身、方向、食物和当前速度（得分由 BaseGame 保存）
+   */
+  serialize() {
+    return {
+      snake: this.snake.map(segment => ({ x: segment.x, y: segment.y })),
+      direction: { ...this.direction },
+      nextDirection: { ...this.nextDirection },
+      food: { ...this.food },
+      speed: this.speed
+    };
+  }
+  
+  /**
+   * 恢复这一局，蛇继续沿原来的方向走
    */
-  destroy() {
-    super.destroy();
-    this.gameStarted = false;
+  deserialize(state) {
+    if (!Array.isArray(state.snake) || state.snake.length === 0) {
+      throw new Error('贪吃蛇存档里没有蛇');
+    }
+    
+    this.snake = state.snake.map(segment => ({ x: segment.x, y: segment.y }));
+    this.direction = { ...state.direction };
+    this.nextDirection = { ...state.nextDirection };
+    this.food = { ...state.food };
+    this.speed = state.speed;
+    this.scheduleMove();
   }
 }
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * 振动反馈 - Haptics
+ *
+ * gameManager.haptics 让手机"震一下"：撞到管道、咬到自己、连错了格子时，手上能感觉到。
+ * 游戏里用 this.vibrate('crash')（见 BaseGame），不要直接调用 wx.vibrateShort。
+ *
+ * 振动用"图案"描述：一串步骤，字符串是振一下，数字是停多少秒：
+ *   ['heavy']                       重重地振一下
+ *   ['medium', 0.08, 'medium']      振两下，中间停 0.08 秒
+ *   ['long']                        长振动（约 0.4 秒）
+ * 短振动有三种力度：'light' / 'medium' / 'heavy'。
+ *
+ * 通用的图案见 DEFAULT_PATTERNS；游戏可以用 static haptics 定义自己的图案（同名时优先用游戏自己的）。
+ *
+ * 限流：手机振得太频繁既难受又费电，有的系统还会直接忽略。
+ * 两次振动之间至少隔 minInterval 秒（默认 0.08），图案还可以有自己的冷却时间，太快的请求直接丢掉。
+ *
+ * 玩家可以在设置里关掉振动（setEnabled(false)，保存在设置里）；切到后台时正在播的图案也会停掉。
+ */
+
+// 通用的振动图案
+export const DEFAULT_PATTERNS = {
+  tap: ['light'],                               // 轻点
+  success: ['light', 0.06, 'light', 0.06, 'medium'],  // 成功、过关
+  error: ['medium', 0.08, 'medium'],            // 操作无效
+  crash: ['heavy'],                             // 撞到、游戏结束
+  long: ['long']                                // 长振动
+};
+
+const STRENGTHS = ['light', 'medium', 'heavy'];
+
+export default class Haptics {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.platform - 平台适配器（有 vibrateShort / vibrateLong 时才会振动）
+   * @param {SaveStore} options.settings - 保存开关的设置存档（不传就不保存）
+   * @param {number} options.minInterval - 两次振动之间至少隔多少秒（默认 0.08）
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || null;
+    this.settings = options.settings || null;
+    this.minInterval = options.minInterval !== undefined ? options.minInterval : 0.08;
+
+    // 是否开启（保存在设置的 haptics 里）
+    this.enabled = this.settings ? this.settings.get('haptics', true) !== false : true;
+
+    // 图案 名字 -> { steps, cooldown, readyAt }
+    this.patterns = new Map();
+    this.registerAll(DEFAULT_PATTERNS);
+
+    // 正在播的图案还没执行的步骤，和离下一步还要等多久（秒）
+    this.queue = [];
+    this.wait = 0;
+
+    // 上一次振动的时间（秒），用来限流
+    this.lastPulseTime = -Infinity;
+
+    // 是否因为切到后台暂停了
+    this.suspended = false;
+  }
+
+  /**
+   * 注册一个振动图案
+   *
+   * @param {string} name - 名字（游戏的图案是 "游戏编号/名字"，见 BaseGame.vibrate）
+   * @param {Array} steps - 步骤：'light' / 'medium' / 'heavy' / 'long'，数字表示停多少秒
+   * @param {Object} options - 选项
+   * @param {number} options.cooldown - 这个图案至少隔多少秒才能再播（默认 0）
+   */
+  register(name, steps, options = {}) {
+    for (const step of steps) {
+      if (typeof step !== 'number' && step !== 'long' && !STRENGTHS.includes(step)) {
+        throw new Error(`振动图案 ${name} 里有不认识的步骤: ${step}`);
+      }
+    }
+    this.patterns.set(name, {
+      steps: steps.slice(),
+      cooldown: options.cooldown || 0,
+      readyAt: -Infinity
+    });
+  }
+
+  /**
+   * 一次注册多个图案（游戏类的 static haptics）
+   *
+   * @param {Object} patterns - { 名字: 步骤 } 或 { 名字: { steps, cooldown } }
+   * @param {string} prefix - 名字前缀（游戏编号），注册成 "前缀/名字"
+   */
+  registerAll(patterns, prefix = '') {
+    for (const [name, pattern] of Object.entries(patterns || {})) {
+      const fullName = prefix ? `${prefix}/${name}` : name;
+      if (Array.isArray(pattern)) {
+        this.register(fullName, pattern);
+      } else {
+        this.register(fullName, pattern.steps, pattern);
+      }
+    }
+  }
+
+  /**
+   * 有没有这个图案
+   *
+   * @param {string} name - 名字
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.patterns.has(name);
+  }
+
+  /**
+   * 播放振动图案（会打断正在播的图案）
+   *
+   * @param {string} name - 名字
+   * @returns {boolean} 是否振动了（关掉了、切到后台、被限流、没有这个图案时返回 false）
+   */
+  play(name) {
+    const pattern = this.patterns.get(name);
+    if (!pattern) {
+      console.warn(`⚠️ 没有这个振动图案: ${name}`);
+      return false;
+    }
+    if (!this.enabled || this.suspended) {
+      return false;
+    }
+
+    const now = this.now();
+    if (now - this.lastPulseTime < this.minInterval || now < pattern.readyAt) {
+      return false;
+    }
+
+    pattern.readyAt = now + pattern.cooldown;
+    this.queue = pattern.steps.slice();
+    this.wait = 0;
+    this.flush();
+    return true;
+  }
+
+  /**
+   * 停掉正在播的图案（已经振出去的停不了）
+   */
+  stop() {
+    this.queue = [];
+    this.wait = 0;
+  }
+
+  /**
+   * 推进图案里的停顿（GameManager 每帧调用，用真实时间）
+   *
+   * @param {number} dt - 时间（秒）
+   */
+  update(dt) {
+    if (this.queue.length === 0) {
+      return;
+    }
+    this.wait -= dt;
+    this.flush();
+  }
+
+  /**
+   * 打开/关闭振动，保存到设置里
+   *
+   * @param {boolean} enabled - 是否开启
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled === true;
+    if (this.settings) {
+      this.settings.set('haptics', this.enabled);
+    }
+    if (!this.enabled) {
+      this.stop();
+    }
+  }
+
+  /**
+   * 切到后台：停掉正在播的图案
+   */
+  suspend() {
+    this.suspended = true;
+    this.stop();
+  }
+
+  /**
+   * 切回前台
+   */
+  resume() {
+    this.suspended = false;
+  }
+
+  /**
+   * 执行所有已经到时间的步骤
+   */
+  flush() {
+    while (this.queue.length > 0 && this.wait <= 0) {
+      const step = this.queue.shift();
+      if (typeof step === 'number') {
+        this.wait += step;
+      } else {
+        this.pulse(step);
+      }
+    }
+  }
+
+  /**
+   * 振一下（平台不支持振动时什么都不做）
+   */
+  pulse(step) {
+    this.lastPulseTime = this.now();
+    const platform = this.platform;
+    if (step === 'long') {
+      if (platform && platform.vibrateLong) {
+        platform.vibrateLong();
+      }
+    } else if (platform && platform.vibrateShort) {
+      platform.vibrateShort(step);
+    }
+  }
+
+  /**
+   * 当前时间（秒）
+   */
+  now() {
+    return this.platform ? this.platform.now() / 1000 : 0;
+  }
+}
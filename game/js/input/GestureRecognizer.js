@@ -0,0 +1,412 @@
+/**
+ * 手势识别器 - GestureRecognizer
+ *
+ * 把原始的触摸事件（按下、移动、抬起）翻译成"手势"：
+ * - tap          点击
+ * - doubletap    双击（第二次点击时，在 tap 之后触发）
+ * - longpress    长按（按住不动超过一段时间，手指还没抬起就会触发）
+ * - swipe        快速滑动（手指抬起时触发，带方向和速度）
+ * - panstart / pan / panend        单指拖动
+ * - pinchstart / pinch / pinchend  双指捏合缩放
+ *
+ * 就像一个"翻译官"：游戏不用再自己算手指滑了多远、往哪个方向，
+ * 直接说"我要监听 swipe"就行了。
+ *
+ * GameManager 会把每个触摸事件都交给它，并在每一帧调用 update()（用来判断长按）。
+ * 每个手势都会通过构造时传入的回调函数发出：onGesture(type, gesture)
+ *
+ * gesture 里一定有：
+ * - type  手势名称
+ * - id    触发手势的手指编号（触摸点的 identifier）
+ * - x, y  手势发生的位置（捏合时是两指中点）
+ */
+
+// 默认参数（距离单位是像素，时间单位是毫秒）
+const DEFAULT_OPTIONS = {
+  tapMaxDistance: 10,       // 点击/长按时手指最多能移动多远，超过就算拖动
+  tapMaxDuration: 300,      // 点击最多按多久
+  doubleTapInterval: 300,   // 两次点击最多间隔多久算双击
+  doubleTapDistance: 30,    // 两次点击最多相距多远算双击
+  longPressDelay: 500,      // 按住多久算长按
+  swipeMinDistance: 30,     // 滑动最短距离
+  swipeMinVelocity: 100     // 滑动最小速度（像素/秒）
+};
+
+export default class GestureRecognizer {
+  /**
+   * @param {Function} onGesture - 识别出手势时调用 onGesture(type, gesture)
+   * @param {Object} options - 配置（见 DEFAULT_OPTIONS）
+   * @param {Function} options.now - 获取当前时间（毫秒）的函数，通常是 platform.now
+   */
+  constructor(onGesture, options = {}) {
+    this.onGesture = onGesture;
+    this.now = options.now || (() => Date.now());
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // 按在屏幕上的手指（identifier -> 手指信息）
+    this.pointers = new Map();
+
+    // 上一次点击（用于判断双击）{ x, y, time }
+    this.lastTap = null;
+
+    // 正在拖动的手指
+    this.panPointer = null;
+
+    // 正在进行的捏合 { ids, startDistance, scale }
+    this.pinch = null;
+
+    // 这一轮操作中是否出现过多根手指
+    // 多指操作结束前，剩下的手指不会再触发点击、滑动和拖动
+    this.multiTouch = false;
+  }
+
+  /**
+   * 处理触摸开始事件（wx 格式）
+   */
+  handleTouchStart(event) {
+    const time = this.now();
+
+    for (const touch of event.changedTouches) {
+      this.pointers.set(touch.identifier, {
+        id: touch.identifier,
+        startX: touch.clientX,
+        startY: touch.clientY,
+        x: touch.clientX,
+        y: touch.clientY,
+        lastX: touch.clientX,
+        lastY: touch.clientY,
+        startTime: time,
+        moved: false,         // 是否移动超过了 tapMaxDistance
+        longPressed: false    // 是否已经触发过长按
+      });
+    }
+
+    // 第二根手指按下：结束拖动，开始捏合
+    if (this.pointers.size >= 2) {
+      this.multiTouch = true;
+      this.endPan();
+      if (!this.pinch) {
+        this.startPinch();
+      }
+    }
+  }
+
+  /**
+   * 处理触摸移动事件（wx 格式）
+   */
+  handleTouchMove(event) {
+    this.update();
+
+    for (const touch of event.changedTouches) {
+      const pointer = this.pointers.get(touch.identifier);
+      if (!pointer) {
+        continue;
+      }
+
+      pointer.lastX = pointer.x;
+      pointer.lastY = pointer.y;
+      pointer.x = touch.clientX;
+      pointer.y = touch.clientY;
+
+      const distance = Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+      if (distance > this.options.tapMaxDistance) {
+        pointer.moved = true;
+      }
+
+      // 多指操作时不算拖动
+      if (!this.multiTouch) {
+        this.movePan(pointer);
+      }
+    }
+
+    if (this.pinch) {
+      this.updatePinch();
+    }
+  }
+
+  /**
+   * 处理触摸结束事件（wx 格式）
+   */
+  handleTouchEnd(event) {
+    this.update();
+    const time = this.now();
+
+    for (const touch of event.changedTouches) {
+      const pointer = this.pointers.get(touch.identifier);
+      if (!pointer) {
+        continue;
+      }
+
+      pointer.x = touch.clientX;
+      pointer.y = touch.clientY;
+      this.pointers.delete(touch.identifier);
+
+      if (this.pinch && this.pinch.ids.includes(pointer.id)) {
+        this.endPinch(pointer);
+      } else if (!this.multiTouch) {
+        this.endPan();
+        this.finishPointer(pointer, time);
+      }
+    }
+
+    // 所有手指都抬起了，下一轮操作重新开始
+    if (this.pointers.size === 0) {
+      this.multiTouch = false;
+    }
+  }
+
+  /**
+   * 处理触摸取消事件（wx 格式）
+   * 被打断的手指不算点击或滑动，它正在进行的拖动和捏合直接结束
+   */
+  handleTouchCancel(event) {
+    for (const touch of event.changedTouches) {
+      const pointer = this.pointers.get(touch.identifier);
+      if (!pointer) {
+        continue;
+      }
+
+      this.pointers.delete(touch.identifier);
+      if (this.pinch && this.pinch.ids.includes(pointer.id)) {
+        this.endPinch(pointer);
+      } else if (this.panPointer === pointer) {
+        this.endPan();
+      }
+    }
+
+    if (this.pointers.size === 0) {
+      this.multiTouch = false;
+    }
+  }
+
+  /**
+   * 每帧调用：检查有没有手指按住不动够久，触发长按
+   */
+  update() {
+    if (this.multiTouch) {
+      return;
+    }
+
+    const time = this.now();
+    for (const pointer of this.pointers.values()) {
+      if (!pointer.moved && !pointer.longPressed &&
+          time - pointer.startTime >= this.options.longPressDelay) {
+        pointer.longPressed = true;
+        this.emit('longpress', pointer, {
+          duration: time - pointer.startTime
+        });
+      }
+    }
+  }
+
+  /**
+   * 清空所有正在识别的手势
+   * 切换场景时调用，旧场景里按下的手指不会在新场景里触发手势
+   */
+  reset() {
+    this.pointers.clear();
+    this.lastTap = null;
+    this.panPointer = null;
+    this.pinch = null;
+    this.multiTouch = false;
+  }
+
+  // ==================== 单指手势 ====================
+
+  /**
+   * 手指移动时更新拖动
+   * 移动超过 tapMaxDistance 后触发 panstart，之后每次移动触发 pan
+   */
+  movePan(pointer) {
+    if (!this.panPointer) {
+      if (!pointer.moved) {
+        return;
+      }
+      this.panPointer = pointer;
+      this.emit('panstart', pointer, this.getPanInfo(pointer));
+    }
+
+    if (this.panPointer === pointer) {
+      this.emit('pan', pointer, this.getPanInfo(pointer));
+    }
+  }
+
+  /**
+   * 结束拖动（手指抬起或者第二根手指按下时）
+   */
+  endPan() {
+    if (!this.panPointer) {
+      return;
+    }
+    const pointer = this.panPointer;
+    this.panPointer = null;
+    this.emit('panend', pointer, this.getPanInfo(pointer));
+  }
+
+  /**
+   * 拖动手势的信息
+   * dx, dy 是相对按下位置的总位移，deltaX, deltaY 是相对上一次移动的位移
+   */
+  getPanInfo(pointer) {
+    return {
+      startX: pointer.startX,
+      startY: pointer.startY,
+      dx: pointer.x - pointer.startX,
+      dy: pointer.y - pointer.startY,
+      deltaX: pointer.x - pointer.lastX,
+      deltaY: pointer.y - pointer.lastY
+    };
+  }
+
+  /**
+   * 单指抬起：判断是点击、双击还是滑动
+   */
+  finishPointer(pointer, time) {
+    // 长按过的手指抬起时不再算点击或滑动
+    if (pointer.longPressed) {
+      return;
+    }
+
+    const duration = time - pointer.startTime;
+    const dx = pointer.x - pointer.startX;
+    const dy = pointer.y - pointer.startY;
+    const distance = Math.hypot(dx, dy);
+
+    if (!pointer.moved) {
+      if (duration <= this.options.tapMaxDuration) {
+        this.recognizeTap(pointer, time);
+      }
+      return;
+    }
+
+    // 速度按"像素/秒"计算；脚本触摸可能在同一毫秒内完成，至少按 1 毫秒算，避免除以 0
+    const seconds = Math.max(duration, 1) / 1000;
+    const velocity = distance / seconds;
+    if (distance >= this.options.swipeMinDistance && velocity >= this.options.swipeMinVelocity) {
+      this.emit('swipe', pointer, {
+        direction: this.getDirection(dx, dy),
+        startX: pointer.startX,
+        startY: pointer.startY,
+        dx: dx,
+        dy: dy,
+        distance: distance,
+        duration: duration,
+        velocity: velocity,
+        velocityX: dx / seconds,
+        velocityY: dy / seconds
+      });
+    }
+  }
+
+  /**
+   * 点击，如果离上一次点击够近、够快就再触发一次双击
+   */
+  recognizeTap(pointer, time) {
+    this.emit('tap', pointer);
+
+    const last = this.lastTap;
+    if (last &&
+        time - last.time <= this.options.doubleTapInterval &&
+        Math.hypot(pointer.x - last.x, pointer.y - last.y) <= this.options.doubleTapDistance) {
+      this.lastTap = null;
+      this.emit('doubletap', pointer);
+      return;
+    }
+
+    this.lastTap = { x: pointer.x, y: pointer.y, time: time };
+  }
+
+  /**
+   * 根据位移判断主要方向
+   *
+   * @returns {string} 'left' | 'right' | 'up' | 'down'
+   */
+  getDirection(dx, dy) {
+    if (Math.abs(dx) > Math.abs(dy)) {
+      return dx > 0 ? 'right' : 'left';
+    }
+    return dy > 0 ? 'down' : 'up';
+  }
+
+  // ==================== 双指捏合 ====================
+
+  /**
+   * 用最先按下的两根手指开始捏合
+   */
+  startPinch() {
+    const [a, b] = Array.from(this.pointers.values());
+    this.pinch = {
+      ids: [a.id, b.id],
+      startDistance: Math.hypot(b.x - a.x, b.y - a.y),
+      scale: 1
+    };
+    this.emitPinch('pinchstart', a, b, 1);
+  }
+
+  /**
+   * 手指移动时更新捏合比例
+   * scale 是两指距离变成了开始时的几倍
+   */
+  updatePinch() {
+    const a = this.pointers.get(this.pinch.ids[0]);
+    const b = this.pointers.get(this.pinch.ids[1]);
+    const previousScale = this.pinch.scale;
+
+    if (this.pinch.startDistance > 0) {
+      this.pinch.scale = Math.hypot(b.x - a.x, b.y - a.y) / this.pinch.startDistance;
+    }
+    // 两指碰到一起时 scale 是 0，再分开时算不出变化了几倍，当作没变（见 emitPinch）
+    const deltaScale = previousScale > 0 ? this.pinch.scale / previousScale : 1;
+    this.emitPinch('pinch', a, b, deltaScale);
+  }
+
+  /**
+   * 捏合的任意一根手指抬起，捏合结束
+   *
+   * @param {Object} lifted - 抬起的手指（已经从 pointers 里删掉了）
+   */
+  endPinch(lifted) {
+    const otherId = this.pinch.ids[0] === lifted.id ? this.pinch.ids[1] : this.pinch.ids[0];
+    const other = this.pointers.get(otherId) || lifted;
+    this.emitPinch('pinchend', lifted, other, 1);
+    this.pinch = null;
+  }
+
+  /**
+   * 发出捏合手势，位置用两指中点
+   *
+   * @param {string} type - 手势名称
+   * @param {Object} a - 第一根手指
+   * @param {Object} b - 第二根手指
+   * @param {number} deltaScale - 相对上一次 pinch 的缩放比例（上一次两指碰在一起时算不出来，是 1）
+   */
+  emitPinch(type, a, b, deltaScale) {
+    this.emit(type, a, {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      scale: this.pinch.scale,
+      deltaScale: deltaScale,
+      distance: Math.hypot(b.x - a.x, b.y - a.y)
+    });
+  }
+
+  // ==================== 发出手势 ====================
+
+  /**
+   * 发出一个手势
+   *
+   * @param {string} type - 手势名称
+   * @param {Object} pointer - 触发手势的手指
+   * @param {Object} info - 额外信息（可以覆盖 x, y）
+   */
+  emit(type, pointer, info = {}) {
+    const gesture = {
+      type: type,
+      id: pointer.id,
+      x: pointer.x,
+      y: pointer.y,
+      ...info
+    };
+    this.onGesture(type, gesture);
+  }
+}
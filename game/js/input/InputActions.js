@@ -0,0 +1,109 @@
+/**
+ * 输入动作映射 - InputActions
+ *
+ * 在电脑版微信和开发者工具里，玩家可以用键盘玩游戏。
+ * 但游戏不应该关心"按的是哪个键"，只关心"玩家想做什么"：
+ * 按 ↑ 或 W 都是"向上"，按空格或回车都是"确定"。
+ *
+ * 这个类就负责把按键翻译成"动作"（action）：
+ * - up / down / left / right  方向
+ * - action                    确定、跳跃、开始
+ * - back                      返回
+ *
+ * 游戏可以用静态属性 inputBindings 修改自己的按键绑定（见 BaseGame）。
+ *
+ * 目前只支持键盘：小游戏的 wx API 没有读取手柄的接口，平台层（platform.js）也就没有手柄事件。
+ * 以后要支持手柄的话，把手柄的按钮和摇杆也翻译成上面这几个动作就行，游戏不用改。
+ */
+
+/**
+ * 默认按键绑定（动作 -> 按键列表）
+ * 按键名使用键盘事件的 code（和键盘布局无关），也兼容 key
+ */
+export const DEFAULT_BINDINGS = {
+  up: ['ArrowUp', 'KeyW'],
+  down: ['ArrowDown', 'KeyS'],
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  action: ['Space', 'Enter'],
+  back: ['Escape']
+};
+
+export default class InputActions {
+  constructor() {
+    // 正在按住的键（按键 -> 按下时触发的动作列表）
+    this.heldKeys = new Map();
+  }
+
+  /**
+   * 按键按下
+   * 按住不放时系统会不停地重复发送按下事件，这里只处理第一次
+   *
+   * @param {Object} event - 键盘事件 { key, code }
+   * @param {Object} bindings - 按键绑定（动作 -> 按键列表）
+   * @returns {Array<string>} 这次按下触发的动作
+   */
+  handleKeyDown(event, bindings) {
+    const keyName = event.code || event.key;
+    if (this.heldKeys.has(keyName)) {
+      return [];
+    }
+
+    const actions = this.getActions(event, bindings);
+    this.heldKeys.set(keyName, actions);
+    return actions;
+  }
+
+  /**
+   * 按键抬起
+   *
+   * @param {Object} event - 键盘事件 { key, code }
+   * @returns {Array<string>} 这次抬起结束的动作（就是按下时触发的那些）
+   */
+  handleKeyUp(event) {
+    const keyName = event.code || event.key;
+    const actions = this.heldKeys.get(keyName) || [];
+    this.heldKeys.delete(keyName);
+    return actions;
+  }
+
+  /**
+   * 某个动作现在是否按住（绑定的任意一个键按住就算）
+   *
+   * @param {string} action - 动作名称
+   */
+  isDown(action) {
+    for (const actions of this.heldKeys.values()) {
+      if (actions.includes(action)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 清空按键状态
+   * 切到后台时可能收不到抬起事件，不清空的话这个键就一直算"按住"
+   */
+  reset() {
+    this.heldKeys.clear();
+  }
+
+  /**
+   * 查找一个按键绑定了哪些动作
+   *
+   * @param {Object} event - 键盘事件 { key, code }
+   * @param {Object} bindings - 按键绑定
+   * @returns {Array<string>} 动作列表
+   */
+  getActions(event, bindings) {
+    const actions = [];
+    for (const action in bindings) {
+      const keys = bindings[action] || [];
+      if (keys.includes(event.code) || keys.includes(event.key)) {
+        actions.push(action);
+      }
+    }
+    return actions;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * 设计分辨率视口 - DesignViewport
+ *
+ * 由 layout.fitDesign() 创建，记录"设计坐标"怎样变成"屏幕坐标"：
+ *   屏幕坐标 = 视口位置 + 设计坐标 × 缩放比例
+ *
+ * 用法：
+ *   const viewport = layout.fitDesign(375, 667);
+ *
+ *   render(ctx) {
+ *     ctx.save();
+ *     viewport.apply(ctx);          // 之后都用设计坐标画
+ *     ctx.fillRect(0, 0, 375, 667);
+ *     ctx.restore();
+ *   }
+ *
+ *   onTouchStart(touch) {
+ *     const point = viewport.toDesign(touch.x, touch.y);  // 触摸点换算成设计坐标
+ *   }
+ */
+
+export default class DesignViewport {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.designWidth - 设计宽度
+   * @param {number} options.designHeight - 设计高度
+   * @param {number} options.scale - 缩放比例
+   * @param {number} options.x - 设计区域左上角在屏幕上的 X
+   * @param {number} options.y - 设计区域左上角在屏幕上的 Y
+   */
+  constructor(options) {
+    this.designWidth = options.designWidth;
+    this.designHeight = options.designHeight;
+    this.scale = options.scale;
+    this.x = options.x;
+    this.y = options.y;
+
+    // 设计区域在屏幕上的大小
+    this.width = this.designWidth * this.scale;
+    this.height = this.designHeight * this.scale;
+  }
+
+  /**
+   * 给画布加上视口变换，之后就可以用设计坐标绘制
+   * 记得在外面 save() / restore()
+   */
+  apply(ctx) {
+    ctx.translate(this.x, this.y);
+    ctx.scale(this.scale, this.scale);
+  }
+
+  /**
+   * 屏幕坐标 -> 设计坐标（用于触摸）
+   *
+   * @returns {Object} { x, y }
+   */
+  toDesign(x, y) {
+    return {
+      x: (x - this.x) / this.scale,
+      y: (y - this.y) / this.scale
+    };
+  }
+
+  /**
+   * 设计坐标 -> 屏幕坐标
+   *
+   * @returns {Object} { x, y }
+   */
+  toScreen(x, y) {
+    return {
+      x: this.x + x * this.scale,
+      y: this.y + y * this.scale
+    };
+  }
+}
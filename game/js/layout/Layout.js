@@ -0,0 +1,196 @@
+/**
+ * 布局工具 - Layout
+ *
+ * 手机屏幕千奇百怪：有刘海、有圆角、有的很窄、有的很长。
+ * 如果把按钮写死在 { x: 20, y: 40 }，在刘海屏上就会被挡住。
+ *
+ * Layout 帮你按"规则"摆放界面元素，而不是写死坐标：
+ * - 锚点：贴着左上角、居中、贴着右下角……
+ * - 百分比：宽度 '50%' 就是可用区域的一半
+ * - 安全区域：自动避开刘海、圆角和底部横条
+ * - 设计分辨率：按固定的设计尺寸（比如 375×667）画，再整体缩放到屏幕上
+ *
+ * 用法：
+ *   const layout = gameManager.layout;
+ *   // 左上角往里 20 像素的 80×40 按钮（自动避开刘海）
+ *   const btn = layout.place({ anchor: 'top-left', x: 20, y: 20, width: 80, height: 40 });
+ *   // 底部居中、宽度占 80% 的面板
+ *   const panel = layout.place({ anchor: 'bottom', y: -20, width: '80%', height: 120 });
+ */
+
+import DesignViewport from './DesignViewport.js';
+
+// 锚点 -> 在区域中的相对位置（0 是左/上，1 是右/下）
+const ANCHORS = {
+  'top-left': [0, 0],
+  'top': [0.5, 0],
+  'top-right': [1, 0],
+  'left': [0, 0.5],
+  'center': [0.5, 0.5],
+  'right': [1, 0.5],
+  'bottom-left': [0, 1],
+  'bottom': [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+export default class Layout {
+  /**
+   * 根据系统信息创建布局
+   * 微信的 safeArea 是安全区域四条边的坐标 { left, right, top, bottom, width, height }
+   *
+   * @param {Object} systemInfo - platform.getSystemInfo() 的返回值
+   * @returns {Layout}
+   */
+  static fromSystemInfo(systemInfo) {
+    const width = systemInfo.windowWidth;
+    const height = systemInfo.windowHeight;
+    const safeArea = systemInfo.safeArea;
+
+    // 没有安全区域信息（老版本微信）时，只避开状态栏
+    if (!safeArea) {
+      return new Layout(width, height, {
+        top: systemInfo.statusBarHeight || 0,
+        right: 0,
+        bottom: 0,
+        left: 0
+      });
+    }
+
+    return new Layout(width, height, {
+      top: Math.max(0, safeArea.top),
+      right: Math.max(0, width - safeArea.right),
+      bottom: Math.max(0, height - safeArea.bottom),
+      left: Math.max(0, safeArea.left)
+    });
+  }
+
+  /**
+   * @param {number} screenWidth - 屏幕宽度（逻辑像素）
+   * @param {number} screenHeight - 屏幕高度（逻辑像素）
+   * @param {Object} insets - 安全区域离屏幕四条边的距离 { top, right, bottom, left }
+   */
+  constructor(screenWidth, screenHeight, insets = {}) {
+    this.screenWidth = screenWidth;
+    this.screenHeight = screenHeight;
+
+    this.insets = {
+      top: insets.top || 0,
+      right: insets.right || 0,
+      bottom: insets.bottom || 0,
+      left: insets.left || 0
+    };
+
+    // 整个屏幕
+    this.screen = {
+      x: 0,
+      y: 0,
+      width: screenWidth,
+      height: screenHeight
+    };
+
+    // 安全区域（不会被刘海、圆角、底部横条挡住的矩形）
+    this.safeArea = {
+      x: this.insets.left,
+      y: this.insets.top,
+      width: screenWidth - this.insets.left - this.insets.right,
+      height: screenHeight - this.insets.top - this.insets.bottom
+    };
+  }
+
+  /**
+   * 按锚点摆放一个矩形
+   *
+   * 元素自己的锚点会对齐到区域的锚点：
+   * 'top-right' 就是元素的右上角贴着区域的右上角，'center' 就是两者中心重合。
+   * 然后再按 x, y 偏移（和屏幕坐标方向一样：x 向右为正，y 向下为正）。
+   *
+   * @param {Object} options - 选项
+   * @param {string} options.anchor - 锚点（默认 'top-left'）
+   *                 top-left / top / top-right / left / center / right / bottom-left / bottom / bottom-right
+   * @param {number|string} options.x - 水平偏移，可以是像素或百分比（如 '10%'）
+   * @param {number|string} options.y - 垂直偏移
+   * @param {number|string} options.width - 宽度，可以是像素或百分比（如 '80%'）
+   * @param {number|string} options.height - 高度
+   * @param {boolean} options.safeArea - 是否在安全区域内摆放（默认 true），false 表示整个屏幕
+   * @returns {Object} { x, y, width, height }
+   */
+  place(options = {}) {
+    const area = options.safeArea === false ? this.screen : this.safeArea;
+
+    let anchor = ANCHORS[options.anchor || 'top-left'];
+    if (!anchor) {
+      console.warn(`⚠️ 未知的锚点: ${options.anchor}`);
+      anchor = ANCHORS['top-left'];
+    }
+    const [ax, ay] = anchor;
+
+    const width = this.resolve(options.width || 0, area.width);
+    const height = this.resolve(options.height || 0, area.height);
+    const offsetX = this.resolve(options.x || 0, area.width);
+    const offsetY = this.resolve(options.y || 0, area.height);
+
+    return {
+      x: area.x + (area.width - width) * ax + offsetX,
+      y: area.y + (area.height - height) * ay + offsetY,
+      width: width,
+      height: height
+    };
+  }
+
+  /**
+   * 把尺寸换算成像素
+   *
+   * @param {number|string} value - 像素（数字）或百分比（'50%'）
+   * @param {number} total - 百分比相对的总长度
+   * @returns {number} 像素
+   */
+  resolve(value, total) {
+    if (typeof value === 'string' && value.endsWith('%')) {
+      return total * parseFloat(value) / 100;
+    }
+    return value;
+  }
+
+  /**
+   * 按设计分辨率适配
+   *
+   * 游戏按固定的设计尺寸来画（比如 375×667），再整体缩放、居中到屏幕上。
+   * 三种模式：
+   * - 'contain' 完整显示设计区域，屏幕比例不同时两边或上下留空（默认）
+   * - 'cover'   铺满屏幕，比例不同时设计区域有一部分在屏幕外
+   * - 'width'   宽度刚好铺满，高度按比例
+   *
+   * @param {number} designWidth - 设计宽度
+   * @param {number} designHeight - 设计高度
+   * @param {Object} options - 选项
+   * @param {string} options.mode - 适配模式（默认 'contain'）
+   * @param {boolean} options.safeArea - 是否适配到安全区域（默认 true）
+   * @returns {DesignViewport}
+   */
+  fitDesign(designWidth, designHeight, options = {}) {
+    const area = options.safeArea === false ? this.screen : this.safeArea;
+    const scaleX = area.width / designWidth;
+    const scaleY = area.height / designHeight;
+
+    let scale;
+    switch (options.mode || 'contain') {
+      case 'cover':
+        scale = Math.max(scaleX, scaleY);
+        break;
+      case 'width':
+        scale = scaleX;
+        break;
+      default:
+        scale = Math.min(scaleX, scaleY);
+        break;
+    }
+
+    return new DesignViewport({
+      designWidth: designWidth,
+      designHeight: designHeight,
+      scale: scale,
+      x: area.x + (area.width - designWidth * scale) / 2,
+      y: area.y + (area.height - designHeight * scale) / 2
+    });
+  }
+}
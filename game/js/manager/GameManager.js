@@ -5,13 +5,34 @@
  * 它负责：
  * 1. 创建和管理画布（Canvas）- 游戏画面显示的地方
  * 2. 管理游戏主循环 - 让游戏动起来
- * 3. 处理触摸事件 - 响应玩家的点击
+ * 3. 处理触摸事件 - 响应玩家的点击，并识别点击、滑动、拖动、捏合等手势
+ *    处理键盘事件 - 把按键翻译成"向上"、"确定"、"返回"等动作（电脑版微信）
  * 4. 管理场景切换 - 在大厅和各个游戏之间切换
+ * 5. 管理场景栈 - 在游戏上面叠加暂停菜单、对话框等浮层
+ * 6. 播放场景过渡动画 - 淡入淡出、滑动、圆形擦除、从卡片放大
+ * 7. 处理切前台/切后台 - 切到后台时暂停游戏并停止主循环
+ * 8. 提供事件总线 - 游戏开始/结束、得分变化、场景切换等事件都从这里广播
+ * 9. 录像和回放 - 把一局游戏的输入录下来，之后原样重演（见 replay/）
+ * 10. 管理声音 - 背景音乐和音效，切换场景时换音乐，切到后台时静音（见 audio/）
+ * 11. 振动反馈 - 撞到、出错时让手机振一下（见 haptics/）
+ * 12. 加载图片资源 - 图片、图集、位图字体，进入游戏前显示加载界面（见 assets/）
  * 
  * 使用"单例模式"：整个游戏只有一个 GameManager
  */
 
 import GameLobby from '../scenes/GameLobby.js';
+import { getPlatform } from '../platform/platform.js';
+import PlatformStorage from '../storage/PlatformStorage.js';
+import SaveStore from '../storage/SaveStore.js';
+import { createTransition } from '../transitions/index.js';
+import GestureRecognizer from '../input/GestureRecognizer.js';
+import InputActions, { DEFAULT_BINDINGS } from '../input/InputActions.js';
+import Layout from '../layout/Layout.js';
+import EventBus, { GameEvents } from '../events/EventBus.js';
+import AudioManager from '../audio/AudioManager.js';
+import Haptics from '../haptics/Haptics.js';
+import AssetManager from '../assets/AssetManager.js';
+import LoadingScene from '../scenes/LoadingScene.js';
 
 // 单例实例
 let instance = null;
@@ -33,16 +54,49 @@ export default class GameManager {
    * 私有构造，只能通过 getInstance() 获取实例
    */
   constructor() {
+    // 平台适配器（微信或 Node 测试环境），在 init() 时确定
+    this.platform = null;
+    
+    // 游戏存档的存储后端，在 init() 时确定
+    this.storage = null;
+    
+    // 声音（背景音乐和音效），在 init() 时创建
+    this.audio = null;
+    
+    // 振动反馈，在 init() 时创建
+    this.haptics = null;
+    
+    // 图片资源（图片、图集、位图字体）的加载和缓存，在 init() 时创建
+    this.assets = null;
+    
+    // 事件总线（统计、成就、音效等模块通过它监听游戏里发生的事）
+    this.events = new EventBus();
+    
     // 画布相关
     this.canvas = null;       // 主画布
     this.ctx = null;          // 画布上下文（用于绑定）
     
-    // 屏幕尺寸
+    // 屏幕尺寸（逻辑像素，游戏里的坐标都用它）
     this.screenWidth = 0;
     this.screenHeight = 0;
     
-    // 当前场景（可以是大厅或某个游戏）
-    this.currentScene = null;
+    // 像素比（高清屏）
+    // 画布的真实像素 = 逻辑尺寸 × pixelRatio，画出来的文字和图形才不会模糊
+    this.devicePixelRatio = 1;  // 设备的像素比
+    this.maxPixelRatio = 2;     // 像素比上限（低端机可以调低，减少绘制的像素）
+    this.pixelRatio = 1;        // 实际使用的像素比
+    
+    // 布局工具（锚点、百分比、安全区域），在 init() 时根据系统信息创建
+    this.layout = null;
+    
+    // 场景栈（最上面的是当前场景）
+    // 每一项是 { scene, transparent }
+    // 栈底通常是大厅或某个游戏，上面可以叠加暂停菜单、对话框等浮层
+    this.sceneStack = [];
+    
+    // 正在播放的场景过渡 { transition, outgoing }
+    // outgoing 是切换前的旧场景栈，过渡结束后才销毁
+    this.activeTransition = null;
     
     // 游戏大厅实例
     this.lobby = null;
@@ -53,86 +107,474 @@ export default class GameManager {
     // 游戏循环相关
     this.lastTime = 0;        // 上一帧的时间戳
     this.isRunning = false;   // 是否正在运行
+    this.frameId = null;      // 当前登记的帧回调 ID
+    
+    // 固定步长模式（场景类通过静态属性 fixedTimestep 开启）
+    // 默认的逻辑帧率和最多追帧次数，场景类可以用 tickRate / maxCatchUpSteps 覆盖
+    this.defaultTickRate = 60;
+    this.defaultMaxCatchUpSteps = 5;
+    this.accumulator = 0;     // 还没模拟掉的时间（秒）
+    this.tickCount = 0;       // 当前场景已执行的逻辑帧数
     
     // 触摸事件处理函数（需要保存引用以便移除）
     this.touchStartHandler = null;
     this.touchMoveHandler = null;
     this.touchEndHandler = null;
+    this.touchCancelHandler = null;
+    
+    // 手势识别器（在 init() 时创建），识别出的手势会发给当前场景
+    this.gestures = null;
+    
+    // 按键动作映射（在 init() 时创建），按键翻译成动作后发给当前场景
+    this.input = null;
+    
+    // 切前台/切后台
+    this.isHidden = false;              // 是否在后台
+    this.wasRunningBeforeHide = false;  // 切到后台之前主循环是否在运行
+    
+    // 正在进行的录像或回放（ReplayRecorder / ReplayPlayer，见 replay/），没有时是 null
+    // 录像和回放期间强制使用固定步长，手势的计时也改用逻辑帧，保证同样的输入得到同样的结果
+    this.replay = null;
   }
   
   /**
    * 初始化游戏管理器
    * 创建画布、获取屏幕信息、设置触摸事件
+   * 
+   * @param {Object} options - 初始化选项
+   * @param {Object} options.platform - 平台适配器（默认使用当前平台，微信里就是 WxPlatform）
+   * @param {Object} options.storage - 游戏存档的存储后端（默认存到平台的本地存储里，测试时可以传 MemoryStorage）
+   * @param {number} options.maxPixelRatio - 像素比上限（默认 2，设成 1 就是不做高清处理）
    */
-  init() {
+  init(options = {}) {
     console.log('🎮 GameManager 初始化中...');
     
+    this.platform = options.platform || getPlatform();
+    
+    // 每个游戏的 this.save 都存到这里（见 storage/SaveStore.js）
+    this.storage = options.storage || new PlatformStorage(this.platform);
+    
+    // 声音和振动，音量、振动开关都保存在 settings 存档里
+    const settings = new SaveStore({ namespace: 'settings', storage: this.storage });
+    this.audio = new AudioManager({ platform: this.platform, settings: settings });
+    this.haptics = new Haptics({ platform: this.platform, settings: settings });
+    
+    // 图片资源，同一个文件只加载一次，没人用了就释放
+    this.assets = new AssetManager({ platform: this.platform });
+    
     // 1. 获取系统信息（屏幕尺寸等）
-    const systemInfo = wx.getSystemInfoSync();
+    const systemInfo = this.platform.getSystemInfo();
     this.screenWidth = systemInfo.windowWidth;
     this.screenHeight = systemInfo.windowHeight;
+    this.devicePixelRatio = systemInfo.pixelRatio || 1;
+    if (options.maxPixelRatio) {
+      this.maxPixelRatio = options.maxPixelRatio;
+    }
     console.log(`📱 屏幕尺寸: ${this.screenWidth} x ${this.screenHeight}`);
     
+    // 根据安全区域（刘海、圆角）创建布局工具
+    this.layout = Layout.fromSystemInfo(systemInfo);
+    
     // 2. 创建主画布
     // 微信小游戏中，第一个创建的 canvas 就是主画布，会自动全屏显示
-    this.canvas = wx.createCanvas();
+    this.canvas = this.platform.createCanvas();
     this.ctx = this.canvas.getContext('2d');
     
-    // 3. 设置画布尺寸
-    this.canvas.width = this.screenWidth;
-    this.canvas.height = this.screenHeight;
+    // 3. 设置画布尺寸（按像素比放大）
+    this.applyPixelRatio();
     
     // 4. 创建游戏大厅
     this.lobby = new GameLobby(this);
     
-    // 5. 设置触摸事件监听
+    // 5. 设置触摸事件监听和手势识别
+    this.gestures = new GestureRecognizer(
+      (type, gesture) => this.dispatchGesture(type, gesture),
+      { now: () => this.inputNow() }
+    );
     this.setupTouchEvents();
     
+    // 6. 设置键盘监听
+    this.input = new InputActions();
+    this.setupKeyboardEvents();
+    
+    // 7. 设置切前台/切后台监听
+    this.setupLifecycleEvents();
+    
     console.log('✅ GameManager 初始化完成');
   }
   
+  /**
+   * 按像素比设置画布尺寸
+   * 
+   * 比如 375×667 的屏幕、像素比 2：画布的真实尺寸是 750×1334，
+   * 再给 ctx 设置 2 倍的缩放，游戏照样用 375×667 的坐标绘制，但画面是高清的。
+   */
+  applyPixelRatio() {
+    this.pixelRatio = Math.max(1, Math.min(this.devicePixelRatio, this.maxPixelRatio));
+    this.canvas.width = Math.round(this.screenWidth * this.pixelRatio);
+    this.canvas.height = Math.round(this.screenHeight * this.pixelRatio);
+    this.resetTransform();
+    console.log(`🔍 像素比: ${this.pixelRatio}（设备 ${this.devicePixelRatio}，上限 ${this.maxPixelRatio}）`);
+  }
+  
+  /**
+   * 修改像素比上限（比如设置里的"省电模式"）
+   * 
+   * @param {number} maxPixelRatio - 新的上限
+   */
+  setMaxPixelRatio(maxPixelRatio) {
+    this.maxPixelRatio = maxPixelRatio;
+    this.applyPixelRatio();
+  }
+  
+  /**
+   * 把 ctx 的变换重置成"逻辑坐标"：只按像素比缩放
+   * 每帧开始时调用，上一帧没有 restore 的变换也不会累积下来
+   */
+  resetTransform() {
+    const ratio = this.pixelRatio;
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+  
   /**
    * 设置触摸事件监听
-   * 微信小游戏使用 wx.onTouchStart、wx.onTouchMove 和 wx.onTouchEnd
+   * 通过平台适配器注册（微信里就是 wx.onTouchStart、wx.onTouchMove、wx.onTouchEnd 和 wx.onTouchCancel）
+   * 
+   * 支持多指触摸：每根变化的手指都会单独调用一次场景的 onTouchStart/onTouchMove/onTouchEnd，
+   * 传给场景的触摸信息是 { x, y, id, touches }：
+   * - id       手指编号（同一根手指从按下到抬起不变）
+   * - touches  此刻还按在屏幕上的所有手指 [{ x, y, id }]
+   * 
+   * 原始触摸事件同时也交给手势识别器，识别出的手势通过 dispatchGesture() 发给当前场景。
+   * 
+   * 如果场景有界面控件（scene.ui，见 ui/UIRoot.js），触摸先交给控件：
+   * 按在控件上的手指只属于控件，不会再发给场景，也不会触发手势。
+   * 
+   * 触摸被系统打断（touchcancel）时，这根手指不会再有抬起事件：控件取消按下状态，手势识别器忘掉这根手指，
+   * 场景有 onTouchCancel 方法的话也会收到。
    */
   setupTouchEvents() {
-    // 触摸开始
-    this.touchStartHandler = (event) => {
-      const touch = event.touches[0];
-      if (touch && this.currentScene) {
-        this.currentScene.onTouchStart({
-          x: touch.clientX,
-          y: touch.clientY
-        });
+    this.touchStartHandler = (event) => this.handleInput('touchstart', event);
+    this.touchMoveHandler = (event) => this.handleInput('touchmove', event);
+    this.touchEndHandler = (event) => this.handleInput('touchend', event);
+    this.touchCancelHandler = (event) => this.handleInput('touchcancel', event);
+    
+    // 注册事件
+    this.platform.onTouchStart(this.touchStartHandler);
+    this.platform.onTouchMove(this.touchMoveHandler);
+    this.platform.onTouchEnd(this.touchEndHandler);
+    if (this.platform.onTouchCancel) {
+      this.platform.onTouchCancel(this.touchCancelHandler);
+    }
+  }
+  
+  /**
+   * 平台传来的输入（触摸、按键）都先经过这里
+   * 录像时交给录像器记下来；回放时玩家的输入被忽略，只执行录像里的输入
+   * 
+   * @param {string} type - 输入类型（touchstart / touchmove / touchend / touchcancel / keydown / keyup）
+   * @param {Object} event - 平台的事件
+   */
+  handleInput(type, event) {
+    if (this.replay && !this.replay.onLiveInput(type, event)) {
+      return;
+    }
+    this.applyInput(type, event);
+  }
+  
+  /**
+   * 执行一个输入：翻译成触摸、手势、动作，发给当前场景
+   * 回放时 ReplayPlayer 直接调用它，把录像里的输入"重新按一遍"
+   * 
+   * @param {string} type - 输入类型（同 handleInput，回放时还有 hide / show）
+   * @param {Object} event - 事件（触摸是 wx 格式，按键是 { key, code }）
+   */
+  applyInput(type, event) {
+    switch (type) {
+      case 'touchstart': {
+        // 先交给手势识别器再发给场景：场景可能在 onTouchStart 里切换场景，
+        // 切换时会清空手势识别器，这根手指就不会在新场景里触发手势
+        const sceneEvent = this.dispatchTouchesToUI('onTouchStart', event);
+        this.gestures.handleTouchStart(sceneEvent);
+        this.dispatchTouches('onTouchStart', sceneEvent);
+        break;
       }
-    };
+      case 'touchmove': {
+        const sceneEvent = this.dispatchTouchesToUI('onTouchMove', event);
+        this.dispatchTouches('onTouchMove', sceneEvent);
+        this.gestures.handleTouchMove(sceneEvent);
+        break;
+      }
+      case 'touchend': {
+        const sceneEvent = this.dispatchTouchesToUI('onTouchEnd', event);
+        this.dispatchTouches('onTouchEnd', sceneEvent);
+        this.gestures.handleTouchEnd(sceneEvent);
+        break;
+      }
+      case 'touchcancel': {
+        const sceneEvent = this.dispatchTouchesToUI('onTouchCancel', event);
+        this.dispatchTouches('onTouchCancel', sceneEvent);
+        this.gestures.handleTouchCancel(sceneEvent);
+        break;
+      }
+      case 'keydown': {
+        const bindings = this.getInputBindings(this.currentScene);
+        for (const action of this.input.handleKeyDown(event, bindings)) {
+          this.dispatchAction('onAction', action, event);
+        }
+        break;
+      }
+      case 'keyup':
+        for (const action of this.input.handleKeyUp(event)) {
+          this.dispatchAction('onActionEnd', action, event);
+        }
+        break;
+      case 'hide':
+        this.notifySceneHidden();
+        break;
+      case 'show':
+        this.notifySceneShown(event);
+        break;
+      default:
+        console.warn(`⚠️ 未知的输入类型: ${type}`);
+    }
+  }
+  
+  /**
+   * 手势识别用的当前时间（毫秒）
+   * 录像和回放时用逻辑帧换算的时间，这样双击、长按在回放时和录像时判断得一模一样
+   */
+  inputNow() {
+    return this.replay ? this.replay.now() : this.platform.now();
+  }
+  
+  /**
+   * 把一个原始触摸事件先发给当前场景的界面控件
+   * 
+   * @param {string} method - UIRoot 的方法名（onTouchStart / onTouchMove / onTouchEnd / onTouchCancel）
+   * @param {Object} event - 平台的触摸事件（wx 格式）
+   * @returns {Object} 去掉了属于控件的手指之后的触摸事件（再发给场景和手势识别器）
+   */
+  dispatchTouchesToUI(method, event) {
+    const ui = this.currentScene && this.currentScene.ui;
+    if (!ui || this.isTransitioning()) {
+      return event;
+    }
     
-    // 触摸移动
-    this.touchMoveHandler = (event) => {
-      const touch = event.touches[0];
-      if (touch && this.currentScene && this.currentScene.onTouchMove) {
-        this.currentScene.onTouchMove({
-          x: touch.clientX,
-          y: touch.clientY
-        });
+    const claimed = new Set();
+    for (const changed of event.changedTouches) {
+      if (ui[method](this.toTouchInfo(changed))) {
+        claimed.add(changed.identifier);
       }
+    }
+    
+    const ownedByUI = (touch) => claimed.has(touch.identifier) || ui.isCapturing(touch.identifier);
+    return {
+      ...event,
+      touches: event.touches.filter((touch) => !ownedByUI(touch)),
+      changedTouches: event.changedTouches.filter((touch) => !claimed.has(touch.identifier))
     };
+  }
+  
+  /**
+   * 把一个原始触摸事件发给当前场景
+   * 过渡动画期间忽略触摸
+   * 
+   * @param {string} method - 场景的方法名（onTouchStart / onTouchMove / onTouchEnd / onTouchCancel）
+   * @param {Object} event - 平台的触摸事件（wx 格式）
+   */
+  dispatchTouches(method, event) {
+    const scene = this.currentScene;
+    if (!scene || !scene[method] || this.isTransitioning()) {
+      return;
+    }
     
-    // 触摸结束
-    this.touchEndHandler = (event) => {
-      const touch = event.changedTouches[0];
-      if (touch && this.currentScene) {
-        this.currentScene.onTouchEnd({
-          x: touch.clientX,
-          y: touch.clientY
-        });
+    const touches = event.touches.map((touch) => this.toTouchInfo(touch));
+    for (const changed of event.changedTouches) {
+      // 前一根手指的处理可能已经切换了场景，剩下的手指就不再发给旧场景
+      if (this.currentScene !== scene || this.isTransitioning()) {
+        return;
       }
+      
+      scene[method]({
+        ...this.toTouchInfo(changed),
+        touches: touches
+      });
+    }
+  }
+  
+  /**
+   * 把平台的触摸点转换成场景使用的 { x, y, id }
+   */
+  toTouchInfo(touch) {
+    return {
+      x: touch.clientX,
+      y: touch.clientY,
+      id: touch.identifier
     };
+  }
+  
+  /**
+   * 把识别出的手势发给当前场景
+   * 场景实现 handleGesture(type, gesture) 就能收到（BaseGame 已经实现，游戏里用 onGesture 订阅）
+   * 
+   * @param {string} type - 手势名称（tap、swipe、pan 等）
+   * @param {Object} gesture - 手势信息
+   */
+  dispatchGesture(type, gesture) {
+    const scene = this.currentScene;
+    if (scene && scene.handleGesture && !this.isTransitioning()) {
+      scene.handleGesture(type, gesture);
+    }
+  }
+  
+  /**
+   * 设置键盘监听
+   * 通过平台适配器注册（微信里就是 wx.onKeyDown 和 wx.onKeyUp，只有电脑版微信有）
+   * 
+   * 按键先按当前场景的按键绑定翻译成动作，再发给场景：
+   * - 按下：scene.onAction(action, info)
+   * - 抬起：scene.onActionEnd(action, info)
+   * info 是 { action, source: 'keyboard', key, code }
+   */
+  setupKeyboardEvents() {
+    if (!this.platform.onKeyDown) {
+      return;
+    }
     
-    // 注册事件
-    wx.onTouchStart(this.touchStartHandler);
-    wx.onTouchMove(this.touchMoveHandler);
-    wx.onTouchEnd(this.touchEndHandler);
+    this.platform.onKeyDown((event) => this.handleInput('keydown', event));
+    this.platform.onKeyUp((event) => this.handleInput('keyup', event));
+  }
+  
+  /**
+   * 读取场景的按键绑定
+   * 场景类可以用静态属性 inputBindings 覆盖默认绑定中的某些动作：
+   * 
+   *   class FlappyBird extends BaseGame {
+   *     static inputBindings = { action: ['Space', 'ArrowUp'], up: [] };
+   *   }
+   * 
+   * @param {Object} scene - 场景
+   * @returns {Object} 按键绑定（动作 -> 按键列表）
+   */
+  getInputBindings(scene) {
+    const custom = scene ? scene.constructor.inputBindings : null;
+    return { ...DEFAULT_BINDINGS, ...custom };
+  }
+  
+  /**
+   * 把一个动作发给当前场景
+   * 过渡动画期间忽略
+   * 
+   * @param {string} method - 场景的方法名（onAction / onActionEnd）
+   * @param {string} action - 动作名称
+   * @param {Object} event - 键盘事件
+   */
+  dispatchAction(method, action, event) {
+    const scene = this.currentScene;
+    if (!scene || !scene[method] || this.isTransitioning()) {
+      return;
+    }
+    
+    scene[method](action, {
+      action: action,
+      source: 'keyboard',
+      key: event.key,
+      code: event.code
+    });
+  }
+  
+  /**
+   * 设置切前台/切后台监听
+   * 通过平台适配器注册（微信里就是 wx.onShow 和 wx.onHide）
+   */
+  setupLifecycleEvents() {
+    this.platform.onHide(() => this.handleAppHide());
+    this.platform.onShow((options) => this.handleAppShow(options));
+  }
+  
+  /**
+   * 切到后台
+   * 通知当前场景（游戏会自动暂停），并停止主循环，省电也不会在后台偷偷跑
+   */
+  handleAppHide() {
+    if (this.isHidden) {
+      return;
+    }
+    this.isHidden = true;
+    console.log('🌙 切到后台');
+    
+    // 游戏会因为切后台暂停，录像时也要记下来；回放时真的切后台只停主循环，不打断回放的游戏
+    if (!this.replay || this.replay.onLiveInput('hide', {})) {
+      // 小游戏在后台随时可能被系统关掉，先把正在玩的这一局存起来
+      this.saveSession();
+      this.notifySceneHidden();
+    }
+    
+    this.events.emit(GameEvents.APP_HIDE, {});
+    this.audio.suspend();
+    this.haptics.suspend();
+    
+    this.wasRunningBeforeHide = this.isRunning;
+    if (this.isRunning) {
+      this.stopGameLoop();
+    }
+  }
+  
+  /**
+   * 切回前台
+   * 通知当前场景（游戏会显示"点击继续"浮层），然后重新启动主循环
+   * 
+   * @param {Object} options - 平台传来的参数（微信里是启动参数）
+   */
+  handleAppShow(options) {
+    if (!this.isHidden) {
+      return;
+    }
+    this.isHidden = false;
+    console.log('☀️ 切回前台');
+    
+    if (!this.replay || this.replay.onLiveInput('show', options)) {
+      this.notifySceneShown(options);
+    }
+    
+    this.events.emit(GameEvents.APP_SHOW, { options: options });
+    this.audio.resume();
+    this.haptics.resume();
+    
+    // 重新启动主循环（startGameLoop 会重置时间，不会把后台的时间一下子补回来）
+    if (this.wasRunningBeforeHide) {
+      this.startGameLoop();
+    }
+  }
+  
+  /**
+   * 通知当前场景切到后台了（游戏会自动暂停），并清空按着的手指和按键
+   */
+  notifySceneHidden() {
+    const scene = this.currentScene;
+    if (scene && scene.onAppHide) {
+      scene.onAppHide();
+    }
+    
+    // 切到后台时按着的手指和按键可能收不到抬起事件，清空识别状态
+    this.gestures.reset();
+    this.input.reset();
+    if (scene && scene.ui) {
+      scene.ui.cancelAll();
+    }
+  }
+  
+  /**
+   * 通知当前场景切回前台了（游戏会显示"点击继续"浮层）
+   * 
+   * @param {Object} options - 平台传来的参数
+   */
+  notifySceneShown(options) {
+    const scene = this.currentScene;
+    if (scene && scene.onAppShow) {
+      scene.onAppShow(options);
+    }
   }
   
   /**
@@ -143,7 +585,8 @@ export default class GameManager {
    * @param {string} gameInfo.id - 游戏唯一标识
    * @param {string} gameInfo.name - 游戏名称
    * @param {string} gameInfo.description - 游戏描述
-   * @param {string} gameInfo.icon - 游戏图标（emoji 或图片路径）
+   * @param {string} gameInfo.icon - 游戏图标（emoji）
+   * @param {string} gameInfo.iconImage - 图标图片的路径（可选，大厅里代替 emoji，加载失败时还是显示 emoji）
    * @param {Function} gameInfo.GameClass - 游戏类（继承自 BaseGame）
    */
   registerGame(gameInfo) {
@@ -158,39 +601,357 @@ export default class GameManager {
     return this.registeredGames;
   }
   
+  /**
+   * 根据游戏类查找注册信息 { id, name, description, icon, GameClass }
+   * 
+   * @param {Function} GameClass - 游戏类
+   * @returns {Object|null} 没有注册过时返回 null
+   */
+  getGameInfo(GameClass) {
+    return this.registeredGames.find((game) => game.GameClass === GameClass) || null;
+  }
+  
+  /**
+   * 打开某个游戏的存档（BaseGame 的 this.save 就是这样创建的，大厅也用它查看有没有未完成的对局）
+   * 
+   * @param {Function} GameClass - 游戏类
+   * @returns {SaveStore}
+   */
+  openSave(GameClass) {
+    return new SaveStore({
+      namespace: this.getGameId(GameClass),
+      storage: this.storage,
+      version: GameClass.saveVersion,
+      migrations: GameClass.saveMigrations
+    });
+  }
+  
+  /**
+   * 读取某个游戏保存的未完成对局（见 BaseGame.saveSession）
+   * 
+   * @param {Function} GameClass - 游戏类
+   * @returns {Object|null} 没有时返回 null
+   */
+  loadSession(GameClass) {
+    return this.openSave(GameClass).get('session', null);
+  }
+  
+  /**
+   * 删掉某个游戏保存的未完成对局（玩家选了"重新开始"）
+   * 
+   * @param {Function} GameClass - 游戏类
+   */
+  discardSession(GameClass) {
+    this.openSave(GameClass).remove('session');
+  }
+  
+  /**
+   * 让栈底的游戏保存未完成的这一局（切后台、离开游戏时调用）
+   */
+  saveSession() {
+    const root = this.sceneStack.length > 0 ? this.sceneStack[0].scene : null;
+    if (root && root.saveSession) {
+      root.saveSession();
+    }
+  }
+  
+  /**
+   * 根据游戏类查找注册时的游戏 ID
+   * 没有注册过的游戏（比如测试里直接 switchToGame 的）用类名代替
+   * 
+   * @param {Function} GameClass - 游戏类
+   * @returns {string} 游戏 ID
+   */
+  getGameId(GameClass) {
+    const info = this.getGameInfo(GameClass);
+    return info ? info.id : GameClass.name;
+  }
+  
   /**
    * 显示游戏大厅
+   * 
+   * @param {Object} options - 选项
+   * @param {string|Transition} options.transition - 过渡动画（不传就直接切换）
+   * @param {Object} options.transitionOptions - 过渡动画选项（transition 是名字时使用）
    */
-  showLobby() {
+  showLobby(options = {}) {
     console.log('🏠 显示游戏大厅');
     
-    // 如果当前有游戏在运行，先销毁它
-    if (this.currentScene && this.currentScene !== this.lobby) {
-      this.currentScene.destroy();
-    }
-    
-    // 切换到大厅
-    this.currentScene = this.lobby;
-    this.lobby.init();
+    // 清空场景栈（销毁正在运行的游戏和它上面的浮层），切换到大厅
+    this.setRootScene(this.lobby, options);
   }
   
   /**
    * 切换到指定游戏
    * 
    * @param {Function} GameClass - 游戏类
+   * @param {Object} options - 选项（同 showLobby）
+   * @param {Object} options.session - 要继续的未完成对局（loadSession() 的返回值，不传就开新的一局）
+   * @param {number|string} options.seed - 固定随机种子（每日挑战、回放用，见 BaseGame.setSeed）
+   * @param {boolean} options.preload - 是否先加载完游戏的资源（static assets）再开始（默认 true）
+   *                  false 时马上创建游戏，资源在后台加载，加载好之前用代码画（录像和回放要马上开始）
+   * 
+   * 游戏有还没加载的资源时，先显示加载界面（见 scenes/LoadingScene.js），加载完再淡入游戏；
+   * 资源都在缓存里（比如重新开一局）时直接进入游戏。
+   * 
+   * 例如: switchToGame(SnakeGame, { transition: 'zoom', transitionOptions: { fromRect: card } })
    */
-  switchToGame(GameClass) {
+  switchToGame(GameClass, options = {}) {
     console.log('🎮 切换游戏中...');
     
-    // 如果当前有场景，先销毁
-    if (this.currentScene) {
-      this.currentScene.destroy();
+    const bundle = options.preload === false ? null : this.assets.load(GameClass.assets);
+    if (bundle && !bundle.isComplete) {
+      const info = this.getGameInfo(GameClass);
+      console.log('📦 加载游戏资源...');
+      this.setRootScene(new LoadingScene(this, {
+        bundle: bundle,
+        title: info ? info.name : '',
+        onComplete: () => this.createGame(GameClass, {
+          seed: options.seed,
+          session: options.session,
+          transition: 'fade'
+        })
+      }), options);
+      return;
     }
     
-    // 创建新游戏实例并初始化
+    this.createGame(GameClass, options);
+    
+    // 游戏自己也引用了这些资源（见 BaseGame），这里的引用可以还回去了
+    if (bundle) {
+      bundle.release();
+    }
+  }
+  
+  /**
+   * 创建游戏并放到栈底（switchToGame 的后半段）
+   * 
+   * @param {Function} GameClass - 游戏类
+   * @param {Object} options - 选项（同 switchToGame）
+   */
+  createGame(GameClass, options) {
+    // 创建新游戏实例，清空场景栈后放到栈底
     const game = new GameClass(this);
-    this.currentScene = game;
-    game.init();
+    if (options.seed !== undefined) {
+      game.setSeed(options.seed);
+    }
+    this.setRootScene(game, options);
+    
+    if (options.session) {
+      game.restoreSession(options.session);
+    }
+  }
+  
+  // ==================== 场景栈 ====================
+  
+  /**
+   * 当前场景（场景栈最上面的那个）
+   * 触摸事件只会发给它，也只有它会被 update
+   */
+  get currentScene() {
+    const top = this.sceneStack[this.sceneStack.length - 1];
+    return top ? top.scene : null;
+  }
+  
+  /**
+   * 把一个场景压到栈顶（比如暂停菜单、设置面板、确认对话框）
+   * 
+   * 下面的场景会被"冻结"：不再 update，也收不到触摸事件。
+   * 
+   * @param {Object} scene - 要显示的场景（需要有 init/update/render/onTouchStart/onTouchEnd/destroy）
+   * @param {Object} options - 选项
+   * @param {boolean} options.transparent - 是否透明（默认 false）
+   *                  透明的浮层下面的场景会继续被绘制（但保持冻结），
+   *                  不透明的浮层会完全盖住下面的场景
+   */
+  push(scene, options = {}) {
+    const covered = this.currentScene;
+    if (covered && covered.onCovered) {
+      covered.onCovered();
+    }
+    
+    // 被盖住的场景收不到抬起事件了，按着的控件要松开
+    if (covered && covered.ui) {
+      covered.ui.cancelAll();
+    }
+    
+    this.sceneStack.push({
+      scene: scene,
+      transparent: options.transparent === true
+    });
+    this.accumulator = 0;
+    this.gestures.reset();
+    
+    scene.init();
+    this.emitSceneChanged(covered);
+  }
+  
+  /**
+   * 弹出栈顶的场景并销毁它，下面的场景恢复运行
+   * 栈底的场景（大厅或游戏）不能被弹出，要用 showLobby / switchToGame 切换
+   * 
+   * @returns {Object|null} 被弹出的场景
+   */
+  pop() {
+    if (this.sceneStack.length <= 1) {
+      console.warn('⚠️ 场景栈只剩一个场景，不能弹出');
+      return null;
+    }
+    
+    const entry = this.sceneStack.pop();
+    entry.scene.destroy();
+    this.accumulator = 0;
+    this.gestures.reset();
+    
+    const uncovered = this.currentScene;
+    if (uncovered && uncovered.onUncovered) {
+      uncovered.onUncovered();
+    }
+    this.emitSceneChanged(entry.scene);
+    
+    return entry.scene;
+  }
+  
+  /**
+   * 用新场景替换栈顶的场景
+   * 旧场景会被销毁，下面的场景保持冻结
+   * 
+   * @param {Object} scene - 新场景
+   * @param {Object} options - 选项（同 push）
+   */
+  replace(scene, options = {}) {
+    if (this.sceneStack.length <= 1) {
+      this.setRootScene(scene);
+      return;
+    }
+    
+    const entry = this.sceneStack.pop();
+    entry.scene.destroy();
+    
+    this.sceneStack.push({
+      scene: scene,
+      transparent: options.transparent === true
+    });
+    this.accumulator = 0;
+    this.gestures.reset();
+    
+    scene.init();
+    this.emitSceneChanged(entry.scene);
+  }
+  
+  /**
+   * 清空场景栈，只留下一个新的栈底场景
+   * 
+   * 如果指定了过渡动画，旧场景栈会保留到动画结束再销毁，
+   * 动画期间新旧场景都被冻结，触摸事件也会被忽略。
+   * 
+   * @param {Object} scene - 新的栈底场景（大厅或游戏）
+   * @param {Object} options - 选项（同 showLobby）
+   */
+  setRootScene(scene, options = {}) {
+    // 上一个过渡还没播完，直接结束它
+    if (this.activeTransition) {
+      this.finishTransition();
+    }
+    
+    // 录像和回放只针对一局游戏，离开这局游戏就结束
+    if (this.replay) {
+      this.replay.stop();
+    }
+    
+    // 离开游戏时保存未完成的这一局
+    this.saveSession();
+    
+    const outgoing = this.sceneStack;
+    const previous = this.currentScene;
+    this.sceneStack = [{ scene: scene, transparent: false }];
+    this.resetTimestep();
+    this.gestures.reset();
+    
+    const transition = createTransition(options.transition, options.transitionOptions);
+    if (transition && outgoing.length > 0) {
+      transition.start(this.screenWidth, this.screenHeight);
+      this.activeTransition = { transition, outgoing };
+    } else {
+      this.destroyScenes(outgoing, scene);
+    }
+    
+    scene.init();
+    this.emitSceneChanged(previous);
+    
+    // 换成新场景的背景音乐（场景类的 static music，没有就停掉），和旧的交叉淡入淡出
+    this.audio.playMusic(scene.constructor.music || null);
+  }
+  
+  /**
+   * 广播"当前场景变了"
+   * 
+   * @param {Object} previous - 之前的当前场景
+   */
+  emitSceneChanged(previous) {
+    if (this.currentScene !== previous) {
+      this.events.emit(GameEvents.SCENE_CHANGED, {
+        scene: this.currentScene,
+        previous: previous
+      });
+    }
+  }
+  
+  /**
+   * 从上往下销毁一组场景
+   * 
+   * @param {Array} entries - 场景栈条目
+   * @param {Object} keep - 不需要销毁的场景（大厅会被重复使用）
+   */
+  destroyScenes(entries, keep) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].scene !== keep) {
+        entries[i].scene.destroy();
+      }
+    }
+  }
+  
+  // ==================== 场景过渡 ====================
+  
+  /**
+   * 是否正在播放场景过渡（播放期间忽略触摸）
+   */
+  isTransitioning() {
+    return this.activeTransition !== null;
+  }
+  
+  /**
+   * 结束当前的场景过渡，销毁旧场景
+   */
+  finishTransition() {
+    const { outgoing } = this.activeTransition;
+    this.activeTransition = null;
+    this.destroyScenes(outgoing, this.sceneStack[0].scene);
+  }
+  
+  /**
+   * 绘制场景栈
+   * 从最上面往下找，直到遇到第一个不透明的场景，然后从它开始往上依次绘制。
+   * 
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 栈顶场景的渲染插值比例（被冻结的场景用 1）
+   */
+  renderSceneStack(ctx, alpha, stack = this.sceneStack) {
+    let bottom = stack.length - 1;
+    while (bottom > 0 && stack[bottom].transparent) {
+      bottom--;
+    }
+    
+    for (let i = Math.max(bottom, 0); i < stack.length; i++) {
+      const isTop = i === stack.length - 1;
+      const scene = stack[i].scene;
+      scene.render(ctx, isTop ? alpha : 1);
+      
+      // 界面控件画在场景上面
+      if (scene.ui) {
+        scene.ui.render(ctx);
+      }
+    }
   }
   
   /**
@@ -203,7 +964,7 @@ export default class GameManager {
     }
     
     this.isRunning = true;
-    this.lastTime = Date.now();
+    this.lastTime = this.platform.now();
     
     console.log('🔄 游戏主循环启动');
     
@@ -214,39 +975,213 @@ export default class GameManager {
       }
       
       // 计算 deltaTime（距离上一帧的时间，单位：秒）
-      const currentTime = Date.now();
+      const currentTime = this.platform.now();
       const deltaTime = (currentTime - this.lastTime) / 1000;
       this.lastTime = currentTime;
       
-      // 限制 deltaTime 最大值，避免切后台回来时跳帧太多
-      const clampedDeltaTime = Math.min(deltaTime, 0.1);
-      
-      // 更新当前场景
-      if (this.currentScene) {
-        this.currentScene.update(clampedDeltaTime);
+      // 检查长按（手指按住不动时没有触摸事件，只能每帧检查）
+      // 录像和回放时改成每个逻辑帧检查一次，见 fixedTick()
+      if (!this.replay) {
+        this.gestures.update();
       }
       
-      // 清空画布
+      // 音乐的淡入淡出和振动图案里的停顿用真实时间，游戏暂停时也照样进行
+      this.audio.update(Math.min(deltaTime, 0.1));
+      this.haptics.update(Math.min(deltaTime, 0.1));
+      
+      // 重置变换，清空画布（用逻辑坐标）
+      this.resetTransform();
       this.ctx.clearRect(0, 0, this.screenWidth, this.screenHeight);
       
-      // 渲染当前场景
-      if (this.currentScene) {
-        this.currentScene.render(this.ctx);
+      if (this.activeTransition) {
+        // 播放场景过渡（新旧场景都冻结，只推进动画）
+        this.renderTransition(this.ctx, deltaTime);
+      } else {
+        // 更新当前场景，得到渲染插值比例
+        const alpha = this.updateScene(this.currentScene, deltaTime);
+        
+        // 渲染场景栈（透明浮层下面的场景也会被画出来）
+        this.renderSceneStack(this.ctx, alpha);
       }
       
       // 继续下一帧
-      requestAnimationFrame(loop);
+      this.frameId = this.platform.requestAnimationFrame(loop);
     };
     
     // 启动循环
     loop();
   }
   
+  /**
+   * 推进并绘制场景过渡，播放完毕后销毁旧场景
+   * 
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} deltaTime - 帧间隔（秒）
+   */
+  renderTransition(ctx, deltaTime) {
+    const { transition, outgoing } = this.activeTransition;
+    transition.update(Math.min(deltaTime, 0.1));
+    
+    transition.render(
+      ctx,
+      () => this.renderSceneStack(ctx, 1, outgoing),
+      () => this.renderSceneStack(ctx, 1)
+    );
+    
+    if (transition.isFinished) {
+      this.finishTransition();
+    }
+  }
+  
+  /**
+   * 更新一个场景
+   * 
+   * 两种模式：
+   * 1. 可变步长（默认）：每帧调用一次 update(deltaTime)，deltaTime 最大 0.1 秒
+   * 2. 固定步长：场景类声明了 static fixedTimestep = true 时使用
+   *    每次 update 都传入同样的时间（1 / tickRate），
+   *    所以 30Hz 和 120Hz 的手机上，小鸟的重力、管道的速度都完全一样，
+   *    同样的操作也能得到同样的结果（可以重放）。
+   *    录像和回放时不管场景类有没有声明，都强制使用固定步长（见 replay/）。
+   * 
+   * 固定步长就像"存钱罐"：每帧把经过的时间存进去（accumulator），
+   * 每攒够一份 step 就取出来执行一次 update。
+   * 剩下不够一份的零钱，用来算渲染插值比例 alpha。
+   * 
+   * @param {Object} scene - 要更新的场景
+   * @param {number} deltaTime - 距离上一帧的真实时间（秒）
+   * @returns {number} 渲染插值比例 alpha（0-1），可变步长模式下总是 1
+   */
+  updateScene(scene, deltaTime) {
+    if (!scene) {
+      return 1;
+    }
+    
+    const config = this.getTimestepConfig(scene);
+    
+    if (!config.fixedTimestep) {
+      // 限制 deltaTime 最大值，避免切后台回来时跳帧太多
+      this.tickScene(scene, Math.min(deltaTime, 0.1));
+      this.tickCount++;
+      return 1;
+    }
+    
+    // 回放可以快进（4 倍速就是每帧多模拟 4 倍的时间）
+    const speed = this.replay ? this.replay.speed : 1;
+    const step = 1 / config.tickRate;
+    this.accumulator += deltaTime * speed;
+    
+    // 每帧最多追 maxCatchUpSteps 步，防止卡顿后越追越慢（"死亡螺旋"）
+    let steps = 0;
+    while (this.accumulator >= step && steps < config.maxCatchUpSteps * speed) {
+      if (!this.fixedTick(scene, step)) {
+        return 1;
+      }
+      this.accumulator -= step;
+      steps++;
+      
+      // update 里可能切换了场景，旧场景不要再继续模拟
+      if (this.currentScene !== scene) {
+        return 1;
+      }
+    }
+    
+    // 追不上的时间直接丢掉，只保留不到一步的部分用于插值
+    if (this.accumulator >= step) {
+      this.accumulator = this.accumulator % step;
+    }
+    
+    return this.accumulator / step;
+  }
+  
+  /**
+   * 固定步长的一次逻辑更新
+   * 录像和回放时，先执行这一帧之前录下的输入（回放），再检查长按，最后更新场景
+   * 
+   * @param {Object} scene - 场景
+   * @param {number} step - 步长（秒）
+   * @returns {boolean} 是否真的更新了（回放的输入切换了场景时返回 false，留给新场景）
+   */
+  fixedTick(scene, step) {
+    if (this.replay) {
+      this.replay.beforeTick();
+      if (this.currentScene !== scene || this.isTransitioning()) {
+        return false;
+      }
+      this.gestures.update();
+    }
+    
+    this.tickScene(scene, step);
+    this.tickCount++;
+    
+    if (this.replay) {
+      this.replay.afterTick();
+    }
+    return true;
+  }
+  
+  /**
+   * 执行一次逻辑更新：先推进场景的定时器（触发到时间的任务）、补间动画、帧动画和粒子，再调用 update()
+   * 
+   * @param {Object} scene - 场景
+   * @param {number} deltaTime - 这次更新的时间（秒）
+   */
+  tickScene(scene, deltaTime) {
+    if (scene.scheduler) {
+      scene.scheduler.update(deltaTime);
+    }
+    if (scene.tweens) {
+      scene.tweens.update(deltaTime);
+    }
+    if (scene.sprites) {
+      scene.sprites.update(deltaTime);
+    }
+    if (scene.particles) {
+      scene.particles.update(deltaTime);
+    }
+    scene.update(deltaTime);
+  }
+  
+  /**
+   * 读取场景的步长配置
+   * 场景类（通常是 BaseGame 的子类）可以用静态属性声明：
+   * 
+   *   class FlappyBird extends BaseGame {
+   *     static fixedTimestep = true;   // 开启固定步长
+   *     static tickRate = 60;          // 每秒 60 次逻辑更新
+   *     static maxCatchUpSteps = 5;    // 每帧最多追 5 步
+   *   }
+   * 
+   * @param {Object} scene - 场景
+   * @returns {Object} { fixedTimestep, tickRate, maxCatchUpSteps }
+   */
+  getTimestepConfig(scene) {
+    const SceneClass = scene.constructor;
+    return {
+      fixedTimestep: SceneClass.fixedTimestep === true || this.replay !== null,
+      tickRate: SceneClass.tickRate || this.defaultTickRate,
+      maxCatchUpSteps: SceneClass.maxCatchUpSteps || this.defaultMaxCatchUpSteps
+    };
+  }
+  
+  /**
+   * 重置固定步长的计时状态
+   * 切换场景时调用，新场景从第 0 个逻辑帧开始
+   */
+  resetTimestep() {
+    this.accumulator = 0;
+    this.tickCount = 0;
+  }
+  
   /**
    * 停止游戏主循环
    */
   stopGameLoop() {
     this.isRunning = false;
+    if (this.frameId !== null) {
+      this.platform.cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
     console.log('⏹️ 游戏主循环停止');
   }
 }
@@ -0,0 +1,342 @@
+/**
+ * 粒子发射器 - ParticleEmitter
+ *
+ * 发射器决定粒子"从哪里出来、往哪飞、长什么样、活多久"。
+ * 一般不直接 new，而是通过 ParticleSystem 的 burst() / emitter() 创建。
+ *
+ * 配置项（都可以不写，有默认值）：
+ *
+ *   位置和形状
+ *   - x, y            发射器位置
+ *   - shape           粒子出生的区域：'point'（一个点）、'circle'（圆内）、'rect'（矩形内）
+ *   - radius          shape 是 'circle' 时的半径
+ *   - width, height   shape 是 'rect' 时的大小（以 x, y 为中心）
+ *
+ *   发射方式
+ *   - count           一次性爆发（burst）的粒子数量
+ *   - rate            持续发射（continuous）时每秒发射多少个
+ *   - duration        持续发射多久（秒），-1 表示一直发射，直到调用 stop()
+ *
+ *   运动
+ *   - speed           初速度（像素/秒），可以是数字或 [最小, 最大]
+ *   - angle           发射方向（角度，0 是向右，90 是向下），可以是数字或 [最小, 最大]
+ *   - gravity         重力加速度（像素/秒²，向下为正）
+ *   - drag            空气阻力（0-1，每秒损失的速度比例）
+ *   - spin            旋转速度（角度/秒），可以是数字或 [最小, 最大]
+ *
+ *   外观
+ *   - lifetime        寿命（秒），可以是数字或 [最小, 最大]
+ *   - particleShape   粒子形状：'circle' 或 'rect'（纸屑）
+ *   - size            大小（圆的半径 / 方块边长的一半），可以是数字，
+ *                     或者数组表示"随寿命变化的曲线"，比如 [6, 0] 是从 6 慢慢变到 0
+ *   - color           颜色，可以是一个颜色，或者颜色数组表示随寿命渐变，比如 ['#FFFFFF', '#FFD700']
+ *   - palette         颜色数组，每个粒子随机挑一个（比如彩色纸屑），设置后忽略 color
+ *   - alpha           透明度，可以是数字或曲线，比如 [1, 0] 是慢慢消失
+ */
+
+import { randomFloat, clamp, lerp, degToRad } from '../utils/utils.js';
+
+// 默认配置
+const DEFAULTS = {
+  x: 0,
+  y: 0,
+  shape: 'point',
+  radius: 0,
+  width: 0,
+  height: 0,
+  count: 10,
+  rate: 0,
+  duration: -1,
+  speed: [50, 150],
+  angle: [0, 360],
+  gravity: 0,
+  drag: 0,
+  spin: 0,
+  lifetime: 1,
+  particleShape: 'circle',
+  size: 4,
+  color: '#FFFFFF',
+  palette: null,
+  alpha: [1, 0]
+};
+
+export default class ParticleEmitter {
+  /**
+   * @param {ParticleSystem} system - 所属的粒子系统（从它的对象池里取粒子）
+   * @param {string} mode - 'burst'（一次性爆发）| 'continuous'（持续发射）
+   * @param {Object} config - 配置（见文件开头）
+   */
+  constructor(system, mode, config = {}) {
+    this.system = system;
+    this.mode = mode;
+    this.config = { ...DEFAULTS, ...config };
+
+    // 发射器位置（持续发射时可以跟着物体移动）
+    this.x = this.config.x;
+    this.y = this.config.y;
+
+    // 颜色曲线先转换成 RGB，避免每帧都解析颜色字符串
+    this.colorStops = ParticleEmitter.parseColors(this.config.color);
+
+    this.elapsed = 0;         // 已经发射了多久
+    this.emitDebt = 0;        // 持续发射时"欠着"还没发出去的粒子（小数部分）
+    this.emitting = true;     // 是否还在发射
+    this.aliveCount = 0;      // 还活着的粒子数量
+  }
+
+  /**
+   * 一次性发射 count 个粒子（burst 模式创建时由 ParticleSystem 调用）
+   */
+  burst() {
+    for (let i = 0; i < this.config.count; i++) {
+      this.spawn();
+    }
+    this.emitting = false;
+  }
+
+  /**
+   * 持续发射：按 rate 发出这一帧该发的粒子
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    if (!this.emitting || this.mode !== 'continuous') {
+      return;
+    }
+
+    this.elapsed += deltaTime;
+    this.emitDebt += this.config.rate * deltaTime;
+    while (this.emitDebt >= 1) {
+      this.spawn();
+      this.emitDebt--;
+    }
+
+    if (this.config.duration >= 0 && this.elapsed >= this.config.duration) {
+      this.emitting = false;
+    }
+  }
+
+  /**
+   * 停止发射（已经发出去的粒子会继续飞完）
+   */
+  stop() {
+    this.emitting = false;
+  }
+
+  /**
+   * 移动发射器
+   */
+  moveTo(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * 发射器是否已经结束（不再发射，粒子也都消失了）
+   */
+  get isFinished() {
+    return !this.emitting && this.aliveCount === 0;
+  }
+
+  /**
+   * 发射一个粒子
+   */
+  spawn() {
+    const particle = this.system.acquire();
+    if (!particle) {
+      return;
+    }
+
+    const config = this.config;
+    const rng = this.system.rng;
+    const position = this.spawnPosition();
+    const speed = ParticleEmitter.pick(config.speed, rng);
+    const angle = degToRad(ParticleEmitter.pick(config.angle, rng));
+
+    particle.emitter = this;
+    particle.x = position.x;
+    particle.y = position.y;
+    particle.vx = Math.cos(angle) * speed;
+    particle.vy = Math.sin(angle) * speed;
+    particle.rotation = randomFloat(0, Math.PI * 2, rng);
+    particle.spin = degToRad(ParticleEmitter.pick(config.spin, rng));
+    particle.age = 0;
+    particle.lifetime = Math.max(0.01, ParticleEmitter.pick(config.lifetime, rng));
+    particle.color = config.palette
+      ? config.palette[Math.floor(randomFloat(0, config.palette.length, rng))]
+      : null;
+
+    this.aliveCount++;
+  }
+
+  /**
+   * 按发射形状随机一个出生位置
+   *
+   * @returns {Object} { x, y }
+   */
+  spawnPosition() {
+    const config = this.config;
+    const rng = this.system.rng;
+    switch (config.shape) {
+      case 'circle': {
+        // 开平方让粒子在圆内均匀分布，而不是挤在圆心
+        const r = Math.sqrt(randomFloat(0, 1, rng)) * config.radius;
+        const a = randomFloat(0, Math.PI * 2, rng);
+        return { x: this.x + Math.cos(a) * r, y: this.y + Math.sin(a) * r };
+      }
+      case 'rect':
+        return {
+          x: this.x + randomFloat(-config.width / 2, config.width / 2, rng),
+          y: this.y + randomFloat(-config.height / 2, config.height / 2, rng)
+        };
+      default:
+        return { x: this.x, y: this.y };
+    }
+  }
+
+  /**
+   * 推进一个粒子
+   *
+   * @param {Object} particle - 粒子
+   * @param {number} deltaTime - 经过的时间（秒）
+   * @returns {boolean} 粒子是否还活着
+   */
+  updateParticle(particle, deltaTime) {
+    particle.age += deltaTime;
+    if (particle.age >= particle.lifetime) {
+      this.aliveCount--;
+      return false;
+    }
+
+    const config = this.config;
+    if (config.drag > 0) {
+      const keep = Math.max(0, 1 - config.drag * deltaTime);
+      particle.vx *= keep;
+      particle.vy *= keep;
+    }
+    particle.vy += config.gravity * deltaTime;
+    particle.x += particle.vx * deltaTime;
+    particle.y += particle.vy * deltaTime;
+    particle.rotation += particle.spin * deltaTime;
+    return true;
+  }
+
+  /**
+   * 绘制一个粒子
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {Object} particle - 粒子
+   */
+  renderParticle(ctx, particle) {
+    const life = particle.age / particle.lifetime;
+    const size = ParticleEmitter.sampleCurve(this.config.size, life);
+    const alpha = ParticleEmitter.sampleCurve(this.config.alpha, life);
+    if (size <= 0 || alpha <= 0) {
+      return;
+    }
+
+    ctx.globalAlpha = clamp(alpha, 0, 1);
+    ctx.fillStyle = particle.color || this.sampleColor(life);
+
+    if (this.config.particleShape === 'rect') {
+      ctx.save();
+      ctx.translate(particle.x, particle.y);
+      ctx.rotate(particle.rotation);
+      ctx.fillRect(-size, -size / 2, size * 2, size);
+      ctx.restore();
+    } else {
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * 按寿命进度取颜色
+   *
+   * @param {number} life - 寿命进度（0-1）
+   * @returns {string} 颜色
+   */
+  sampleColor(life) {
+    const stops = this.colorStops;
+    if (typeof stops === 'string') {
+      return stops;
+    }
+    const rgb = [0, 1, 2].map((i) => Math.round(
+      ParticleEmitter.sampleCurve(stops.map((stop) => stop[i]), life)
+    ));
+    return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+  }
+
+  /**
+   * 取一个值：数字直接返回，[最小, 最大] 在范围内随机
+   *
+   * @param {number|Array<number>} value - 数字或范围
+   * @param {Random} rng - 随机数生成器
+   * @returns {number}
+   */
+  static pick(value, rng) {
+    if (Array.isArray(value)) {
+      return randomFloat(value[0], value[1], rng);
+    }
+    return value;
+  }
+
+  /**
+   * 在曲线上取值
+   * 曲线是均匀分布在寿命上的几个关键值，中间按直线过渡，
+   * 比如 [0, 8, 0] 就是先从 0 变大到 8（寿命一半时），再变回 0
+   *
+   * @param {number|Array<number>} curve - 数字（不变）或曲线
+   * @param {number} t - 进度（0-1）
+   * @returns {number}
+   */
+  static sampleCurve(curve, t) {
+    if (!Array.isArray(curve)) {
+      return curve;
+    }
+    if (curve.length === 1) {
+      return curve[0];
+    }
+
+    const position = clamp(t, 0, 1) * (curve.length - 1);
+    const index = Math.min(Math.floor(position), curve.length - 2);
+    return lerp(curve[index], curve[index + 1], position - index);
+  }
+
+  /**
+   * 解析颜色配置
+   * 一个颜色就原样保留；颜色数组转换成 [[r, g, b], ...] 用于渐变
+   *
+   * @param {string|Array<string>} color - 颜色或颜色数组（渐变只支持 '#RRGGBB' / '#RGB'）
+   * @returns {string|Array<Array<number>>}
+   */
+  static parseColors(color) {
+    if (!Array.isArray(color)) {
+      return color;
+    }
+
+    const stops = color.map((hex) => ParticleEmitter.hexToRgb(hex));
+    if (stops.includes(null)) {
+      console.warn(`⚠️ 颜色渐变只支持 #RRGGBB 格式: ${color.join(', ')}`);
+      return color[0];
+    }
+    return stops;
+  }
+
+  /**
+   * '#RRGGBB' 或 '#RGB' -> [r, g, b]，格式不对返回 null
+   */
+  static hexToRgb(hex) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+    if (!match) {
+      return null;
+    }
+
+    let digits = match[1];
+    if (digits.length === 3) {
+      digits = digits.split('').map((d) => d + d).join('');
+    }
+    return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+  }
+}
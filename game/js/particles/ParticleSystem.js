@@ -0,0 +1,182 @@
+/**
+ * 粒子系统 - ParticleSystem
+ *
+ * 粒子就是很多很小、活得很短的"小点点"：
+ * 羽毛飞散、食物闪光、方块合并时的碎屑、过关时撒下的彩色纸屑……
+ *
+ * 粒子一出现就是几十上百个，用完马上消失。
+ * 如果每次都 new 一个再丢掉，垃圾回收会让游戏卡一下，
+ * 所以粒子都从对象池（ObjectPool）里借，用完还回去。
+ *
+ * 每个游戏都有自己的 this.particles（见 BaseGame），
+ * GameManager 每帧推进它，游戏在 render() 里决定画在哪一层：
+ *
+ *   // 一次性爆发：在小鸟的位置炸出 12 根羽毛
+ *   this.particles.burst(x, y, { count: 12, color: '#FFD700', gravity: 300 });
+ *
+ *   // 持续发射：返回发射器，可以移动或停止
+ *   const trail = this.particles.emitter(x, y, { rate: 30, duration: -1 });
+ *   trail.moveTo(newX, newY);
+ *   trail.stop();
+ *
+ *   render(ctx) {
+ *     ...
+ *     this.particles.render(ctx);
+ *   }
+ *
+ * 发射器的配置见 ParticleEmitter.js。
+ */
+
+import { ObjectPool } from '../utils/utils.js';
+import Random from '../random/Random.js';
+import ParticleEmitter from './ParticleEmitter.js';
+
+export default class ParticleSystem {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.maxParticles - 同时存在的粒子上限（默认 500，防止低端机卡顿）
+   * @param {Random} options.rng - 随机数生成器（BaseGame 传入 this.rng 分叉出来的，不传就随机一个种子）
+   */
+  constructor(options = {}) {
+    this.maxParticles = options.maxParticles || 500;
+
+    // 粒子的位置、速度、颜色等随机值都从这里取
+    this.rng = options.rng || new Random();
+
+    // 粒子对象池
+    this.pool = new ObjectPool(
+      () => ({}),
+      (particle) => { particle.emitter = null; },
+      0
+    );
+
+    // 活着的粒子和发射器
+    this.particles = [];
+    this.emitters = [];
+
+    // 是否暂停
+    this.paused = false;
+  }
+
+  /**
+   * 一次性爆发一批粒子
+   *
+   * @param {number} x - 位置 X
+   * @param {number} y - 位置 Y
+   * @param {Object} config - 发射器配置（见 ParticleEmitter）
+   * @returns {ParticleEmitter}
+   */
+  burst(x, y, config = {}) {
+    const emitter = new ParticleEmitter(this, 'burst', { ...config, x, y });
+    this.emitters.push(emitter);
+    emitter.burst();
+    return emitter;
+  }
+
+  /**
+   * 创建一个持续发射的发射器
+   *
+   * @param {number} x - 位置 X
+   * @param {number} y - 位置 Y
+   * @param {Object} config - 发射器配置（rate 是每秒发射数量，duration 是持续时间）
+   * @returns {ParticleEmitter} 可以 moveTo() 移动、stop() 停止
+   */
+  emitter(x, y, config = {}) {
+    const emitter = new ParticleEmitter(this, 'continuous', { rate: 20, ...config, x, y });
+    this.emitters.push(emitter);
+    return emitter;
+  }
+
+  /**
+   * 从对象池借一个粒子（发射器调用）
+   * 超过上限时返回 null，这个粒子就不发射了
+   *
+   * @returns {Object|null}
+   */
+  acquire() {
+    if (this.particles.length >= this.maxParticles) {
+      return null;
+    }
+    const particle = this.pool.get();
+    this.particles.push(particle);
+    return particle;
+  }
+
+  /**
+   * 推进所有粒子（由 GameManager 调用）
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    if (this.paused) {
+      return;
+    }
+
+    // 先推进已有的粒子，死掉的还回对象池
+    const alive = [];
+    for (const particle of this.particles) {
+      if (particle.emitter.updateParticle(particle, deltaTime)) {
+        alive.push(particle);
+      } else {
+        this.pool.release(particle);
+      }
+    }
+    this.particles = alive;
+
+    // 再发射新粒子（这一帧刚出生的粒子不用再走一步）
+    for (const emitter of this.emitters) {
+      emitter.update(deltaTime);
+    }
+
+    this.emitters = this.emitters.filter((emitter) => !emitter.isFinished);
+  }
+
+  /**
+   * 绘制所有粒子
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    if (this.particles.length === 0) {
+      return;
+    }
+
+    ctx.save();
+    for (const particle of this.particles) {
+      particle.emitter.renderParticle(ctx, particle);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 清除所有粒子和发射器
+   */
+  clear() {
+    for (const particle of this.particles) {
+      this.pool.release(particle);
+    }
+    this.particles = [];
+    this.emitters = [];
+  }
+
+  /**
+   * 暂停（粒子停在空中）
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 继续
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * 现在有多少个粒子
+   */
+  get count() {
+    return this.particles.length;
+  }
+}
@@ -24,6 +24,10 @@ export default class PhysicsBody {
     this.x = x;
     this.y = y;
     
+    // 上一次 update 之前的位置（用于渲染插值）
+    this.prevX = x;
+    this.prevY = y;
+    
     // ===== 速度 =====
     // 物体每秒移动多少像素
     // vx: 水平方向速度（正数向右，负数向左）
@@ -67,6 +71,10 @@ export default class PhysicsBody {
       return;
     }
     
+    // 记住更新前的位置
+    this.prevX = this.x;
+    this.prevY = this.y;
+    
     // 根据加速度更新速度
     // 比如重力会让 vy 越来越大，物体就会越落越快
     this.vx += this.ax * dt;
@@ -86,6 +94,26 @@ export default class PhysicsBody {
   setPosition(x, y) {
     this.x = x;
     this.y = y;
+    
+    // 直接"传送"过去，不需要插值
+    this.prevX = x;
+    this.prevY = y;
+  }
+  
+  /**
+   * 获取渲染位置（在上一次和这一次 update 的位置之间插值）
+   * 
+   * 固定步长模式下，逻辑更新和画面刷新不是一一对应的，
+   * 用插值可以让画面更平滑。
+   * 
+   * @param {number} alpha - 插值比例（0 = 上一次位置，1 = 当前位置）
+   * @returns {Object} { x, y }
+   */
+  getRenderPosition(alpha = 1) {
+    return {
+      x: this.prevX + (this.x - this.prevX) * alpha,
+      y: this.prevY + (this.y - this.prevY) * alpha
+    };
   }
   
   /**
@@ -0,0 +1,196 @@
+/**
+ * 微信平台适配器 - WxPlatform
+ *
+ * 把微信小游戏的 wx API 包装成统一的平台接口。
+ * 游戏运行在微信（或开发者工具）里时使用它。
+ */
+
+export default class WxPlatform {
+  /**
+   * 获取系统信息（屏幕尺寸、像素比等）
+   */
+  getSystemInfo() {
+    return wx.getSystemInfoSync();
+  }
+
+  /**
+   * 创建画布
+   * 第一个创建的 canvas 就是主画布（上屏画布）
+   */
+  createCanvas() {
+    return wx.createCanvas();
+  }
+
+  /**
+   * 注册触摸开始监听
+   */
+  onTouchStart(handler) {
+    wx.onTouchStart(handler);
+  }
+
+  /**
+   * 注册触摸移动监听
+   */
+  onTouchMove(handler) {
+    wx.onTouchMove(handler);
+  }
+
+  /**
+   * 注册触摸结束监听
+   */
+  onTouchEnd(handler) {
+    wx.onTouchEnd(handler);
+  }
+  
+  /**
+   * 注册触摸取消监听（来电、弹出系统对话框等打断了触摸，之后不会再有抬起事件）
+   */
+  onTouchCancel(handler) {
+    wx.onTouchCancel(handler);
+  }
+
+  /**
+   * 注册切到前台监听（从后台回来、重新打开小游戏时触发）
+   */
+  onShow(handler) {
+    wx.onShow(handler);
+  }
+
+  /**
+   * 注册切到后台监听（按 Home 键、接电话、切到聊天时触发）
+   */
+  onHide(handler) {
+    wx.onHide(handler);
+  }
+
+  /**
+   * 注册键盘按下监听
+   * 只有电脑版微信和开发者工具支持键盘，手机上没有这个 API
+   */
+  onKeyDown(handler) {
+    if (wx.onKeyDown) {
+      wx.onKeyDown(handler);
+    }
+  }
+
+  /**
+   * 注册键盘抬起监听
+   */
+  onKeyUp(handler) {
+    if (wx.onKeyUp) {
+      wx.onKeyUp(handler);
+    }
+  }
+
+  /**
+   * 读取本地存储
+   * 出错时会抛出异常，由调用方处理
+   */
+  getStorage(key) {
+    return wx.getStorageSync(key);
+  }
+
+  /**
+   * 写入本地存储
+   */
+  setStorage(key, value) {
+    wx.setStorageSync(key, value);
+  }
+
+  /**
+   * 删除本地存储
+   */
+  removeStorage(key) {
+    wx.removeStorageSync(key);
+  }
+
+  /**
+   * 分享给好友（弹出微信的转发界面）
+   * 
+   * @param {Object} options - { title, imageUrl, query }
+   */
+  shareAppMessage(options) {
+    wx.shareAppMessage(options);
+  }
+
+  /**
+   * 创建音频对象（播放音乐和音效，见 audio/AudioManager.js）
+   */
+  createInnerAudioContext() {
+    return wx.createInnerAudioContext();
+  }
+
+  /**
+   * 把字节写成用户目录里的文件（合成的音效写成 WAV 文件后才能播放）
+   * 
+   * @param {string} fileName - 文件名
+   * @param {Uint8Array} bytes - 文件内容
+   * @returns {string} 文件路径
+   */
+  writeUserFile(fileName, bytes) {
+    const path = `${wx.env.USER_DATA_PATH}/${fileName}`;
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    wx.getFileSystemManager().writeFileSync(path, buffer);
+    return path;
+  }
+
+  /**
+   * 创建图片（设置 src 后开始加载，见 assets/AssetManager.js）
+   */
+  createImage() {
+    return wx.createImage();
+  }
+
+  /**
+   * 读取文本文件（图集的 JSON、位图字体的 .fnt）
+   * 
+   * @param {string} path - 文件路径（小游戏包里的相对路径）
+   * @param {Function} onLoad - 读取成功，参数是文件内容
+   * @param {Function} onError - 读取失败，参数是错误信息
+   */
+  readTextFile(path, onLoad, onError) {
+    wx.getFileSystemManager().readFile({
+      filePath: path,
+      encoding: 'utf8',
+      success: (res) => onLoad(res.data),
+      fail: (err) => onError(err.errMsg)
+    });
+  }
+
+  /**
+   * 短振动（见 haptics/Haptics.js）
+   * 
+   * @param {string} strength - 力度：'light' / 'medium' / 'heavy'
+   */
+  vibrateShort(strength) {
+    wx.vibrateShort({ type: strength });
+  }
+
+  /**
+   * 长振动（约 0.4 秒）
+   */
+  vibrateLong() {
+    wx.vibrateLong();
+  }
+
+  /**
+   * 当前时间（毫秒）
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * 请求下一帧回调
+   */
+  requestAnimationFrame(callback) {
+    return requestAnimationFrame(callback);
+  }
+
+  /**
+   * 取消帧回调
+   */
+  cancelAnimationFrame(id) {
+    cancelAnimationFrame(id);
+  }
+}
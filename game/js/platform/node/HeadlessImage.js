@@ -0,0 +1,37 @@
+/**
+ * 无头图片 - HeadlessImage
+ *
+ * 和 wx.createImage() 返回的图片用法一样：设置 src 后开始加载，成功调用 onload，失败调用 onerror。
+ * 它不会真的读图片文件：只有用 platform.addImage(路径, 宽, 高) 登记过的路径才能"加载成功"，
+ * 宽高就是登记的宽高。画到 RecordingContext 上时只会记下一笔 drawImage。
+ *
+ * 和真的图片一样，加载是异步的：下一次 platform.frame() 时才完成（见 NodePlatform）。
+ */
+
+export default class HeadlessImage {
+  /**
+   * @param {Function} load - 设置 src 时调用 load(image, path)，由 NodePlatform 安排加载
+   */
+  constructor(load) {
+    this.load = load;
+
+    // 和真的图片一样的属性
+    this.width = 0;
+    this.height = 0;
+    this.complete = false;
+    this.onload = null;
+    this.onerror = null;
+
+    this.source = '';
+  }
+
+  get src() {
+    return this.source;
+  }
+
+  set src(path) {
+    this.source = path;
+    this.complete = false;
+    this.load(this, path);
+  }
+}
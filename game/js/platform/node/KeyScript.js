@@ -0,0 +1,84 @@
+/**
+ * 脚本键盘 - KeyScript
+ *
+ * 测试时用代码来"按键盘"！
+ * 生成和微信 wx.onKeyDown / wx.onKeyUp 一样格式的事件：{ key, code, timeStamp }
+ *
+ * 用法：
+ *   platform.keyboard.press('ArrowLeft');   // 按一下左方向键
+ *   platform.keyboard.down('Space');        // 按住空格
+ *   platform.keyboard.up('Space');          // 松开空格
+ */
+
+// 常用按键的 code -> key（其他按键 key 和 code 相同）
+const KEY_NAMES = {
+  Space: ' ',
+  KeyW: 'w',
+  KeyA: 'a',
+  KeyS: 's',
+  KeyD: 'd'
+};
+
+export default class KeyScript {
+  /**
+   * @param {Function} now - 获取当前时间的函数（用于事件的 timeStamp）
+   */
+  constructor(now) {
+    this.now = now;
+
+    // 已注册的监听函数
+    this.handlers = {
+      down: [],
+      up: []
+    };
+  }
+
+  /**
+   * 注册监听
+   *
+   * @param {string} phase - 'down' | 'up'
+   * @param {Function} handler - 监听函数
+   */
+  on(phase, handler) {
+    this.handlers[phase].push(handler);
+  }
+
+  /**
+   * 按下按键
+   *
+   * @param {string} code - 按键的 code，比如 'ArrowUp'、'KeyW'、'Space'、'Escape'
+   */
+  down(code) {
+    this.emit('down', code);
+  }
+
+  /**
+   * 松开按键
+   */
+  up(code) {
+    this.emit('up', code);
+  }
+
+  /**
+   * 按一下（按下后立刻松开）
+   */
+  press(code) {
+    this.down(code);
+    this.up(code);
+  }
+
+  /**
+   * 把事件发给所有监听函数
+   */
+  emit(phase, code) {
+    const event = {
+      key: KEY_NAMES[code] || code,
+      code: code,
+      timeStamp: this.now()
+    };
+
+    for (const handler of this.handlers[phase]) {
+      handler(event);
+    }
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * 手动时钟 - ManualClock
+ *
+ * 真实的时钟会自己走，测试时很难控制。
+ * 手动时钟只有在你调用 advance() 时才会往前走，
+ * 这样每次测试的结果都一模一样！
+ */
+
+export default class ManualClock {
+  /**
+   * @param {number} startTime - 起始时间（毫秒）
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  /**
+   * 当前时间（毫秒）
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * 让时间往前走
+   *
+   * @param {number} ms - 前进的毫秒数
+   */
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+}
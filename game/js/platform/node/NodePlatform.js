@@ -0,0 +1,343 @@
+/**
+ * Node 平台适配器 - NodePlatform
+ *
+ * 让整个游戏平台可以在 Node 里"无头"运行（没有屏幕也能玩）。
+ * 它提供：
+ * - canvas   记录绘制调用的假画布（见 RecordingContext）
+ * - touch    用代码按屏幕的脚本触摸（见 TouchScript）
+ * - keyboard 用代码按键盘的脚本键盘（见 KeyScript）
+ * - storage  内存存储（见 MemoryStorage）
+ * - clock    手动时钟（见 ManualClock）
+ * - audioContexts 创建过的静音音频对象（见 SilentAudioContext）
+ * - files    writeUserFile 写过的文件（路径 -> 字节）
+ * - vibrations 振动记录（{ type: 'short' | 'long', strength, time }）
+ * - packageFiles 假装打包在小游戏里的图片和文本文件（用 addImage / addTextFile 登记）
+ *
+ * 帧回调不会自己执行，需要调用 frame() 手动推进一帧。
+ * 图片和文件的加载也不会马上完成，下一次 frame() 时才完成（和真机一样是异步的），也可以调用 finishLoads() 一次全部完成。
+ *
+ * 用法：
+ *   const platform = new NodePlatform({ width: 375, height: 667 });
+ *   const gameManager = new GameManager();
+ *   gameManager.init({ platform });
+ *   gameManager.showLobby();
+ *   gameManager.startGameLoop();
+ *   platform.touch.tap(180, 200);   // 点击第一张游戏卡片
+ *   platform.frames(60);            // 跑 60 帧（约 1 秒）
+ */
+
+import { HeadlessCanvas } from './RecordingContext.js';
+import ManualClock from './ManualClock.js';
+import MemoryStorage from '../../storage/MemoryStorage.js';
+import TouchScript from './TouchScript.js';
+import KeyScript from './KeyScript.js';
+import SilentAudioContext from '../../audio/SilentAudioContext.js';
+import HeadlessImage from './HeadlessImage.js';
+
+export default class NodePlatform {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.width - 屏幕宽度（默认 375）
+   * @param {number} options.height - 屏幕高度（默认 667）
+   * @param {number} options.pixelRatio - 设备像素比（默认 2）
+   * @param {Object} options.safeInsets - 安全区域离四条边的距离 { top, right, bottom, left }
+   *                 默认只有顶部 20 的状态栏；模拟刘海屏可以用 { top: 44, bottom: 34 }
+   * @param {Object} options.storage - 初始存储数据
+   */
+  constructor(options = {}) {
+    const width = options.width || 375;
+    const height = options.height || 667;
+    const insets = { top: 20, right: 0, bottom: 0, left: 0, ...options.safeInsets };
+
+    this.systemInfo = {
+      platform: 'node',
+      windowWidth: width,
+      windowHeight: height,
+      screenWidth: width,
+      screenHeight: height,
+      pixelRatio: options.pixelRatio || 2,
+      statusBarHeight: insets.top,
+      // 和微信一样，safeArea 是安全区域四条边的坐标
+      safeArea: {
+        left: insets.left,
+        right: width - insets.right,
+        top: insets.top,
+        bottom: height - insets.bottom,
+        width: width - insets.left - insets.right,
+        height: height - insets.top - insets.bottom
+      }
+    };
+
+    this.clock = new ManualClock(options.startTime || 0);
+    this.storage = new MemoryStorage(options.storage);
+    this.touch = new TouchScript(() => this.clock.now());
+    this.keyboard = new KeyScript(() => this.clock.now());
+
+    // 切前台/切后台监听
+    this.showHandlers = [];
+    this.hideHandlers = [];
+
+    // 分享过的内容（测试里检查 shareAppMessage 的参数）
+    this.shares = [];
+
+    // 创建过的画布（第一个是主画布）
+    this.canvases = [];
+
+    // 创建过的音频对象（测试里检查播了什么、音量多大）
+    this.audioContexts = [];
+
+    // 写过的文件（路径 -> Uint8Array）
+    this.files = new Map();
+
+    // 振动记录（不会真的振动，测试里检查振了几下、什么时候振的）
+    this.vibrations = [];
+
+    // 小游戏包里的文件（路径 -> 图片的 { width, height } 或文本），没有登记的文件加载失败
+    this.packageFiles = new Map();
+
+    // 还没完成的加载（下一帧执行）
+    this.pendingLoads = [];
+
+    // 等待执行的帧回调
+    this.frameCallbacks = new Map();
+    this.nextFrameId = 1;
+  }
+
+  // ===== 平台接口 =====
+
+  getSystemInfo() {
+    return { ...this.systemInfo };
+  }
+
+  createCanvas() {
+    const canvas = new HeadlessCanvas(this.systemInfo.windowWidth, this.systemInfo.windowHeight);
+    this.canvases.push(canvas);
+    return canvas;
+  }
+
+  onTouchStart(handler) {
+    this.touch.on('start', handler);
+  }
+
+  onTouchMove(handler) {
+    this.touch.on('move', handler);
+  }
+
+  onTouchEnd(handler) {
+    this.touch.on('end', handler);
+  }
+
+  onTouchCancel(handler) {
+    this.touch.on('cancel', handler);
+  }
+
+  onShow(handler) {
+    this.showHandlers.push(handler);
+  }
+
+  onHide(handler) {
+    this.hideHandlers.push(handler);
+  }
+
+  onKeyDown(handler) {
+    this.keyboard.on('down', handler);
+  }
+
+  onKeyUp(handler) {
+    this.keyboard.on('up', handler);
+  }
+
+  getStorage(key) {
+    return this.storage.getItem(key);
+  }
+
+  setStorage(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  removeStorage(key) {
+    this.storage.removeItem(key);
+  }
+
+  shareAppMessage(options) {
+    this.shares.push(options);
+  }
+
+  createInnerAudioContext() {
+    const context = new SilentAudioContext();
+    this.audioContexts.push(context);
+    return context;
+  }
+
+  writeUserFile(fileName, bytes) {
+    const path = `user://${fileName}`;
+    this.files.set(path, bytes);
+    return path;
+  }
+
+  vibrateShort(strength) {
+    this.vibrations.push({ type: 'short', strength: strength, time: this.clock.now() });
+  }
+
+  vibrateLong() {
+    this.vibrations.push({ type: 'long', strength: null, time: this.clock.now() });
+  }
+
+  createImage() {
+    return new HeadlessImage((image, path) => {
+      this.pendingLoads.push(() => {
+        const file = this.packageFiles.get(path);
+        if (image.src !== path) {
+          return;
+        }
+        if (file && typeof file === 'object') {
+          image.width = file.width;
+          image.height = file.height;
+          image.complete = true;
+          if (image.onload) {
+            image.onload();
+          }
+        } else if (image.onerror) {
+          image.onerror({ errMsg: `图片不存在: ${path}` });
+        }
+      });
+    });
+  }
+
+  readTextFile(path, onLoad, onError) {
+    this.pendingLoads.push(() => {
+      const file = this.packageFiles.get(path);
+      if (typeof file === 'string') {
+        onLoad(file);
+      } else {
+        onError(`文件不存在: ${path}`);
+      }
+    });
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  requestAnimationFrame(callback) {
+    const id = this.nextFrameId++;
+    this.frameCallbacks.set(id, callback);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this.frameCallbacks.delete(id);
+  }
+
+  // ===== 测试辅助方法 =====
+
+  /**
+   * 主画布
+   */
+  get canvas() {
+    return this.canvases[0] || null;
+  }
+
+  /**
+   * 主画布的记录型上下文
+   */
+  get ctx() {
+    return this.canvas ? this.canvas.getContext('2d') : null;
+  }
+
+  /**
+   * 正在播放的音频对象
+   */
+  get playingAudio() {
+    return this.audioContexts.filter((context) => !context.paused && !context.destroyed);
+  }
+
+  /**
+   * 登记一张图片（之后 createImage() 加载这个路径会成功）
+   *
+   * @param {string} path - 路径
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  addImage(path, width, height) {
+    this.packageFiles.set(path, { width, height });
+  }
+
+  /**
+   * 登记一个文本文件（图集的 JSON、位图字体的 .fnt）
+   *
+   * @param {string} path - 路径
+   * @param {string|Object} content - 内容，对象会被转成 JSON
+   */
+  addTextFile(path, content) {
+    this.packageFiles.set(path, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  /**
+   * 马上完成所有等待中的加载（包括加载完成后又开始的加载，比如图集的 JSON 读完再加载大图）
+   */
+  finishLoads() {
+    while (this.pendingLoads.length > 0) {
+      this.runPendingLoads();
+    }
+  }
+
+  /**
+   * 完成目前等待中的加载（这期间新开始的留到下一次）
+   */
+  runPendingLoads() {
+    const loads = this.pendingLoads;
+    this.pendingLoads = [];
+    for (const load of loads) {
+      load();
+    }
+  }
+
+  /**
+   * 模拟切到后台
+   */
+  hide() {
+    for (const handler of this.hideHandlers) {
+      handler();
+    }
+  }
+
+  /**
+   * 模拟切回前台
+   *
+   * @param {Object} options - 传给监听函数的参数（微信里是启动参数）
+   */
+  show(options = {}) {
+    for (const handler of this.showHandlers) {
+      handler(options);
+    }
+  }
+
+  /**
+   * 推进一帧：时间前进 ms 毫秒，完成等待中的加载，然后执行这一帧之前登记的帧回调
+   *
+   * @param {number} ms - 这一帧的时长（默认 1/60 秒）
+   */
+  frame(ms = 1000 / 60) {
+    this.clock.advance(ms);
+    this.runPendingLoads();
+
+    const callbacks = Array.from(this.frameCallbacks.values());
+    this.frameCallbacks.clear();
+    for (const callback of callbacks) {
+      callback(this.clock.now());
+    }
+  }
+
+  /**
+   * 连续推进多帧
+   *
+   * @param {number} count - 帧数
+   * @param {number} ms - 每帧时长
+   */
+  frames(count, ms = 1000 / 60) {
+    for (let i = 0; i < count; i++) {
+      this.frame(ms);
+    }
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * 记录型画布 - RecordingContext / HeadlessCanvas
+ *
+ * Node 里没有真正的画布，所以我们做一个"假画布"：
+ * 它不会真的画出任何东西，而是把每一次绘制调用都记在本子上。
+ * 测试时翻翻这个本子，就知道游戏画了什么！
+ *
+ * 例如：ctx.fillText('得分: 10', 20, 30)
+ * 会被记录成 { type: 'call', name: 'fillText', args: ['得分: 10', 20, 30] }
+ */
+
+// 会被记录的画布属性（设置时记一笔，save/restore 时会保存/恢复）
+const STATE_PROPERTIES = {
+  fillStyle: '#000000',
+  strokeStyle: '#000000',
+  lineWidth: 1,
+  lineCap: 'butt',
+  lineJoin: 'miter',
+  font: '10px sans-serif',
+  textAlign: 'start',
+  textBaseline: 'alphabetic',
+  globalAlpha: 1,
+  globalCompositeOperation: 'source-over',
+  shadowColor: 'transparent',
+  shadowBlur: 0,
+  shadowOffsetX: 0,
+  shadowOffsetY: 0,
+  imageSmoothingEnabled: true
+};
+
+// 只需要记录、没有返回值的绘制方法
+const DRAW_METHODS = [
+  'clearRect', 'fillRect', 'strokeRect',
+  'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo', 'ellipse',
+  'rect', 'quadraticCurveTo', 'bezierCurveTo',
+  'fill', 'stroke', 'clip',
+  'fillText', 'strokeText', 'drawImage',
+  'translate', 'rotate', 'scale', 'transform', 'setTransform', 'resetTransform',
+  'setLineDash'
+];
+
+export class RecordingContext {
+  /**
+   * @param {HeadlessCanvas} canvas - 所属的画布
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+
+    // 绘制记录本
+    this.calls = [];
+
+    // 当前属性值和 save() 保存的属性栈
+    this.state = { ...STATE_PROPERTIES };
+    this.stateStack = [];
+  }
+
+  /**
+   * 保存当前属性
+   */
+  save() {
+    this.calls.push({ type: 'call', name: 'save', args: [] });
+    this.stateStack.push({ ...this.state });
+  }
+
+  /**
+   * 恢复上一次保存的属性
+   */
+  restore() {
+    this.calls.push({ type: 'call', name: 'restore', args: [] });
+    if (this.stateStack.length > 0) {
+      this.state = this.stateStack.pop();
+    }
+  }
+
+  /**
+   * 创建线性渐变（返回一个记录色标的假渐变）
+   */
+  createLinearGradient(x0, y0, x1, y1) {
+    this.calls.push({ type: 'call', name: 'createLinearGradient', args: [x0, y0, x1, y1] });
+    return createGradient('linear', [x0, y0, x1, y1]);
+  }
+
+  /**
+   * 创建径向渐变
+   */
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    this.calls.push({ type: 'call', name: 'createRadialGradient', args: [x0, y0, r0, x1, y1, r1] });
+    return createGradient('radial', [x0, y0, r0, x1, y1, r1]);
+  }
+
+  /**
+   * 测量文字宽度
+   * 没有真正的字体，粗略估算：每个字符宽度 = 字号 × 0.6
+   */
+  measureText(text) {
+    const match = /(\d+(?:\.\d+)?)px/.exec(this.state.font);
+    const fontSize = match ? parseFloat(match[1]) : 10;
+    return { width: String(text).length * fontSize * 0.6 };
+  }
+
+  // ===== 测试辅助方法 =====
+
+  /**
+   * 清空绘制记录
+   */
+  clearCalls() {
+    this.calls = [];
+  }
+
+  /**
+   * 获取指定名字的所有调用
+   *
+   * @param {string} name - 方法名，比如 'fillText'
+   */
+  callsOf(name) {
+    return this.calls.filter(call => call.type === 'call' && call.name === name);
+  }
+
+  /**
+   * 获取画过的所有文字
+   */
+  texts() {
+    return this.callsOf('fillText').map(call => String(call.args[0]));
+  }
+}
+
+// 给每个属性生成 getter/setter，设置时记一笔
+Object.keys(STATE_PROPERTIES).forEach((name) => {
+  Object.defineProperty(RecordingContext.prototype, name, {
+    get() {
+      return this.state[name];
+    },
+    set(value) {
+      this.calls.push({ type: 'set', name, value });
+      this.state[name] = value;
+    }
+  });
+});
+
+// 给每个绘制方法生成"只记录"的实现
+DRAW_METHODS.forEach((name) => {
+  RecordingContext.prototype[name] = function (...args) {
+    this.calls.push({ type: 'call', name, args });
+  };
+});
+
+/**
+ * 创建一个假渐变对象
+ */
+function createGradient(kind, coords) {
+  return {
+    kind,
+    coords,
+    stops: [],
+    addColorStop(offset, color) {
+      this.stops.push({ offset, color });
+    }
+  };
+}
+
+/**
+ * 无头画布 - 只有宽高和一个记录型上下文
+ */
+export class HeadlessCanvas {
+  constructor(width = 300, height = 150) {
+    this.width = width;
+    this.height = height;
+    this.context = new RecordingContext(this);
+  }
+
+  getContext(type) {
+    return type === '2d' ? this.context : null;
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * 脚本触摸 - TouchScript
+ *
+ * 测试时没有手指，就用代码来"按屏幕"！
+ * 它会生成和微信一模一样格式的触摸事件：
+ * { touches: [...], changedTouches: [...], timeStamp }
+ * 每个触摸点都有 identifier、clientX、clientY。
+ *
+ * 用法：
+ *   platform.touch.tap(100, 200);              // 点一下
+ *   platform.touch.swipe(100, 300, 300, 300);  // 向右滑
+ *   platform.touch.pinch(180, 300, 100, 200);  // 双指张开（放大一倍）
+ *   platform.touch.cancel(100, 200);           // 触摸被系统打断
+ */
+
+export default class TouchScript {
+  /**
+   * @param {Function} now - 获取当前时间的函数（用于事件的 timeStamp）
+   */
+  constructor(now) {
+    this.now = now;
+
+    // 已注册的监听函数
+    this.handlers = {
+      start: [],
+      move: [],
+      end: [],
+      cancel: []
+    };
+
+    // 当前按在屏幕上的触摸点（identifier -> 触摸点）
+    this.activeTouches = new Map();
+  }
+
+  /**
+   * 注册监听
+   *
+   * @param {string} phase - 'start' | 'move' | 'end' | 'cancel'
+   * @param {Function} handler - 监听函数
+   */
+  on(phase, handler) {
+    this.handlers[phase].push(handler);
+  }
+
+  /**
+   * 手指按下
+   */
+  start(x, y, id = 0) {
+    const touch = this.createTouch(id, x, y);
+    this.activeTouches.set(id, touch);
+    this.emit('start', touch);
+  }
+
+  /**
+   * 手指移动
+   */
+  move(x, y, id = 0) {
+    const touch = this.createTouch(id, x, y);
+    this.activeTouches.set(id, touch);
+    this.emit('move', touch);
+  }
+
+  /**
+   * 手指抬起
+   */
+  end(x, y, id = 0) {
+    const touch = this.createTouch(id, x, y);
+    this.activeTouches.delete(id);
+    this.emit('end', touch);
+  }
+
+  /**
+   * 触摸被系统打断（来电、弹出系统对话框时微信会发 touchcancel，不会再有抬起事件）
+   */
+  cancel(x, y, id = 0) {
+    const touch = this.createTouch(id, x, y);
+    this.activeTouches.delete(id);
+    this.emit('cancel', touch);
+  }
+
+  /**
+   * 点击（按下后立刻抬起）
+   */
+  tap(x, y, id = 0) {
+    this.start(x, y, id);
+    this.end(x, y, id);
+  }
+
+  /**
+   * 滑动：从 (x1, y1) 分几步移动到 (x2, y2) 后抬起
+   */
+  swipe(x1, y1, x2, y2, steps = 5, id = 0) {
+    this.start(x1, y1, id);
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      this.move(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t, id);
+    }
+    this.end(x2, y2, id);
+  }
+
+  /**
+   * 双指捏合：两根手指（编号 0 和 1）以 (cx, cy) 为中心水平摆放，
+   * 两指距离从 fromDistance 分几步变成 toDistance 后抬起
+   * toDistance 比 fromDistance 大就是"张开"（放大），小就是"捏紧"（缩小）
+   */
+  pinch(cx, cy, fromDistance, toDistance, steps = 5) {
+    this.start(cx - fromDistance / 2, cy, 0);
+    this.start(cx + fromDistance / 2, cy, 1);
+    for (let i = 1; i <= steps; i++) {
+      const distance = fromDistance + (toDistance - fromDistance) * (i / steps);
+      this.move(cx - distance / 2, cy, 0);
+      this.move(cx + distance / 2, cy, 1);
+    }
+    this.end(cx - toDistance / 2, cy, 0);
+    this.end(cx + toDistance / 2, cy, 1);
+  }
+
+  /**
+   * 生成一个触摸点
+   */
+  createTouch(id, x, y) {
+    return {
+      identifier: id,
+      clientX: x,
+      clientY: y
+    };
+  }
+
+  /**
+   * 把事件发给所有监听函数
+   */
+  emit(phase, changedTouch) {
+    const event = {
+      touches: Array.from(this.activeTouches.values()),
+      changedTouches: [changedTouch],
+      timeStamp: this.now()
+    };
+
+    for (const handler of this.handlers[phase]) {
+      handler(event);
+    }
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * 平台适配器入口
+ *
+ * 游戏代码不应该直接调用 wx.xxx，而是通过"平台适配器"来使用系统能力。
+ * 这样同一份游戏代码既能跑在微信里，也能跑在 Node 里做自动化测试！
+ *
+ * 就像电器用的"转换插头"：
+ * - 在微信里插上 WxPlatform（真正调用 wx API）
+ * - 在 Node 测试里插上 NodePlatform（内存画布、脚本触摸、假时钟）
+ *
+ * 一个平台适配器需要提供这些方法：
+ * - getSystemInfo()                     获取屏幕尺寸等系统信息
+ * - createCanvas()                      创建画布
+ * - onTouchStart/onTouchMove/onTouchEnd 注册触摸监听（事件格式与 wx 相同）
+ * - onTouchCancel                       注册触摸取消监听（触摸被系统打断，不会再有抬起事件）
+ * - onShow/onHide                       注册切到前台/切到后台监听
+ * - onKeyDown/onKeyUp                   注册键盘监听（电脑版微信才有，事件格式 { key, code }）
+ * - getStorage/setStorage/removeStorage 本地存储（同步）
+ * - shareAppMessage(options)            分享给好友（可选，没有时结算界面不显示分享按钮）
+ * - createInnerAudioContext()           创建音频对象（可选，没有时 AudioManager 静音）
+ * - writeUserFile(fileName, bytes)      把字节写成本地文件，返回文件路径（可选，合成的音效要写成文件才能播放）
+ * - createImage()                       创建图片（可选，没有时游戏用代码绘制）
+ * - readTextFile(path, onLoad, onError) 读取文本文件（可选，图集和位图字体要用）
+ * - vibrateShort(strength)              短振动，strength 是 'light' / 'medium' / 'heavy'（可选，没有时不振动）
+ * - vibrateLong()                       长振动，约 0.4 秒（可选）
+ * - now()                               当前时间（毫秒）
+ * - requestAnimationFrame/cancelAnimationFrame  帧回调
+ */
+
+import WxPlatform from './WxPlatform.js';
+
+// 当前使用的平台
+let current = null;
+
+/**
+ * 获取当前平台
+ * 如果还没有设置过，默认使用微信平台
+ *
+ * @returns {Object} 平台适配器
+ */
+export function getPlatform() {
+  if (!current) {
+    current = new WxPlatform();
+  }
+  return current;
+}
+
+/**
+ * 设置当前平台
+ * 测试时在创建 GameManager 之前调用，换成 NodePlatform
+ *
+ * @param {Object} platform - 平台适配器
+ */
+export function setPlatform(platform) {
+  current = platform;
+}
@@ -0,0 +1,191 @@
+/**
+ * 随机数生成器 - Random
+ *
+ * Math.random() 每次运行结果都不一样，没办法"重放"一局游戏。
+ * Random 是一个"可以指定种子"的随机数生成器：种子一样，生成的随机数序列就完全一样。
+ * 这样就可以做：
+ * - 每日挑战：所有人用同一个种子（比如日期），玩到的是同一局
+ * - 回放：记下种子和玩家的操作，就能把一局完整地重演一遍
+ * - 测试：固定种子后，食物出现的位置、管道的高度每次都一样
+ *
+ * 每个游戏都有自己的 this.rng（见 BaseGame），游戏里的随机都应该用它，不要用 Math.random()：
+ *   this.rng.int(1, 6);          // 1 到 6 的整数（包含 6）
+ *   this.rng.float(0, 100);      // 0 到 100 的小数
+ *   this.rng.chance(0.9);        // 90% 的概率返回 true
+ *   this.rng.pick(cells);        // 随机选数组里的一个
+ *   this.rng.shuffle(pairs);     // 打乱数组（原地修改）
+ *
+ * 分叉：rng.fork('particles') 会得到一个独立的新生成器，它的种子只由原来的种子和名字决定。
+ * 粒子特效用分叉出来的生成器，这样特效多一个少一个都不会影响游戏本身的随机序列。
+ *
+ * 算法是 mulberry32：状态只有一个 32 位整数，很快，也很容易保存和恢复（getState / setState）。
+ */
+
+export default class Random {
+  /**
+   * @param {number|string} seed - 种子（数字或字符串，比如 '2024-05-01'），不传就随机一个
+   */
+  constructor(seed = Random.randomSeed()) {
+    // 种子（统一成 32 位无符号整数）
+    this.seed = Random.normalizeSeed(seed);
+
+    // 当前状态，每生成一个随机数就变一次
+    this.state = this.seed;
+  }
+
+  /**
+   * 随机生成一个种子（整个平台只有这里用 Math.random）
+   *
+   * @returns {number}
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * 把数字或字符串种子变成 32 位无符号整数
+   *
+   * @param {number|string} seed - 种子
+   * @returns {number}
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+      return Random.hashString(seed);
+    }
+    return Math.floor(seed) >>> 0;
+  }
+
+  /**
+   * 字符串哈希（FNV-1a），同一个字符串总是得到同一个数
+   *
+   * @param {string} text - 字符串
+   * @returns {number} 32 位无符号整数
+   */
+  static hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * 下一个 32 位无符号整数（mulberry32）
+   *
+   * @returns {number}
+   */
+  nextUint32() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * 下一个 [0, 1) 之间的小数，和 Math.random() 一样
+   *
+   * @returns {number}
+   */
+  next() {
+    return this.nextUint32() / 0x100000000;
+  }
+
+  /**
+   * 指定范围内的随机整数
+   *
+   * @param {number} min - 最小值（包含）
+   * @param {number} max - 最大值（包含）
+   * @returns {number}
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * 指定范围内的随机小数
+   *
+   * @param {number} min - 最小值（包含）
+   * @param {number} max - 最大值（不包含）
+   * @returns {number}
+   */
+  float(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * 按概率返回 true
+   *
+   * @param {number} probability - 概率（0 到 1）
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * 随机选数组里的一个元素
+   *
+   * @param {Array} array - 数组
+   * @returns {*} 数组为空时返回 undefined
+   */
+  pick(array) {
+    if (array.length === 0) {
+      return undefined;
+    }
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * 打乱数组（Fisher-Yates 洗牌，原地修改）
+   *
+   * @param {Array} array - 数组
+   * @returns {Array} 同一个数组
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * 分叉出一个独立的生成器
+   *
+   * 传名字时，新生成器的种子只由原来的种子和名字决定，
+   * 不管什么时候分叉、原来的生成器用了多少次，结果都一样；
+   * 不传名字时，用原来的生成器的下一个随机数当种子（会让原来的序列前进一步）。
+   *
+   * @param {string} label - 名字（比如 'particles'、'clouds'）
+   * @returns {Random}
+   */
+  fork(label) {
+    if (label === undefined) {
+      return new Random(this.nextUint32());
+    }
+    return new Random(Random.hashString(`${this.seed}/${label}`));
+  }
+
+  /**
+   * 当前状态（可以存起来，之后用 setState 接着生成同样的序列）
+   *
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * 恢复状态
+   *
+   * @param {number} state - getState() 的返回值
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// 没有指定生成器时用的默认生成器（utils.js 的 randomInt / randomFloat 用它）
+export const defaultRandom = new Random();
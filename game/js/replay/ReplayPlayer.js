@@ -0,0 +1,186 @@
+/**
+ * 回放 - ReplayPlayer
+ *
+ * 用录像里的种子开一局同样的游戏，在同样的逻辑帧执行同样的输入，
+ * 游戏代码完全不用改，就能把录像时发生的事原样重演一遍。
+ *
+ *   const player = new ReplayPlayer(gameManager, replay, { speed: 4 });
+ *   player.start();            // 在屏幕上以 4 倍速播放（speed 默认 1）
+ *
+ *   // 不画画面，直接算到最后（核对问题反馈、跑测试）
+ *   const checker = new ReplayPlayer(gameManager, replay);
+ *   checker.start();
+ *   const result = checker.runToEnd();
+ *   result.matches;            // 结果和录像时是不是一样（分数、是否结束、帧数）
+ *
+ * 回放期间：
+ * - 玩家的触摸和按键被忽略，只执行录像里的输入
+ * - 游戏的存档换成内存里的，最高分、未完成的对局都不会被回放改掉
+ * - 回放完游戏停在最后的状态，玩家可以接着操作（比如点返回）
+ */
+
+import MemoryStorage from '../storage/MemoryStorage.js';
+import { decodeInput, parseReplay } from './replayFormat.js';
+
+export default class ReplayPlayer {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {Object|string} replay - 录像（ReplayRecorder.stop() 的返回值，或者它的 JSON 文本）
+   * @param {Object} options - 选项
+   * @param {number} options.speed - 播放速度（1 是原速，4 是 4 倍速）
+   */
+  constructor(gameManager, replay, options = {}) {
+    this.gameManager = gameManager;
+    this.replay = typeof replay === 'string' ? parseReplay(replay) : replay;
+    this.speed = options.speed || 1;
+
+    // 回放的游戏
+    this.game = null;
+
+    // 已经执行完的逻辑帧数，下一个要执行的输入
+    this.tick = 0;
+    this.nextInput = 0;
+
+    // 回放结束后的结果（见 stop()）
+    this.result = null;
+  }
+
+  /**
+   * 是否正在回放
+   */
+  get isPlaying() {
+    return this.gameManager.replay === this;
+  }
+
+  /**
+   * 开局并开始回放
+   *
+   * @returns {boolean} 是否成功开始（找不到录像里的游戏、已经在录像或回放时返回 false）
+   */
+  start() {
+    const manager = this.gameManager;
+    if (manager.replay) {
+      console.warn('⚠️ 已经在录像或回放了，先 stop() 再开始回放');
+      return false;
+    }
+
+    const info = manager.getRegisteredGames().find((game) => game.id === this.replay.game);
+    if (!info) {
+      console.warn(`⚠️ 找不到录像里的游戏: ${this.replay.game}`);
+      return false;
+    }
+
+    const [width, height] = this.replay.screen;
+    if (width !== manager.screenWidth || height !== manager.screenHeight) {
+      console.warn(`⚠️ 录像时的屏幕是 ${width} x ${height}，现在是 ${manager.screenWidth} x ${manager.screenHeight}，回放结果可能不一样`);
+    }
+
+    // 游戏创建时打开存档，只在创建时换成内存存储，其他游戏的存档不受影响
+    // 和录像时一样不等资源加载，马上创建游戏
+    const storage = manager.storage;
+    manager.storage = new MemoryStorage();
+    manager.switchToGame(info.GameClass, { seed: this.replay.seed, preload: false });
+    manager.storage = storage;
+
+    this.game = manager.currentScene;
+    this.tick = 0;
+    this.nextInput = 0;
+    this.result = null;
+    manager.replay = this;
+
+    console.log(`▶️ 开始回放: ${this.replay.game}（${this.replay.ticks} 帧，${this.speed} 倍速）`);
+    if (this.replay.ticks === 0) {
+      this.finish();
+    }
+    return true;
+  }
+
+  /**
+   * 不画画面，直接算到录像结束
+   *
+   * @returns {Object|null} 回放结果（同 stop()）
+   */
+  runToEnd() {
+    const manager = this.gameManager;
+    const step = 1 / this.replay.tickRate;
+    while (this.isPlaying) {
+      if (manager.isTransitioning()) {
+        manager.finishTransition();
+      }
+      manager.fixedTick(manager.currentScene, step);
+    }
+    return this.result;
+  }
+
+  /**
+   * 停止回放（离开这局游戏时 GameManager 也会调用）
+   *
+   * @returns {Object|null} 回放结果 { ticks, score, gameOver, matches }
+   *                        matches 表示是否完整播完、并且分数和是否结束都和录像时一样
+   */
+  stop() {
+    if (!this.isPlaying) {
+      return this.result;
+    }
+
+    this.gameManager.replay = null;
+    const final = this.replay.final || {};
+    this.result = {
+      ticks: this.tick,
+      score: this.game.score,
+      gameOver: this.game.isGameOver,
+      matches: this.tick === this.replay.ticks &&
+        this.game.score === final.score &&
+        this.game.isGameOver === final.gameOver
+    };
+
+    console.log(`⏹️ 回放结束: ${this.tick} 帧，得分 ${this.result.score}${this.result.matches ? '' : '（和录像不一致）'}`);
+    return this.result;
+  }
+
+  /**
+   * 手势识别用的时间（毫秒），和录像时一样按逻辑帧换算
+   */
+  now() {
+    return this.tick * 1000 / this.replay.tickRate;
+  }
+
+  /**
+   * 玩家的输入：回放时忽略
+   *
+   * @returns {boolean} 总是 false
+   */
+  onLiveInput() {
+    return false;
+  }
+
+  /**
+   * 逻辑帧开始前：执行录像里在这一帧之前发生的输入
+   */
+  beforeTick() {
+    const inputs = this.replay.inputs;
+    while (this.isPlaying && this.nextInput < inputs.length && inputs[this.nextInput][0] <= this.tick) {
+      const { type, event } = decodeInput(inputs[this.nextInput]);
+      this.nextInput++;
+      this.gameManager.applyInput(type, event);
+    }
+  }
+
+  /**
+   * 逻辑帧结束后：到了录像的最后一帧就结束
+   */
+  afterTick() {
+    this.tick++;
+    if (this.tick >= this.replay.ticks) {
+      this.finish();
+    }
+  }
+
+  /**
+   * 执行录像最后剩下的输入（最后一帧之后才发生的），然后停止
+   */
+  finish() {
+    this.beforeTick();
+    this.stop();
+  }
+}
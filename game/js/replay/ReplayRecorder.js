@@ -0,0 +1,138 @@
+/**
+ * 录像机 - ReplayRecorder
+ *
+ * 玩家说"我明明没碰到管子怎么就死了"，光看描述没法重现。
+ * 录像机开一局新游戏，把随机种子和这一局里所有的输入（触摸、按键、切前后台）
+ * 连同发生在第几个逻辑帧记下来，之后用 ReplayPlayer 原样重演一遍，就能看到到底发生了什么。
+ *
+ *   const recorder = new ReplayRecorder(gameManager);
+ *   recorder.start(FlappyBird);
+ *   // ……玩家正常玩……
+ *   const replay = recorder.stop();       // 离开这局游戏时也会自动停止
+ *   const text = JSON.stringify(replay);  // 格式见 replayFormat.js
+ *
+ * 录像期间 GameManager 强制使用固定步长：每个逻辑帧的 deltaTime 都一样，
+ * 同样的种子、同样的输入、在同样的帧执行，结果就一定一样，和手机快慢无关。
+ */
+
+import Random from '../random/Random.js';
+import { REPLAY_VERSION, encodeInput } from './replayFormat.js';
+
+export default class ReplayRecorder {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   */
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+
+    // 正在录的游戏
+    this.game = null;
+
+    // 录下的数据（start 之后才有）
+    this.replay = null;
+
+    // 已经执行完的逻辑帧数
+    this.tick = 0;
+    this.tickRate = 60;
+
+    // 录像时不能快进
+    this.speed = 1;
+  }
+
+  /**
+   * 是否正在录像
+   */
+  get isRecording() {
+    return this.gameManager.replay === this;
+  }
+
+  /**
+   * 开一局新游戏并开始录像
+   *
+   * @param {Function} GameClass - 游戏类（继承自 BaseGame，最好已经注册过，回放时按编号找）
+   * @param {Object} options - 选项
+   * @param {number|string} options.seed - 随机种子（不传就随机一个，反正会记在录像里）
+   * @returns {BaseGame|null} 新开的游戏，已经在录像或回放时返回 null
+   */
+  start(GameClass, options = {}) {
+    const manager = this.gameManager;
+    if (manager.replay) {
+      console.warn('⚠️ 已经在录像或回放了，先 stop() 再开始新的录像');
+      return null;
+    }
+
+    const seed = options.seed !== undefined ? Random.normalizeSeed(options.seed) : Random.randomSeed();
+    // 不等资源加载，马上创建游戏（资源不影响游戏逻辑，加载好之前用代码画）
+    manager.switchToGame(GameClass, { seed, preload: false });
+
+    this.game = manager.currentScene;
+    this.tick = 0;
+    this.tickRate = manager.getTimestepConfig(this.game).tickRate;
+    this.replay = {
+      version: REPLAY_VERSION,
+      game: manager.getGameId(GameClass),
+      seed: seed,
+      tickRate: this.tickRate,
+      screen: [manager.screenWidth, manager.screenHeight],
+      ticks: 0,
+      inputs: [],
+      final: null
+    };
+    manager.replay = this;
+
+    console.log(`⏺️ 开始录像: ${this.replay.game}（种子 ${seed}）`);
+    return this.game;
+  }
+
+  /**
+   * 停止录像（离开这局游戏时 GameManager 也会调用）
+   *
+   * @returns {Object|null} 录像数据，没有开始过时返回 null
+   */
+  stop() {
+    if (!this.isRecording) {
+      return this.replay;
+    }
+
+    this.gameManager.replay = null;
+    this.replay.ticks = this.tick;
+    this.replay.final = {
+      score: this.game.score,
+      gameOver: this.game.isGameOver
+    };
+
+    console.log(`⏹️ 录像结束: ${this.tick} 帧，${this.replay.inputs.length} 个输入`);
+    return this.replay;
+  }
+
+  /**
+   * 手势识别用的时间（毫秒），按逻辑帧换算
+   */
+  now() {
+    return this.tick * 1000 / this.tickRate;
+  }
+
+  /**
+   * 玩家的输入：记下来，照常执行
+   *
+   * @param {string} type - 输入类型
+   * @param {Object} event - 平台的事件
+   * @returns {boolean} 总是 true
+   */
+  onLiveInput(type, event) {
+    this.replay.inputs.push(encodeInput(this.tick, type, event));
+    return true;
+  }
+
+  /**
+   * 逻辑帧开始前（录像时没有要做的）
+   */
+  beforeTick() {}
+
+  /**
+   * 逻辑帧结束后
+   */
+  afterTick() {
+    this.tick++;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * 录像格式 - replayFormat
+ *
+ * 一份录像就是一个普通对象，可以直接 JSON.stringify 存起来或者附在问题反馈里：
+ *   {
+ *     version: 1,
+ *     game: 'flappybird',        // 游戏编号（registerGame 时的 id）
+ *     seed: 3141592653,          // 随机种子，回放时用同一个种子开局
+ *     tickRate: 60,              // 每秒几个逻辑帧
+ *     screen: [375, 667],        // 录像时的屏幕尺寸（触摸坐标按这个尺寸记录）
+ *     ticks: 845,                // 一共录了多少个逻辑帧
+ *     inputs: [                  // 输入，按发生的先后排列
+ *       [0, 'ts', [0, 187, 400], [0, 187, 400]],   // 第 0 帧之后按下手指：[编号, x, y]...
+ *       [3, 'te', [0, 187, 400], []],
+ *       [120, 'kd', 'Space', ' ']                    // 按键：[帧, 'kd', code, key]
+ *     ],
+ *     final: { score: 3, gameOver: true }   // 录像结束时的结果，回放完用来核对
+ *   }
+ *
+ * 输入前面的数字是"执行完多少个逻辑帧之后发生的"，回放时在同一帧之前执行，结果就和录像时一模一样。
+ * 触摸点压平成 [编号, x, y, 编号, x, y...]，比原始事件小得多。
+ */
+
+// 录像格式的版本号，格式变了就加 1，旧录像不再支持
+export const REPLAY_VERSION = 1;
+
+// 输入类型 -> 录像里的简写
+const TYPE_CODES = {
+  touchstart: 'ts',
+  touchmove: 'tm',
+  touchend: 'te',
+  touchcancel: 'tc',
+  keydown: 'kd',
+  keyup: 'ku',
+  hide: 'h',
+  show: 's'
+};
+
+// 触摸类的输入（要记下触摸点）
+const TOUCH_TYPES = ['touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+// 简写 -> 输入类型
+const CODE_TYPES = Object.fromEntries(Object.entries(TYPE_CODES).map(([type, code]) => [code, type]));
+
+/**
+ * 把一个输入压缩成录像里的一项
+ *
+ * @param {number} tick - 已经执行完的逻辑帧数
+ * @param {string} type - 输入类型（touchstart / touchmove / touchend / touchcancel / keydown / keyup / hide / show）
+ * @param {Object} event - 平台的事件
+ * @returns {Array}
+ */
+export function encodeInput(tick, type, event) {
+  const code = TYPE_CODES[type];
+  if (TOUCH_TYPES.includes(type)) {
+    return [tick, code, flattenTouches(event.changedTouches), flattenTouches(event.touches)];
+  }
+  if (type === 'keydown' || type === 'keyup') {
+    return [tick, code, event.code, event.key];
+  }
+  return [tick, code];
+}
+
+/**
+ * 把录像里的一项还原成输入
+ *
+ * @param {Array} entry - encodeInput 的返回值
+ * @returns {Object} { tick, type, event }，event 和平台传来的事件格式一样
+ */
+export function decodeInput(entry) {
+  const [tick, code] = entry;
+  const type = CODE_TYPES[code];
+  let event = {};
+  if (TOUCH_TYPES.includes(type)) {
+    event = { changedTouches: expandTouches(entry[2]), touches: expandTouches(entry[3]) };
+  } else if (type === 'keydown' || type === 'keyup') {
+    event = { code: entry[2], key: entry[3] };
+  }
+  return { tick, type, event };
+}
+
+/**
+ * 把 JSON 文本解析成录像，格式不对时抛出错误
+ *
+ * @param {string} text - JSON 文本
+ * @returns {Object} 录像
+ */
+export function parseReplay(text) {
+  const replay = JSON.parse(text);
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error(`不支持的录像版本: ${replay && replay.version}`);
+  }
+  if (typeof replay.game !== 'string' || !Array.isArray(replay.inputs) || !(replay.ticks >= 0)) {
+    throw new Error('录像数据不完整');
+  }
+  for (const entry of replay.inputs) {
+    if (!Array.isArray(entry) || !CODE_TYPES[entry[1]]) {
+      throw new Error(`录像里有不认识的输入: ${JSON.stringify(entry)}`);
+    }
+  }
+  return replay;
+}
+
+/**
+ * [{ identifier, clientX, clientY }] -> [编号, x, y, ...]
+ */
+function flattenTouches(touches) {
+  const flat = [];
+  for (const touch of touches) {
+    flat.push(touch.identifier, touch.clientX, touch.clientY);
+  }
+  return flat;
+}
+
+/**
+ * [编号, x, y, ...] -> [{ identifier, clientX, clientY }]
+ */
+function expandTouches(flat) {
+  const touches = [];
+  for (let i = 0; i < flat.length; i += 3) {
+    touches.push({ identifier: flat[i], clientX: flat[i + 1], clientY: flat[i + 2] });
+  }
+  return touches;
+}
@@ -8,8 +8,17 @@
  */
 
 import { drawRoundRect } from '../utils/utils.js';
+import TweenManager from '../animation/TweenManager.js';
+import UIRoot from '../ui/UIRoot.js';
+import Modal from '../ui/Modal.js';
+import { drawFrame } from '../assets/SpriteSheet.js';
 
 export default class GameLobby {
+  /**
+   * 大厅的背景音乐（音频文件路径，null 表示没有），进入游戏时和游戏的音乐交叉淡入淡出
+   */
+  static music = null;
+  
   /**
    * 创建游戏大厅
    * 
@@ -22,12 +31,20 @@ export default class GameLobby {
     this.screenWidth = gameManager.screenWidth;
     this.screenHeight = gameManager.screenHeight;
     
+    // 布局工具（避开刘海和底部横条）
+    this.layout = gameManager.layout;
+    const safeArea = this.layout.safeArea;
+    
+    // 标题的位置（安全区域顶部往下）
+    this.titleY = safeArea.y + 60;
+    this.subtitleY = safeArea.y + 95;
+    
     // 游戏卡片的配置
     this.cardConfig = {
-      width: this.screenWidth - 60,  // 卡片宽度（留边距）
+      width: safeArea.width - 60,     // 卡片宽度（留边距）
       height: 100,                    // 卡片高度
       margin: 15,                     // 卡片之间的间距
-      startY: 150,                    // 第一张卡片的 Y 位置
+      startY: safeArea.y + 130,       // 第一张卡片的 Y 位置（标题下面）
       iconSize: 60,                   // 图标大小
       cornerRadius: 15               // 圆角大小
     };
@@ -37,10 +54,16 @@ export default class GameLobby {
     
     // 动画相关
     this.animationTime = 0;
+    this.tweens = new TweenManager();
     
-    // 标题动画
+    // 标题动画（呼吸效果的缩放比例）
     this.titleScale = 1;
-    this.titleDirection = 1;
+    
+    // 界面控件（"继续上次的游戏"对话框）
+    this.ui = new UIRoot(this.screenWidth, this.screenHeight);
+    
+    // 游戏图标图片（注册游戏时的 iconImage），在 init() 时加载
+    this.iconAssets = null;
   }
   
   /**
@@ -48,8 +71,31 @@ export default class GameLobby {
    */
   init() {
     console.log('🏠 游戏大厅初始化');
+    this.ui.removeAll();
     this.calculateCardPositions();
     this.animationTime = 0;
+    
+    // 加载游戏图标图片（没加载好之前显示 emoji）
+    if (this.iconAssets) {
+      this.iconAssets.release();
+    }
+    const icons = {};
+    for (const card of this.gameCards) {
+      if (card.iconImage) {
+        icons[card.id] = card.iconImage;
+      }
+    }
+    this.iconAssets = this.gameManager.assets.load(icons);
+    
+    // 标题呼吸动画：在 0.95 和 1.05 之间来回缩放
+    this.tweens.clear();
+    this.titleScale = 0.95;
+    this.tweens.to(this, { titleScale: 1.05 }, {
+      duration: 1 / 3,
+      easing: 'easeInOutQuad',
+      yoyo: true,
+      repeat: -1
+    });
   }
   
   /**
@@ -62,7 +108,9 @@ export default class GameLobby {
     const config = this.cardConfig;
     
     games.forEach((game, index) => {
-      const x = (this.screenWidth - config.width) / 2;
+      // 在安全区域里水平居中
+      const safeArea = this.layout.safeArea;
+      const x = safeArea.x + (safeArea.width - config.width) / 2;
       const y = config.startY + index * (config.height + config.margin);
       
       this.gameCards.push({
@@ -70,7 +118,9 @@ export default class GameLobby {
         x: x,
         y: y,
         width: config.width,
-        height: config.height
+        height: config.height,
+        // 有没有没玩完的一局（卡片上会提示）
+        hasSession: this.gameManager.loadSession(game.GameClass) !== null
       });
     });
   }
@@ -81,18 +131,8 @@ export default class GameLobby {
    * @param {number} deltaTime - 帧间隔时间
    */
   update(deltaTime) {
-    // 更新动画时间
+    // 更新动画时间（标题的呼吸动画由 this.tweens 推进）
     this.animationTime += deltaTime;
-    
-    // 标题呼吸动画
-    this.titleScale += this.titleDirection * deltaTime * 0.3;
-    if (this.titleScale > 1.05) {
-      this.titleScale = 1.05;
-      this.titleDirection = -1;
-    } else if (this.titleScale < 0.95) {
-      this.titleScale = 0.95;
-      this.titleDirection = 1;
-    }
   }
   
   /**
@@ -165,7 +205,7 @@ export default class GameLobby {
     
     // 标题文字
     const title = '🎮 小游戏集合';
-    const titleY = 80;
+    const titleY = this.titleY;
     
     // 应用缩放动画
     ctx.translate(this.screenWidth / 2, titleY);
@@ -189,7 +229,7 @@ export default class GameLobby {
     ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
     ctx.font = '16px PingFang SC';
     ctx.textAlign = 'center';
-    ctx.fillText('选择一个游戏开始玩吧！', this.screenWidth / 2, 115);
+    ctx.fillText('选择一个游戏开始玩吧！', this.screenWidth / 2, this.subtitleY);
   }
   
   /**
@@ -255,15 +295,20 @@ export default class GameLobby {
     drawRoundRect(ctx, iconBgX, iconBgY, config.iconSize, config.iconSize, 12);
     ctx.fill();
     
-    // 游戏图标（emoji）
-    ctx.font = '36px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(
-      card.icon,
-      iconBgX + config.iconSize / 2,
-      iconBgY + config.iconSize / 2
-    );
+    // 游戏图标（有图片时画图片，没有时画 emoji）
+    const iconFrame = this.iconAssets ? this.iconAssets.frame(card.id) : null;
+    if (iconFrame) {
+      drawFrame(ctx, iconFrame, iconBgX + 6, iconBgY + 6, config.iconSize - 12, config.iconSize - 12);
+    } else {
+      ctx.font = '36px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(
+        card.icon,
+        iconBgX + config.iconSize / 2,
+        iconBgY + config.iconSize / 2
+      );
+    }
     
     // 游戏名称
     ctx.fillStyle = '#333333';
@@ -277,6 +322,13 @@ export default class GameLobby {
     ctx.font = '14px PingFang SC';
     ctx.fillText(card.description, iconBgX + config.iconSize + 15, y + 50);
     
+    // 有没玩完的一局时提示一下
+    if (card.hasSession) {
+      ctx.fillStyle = '#FF9800';
+      ctx.font = '12px PingFang SC';
+      ctx.fillText('⏯ 有未完成的游戏', iconBgX + config.iconSize + 15, y + 72);
+    }
+    
     // 右侧箭头
     ctx.fillStyle = '#4CAF50';
     ctx.font = '24px Arial';
@@ -294,7 +346,8 @@ export default class GameLobby {
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
     ctx.font = '12px PingFang SC';
     ctx.textAlign = 'center';
-    ctx.fillText('v1.0.0 | Made with ❤️', this.screenWidth / 2, this.screenHeight - 30);
+    const footer = this.layout.place({ anchor: 'bottom', y: -30 });  // 安全区域底部居中往上 30
+    ctx.fillText('v1.0.0 | Made with ❤️', footer.x, footer.y);
   }
   
   /**
@@ -307,13 +360,68 @@ export default class GameLobby {
     for (const card of this.gameCards) {
       if (this.isPointInCard(touch.x, touch.y, card)) {
         console.log(`🎮 选择游戏: ${card.name}`);
-        // 切换到对应的游戏
-        this.gameManager.switchToGame(card.GameClass);
+        
+        // 上次没玩完的话，先问玩家要不要继续
+        const session = this.gameManager.loadSession(card.GameClass);
+        if (session) {
+          this.showResumeDialog(card, session);
+        } else {
+          this.enterGame(card);
+        }
         return;
       }
     }
   }
   
+  /**
+   * 进入游戏（游戏画面从这张卡片的位置放大出来）
+   * 
+   * @param {Object} card - 游戏卡片
+   * @param {Object} session - 要继续的未完成对局（不传就开新的一局）
+   */
+  enterGame(card, session = null) {
+    this.gameManager.switchToGame(card.GameClass, {
+      transition: 'zoom',
+      transitionOptions: {
+        fromRect: { x: card.x, y: card.y, width: card.width, height: card.height },
+        cornerRadius: this.cardConfig.cornerRadius
+      },
+      session: session
+    });
+  }
+  
+  /**
+   * 询问玩家继续上次的游戏还是重新开始
+   * 
+   * @param {Object} card - 游戏卡片
+   * @param {Object} session - 保存的未完成对局
+   */
+  showResumeDialog(card, session) {
+    const dialog = new Modal({
+      title: `${card.icon} ${card.name}`,
+      message: `上次的游戏还没玩完\n得分: ${session.score}`,
+      buttons: [
+        {
+          text: '继续',
+          onTap: () => {
+            dialog.close();
+            this.enterGame(card, session);
+          }
+        },
+        {
+          text: '重新开始',
+          style: { background: '#FF9800' },
+          onTap: () => {
+            dialog.close();
+            this.gameManager.discardSession(card.GameClass);
+            this.enterGame(card);
+          }
+        }
+      ]
+    });
+    dialog.open(this.ui);
+  }
+  
   /**
    * 触摸结束事件
    */
@@ -333,7 +441,13 @@ export default class GameLobby {
    * 销毁大厅（清理资源）
    */
   destroy() {
-    // 大厅通常不需要特别清理
+    // 大厅通常不需要特别清理，停掉动画就好
+    this.tweens.clear();
+    this.ui.cancelAll();
+    if (this.iconAssets) {
+      this.iconAssets.release();
+      this.iconAssets = null;
+    }
     console.log('🏠 游戏大厅关闭');
   }
 }
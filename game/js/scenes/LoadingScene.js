@@ -0,0 +1,117 @@
+/**
+ * 加载界面 - LoadingScene
+ *
+ * 进入有资源清单（static assets）的游戏时，GameManager.switchToGame 会先显示它：
+ * 游戏名字、进度条和百分比。资源全部加载完（失败的也算，游戏会用代码画）就调用 onComplete 创建游戏。
+ *
+ * 加载中被换掉（比如回到大厅）时不会再调用 onComplete，并释放已经开始加载的资源。
+ */
+
+import { drawRoundRect } from '../utils/utils.js';
+
+export default class LoadingScene {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {Object} options - 选项
+   * @param {AssetBundle} options.bundle - 要等的资源（这个场景销毁时释放）
+   * @param {string} options.title - 显示的标题（游戏名字）
+   * @param {Function} options.onComplete - 全部加载完时调用
+   */
+  constructor(gameManager, options = {}) {
+    this.gameManager = gameManager;
+    this.screenWidth = gameManager.screenWidth;
+    this.screenHeight = gameManager.screenHeight;
+
+    this.bundle = options.bundle;
+    this.title = options.title || '';
+    this.onComplete = options.onComplete || null;
+
+    // 进度条显示的进度（平滑地追上真实进度，不会一跳一跳的）
+    this.displayProgress = 0;
+
+    // 是否已经加载完（或者被换掉了）
+    this.finished = false;
+
+    // 进度条的尺寸
+    this.barWidth = Math.min(240, this.screenWidth * 0.6);
+    this.barHeight = 12;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this.displayProgress = 0;
+  }
+
+  /**
+   * 更新：推进进度条，加载完就开始游戏
+   *
+   * @param {number} deltaTime - 帧间隔时间
+   */
+  update(deltaTime) {
+    const progress = this.bundle.progress;
+    this.displayProgress += (progress - this.displayProgress) * Math.min(1, deltaTime * 10);
+
+    if (this.bundle.isComplete && !this.finished) {
+      this.finished = true;
+      this.displayProgress = 1;
+      if (this.bundle.failed.length > 0) {
+        console.log(`📦 资源加载完成，${this.bundle.failed.length} 个失败: ${this.bundle.failed.join(', ')}`);
+      } else {
+        console.log('📦 资源加载完成');
+      }
+      if (this.onComplete) {
+        this.onComplete();
+      }
+    }
+  }
+
+  /**
+   * 渲染：标题、进度条和百分比
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    ctx.fillStyle = '#2C3E50';
+    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
+
+    const centerX = this.screenWidth / 2;
+    const barX = centerX - this.barWidth / 2;
+    const barY = this.screenHeight / 2;
+
+    // 标题
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 24px PingFang SC';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(this.title, centerX, barY - 24);
+
+    // 进度条：底槽 + 已加载的部分
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    drawRoundRect(ctx, barX, barY, this.barWidth, this.barHeight, this.barHeight / 2);
+    ctx.fill();
+
+    const filled = this.barWidth * this.displayProgress;
+    if (filled > 0) {
+      ctx.fillStyle = '#4CAF50';
+      drawRoundRect(ctx, barX, barY, Math.max(filled, this.barHeight), this.barHeight, this.barHeight / 2);
+      ctx.fill();
+    }
+
+    // 百分比
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '14px PingFang SC';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`加载中 ${Math.round(this.displayProgress * 100)}%`, centerX, barY + this.barHeight + 12);
+  }
+
+  /**
+   * 销毁：释放资源（游戏已经创建的话，游戏自己也引用了这些资源，不会被删掉）
+   */
+  destroy() {
+    this.finished = true;
+    this.onComplete = null;
+    this.bundle.release();
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * 浮层场景基类 - OverlayScene
+ *
+ * 暂停菜单、设置面板、确认对话框这类"盖在游戏上面"的界面都可以继承它。
+ * 用 gameManager.push(overlay, { transparent: true }) 显示，
+ * 用 overlay.close() 关闭。
+ *
+ * 浮层显示时：
+ * - 下面的游戏被冻结（不会 update，收不到触摸）
+ * - 如果是透明浮层，下面的游戏画面还会继续绘制（停在那一帧）
+ *
+ * 用法：
+ *   class PauseMenu extends OverlayScene {
+ *     render(ctx) {
+ *       super.render(ctx);  // 画半透明遮罩
+ *       ctx.fillText('暂停中', this.screenWidth / 2, this.screenHeight / 2);
+ *     }
+ *     onTouchStart(touch) {
+ *       this.close();
+ *     }
+ *   }
+ */
+
+export default class OverlayScene {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   */
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+    this.platform = gameManager.platform;
+
+    // 获取屏幕尺寸
+    this.screenWidth = gameManager.screenWidth;
+    this.screenHeight = gameManager.screenHeight;
+    this.layout = gameManager.layout;
+
+    // 遮罩颜色（半透明黑色）
+    this.dimColor = 'rgba(0, 0, 0, 0.5)';
+  }
+
+  /**
+   * 初始化（被 push 时调用）
+   */
+  init() {
+    // 子类可以重写
+  }
+
+  /**
+   * 更新（只有在栈顶时才会被调用）
+   */
+  update(deltaTime) {
+    // 子类可以重写
+  }
+
+  /**
+   * 渲染：默认画一层半透明遮罩
+   */
+  render(ctx) {
+    ctx.fillStyle = this.dimColor;
+    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
+  }
+
+  /**
+   * 触摸开始事件
+   */
+  onTouchStart(touch) {
+    // 子类可以重写
+  }
+
+  /**
+   * 触摸移动事件
+   */
+  onTouchMove(touch) {
+    // 子类可以重写
+  }
+
+  /**
+   * 触摸结束事件
+   */
+  onTouchEnd(touch) {
+    // 子类可以重写
+  }
+
+  /**
+   * 关闭这个浮层（必须在栈顶）
+   */
+  close() {
+    if (this.gameManager.currentScene === this) {
+      this.gameManager.pop();
+    }
+  }
+
+  /**
+   * 销毁（被弹出时调用）
+   */
+  destroy() {
+    // 子类可以重写
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * 结算浮层 - ResultsOverlay
+ *
+ * 所有游戏结束时都显示同一个结算界面：
+ * 标题、得分、最高分、新纪录标记、用时，以及每个游戏自己的统计（比如蛇的长度、到达的关卡），
+ * 下面是"再来一局"、"返回大厅"和"分享"三个按钮。
+ *
+ * 由 BaseGame.gameOver(results) 自动显示，游戏只需要传入自己的统计：
+ *   this.gameOver({ stats: [{ label: '长度', value: this.snake.length }] });
+ *
+ * 键盘：空格/回车再来一局，Esc 返回大厅。
+ */
+
+import OverlayScene from './OverlayScene.js';
+import UIRoot from '../ui/UIRoot.js';
+import Label from '../ui/Label.js';
+import Modal from '../ui/Modal.js';
+import { formatScore, formatDuration } from '../utils/utils.js';
+
+export default class ResultsOverlay extends OverlayScene {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {BaseGame} game - 结束的游戏
+   * @param {Object} results - 结算信息（见 BaseGame.createResults）
+   */
+  constructor(gameManager, game, results) {
+    super(gameManager);
+    this.game = game;
+    this.results = results;
+
+    // 界面控件（GameManager 会绘制它并分发触摸）
+    this.ui = new UIRoot(this.screenWidth, this.screenHeight);
+    this.dialog = this.createDialog();
+  }
+
+  /**
+   * 创建结算对话框
+   */
+  createDialog() {
+    const results = this.results;
+    const buttons = [
+      { text: '再来一局', style: { background: '#4CAF50' }, onTap: () => this.retry() },
+      { text: '返回大厅', style: { background: '#2196F3' }, onTap: () => this.backToLobby() }
+    ];
+    // 平台支持分享时才显示分享按钮
+    if (this.platform.shareAppMessage) {
+      buttons.push({ text: '分享', style: { background: '#FF9800' }, onTap: () => this.share() });
+    }
+
+    const dialog = new Modal({ title: results.title, buttons, backdrop: this.dimColor });
+    const content = dialog.content;
+    const beforeButtons = () => content.children.indexOf(dialog.buttonRow);
+
+    // 得分（大字）
+    content.add(new Label({
+      height: 56,
+      text: formatScore(results.score),
+      font: 'bold 48px PingFang SC',
+      color: '#333333'
+    }), beforeButtons());
+
+    // 新纪录标记
+    if (results.isNewRecord) {
+      content.add(new Label({
+        height: 24,
+        text: '🎉 新纪录！',
+        font: 'bold 16px PingFang SC',
+        color: '#FF6B35'
+      }), beforeButtons());
+    }
+
+    // 最高分、用时和游戏自己的统计，一行一个
+    const rows = [
+      { label: '最高分', value: formatScore(results.best) },
+      { label: '用时', value: formatDuration(results.duration) },
+      ...results.stats
+    ];
+    for (const row of rows) {
+      content.add(new Label({
+        height: 28,
+        text: `${row.label}: ${row.value}`,
+        font: '18px PingFang SC',
+        color: '#666666'
+      }), beforeButtons());
+    }
+
+    return dialog.open(this.ui);
+  }
+
+  /**
+   * 遮罩和面板都由对话框绘制
+   */
+  render(ctx) {
+    // 不需要再画一层遮罩
+  }
+
+  /**
+   * 键盘：空格/回车再来一局，Esc 返回大厅
+   */
+  onAction(action) {
+    if (action === 'action') {
+      this.retry();
+    } else if (action === 'back') {
+      this.backToLobby();
+    }
+  }
+
+  /**
+   * 关闭结算界面，重新开始这个游戏
+   */
+  retry() {
+    this.close();
+    this.game.restart();
+  }
+
+  /**
+   * 返回大厅（游戏和结算浮层一起销毁）
+   */
+  backToLobby() {
+    this.game.backToLobby();
+  }
+
+  /**
+   * 分享成绩
+   */
+  share() {
+    const name = this.results.gameName;
+    this.platform.shareAppMessage({
+      title: `我在${name}里得了 ${this.results.score} 分，快来挑战我吧！`
+    });
+  }
+}
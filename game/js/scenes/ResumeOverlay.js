@@ -0,0 +1,85 @@
+/**
+ * "点击继续"浮层 - ResumeOverlay
+ *
+ * 玩家切到后台再回来时，游戏不会立刻继续（那样小鸟可能一下子就撞死了），
+ * 而是先盖上这个浮层，等玩家点击屏幕后才继续。
+ *
+ * 由 BaseGame.onAppShow() 自动显示，所有游戏都一样。
+ */
+
+import OverlayScene from './OverlayScene.js';
+
+export default class ResumeOverlay extends OverlayScene {
+  /**
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {BaseGame} game - 被暂停的游戏
+   */
+  constructor(gameManager, game) {
+    super(gameManager);
+    this.game = game;
+
+    // 提示文字的呼吸动画
+    this.hintAlpha = 1;
+    this.hintDirection = -1;
+  }
+
+  /**
+   * 更新呼吸动画
+   */
+  update(deltaTime) {
+    this.hintAlpha += this.hintDirection * deltaTime * 1.5;
+    if (this.hintAlpha <= 0.4) {
+      this.hintAlpha = 0.4;
+      this.hintDirection = 1;
+    } else if (this.hintAlpha >= 1) {
+      this.hintAlpha = 1;
+      this.hintDirection = -1;
+    }
+  }
+
+  /**
+   * 绘制遮罩和提示文字
+   */
+  render(ctx) {
+    super.render(ctx);
+
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.font = 'bold 36px PingFang SC';
+    ctx.fillText('⏸ 已暂停', this.screenWidth / 2, this.screenHeight / 2 - 30);
+
+    ctx.globalAlpha = this.hintAlpha;
+    ctx.font = '20px PingFang SC';
+    ctx.fillText('点击屏幕继续', this.screenWidth / 2, this.screenHeight / 2 + 30);
+    ctx.restore();
+  }
+
+  /**
+   * 手指抬起时关闭浮层并继续游戏
+   */
+  onTouchEnd(touch) {
+    this.continueGame();
+  }
+
+  /**
+   * 键盘：空格/回车继续游戏，Esc 返回大厅
+   */
+  onAction(action) {
+    if (action === 'action') {
+      this.continueGame();
+    } else if (action === 'back') {
+      this.game.backToLobby();
+    }
+  }
+
+  /**
+   * 关闭浮层并继续游戏
+   */
+  continueGame() {
+    this.close();
+    this.game.resume();
+  }
+}
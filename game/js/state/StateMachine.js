@@ -0,0 +1,320 @@
+/**
+ * 状态机 - StateMachine
+ *
+ * 游戏的流程（开始界面 → 进行中 → 结束）如果用 gameStarted、isGameOver、isWin 几个布尔值拼出来，
+ * 很容易出现"结束了但 gameStarted 还是 true"这种互相矛盾的组合。
+ * 状态机保证任何时候都只处在一个状态里，每个状态自己决定怎么更新、怎么画、怎么响应触摸：
+ *
+ *   this.defineStates({            // BaseGame 提供，见 base/BaseGame.js
+ *     initial: 'ready',
+ *     states: {
+ *       ready: {
+ *         to: ['playing'],                        // 只能切换到这些状态
+ *         render: (ctx) => this.renderStartScreen(ctx),
+ *         onTouchStart: () => this.fsm.go('playing')
+ *       },
+ *       playing: {
+ *         to: { over: () => this.lives === 0 },   // 也可以给每个目标写一个守卫函数，返回 false 就不切换
+ *         enter: (from) => this.gameStart(),
+ *         update: (dt) => this.step(dt),
+ *         exit: (to) => this.stopTimer()
+ *       },
+ *       over: {
+ *         to: [],
+ *         enter: () => this.gameOver()
+ *       }
+ *     }
+ *   });
+ *
+ * 每个状态可以有这些钩子（都可以不写）：
+ * - enter(from, data) / exit(to, data)：进入、离开时调用，data 是 go() 的第二个参数
+ * - canEnter(from, data)：守卫，返回 false 就不能进入这个状态
+ * - update(dt) / render(ctx, alpha)
+ * - onTouchStart(touch) / onTouchMove(touch) / onTouchEnd(touch) / onAction(action, info)：
+ *   返回 false 表示没有处理，其他返回值都算处理了
+ *
+ * 调试：每次切换（包括被拒绝的）都记在 trace 里，debug: true 时还会打印出来，
+ * 出问题时 fsm.formatTrace() 就能看到状态是怎么一步步变过来的。
+ */
+
+export default class StateMachine {
+  /**
+   * @param {Object} config - 配置
+   * @param {Object} config.states - 状态 { 名字: { to, canEnter, enter, exit, update, render, onTouchStart... } }
+   * @param {string} config.initial - 初始状态（reset() 时回到这里）
+   * @param {Object} config.context - 钩子函数里的 this（BaseGame 传入游戏自己）
+   * @param {string} config.name - 名字（打印调试信息时用）
+   * @param {boolean} config.debug - 是否打印每次切换
+   * @param {number} config.traceSize - trace 最多保留几条（默认 50）
+   */
+  constructor(config) {
+    if (!config.states || !config.states[config.initial]) {
+      throw new Error(`状态机的初始状态不存在: ${config.initial}`);
+    }
+    for (const [name, state] of Object.entries(config.states)) {
+      for (const target of StateMachine.targetsOf(state)) {
+        if (!config.states[target]) {
+          throw new Error(`状态 ${name} 的目标状态不存在: ${target}`);
+        }
+      }
+    }
+
+    this.states = config.states;
+    this.initial = config.initial;
+    this.context = config.context || null;
+    this.name = config.name || 'fsm';
+    this.debug = config.debug === true;
+    this.traceSize = config.traceSize || 50;
+
+    // 当前状态和上一个状态（reset() 之前 state 是 null）
+    this.state = null;
+    this.previous = null;
+
+    // 在当前状态里待了多久、状态机一共跑了多久（秒，按 update 的 dt 累加，暂停时不走）
+    this.stateTime = 0;
+    this.time = 0;
+
+    // 这一轮（上次 reset 之后）进入过的状态
+    this.visited = new Set();
+
+    // 切换记录 [{ time, from, to, result }]，result 是 'ok' / 'reset' / 'restore' / 'denied' / 'blocked'
+    this.trace = [];
+  }
+
+  /**
+   * 状态允许切换到哪些状态（没写 to 时返回空数组，表示哪里都能去）
+   *
+   * @param {Object} state - 状态配置
+   * @returns {Array<string>}
+   */
+  static targetsOf(state) {
+    if (!state.to) {
+      return [];
+    }
+    return Array.isArray(state.to) ? state.to : Object.keys(state.to);
+  }
+
+  /**
+   * 回到初始状态（新的一局）：离开当前状态，进入初始状态
+   *
+   * @param {*} data - 传给初始状态 enter 的数据
+   */
+  reset(data) {
+    const from = this.state;
+    if (from !== null) {
+      this.callHook(from, 'exit', this.initial, data);
+    }
+    this.visited.clear();
+    this.setState(this.initial, 'reset');
+    this.callHook(this.initial, 'enter', from, data);
+  }
+
+  /**
+   * 切换到另一个状态
+   *
+   * @param {string} to - 目标状态
+   * @param {*} data - 传给 exit / enter / 守卫的数据
+   * @returns {boolean} 是否切换成功（不允许或者守卫拒绝时返回 false）
+   */
+  go(to, data) {
+    if (!this.states[to]) {
+      console.warn(`⚠️ ${this.name}: 没有 ${to} 这个状态`);
+      return false;
+    }
+    if (!this.isAllowed(to)) {
+      console.warn(`⚠️ ${this.name}: 不能从 ${this.state} 切换到 ${to}`);
+      this.record(this.state, to, 'denied');
+      return false;
+    }
+    if (!this.passesGuards(to, data)) {
+      this.record(this.state, to, 'blocked');
+      return false;
+    }
+
+    const from = this.state;
+    this.callHook(from, 'exit', to, data);
+    this.setState(to, 'ok');
+    this.callHook(to, 'enter', from, data);
+    return true;
+  }
+
+  /**
+   * 现在能不能切换到某个状态（允许而且守卫通过）
+   *
+   * @param {string} to - 目标状态
+   * @param {*} data - 传给守卫的数据
+   * @returns {boolean}
+   */
+  can(to, data) {
+    return Boolean(this.states[to]) && this.isAllowed(to) && this.passesGuards(to, data);
+  }
+
+  /**
+   * 当前是不是这些状态中的一个
+   *
+   * 例如：fsm.is('playing')、fsm.is('ready', 'won')
+   *
+   * @param {...string} names - 状态名
+   * @returns {boolean}
+   */
+  is(...names) {
+    return names.includes(this.state);
+  }
+
+  /**
+   * 有没有这个状态
+   *
+   * @param {string} name - 状态名
+   * @returns {boolean}
+   */
+  has(name) {
+    return Boolean(this.states[name]);
+  }
+
+  /**
+   * 这一轮有没有进入过某个状态（比如 2048 这一局是不是已经赢过了）
+   *
+   * @param {string} name - 状态名
+   * @returns {boolean}
+   */
+  hasVisited(name) {
+    return this.visited.has(name);
+  }
+
+  /**
+   * 更新当前状态
+   *
+   * @param {number} dt - 时间（秒）
+   */
+  update(dt) {
+    this.time += dt;
+    this.stateTime += dt;
+    this.callHook(this.state, 'update', dt);
+  }
+
+  /**
+   * 绘制当前状态
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 渲染插值比例
+   */
+  render(ctx, alpha) {
+    this.callHook(this.state, 'render', ctx, alpha);
+  }
+
+  /**
+   * 把一个事件交给当前状态处理（触摸、按键等）
+   *
+   * @param {string} hook - 钩子名（onTouchStart / onTouchMove / onTouchEnd / onAction ...）
+   * @param {...*} args - 参数
+   * @returns {boolean} 当前状态是否处理了（没有这个钩子、或者钩子返回 false 时是 false）
+   */
+  handle(hook, ...args) {
+    const state = this.states[this.state];
+    if (!state || !state[hook]) {
+      return false;
+    }
+    return state[hook].apply(this.context, args) !== false;
+  }
+
+  /**
+   * 保存当前状态（存进未完成的对局里）
+   *
+   * @returns {Object} { state, visited }
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      visited: Array.from(this.visited)
+    };
+  }
+
+  /**
+   * 恢复 getSnapshot() 保存的状态
+   * 不调用 enter / exit（恢复存档时游戏自己会把需要的东西准备好，比如重新开始计时）
+   *
+   * @param {Object} snapshot - { state, visited }（visited 可以不写）
+   */
+  restore(snapshot) {
+    if (!this.states[snapshot.state]) {
+      throw new Error(`${this.name}: 存档里的状态不存在: ${snapshot.state}`);
+    }
+    this.visited = new Set(snapshot.visited || []);
+    this.setState(snapshot.state, 'restore');
+  }
+
+  /**
+   * 把切换记录整理成文字（附在问题反馈里）
+   *
+   * @returns {string} 每行一条，例如 "12.35s playing → over"
+   */
+  formatTrace() {
+    return this.trace.map((entry) => {
+      const note = entry.result === 'ok' ? '' : `（${entry.result}）`;
+      return `${entry.time.toFixed(2)}s ${entry.from} → ${entry.to}${note}`;
+    }).join('\n');
+  }
+
+  /**
+   * 当前状态是否允许切换到 to
+   */
+  isAllowed(to) {
+    const current = this.states[this.state];
+    if (!current || !current.to) {
+      return true;
+    }
+    return StateMachine.targetsOf(current).includes(to);
+  }
+
+  /**
+   * 切换的守卫（当前状态 to 里写的函数）和目标状态的 canEnter 是否都通过
+   */
+  passesGuards(to, data) {
+    const current = this.states[this.state];
+    const guard = current && current.to && !Array.isArray(current.to) ? current.to[to] : null;
+    if (typeof guard === 'function' && guard.call(this.context, data) === false) {
+      return false;
+    }
+
+    const target = this.states[to];
+    if (target.canEnter && target.canEnter.call(this.context, this.state, data) === false) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 设置当前状态并记录
+   */
+  setState(name, result) {
+    this.record(this.state, name, result);
+    this.previous = this.state;
+    this.state = name;
+    this.stateTime = 0;
+    this.visited.add(name);
+  }
+
+  /**
+   * 记一条切换记录
+   */
+  record(from, to, result) {
+    this.trace.push({ time: this.time, from, to, result });
+    if (this.trace.length > this.traceSize) {
+      this.trace.shift();
+    }
+    if (this.debug) {
+      console.log(`🔀 ${this.name}: ${from} → ${to}${result === 'ok' ? '' : `（${result}）`}`);
+    }
+  }
+
+  /**
+   * 调用某个状态的钩子（没有就什么都不做）
+   */
+  callHook(name, hook, ...args) {
+    const state = this.states[name];
+    if (state && state[hook]) {
+      return state[hook].apply(this.context, args);
+    }
+    return undefined;
+  }
+}
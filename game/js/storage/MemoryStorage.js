@@ -0,0 +1,58 @@
+/**
+ * 内存存储 - MemoryStorage
+ *
+ * 模拟 wx.getStorageSync / wx.setStorageSync，数据只存在内存里。
+ * 和微信一样，读取不存在的 key 会得到空字符串 ''。
+ *
+ * NodePlatform 用它当本地存储；测试 SaveStore 时也可以直接拿它当存储后端：
+ *   const storage = new MemoryStorage({}, { quota: 100 });  // 超过 100 个字符就写不进去
+ *   const save = new SaveStore({ namespace: 'snake', storage });
+ */
+
+export default class MemoryStorage {
+  /**
+   * @param {Object} initialData - 初始数据 { key: value }
+   * @param {Object} options - 选项
+   * @param {number} options.quota - 容量上限（所有 key 和 value 的字符数之和，默认不限）
+   *                 超过时 setItem 会像微信一样抛出错误，用来测试"存储满了"的情况
+   */
+  constructor(initialData = {}, options = {}) {
+    this.data = new Map(Object.entries(initialData));
+    this.quota = options.quota || Infinity;
+  }
+
+  getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : '';
+  }
+
+  setItem(key, value) {
+    const oldSize = this.data.has(key) ? this.sizeOf(key, this.data.get(key)) : 0;
+    if (this.usedSize() - oldSize + this.sizeOf(key, value) > this.quota) {
+      throw new Error('setStorageSync:fail exceed storage max size');
+    }
+    this.data.set(key, value);
+  }
+
+  removeItem(key) {
+    this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  /**
+   * 已经用掉的容量（字符数）
+   */
+  usedSize() {
+    let size = 0;
+    for (const [key, value] of this.data) {
+      size += this.sizeOf(key, value);
+    }
+    return size;
+  }
+
+  sizeOf(key, value) {
+    return key.length + String(value).length;
+  }
+}
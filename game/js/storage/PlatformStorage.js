@@ -0,0 +1,28 @@
+/**
+ * 平台存储 - PlatformStorage
+ *
+ * 把平台适配器的 getStorage / setStorage / removeStorage
+ * 包装成和 MemoryStorage 一样的 getItem / setItem / removeItem，
+ * 这样 SaveStore 不用关心数据到底存在微信里还是内存里。
+ */
+
+export default class PlatformStorage {
+  /**
+   * @param {Object} platform - 平台适配器（见 platform/platform.js）
+   */
+  constructor(platform) {
+    this.platform = platform;
+  }
+
+  getItem(key) {
+    return this.platform.getStorage(key);
+  }
+
+  setItem(key, value) {
+    this.platform.setStorage(key, value);
+  }
+
+  removeItem(key) {
+    this.platform.removeStorage(key);
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * 存档 - SaveStore
+ *
+ * 每个游戏都有自己的 this.save（见 BaseGame），用来保存最高分、设置、进度等：
+ *   this.save.set('bestScore', 120);
+ *   this.save.get('bestScore', 0);                       // 没有存过时返回第二个参数
+ *   this.save.update('playCount', n => n + 1, 0);
+ *
+ * 和直接用 platform.getStorage 相比：
+ * - key 自动加上游戏编号前缀（'snake:bestScore'），不同游戏的数据不会互相覆盖
+ * - 值用 JSON 保存，数字、字符串、数组、对象都可以直接存
+ * - 数据坏了（不是合法的 JSON）不会报错，返回默认值
+ * - 存储满了写不进去时也不会报错，这次运行期间照样能读到新值，只是下次启动就没了
+ * - 有版本号：存档格式变了时，用迁移函数把旧数据改成新格式（见下面的 migrations）
+ *
+ * 迁移：版本号从 1 开始，存档版本比 version 旧时，按顺序执行缺少的迁移函数：
+ *   new SaveStore({
+ *     namespace: 'flappybird',
+ *     storage,
+ *     version: 2,
+ *     migrations: {
+ *       // 第 1 版：最高分以前直接存在 'flappybird_bestscore' 里，搬过来
+ *       1: (save) => save.set('bestScore', Number(save.storage.getItem('flappybird_bestscore')) || 0),
+ *       // 第 2 版：声音开关并进 settings 对象
+ *       2: (save) => save.set('settings', { sound: save.get('sound', true) })
+ *     }
+ *   });
+ * 某个迁移函数出错时停在上一个版本，下次启动再试。
+ */
+
+// 存档版本号保存在哪个 key 里
+const VERSION_KEY = '__version';
+
+export default class SaveStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.namespace - 命名空间（一般是游戏编号），所有 key 都会加上这个前缀
+   * @param {Object} options.storage - 存储后端，需要有 getItem / setItem / removeItem
+   *                 （PlatformStorage 存到平台里，MemoryStorage 只存在内存里）
+   * @param {number} options.version - 当前存档版本（默认 0，表示没有迁移）
+   * @param {Object} options.migrations - 迁移函数 { 版本号: (save) => {} }
+   */
+  constructor(options) {
+    this.namespace = options.namespace;
+    this.storage = options.storage;
+    this.version = options.version || 0;
+    this.migrations = options.migrations || {};
+
+    // 这次运行期间读写过的值（JSON 字符串）：存储写不进去时，还能从这里读到
+    this.cache = new Map();
+
+    this.migrate();
+  }
+
+  /**
+   * 读取
+   *
+   * @param {string} key - 键名（不带命名空间前缀）
+   * @param {*} defaultValue - 没有存过、或者数据坏了时返回的值
+   * @returns {*}
+   */
+  get(key, defaultValue) {
+    const raw = this.cache.has(key) ? this.cache.get(key) : this.readRaw(this.fullKey(key));
+
+    // 微信里读取不存在的 key 得到 ''
+    if (raw === '' || raw === null || raw === undefined) {
+      return defaultValue;
+    }
+
+    // 不是字符串说明是直接用 wx.setStorageSync 存的原始值，原样返回
+    if (typeof raw !== 'string') {
+      return raw;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn(`⚠️ 存档数据损坏，使用默认值: ${this.fullKey(key)}`);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * 保存
+   *
+   * @param {string} key - 键名
+   * @param {*} value - 值（必须能转成 JSON；undefined 相当于 remove）
+   * @returns {boolean} 是否真的写进了存储（存储满了时返回 false，但这次运行期间 get 能读到新值）
+   */
+  set(key, value) {
+    if (value === undefined) {
+      this.remove(key);
+      return true;
+    }
+
+    let text;
+    try {
+      text = JSON.stringify(value);
+    } catch (e) {
+      console.error(`保存存档失败，值不能转成 JSON: ${this.fullKey(key)}`, e);
+      return false;
+    }
+
+    this.cache.set(key, text);
+    try {
+      this.storage.setItem(this.fullKey(key), text);
+      return true;
+    } catch (e) {
+      console.error(`保存存档失败（可能是存储空间满了）: ${this.fullKey(key)}`, e);
+      return false;
+    }
+  }
+
+  /**
+   * 读取、修改、再保存
+   *
+   * @param {string} key - 键名
+   * @param {Function} updater - (旧值) => 新值
+   * @param {*} defaultValue - 没有存过时传给 updater 的旧值
+   * @returns {*} 新值
+   */
+  update(key, updater, defaultValue) {
+    const value = updater(this.get(key, defaultValue));
+    this.set(key, value);
+    return value;
+  }
+
+  /**
+   * 是否存过这个 key
+   *
+   * @param {string} key - 键名
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * 删除
+   *
+   * @param {string} key - 键名
+   */
+  remove(key) {
+    this.cache.delete(key);
+    try {
+      this.storage.removeItem(this.fullKey(key));
+    } catch (e) {
+      console.error(`删除存档失败: ${this.fullKey(key)}`, e);
+    }
+  }
+
+  /**
+   * 加上命名空间前缀后的完整 key
+   *
+   * @param {string} key - 键名
+   * @returns {string}
+   */
+  fullKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /**
+   * 直接从存储里读（读取失败当作没有数据）
+   *
+   * @param {string} fullKey - 完整的 key
+   */
+  readRaw(fullKey) {
+    try {
+      return this.storage.getItem(fullKey);
+    } catch (e) {
+      console.error(`读取存档失败: ${fullKey}`, e);
+      return '';
+    }
+  }
+
+  /**
+   * 存档当前的版本号
+   *
+   * @returns {number}
+   */
+  get storedVersion() {
+    return this.get(VERSION_KEY, 0);
+  }
+
+  /**
+   * 按顺序执行缺少的迁移函数，每成功一个就记下新版本号
+   */
+  migrate() {
+    const stored = this.storedVersion;
+    if (stored > this.version) {
+      console.warn(`⚠️ ${this.namespace} 的存档版本 (${stored}) 比游戏支持的 (${this.version}) 新，不做迁移`);
+      return;
+    }
+
+    for (let version = stored + 1; version <= this.version; version++) {
+      const migration = this.migrations[version];
+      if (migration) {
+        try {
+          migration(this);
+        } catch (e) {
+          console.error(`${this.namespace} 的存档迁移到第 ${version} 版失败`, e);
+          return;
+        }
+      }
+      this.set(VERSION_KEY, version);
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * 定时器 - Scheduler
+ *
+ * 为什么不用 setTimeout / setInterval？
+ * - 游戏暂停了，setTimeout 还在偷偷计时，恢复后马上就触发了
+ * - 游戏已经退出了，setTimeout 还会触发，去修改一个已经销毁的游戏
+ * - 想做"慢动作"时没办法让 setTimeout 变慢
+ *
+ * Scheduler 的时间由游戏主循环推动（每帧前进 deltaTime 秒）：
+ * 游戏暂停或被浮层盖住时，时间就停住；游戏销毁时，所有任务自动取消。
+ *
+ * 每个游戏都有自己的 this.scheduler（见 BaseGame），用法：
+ *   // 3 秒后清除提示
+ *   this.scheduler.after(3, () => { this.hintCell = null; });
+ *
+ *   // 每秒倒计时一次，返回的编号可以用来取消
+ *   const id = this.scheduler.every(1, () => this.timeLeft--);
+ *   this.scheduler.cancel(id);
+ *
+ *   // 慢动作：时间流逝速度减半
+ *   this.scheduler.timeScale = 0.5;
+ *
+ * 注意：时间单位是"秒"，和 update(deltaTime) 的 deltaTime 一样。
+ */
+
+export default class Scheduler {
+  constructor() {
+    // 时间流逝速度（1 是正常速度，0.5 是慢动作，2 是快进）
+    this.timeScale = 1;
+
+    // 是否暂停（暂停时 update() 不会让时间前进）
+    this.paused = false;
+
+    // 定时器自己的时间（秒），只在没暂停时前进，并且受 timeScale 影响
+    this.time = 0;
+
+    // 等待触发的任务 { id, dueTime, interval, callback }
+    this.tasks = [];
+
+    // 下一个任务的编号
+    this.nextId = 1;
+  }
+
+  /**
+   * 延迟一段时间后执行一次
+   *
+   * @param {number} delay - 延迟时间（秒）
+   * @param {Function} callback - 要执行的函数
+   * @returns {number} 任务编号，可以传给 cancel() 取消
+   */
+  after(delay, callback) {
+    return this.addTask(delay, 0, callback);
+  }
+
+  /**
+   * 每隔一段时间执行一次，直到被取消
+   *
+   * @param {number} interval - 间隔时间（秒），必须大于 0
+   * @param {Function} callback - 要执行的函数
+   * @returns {number} 任务编号，可以传给 cancel() 取消
+   */
+  every(interval, callback) {
+    if (!(interval > 0)) {
+      console.warn(`⚠️ every() 的间隔必须大于 0，收到: ${interval}`);
+      return 0;
+    }
+    return this.addTask(interval, interval, callback);
+  }
+
+  /**
+   * 取消任务
+   * 任务已经触发完或者已经取消了，再取消也没关系
+   *
+   * @param {number} id - after() / every() 返回的任务编号
+   */
+  cancel(id) {
+    this.tasks = this.tasks.filter((task) => task.id !== id);
+  }
+
+  /**
+   * 任务是否还在等待触发
+   *
+   * @param {number} id - 任务编号
+   * @returns {boolean}
+   */
+  isScheduled(id) {
+    return this.tasks.some((task) => task.id === id);
+  }
+
+  /**
+   * 取消所有任务
+   */
+  clear() {
+    this.tasks = [];
+  }
+
+  /**
+   * 暂停（时间停住，任务不会触发）
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 继续
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * 让时间前进，触发到时间的任务
+   * 由 GameManager 在每次调用游戏的 update() 之前调用，游戏里一般不需要自己调用
+   *
+   * 一帧时间很长时（比如卡了一下），every() 任务会补上错过的次数，
+   * 多个任务按到期时间的先后顺序触发。
+   *
+   * @param {number} deltaTime - 经过的时间（秒）
+   */
+  update(deltaTime) {
+    if (this.paused) {
+      return;
+    }
+
+    this.time += deltaTime * this.timeScale;
+
+    let task = this.nextDueTask();
+    while (task) {
+      if (task.interval > 0) {
+        task.dueTime += task.interval;
+      } else {
+        this.cancel(task.id);
+      }
+
+      try {
+        task.callback();
+      } catch (e) {
+        console.error('定时任务执行出错', e);
+      }
+
+      // 回调里可能暂停了定时器（比如游戏结束后弹出了结算界面）
+      if (this.paused) {
+        return;
+      }
+      task = this.nextDueTask();
+    }
+  }
+
+  /**
+   * 添加任务
+   */
+  addTask(delay, interval, callback) {
+    const task = {
+      id: this.nextId++,
+      dueTime: this.time + Math.max(0, delay),
+      interval: interval,
+      callback: callback
+    };
+    this.tasks.push(task);
+    return task.id;
+  }
+
+  /**
+   * 找到已经到时间、并且最早到期的任务（到期时间相同时，先添加的先执行）
+   *
+   * @returns {Object|null}
+   */
+  nextDueTask() {
+    let next = null;
+    for (const task of this.tasks) {
+      if (task.dueTime <= this.time && (!next || task.dueTime < next.dueTime)) {
+        next = task;
+      }
+    }
+    return next;
+  }
+}
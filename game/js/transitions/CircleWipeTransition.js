@@ -0,0 +1,41 @@
+/**
+ * 圆形擦除过渡 - CircleWipeTransition
+ *
+ * 新场景从一个点开始，像水波一样以圆形向外扩散，
+ * 直到盖满整个屏幕。
+ */
+
+import Transition from './Transition.js';
+
+export default class CircleWipeTransition extends Transition {
+  /**
+   * @param {Object} options - 选项（同 Transition）
+   * @param {number} options.x - 圆心 X（默认屏幕中心）
+   * @param {number} options.y - 圆心 Y（默认屏幕中心）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.centerX = options.x;
+    this.centerY = options.y;
+  }
+
+  draw(ctx, drawFrom, drawTo, t) {
+    const cx = this.centerX !== undefined ? this.centerX : this.screenWidth / 2;
+    const cy = this.centerY !== undefined ? this.centerY : this.screenHeight / 2;
+
+    // 最大半径：圆心到最远的屏幕角落的距离，保证最后能盖满屏幕
+    const farX = Math.max(cx, this.screenWidth - cx);
+    const farY = Math.max(cy, this.screenHeight - cy);
+    const maxRadius = Math.sqrt(farX * farX + farY * farY);
+
+    drawFrom();
+
+    // 只在圆形区域内画新场景
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, maxRadius * t, 0, Math.PI * 2);
+    ctx.clip();
+    drawTo();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * 淡入淡出过渡 - FadeTransition
+ *
+ * 前一半时间：旧场景慢慢变黑
+ * 后一半时间：新场景从黑色中慢慢出现
+ */
+
+import Transition from './Transition.js';
+
+export default class FadeTransition extends Transition {
+  /**
+   * @param {Object} options - 选项（同 Transition）
+   * @param {string} options.color - 中间的颜色（默认黑色）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.color = options.color || '#000000';
+  }
+
+  draw(ctx, drawFrom, drawTo, t) {
+    // 遮罩的不透明度：0 → 1 → 0
+    let coverAlpha;
+    if (t < 0.5) {
+      drawFrom();
+      coverAlpha = t * 2;
+    } else {
+      drawTo();
+      coverAlpha = (1 - t) * 2;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = coverAlpha;
+    ctx.fillStyle = this.color;
+    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * 滑动过渡 - SlideTransition
+ *
+ * 新场景从屏幕一边滑进来，同时把旧场景推出去，
+ * 就像翻相册一样。
+ */
+
+import Transition from './Transition.js';
+
+export default class SlideTransition extends Transition {
+  /**
+   * @param {Object} options - 选项（同 Transition）
+   * @param {string} options.direction - 滑动方向：'left'（默认，新场景从右边进来）| 'right' | 'up' | 'down'
+   */
+  constructor(options = {}) {
+    super(options);
+    this.direction = options.direction || 'left';
+  }
+
+  draw(ctx, drawFrom, drawTo, t) {
+    // 新场景相对于旧场景的位置（一整屏的距离）
+    let dx = 0;
+    let dy = 0;
+    switch (this.direction) {
+      case 'left':
+        dx = this.screenWidth;
+        break;
+      case 'right':
+        dx = -this.screenWidth;
+        break;
+      case 'up':
+        dy = this.screenHeight;
+        break;
+      case 'down':
+        dy = -this.screenHeight;
+        break;
+    }
+
+    // 旧场景移出去
+    ctx.save();
+    ctx.translate(-dx * t, -dy * t);
+    drawFrom();
+    ctx.restore();
+
+    // 新场景移进来
+    ctx.save();
+    ctx.translate(dx * (1 - t), dy * (1 - t));
+    drawTo();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * 场景过渡动画基类 - Transition
+ *
+ * 从大厅进入游戏、从游戏返回大厅时，不再是"咔"地一下直接切换，
+ * 而是播放一段过渡动画（淡入淡出、滑动、圆形擦除、从卡片放大）。
+ *
+ * 过渡期间：
+ * - 旧场景和新场景都被冻结（不会 update）
+ * - 所有触摸事件都会被忽略
+ * - 过渡结束后旧场景才会被销毁
+ *
+ * 子类只需要实现 draw(ctx, drawFrom, drawTo, t)：
+ * - drawFrom() 画出旧场景
+ * - drawTo()   画出新场景
+ * - t          经过缓动后的进度（0 → 1）
+ */
+
+import { Easing, clamp } from '../utils/utils.js';
+
+export default class Transition {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.duration - 持续时间（秒，默认 0.4）
+   * @param {Function} options.easing - 缓动函数（默认 Easing.easeInOutQuad）
+   */
+  constructor(options = {}) {
+    this.duration = options.duration || 0.4;
+    this.easing = options.easing || Easing.easeInOutQuad;
+
+    // 已经播放的时间（秒）
+    this.elapsed = 0;
+
+    // 屏幕尺寸（开始播放时由 GameManager 设置）
+    this.screenWidth = 0;
+    this.screenHeight = 0;
+  }
+
+  /**
+   * 开始播放（GameManager 调用）
+   *
+   * @param {number} screenWidth - 屏幕宽度
+   * @param {number} screenHeight - 屏幕高度
+   */
+  start(screenWidth, screenHeight) {
+    this.screenWidth = screenWidth;
+    this.screenHeight = screenHeight;
+    this.elapsed = 0;
+  }
+
+  /**
+   * 推进动画
+   *
+   * @param {number} deltaTime - 帧间隔（秒）
+   */
+  update(deltaTime) {
+    this.elapsed = Math.min(this.elapsed + deltaTime, this.duration);
+  }
+
+  /**
+   * 线性进度（0-1）
+   */
+  get progress() {
+    return clamp(this.elapsed / this.duration, 0, 1);
+  }
+
+  /**
+   * 是否播放完毕
+   */
+  get isFinished() {
+    return this.elapsed >= this.duration;
+  }
+
+  /**
+   * 绘制过渡画面
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {Function} drawFrom - 画旧场景的函数
+   * @param {Function} drawTo - 画新场景的函数
+   */
+  render(ctx, drawFrom, drawTo) {
+    this.draw(ctx, drawFrom, drawTo, this.easing(this.progress));
+  }
+
+  /**
+   * 子类实现具体的过渡效果
+   * 默认直接画新场景（相当于硬切）
+   */
+  draw(ctx, drawFrom, drawTo, t) {
+    drawTo();
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * 从卡片放大过渡 - ZoomTransition
+ *
+ * 在大厅点击游戏卡片时，游戏画面从这张卡片的位置"长大"，
+ * 一直放大到全屏，就像打开一个 App 一样。
+ */
+
+import Transition from './Transition.js';
+import { lerp, drawRoundRect } from '../utils/utils.js';
+
+export default class ZoomTransition extends Transition {
+  /**
+   * @param {Object} options - 选项（同 Transition）
+   * @param {Object} options.fromRect - 起始矩形 { x, y, width, height }（比如被点击的卡片）
+   *                                    不传的话从屏幕中心的一个点开始
+   * @param {number} options.cornerRadius - 起始圆角（默认 15，和大厅卡片一样）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fromRect = options.fromRect || null;
+    this.cornerRadius = options.cornerRadius !== undefined ? options.cornerRadius : 15;
+  }
+
+  draw(ctx, drawFrom, drawTo, t) {
+    const from = this.fromRect || {
+      x: this.screenWidth / 2,
+      y: this.screenHeight / 2,
+      width: 0,
+      height: 0
+    };
+
+    // 当前矩形：从卡片矩形插值到全屏
+    const x = lerp(from.x, 0, t);
+    const y = lerp(from.y, 0, t);
+    const width = lerp(from.width, this.screenWidth, t);
+    const height = lerp(from.height, this.screenHeight, t);
+
+    drawFrom();
+
+    if (width <= 0 || height <= 0) {
+      return;
+    }
+
+    ctx.save();
+
+    // 裁剪出当前矩形（圆角慢慢变成直角）
+    drawRoundRect(ctx, x, y, width, height, this.cornerRadius * (1 - t));
+    ctx.clip();
+
+    // 把整个新场景缩小画进这个矩形里
+    ctx.translate(x, y);
+    ctx.scale(width / this.screenWidth, height / this.screenHeight);
+    drawTo();
+
+    ctx.restore();
+  }
+}
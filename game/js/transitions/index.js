@@ -0,0 +1,52 @@
+/**
+ * 场景过渡动画入口
+ *
+ * 导出所有过渡效果，并提供按名字创建的工厂函数
+ */
+
+import Transition from './Transition.js';
+import FadeTransition from './FadeTransition.js';
+import SlideTransition from './SlideTransition.js';
+import CircleWipeTransition from './CircleWipeTransition.js';
+import ZoomTransition from './ZoomTransition.js';
+
+export {
+  Transition,
+  FadeTransition,
+  SlideTransition,
+  CircleWipeTransition,
+  ZoomTransition
+};
+
+// 名字 -> 过渡类
+const TRANSITIONS = {
+  fade: FadeTransition,
+  slide: SlideTransition,
+  circle: CircleWipeTransition,
+  zoom: ZoomTransition
+};
+
+/**
+ * 按名字创建过渡动画
+ *
+ * @param {string|Transition} type - 'fade' | 'slide' | 'circle' | 'zoom'，也可以直接传一个过渡实例
+ * @param {Object} options - 过渡选项
+ * @returns {Transition|null} 过渡实例，type 为空时返回 null（硬切）
+ *
+ * 例如: createTransition('zoom', { fromRect: card })
+ */
+export function createTransition(type, options = {}) {
+  if (!type) {
+    return null;
+  }
+  if (type instanceof Transition) {
+    return type;
+  }
+
+  const TransitionClass = TRANSITIONS[type];
+  if (!TransitionClass) {
+    console.warn(`⚠️ 未知的过渡动画: ${type}`);
+    return null;
+  }
+  return new TransitionClass(options);
+}
@@ -0,0 +1,96 @@
+/**
+ * 按钮 - Button
+ *
+ * 手指按下时按钮变暗，在按钮上抬起才算点击（按下后滑出去再抬起就不算），
+ * 和手机系统按钮的手感一样。
+ *
+ *   this.ui.add(new Button({
+ *     x: 20, y: 20, width: 80, height: 40,
+ *     text: '← 返回',
+ *     onTap: () => this.backToLobby()
+ *   }));
+ *
+ * 不可用时（enabled = false）画成半透明，点了也没反应。
+ */
+
+import Widget from './Widget.js';
+import { drawRoundRect } from '../utils/utils.js';
+
+// 默认样式（和原来的返回按钮一样：半透明黑底白字）
+const DEFAULT_STYLE = {
+  background: 'rgba(0, 0, 0, 0.5)',
+  pressedBackground: null,      // 不写就用 background 再加一层暗色
+  textColor: '#FFFFFF',
+  font: '16px PingFang SC',
+  radius: 8,
+  borderColor: null,
+  borderWidth: 2
+};
+
+export default class Button extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {string} options.text - 按钮文字
+   * @param {Function} options.onTap - 点击时调用，参数是按钮自己
+   * @param {Object} options.style - 样式，可以覆盖 DEFAULT_STYLE 里的任何一项
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = true;
+
+    this.text = options.text || '';
+    this.onTap = options.onTap || null;
+    this.style = { ...DEFAULT_STYLE, ...options.style };
+
+    // 是否正被按着（手指还在按钮上）
+    this.pressed = false;
+  }
+
+  draw(ctx) {
+    const style = this.style;
+
+    ctx.fillStyle = this.pressed && style.pressedBackground
+      ? style.pressedBackground
+      : style.background;
+    drawRoundRect(ctx, this.x, this.y, this.width, this.height, style.radius);
+    ctx.fill();
+
+    if (this.pressed && !style.pressedBackground) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+      ctx.fill();
+    }
+
+    if (style.borderColor) {
+      ctx.strokeStyle = style.borderColor;
+      ctx.lineWidth = style.borderWidth;
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = style.textColor;
+    ctx.font = style.font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.text, this.x + this.width / 2, this.y + this.height / 2);
+  }
+
+  touchStart(point) {
+    this.pressed = true;
+  }
+
+  touchMove(point) {
+    // 滑出按钮就松开，滑回来又按下
+    this.pressed = this.containsPoint(point.x, point.y);
+  }
+
+  touchEnd(point) {
+    const tapped = this.pressed && this.containsPoint(point.x, point.y);
+    this.pressed = false;
+    if (tapped && this.onTap) {
+      this.onTap(this);
+    }
+  }
+
+  touchCancel() {
+    this.pressed = false;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * 文字 - Label
+ *
+ * 在一个矩形里画一行（或几行，用 '\n' 分开）文字，不响应触摸。
+ * 文字在矩形里竖直居中，水平方向按 align 对齐：
+ *
+ *   new Label({ x: 0, y: 100, width: screenWidth, height: 40, text: '游戏结束', font: 'bold 32px PingFang SC' })
+ *
+ * 改文字直接改 label.text 就行，下一帧自动重画。
+ */
+
+import Widget from './Widget.js';
+
+export default class Label extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {string} options.text - 文字
+   * @param {string} options.font - 字体（默认 '16px PingFang SC'）
+   * @param {string} options.color - 颜色（默认 '#333333'）
+   * @param {string} options.align - 'left' | 'center' | 'right'（默认 'center'）
+   * @param {number} options.lineHeight - 多行文字的行高（默认 1.4 倍字号）
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.text = options.text !== undefined ? String(options.text) : '';
+    this.font = options.font || '16px PingFang SC';
+    this.color = options.color || '#333333';
+    this.align = options.align || 'center';
+    this.lineHeight = options.lineHeight || 0;
+  }
+
+  draw(ctx) {
+    if (!this.text) {
+      return;
+    }
+
+    ctx.fillStyle = this.color;
+    ctx.font = this.font;
+    ctx.textAlign = this.align;
+    ctx.textBaseline = 'middle';
+
+    let textX = this.x + this.width / 2;
+    if (this.align === 'left') {
+      textX = this.x;
+    } else if (this.align === 'right') {
+      textX = this.x + this.width;
+    }
+
+    // 多行文字：整体在矩形里竖直居中
+    const lines = String(this.text).split('\n');
+    const lineHeight = this.lineHeight || Label.fontSize(this.font) * 1.4;
+    const firstY = this.y + this.height / 2 - (lines.length - 1) * lineHeight / 2;
+    lines.forEach((line, i) => {
+      ctx.fillText(line, textX, firstY + i * lineHeight);
+    });
+  }
+
+  /**
+   * 从字体字符串里取出字号，比如 'bold 24px Arial' -> 24
+   */
+  static fontSize(font) {
+    const match = /(\d+)px/.exec(font);
+    return match ? Number(match[1]) : 16;
+  }
+}
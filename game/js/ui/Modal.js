@@ -0,0 +1,144 @@
+/**
+ * 对话框 - Modal
+ *
+ * 盖住整个屏幕的半透明遮罩 + 屏幕中间的一个面板（标题、说明文字、一排按钮）。
+ * 打开后遮罩挡住所有触摸，下面的游戏和其他控件都点不到，只能点对话框里的按钮。
+ *
+ *   const dialog = new Modal({
+ *     title: '游戏结束',
+ *     message: '得分: 10',
+ *     buttons: [
+ *       { text: '重新开始', onTap: () => { dialog.close(); this.restart(); } },
+ *       { text: '返回大厅', onTap: () => this.backToLobby() }
+ *     ]
+ *   });
+ *   dialog.open(this.ui);
+ *
+ * 需要更多内容时，往 dialog.content（一个竖着排版的 Panel）里加控件就行，
+ * 标题、说明文字、按钮行也都可以通过 dialog.titleLabel / messageLabel / buttonRow 修改。
+ */
+
+import Widget from './Widget.js';
+import Panel from './Panel.js';
+import Label from './Label.js';
+import Button from './Button.js';
+
+export default class Modal extends Widget {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.title - 标题（不写就没有标题行）
+   * @param {string} options.message - 说明文字（可以用 '\n' 换行）
+   * @param {Array<Object>} options.buttons - 按钮，每个都是 Button 的选项（text、onTap、style）
+   * @param {number} options.width - 面板宽度（默认屏幕宽度的 80%）
+   * @param {string} options.backdrop - 遮罩颜色（默认 'rgba(0, 0, 0, 0.5)'）
+   * @param {string} options.background - 面板背景色（默认白色）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = true;
+
+    this.panelWidth = options.width || 0;
+    this.backdrop = options.backdrop || 'rgba(0, 0, 0, 0.5)';
+
+    // 面板：从上往下排版，高度跟着内容走
+    this.content = this.add(new Panel({
+      background: options.background || '#FFFFFF',
+      radius: 20,
+      layout: { direction: 'vertical', padding: 20, gap: 12, align: 'stretch' },
+      fitContent: true
+    }));
+
+    this.titleLabel = this.content.add(new Label({
+      height: 44,
+      text: options.title,
+      font: 'bold 32px PingFang SC',
+      visible: Boolean(options.title)
+    }));
+
+    this.messageLabel = this.content.add(new Label({
+      text: options.message,
+      font: '20px PingFang SC',
+      visible: Boolean(options.message)
+    }));
+    this.setMessage(options.message || '');
+
+    // 按钮行：横着平分宽度
+    this.buttonRow = new Panel({
+      height: 50,
+      layout: { direction: 'horizontal', gap: 10, align: 'stretch', equal: true }
+    });
+    for (const buttonOptions of options.buttons || []) {
+      this.buttonRow.add(new Button({
+        ...buttonOptions,
+        style: { background: '#4CAF50', font: 'bold 18px PingFang SC', radius: 10, ...buttonOptions.style }
+      }));
+    }
+    if (this.buttonRow.children.length > 0) {
+      this.content.add(this.buttonRow);
+    }
+  }
+
+  /**
+   * 修改说明文字（高度跟着行数变）
+   *
+   * @param {string} message - 说明文字
+   */
+  setMessage(message) {
+    const label = this.messageLabel;
+    label.text = message;
+    label.visible = Boolean(message);
+    label.height = message.split('\n').length * Label.fontSize(label.font) * 1.4;
+  }
+
+  /**
+   * 打开对话框
+   *
+   * @param {Widget} ui - 加到哪里（一般是游戏的 this.ui）
+   * @param {number} index - 插到第几层（默认最上面；传 0 时其他控件比如返回按钮会画在遮罩上面，还能点到）
+   * @returns {Modal} 自己
+   */
+  open(ui, index) {
+    ui.add(this, index);
+    this.show();
+    return this;
+  }
+
+  /**
+   * 关闭对话框
+   */
+  close() {
+    if (this.parent) {
+      this.parent.remove(this);
+    }
+  }
+
+  /**
+   * 是否正在显示
+   */
+  get isOpen() {
+    return this.parent !== null && this.visible;
+  }
+
+  /**
+   * 遮罩铺满父控件（一般就是整个屏幕），面板在中间
+   */
+  layout() {
+    if (this.parent) {
+      this.setBounds(this.parent);
+    }
+
+    const panel = this.content;
+    panel.width = this.panelWidth || this.width * 0.8;
+    panel.x = this.x + (this.width - panel.width) / 2;
+
+    // 先排一次算出高度，再竖直居中重新排
+    panel.layout();
+    panel.y = this.y + (this.height - panel.height) / 2;
+    super.layout();
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = this.backdrop;
+    ctx.fillRect(this.x, this.y, this.width, this.height);
+  }
+}
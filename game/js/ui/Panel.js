@@ -0,0 +1,131 @@
+/**
+ * 面板 - Panel
+ *
+ * 一块带背景的矩形，用来装其他控件。可以自动排版：
+ *
+ *   const panel = new Panel({
+ *     x: 40, y: 200, width: 300,
+ *     background: '#FFFFFF', radius: 20,
+ *     layout: { direction: 'vertical', padding: 20, gap: 10, align: 'stretch' },
+ *     fitContent: true   // 高度跟着内容走
+ *   });
+ *   panel.add(new Label({ height: 40, text: '游戏结束' }));
+ *   panel.add(new Button({ height: 50, text: '重新开始', onTap: ... }));
+ *
+ * 排版选项 layout：
+ * - direction   'vertical'（从上往下排）| 'horizontal'（从左往右排），不写就不排版，子控件用自己的坐标
+ * - padding     内边距
+ * - gap         子控件之间的间距
+ * - align       另一个方向上的对齐：'start' | 'center' | 'end' | 'stretch'（拉满）
+ * - equal       为 true 时子控件平分排列方向上的长度（比如一排等宽的按钮）
+ *
+ * 隐藏的子控件不参与排版。
+ */
+
+import Widget from './Widget.js';
+import { drawRoundRect } from '../utils/utils.js';
+
+export default class Panel extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {string} options.background - 背景色（不写就不画背景）
+   * @param {number} options.radius - 圆角半径
+   * @param {string} options.borderColor - 边框颜色
+   * @param {number} options.borderWidth - 边框宽度（默认 2）
+   * @param {Object} options.layout - 排版选项（见文件开头）
+   * @param {boolean} options.fitContent - 排版后是否把高度（横排时是宽度）缩放到刚好装下内容
+   * @param {boolean} options.blockTouches - 是否挡住触摸（默认 false：点到面板空白处会穿透给游戏）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = options.blockTouches === true;
+
+    this.background = options.background || null;
+    this.radius = options.radius || 0;
+    this.borderColor = options.borderColor || null;
+    this.borderWidth = options.borderWidth || 2;
+
+    this.layoutOptions = options.layout ? {
+      direction: 'vertical',
+      padding: 0,
+      gap: 0,
+      align: 'start',
+      equal: false,
+      ...options.layout
+    } : null;
+    this.fitContent = options.fitContent === true;
+  }
+
+  layout() {
+    if (this.layoutOptions) {
+      this.arrange();
+    }
+    super.layout();
+  }
+
+  /**
+   * 按排版选项摆放子控件
+   */
+  arrange() {
+    const { direction, padding, gap, align, equal } = this.layoutOptions;
+    const vertical = direction === 'vertical';
+    const children = this.children.filter((child) => child.visible);
+
+    // 主方向（排列方向）和交叉方向的属性名
+    const pos = vertical ? 'y' : 'x';
+    const size = vertical ? 'height' : 'width';
+    const crossPos = vertical ? 'x' : 'y';
+    const crossSize = vertical ? 'width' : 'height';
+
+    const innerCross = this[crossSize] - padding * 2;
+    const equalSize = children.length > 0
+      ? (this[size] - padding * 2 - gap * (children.length - 1)) / children.length
+      : 0;
+
+    let cursor = this[pos] + padding;
+    for (const child of children) {
+      if (equal) {
+        child[size] = equalSize;
+      }
+      child[pos] = cursor;
+      cursor += child[size] + gap;
+
+      switch (align) {
+        case 'stretch':
+          child[crossPos] = this[crossPos] + padding;
+          child[crossSize] = innerCross;
+          break;
+        case 'center':
+          child[crossPos] = this[crossPos] + (this[crossSize] - child[crossSize]) / 2;
+          break;
+        case 'end':
+          child[crossPos] = this[crossPos] + this[crossSize] - padding - child[crossSize];
+          break;
+        default:
+          child[crossPos] = this[crossPos] + padding;
+      }
+    }
+
+    if (this.fitContent && !equal) {
+      const used = children.length > 0 ? cursor - gap - this[pos] : padding;
+      this[size] = used + padding;
+    }
+  }
+
+  draw(ctx) {
+    if (!this.background && !this.borderColor) {
+      return;
+    }
+
+    drawRoundRect(ctx, this.x, this.y, this.width, this.height, this.radius);
+    if (this.background) {
+      ctx.fillStyle = this.background;
+      ctx.fill();
+    }
+    if (this.borderColor) {
+      ctx.strokeStyle = this.borderColor;
+      ctx.lineWidth = this.borderWidth;
+      ctx.stroke();
+    }
+  }
+}
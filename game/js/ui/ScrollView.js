@@ -0,0 +1,126 @@
+/**
+ * 滚动区域 - ScrollView
+ *
+ * 内容比区域高的时候，可以上下拖动查看，超出区域的部分不会画出来。
+ * 比如排行榜、关卡列表：
+ *
+ *   const list = this.ui.add(new ScrollView({ x: 20, y: 100, width: 300, height: 400 }));
+ *   for (let i = 0; i < 30; i++) {
+ *     list.add(new Button({ x: 20, y: 100 + i * 50, width: 300, height: 44, text: `第 ${i + 1} 关` }));
+ *   }
+ *
+ * 子控件的坐标按"没有滚动时"的位置写，滚动由 ScrollView 负责。
+ * 按着里面的按钮拖动会变成滚动，按钮不会被误点（见 UIRoot）。
+ */
+
+import Widget from './Widget.js';
+import { clamp, drawRoundRect } from '../utils/utils.js';
+
+export default class ScrollView extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {string} options.background - 背景色（不写就不画背景）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = true;
+    this.scrollable = true;
+
+    this.background = options.background || null;
+
+    // 已经往下滚动了多少像素
+    this.scrollY = 0;
+
+    // 拖动开始时的手指位置和滚动距离
+    this.dragStartY = 0;
+    this.dragStartScroll = 0;
+  }
+
+  /**
+   * 内容的总高度（最下面的子控件的底边到区域顶部的距离）
+   */
+  get contentHeight() {
+    let bottom = this.y;
+    for (const child of this.children) {
+      if (child.visible) {
+        bottom = Math.max(bottom, child.y + child.height);
+      }
+    }
+    return bottom - this.y;
+  }
+
+  /**
+   * 最多能滚动多少像素
+   */
+  get maxScroll() {
+    return Math.max(0, this.contentHeight - this.height);
+  }
+
+  /**
+   * 滚动到某个位置（会限制在范围内）
+   *
+   * @param {number} y - 滚动距离
+   */
+  scrollTo(y) {
+    this.scrollY = clamp(y, 0, this.maxScroll);
+  }
+
+  childrenAcceptPoint(x, y) {
+    // 被裁掉、看不见的子控件不能点
+    return this.containsPoint(x, y);
+  }
+
+  toChildPoint(x, y) {
+    return { x, y: y + this.scrollY };
+  }
+
+  draw(ctx) {
+    if (this.background) {
+      ctx.fillStyle = this.background;
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+  }
+
+  renderChildren(ctx) {
+    // 只在自己的区域里画，并按滚动距离往上移
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.x, this.y, this.width, this.height);
+    ctx.clip();
+    ctx.translate(0, -this.scrollY);
+    super.renderChildren(ctx);
+    ctx.restore();
+
+    this.renderScrollBar(ctx);
+  }
+
+  /**
+   * 画右边的滚动条（内容装得下时不画）
+   */
+  renderScrollBar(ctx) {
+    const maxScroll = this.maxScroll;
+    if (maxScroll <= 0) {
+      return;
+    }
+
+    const barHeight = Math.max(20, this.height * this.height / this.contentHeight);
+    const barY = this.y + (this.height - barHeight) * (this.scrollY / maxScroll);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    drawRoundRect(ctx, this.x + this.width - 6, barY, 4, barHeight, 2);
+    ctx.fill();
+  }
+
+  touchStart(point) {
+    this.dragStartY = point.y;
+    this.dragStartScroll = this.scrollY;
+  }
+
+  touchMove(point) {
+    // 手指往上拖，内容往上走（滚动距离变大）
+    this.scrollTo(this.dragStartScroll - (point.y - this.dragStartY));
+  }
+
+  touchEnd(point) {
+    this.touchMove(point);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * 滑块 - Slider
+ *
+ * 按住拖动选择一个范围里的数值，比如音量：
+ *
+ *   this.ui.add(new Slider({
+ *     x: 40, y: 200, width: 200, height: 30,
+ *     min: 0, max: 1, value: 0.8,
+ *     onChange: (volume) => { this.volume = volume; }
+ *   }));
+ *
+ * 按下的位置直接跳过去，拖到滑块外面也会继续跟着手指（到头就停住）。
+ */
+
+import Widget from './Widget.js';
+import { clamp, drawRoundRect } from '../utils/utils.js';
+
+export default class Slider extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {number} options.min - 最小值（默认 0）
+   * @param {number} options.max - 最大值（默认 1）
+   * @param {number} options.step - 步长（默认 0，表示连续变化；比如 1 表示只能选整数）
+   * @param {number} options.value - 初始值（默认 min）
+   * @param {Function} options.onChange - 数值改变时调用，参数是新的数值
+   * @param {string} options.color - 已选部分的颜色（默认绿色）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = true;
+
+    this.min = options.min !== undefined ? options.min : 0;
+    this.max = options.max !== undefined ? options.max : 1;
+    this.step = options.step || 0;
+    this.onChange = options.onChange || null;
+    this.color = options.color || '#4CAF50';
+
+    this.value = this.min;
+    this.setValue(options.value !== undefined ? options.value : this.min);
+
+    this.dragging = false;
+  }
+
+  /**
+   * 设置数值（会限制在范围内并对齐到步长，不会调用 onChange）
+   *
+   * @param {number} value - 新数值
+   */
+  setValue(value) {
+    let next = clamp(value, this.min, this.max);
+    if (this.step > 0) {
+      next = this.min + Math.round((next - this.min) / this.step) * this.step;
+      next = clamp(next, this.min, this.max);
+    }
+    this.value = next;
+  }
+
+  /**
+   * 当前数值在范围里的比例（0-1）
+   */
+  get ratio() {
+    const range = this.max - this.min;
+    return range > 0 ? (this.value - this.min) / range : 0;
+  }
+
+  /**
+   * 滑块圆点的半径
+   */
+  get knobRadius() {
+    return this.height / 2;
+  }
+
+  /**
+   * 按手指的 X 坐标设置数值
+   */
+  dragTo(x) {
+    const left = this.x + this.knobRadius;
+    const trackWidth = this.width - this.knobRadius * 2;
+    const ratio = trackWidth > 0 ? clamp((x - left) / trackWidth, 0, 1) : 0;
+
+    const previous = this.value;
+    this.setValue(this.min + ratio * (this.max - this.min));
+    if (this.value !== previous && this.onChange) {
+      this.onChange(this.value);
+    }
+  }
+
+  draw(ctx) {
+    const radius = this.knobRadius;
+    const trackX = this.x + radius;
+    const trackWidth = this.width - radius * 2;
+    const trackHeight = 6;
+    const centerY = this.y + this.height / 2;
+    const knobX = trackX + trackWidth * this.ratio;
+
+    // 轨道
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+    drawRoundRect(ctx, trackX, centerY - trackHeight / 2, trackWidth, trackHeight, trackHeight / 2);
+    ctx.fill();
+
+    // 已选部分
+    ctx.fillStyle = this.color;
+    drawRoundRect(ctx, trackX, centerY - trackHeight / 2, knobX - trackX, trackHeight, trackHeight / 2);
+    ctx.fill();
+
+    // 圆点（拖动时稍微放大）
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(knobX, centerY, this.dragging ? radius : radius - 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  touchStart(point) {
+    this.dragging = true;
+    this.dragTo(point.x);
+  }
+
+  touchMove(point) {
+    this.dragTo(point.x);
+  }
+
+  touchEnd(point) {
+    this.dragTo(point.x);
+    this.dragging = false;
+  }
+
+  touchCancel() {
+    this.dragging = false;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * 开关 - Toggle
+ *
+ * 点一下打开、再点一下关上，比如"音效 开/关"：
+ *
+ *   this.ui.add(new Toggle({
+ *     x: 20, y: 100, width: 60, height: 32,
+ *     value: true,
+ *     onChange: (on) => { this.soundEnabled = on; }
+ *   }));
+ *
+ * 和按钮一样，在开关上抬起手指才算点击。
+ */
+
+import Widget from './Widget.js';
+import { drawRoundRect } from '../utils/utils.js';
+
+export default class Toggle extends Widget {
+  /**
+   * @param {Object} options - 选项（位置大小见 Widget）
+   * @param {boolean} options.value - 初始状态（默认关）
+   * @param {Function} options.onChange - 状态改变时调用，参数是新的状态
+   * @param {string} options.onColor - 打开时的底色（默认绿色）
+   * @param {string} options.offColor - 关闭时的底色（默认灰色）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.interactive = true;
+
+    this.value = options.value === true;
+    this.onChange = options.onChange || null;
+    this.onColor = options.onColor || '#4CAF50';
+    this.offColor = options.offColor || '#BBBBBB';
+
+    this.pressed = false;
+  }
+
+  /**
+   * 设置状态（不会调用 onChange）
+   *
+   * @param {boolean} value - 新状态
+   */
+  setValue(value) {
+    this.value = value === true;
+  }
+
+  draw(ctx) {
+    const radius = this.height / 2;
+
+    // 底座
+    ctx.fillStyle = this.value ? this.onColor : this.offColor;
+    drawRoundRect(ctx, this.x, this.y, this.width, this.height, radius);
+    ctx.fill();
+
+    // 圆形滑块：打开时在右边，关闭时在左边
+    const knobRadius = radius - 3;
+    const knobX = this.value ? this.x + this.width - radius : this.x + radius;
+    ctx.fillStyle = this.pressed ? '#EEEEEE' : '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(knobX, this.y + radius, knobRadius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  touchStart(point) {
+    this.pressed = true;
+  }
+
+  touchMove(point) {
+    this.pressed = this.containsPoint(point.x, point.y);
+  }
+
+  touchEnd(point) {
+    const tapped = this.pressed && this.containsPoint(point.x, point.y);
+    this.pressed = false;
+    if (tapped) {
+      this.value = !this.value;
+      if (this.onChange) {
+        this.onChange(this.value);
+      }
+    }
+  }
+
+  touchCancel() {
+    this.pressed = false;
+  }
+}
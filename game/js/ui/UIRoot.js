@@ -0,0 +1,168 @@
+/**
+ * 界面根节点 - UIRoot
+ *
+ * 每个游戏有一个 this.ui（见 BaseGame），它是整个屏幕大小的"根控件"，
+ * 按钮、面板等都加到它下面：
+ *
+ *   this.ui.add(new Button({ x: 20, y: 20, width: 80, height: 40, text: '暂停', onTap: () => this.pause() }));
+ *
+ * GameManager 会：
+ * - 在调用场景的 render() 之后绘制 this.ui，所以控件总是画在游戏画面上面
+ * - 把触摸先交给 this.ui，点到控件上的手指就不再发给游戏的 onTouchStart / 手势，
+ *   没点到控件的手指照常发给游戏
+ *
+ * 每根手指按下时找到它点中的控件，之后这根手指的移动和抬起都交给同一个控件（"捕获"），
+ * 如果控件在可以滚动的 ScrollView 里、手指又拖动了一段距离，就改成滚动 ScrollView，
+ * 同时取消控件的按下状态（按着列表里的按钮滑动，不会误点按钮）。
+ */
+
+import Widget from './Widget.js';
+import { distance } from '../utils/utils.js';
+
+// 手指移动超过这么多像素才算"拖动"，开始滚动
+const DRAG_THRESHOLD = 10;
+
+export default class UIRoot extends Widget {
+  /**
+   * @param {number} width - 屏幕宽度
+   * @param {number} height - 屏幕高度
+   */
+  constructor(width, height) {
+    super({ x: 0, y: 0, width, height });
+
+    // 手指编号 -> { widget, startX, startY }
+    this.captures = new Map();
+  }
+
+  /**
+   * 手指按下
+   *
+   * @param {Object} touch - 触摸信息 { x, y, id }
+   * @returns {boolean} 是否点到了控件（点到了就不再发给游戏）
+   */
+  onTouchStart(touch) {
+    this.layout();
+
+    const target = this.hitTest(touch.x, touch.y);
+    if (!target) {
+      return false;
+    }
+
+    // 点到了不可用的控件：吃掉这次触摸，但什么也不做
+    if (target.isActive()) {
+      this.captures.set(touch.id, { widget: target, startX: touch.x, startY: touch.y });
+      target.touchStart(target.toLocalPoint(touch.x, touch.y));
+    }
+    return true;
+  }
+
+  /**
+   * 手指移动
+   *
+   * @param {Object} touch - 触摸信息 { x, y, id }
+   * @returns {boolean} 这根手指是否属于界面
+   */
+  onTouchMove(touch) {
+    const capture = this.captures.get(touch.id);
+    if (!capture) {
+      return false;
+    }
+
+    // 按着 ScrollView 里的控件拖动：交给 ScrollView 滚动
+    const scroller = capture.widget.findScrollableParent();
+    if (scroller && distance(capture.startX, capture.startY, touch.x, touch.y) > DRAG_THRESHOLD) {
+      capture.widget.touchCancel();
+      capture.widget = scroller;
+      scroller.touchStart(scroller.toLocalPoint(capture.startX, capture.startY));
+    }
+
+    capture.widget.touchMove(capture.widget.toLocalPoint(touch.x, touch.y));
+    return true;
+  }
+
+  /**
+   * 手指抬起
+   *
+   * @param {Object} touch - 触摸信息 { x, y, id }
+   * @returns {boolean} 这根手指是否属于界面
+   */
+  onTouchEnd(touch) {
+    const capture = this.captures.get(touch.id);
+    if (!capture) {
+      return false;
+    }
+
+    this.captures.delete(touch.id);
+    const widget = capture.widget;
+
+    // 按下之后控件被隐藏、禁用或移除了：只取消，不触发
+    if (widget.isActive() && this.isAttached(widget)) {
+      widget.touchEnd(widget.toLocalPoint(touch.x, touch.y));
+    } else {
+      widget.touchCancel();
+    }
+    return true;
+  }
+
+  /**
+   * 触摸被系统打断：只取消，不触发
+   *
+   * @param {Object} touch - 触摸信息 { x, y, id }
+   * @returns {boolean} 这根手指是否属于界面
+   */
+  onTouchCancel(touch) {
+    const capture = this.captures.get(touch.id);
+    if (!capture) {
+      return false;
+    }
+
+    this.captures.delete(touch.id);
+    capture.widget.touchCancel();
+    return true;
+  }
+
+  /**
+   * 某根手指是否正被界面捕获
+   *
+   * @param {number} id - 手指编号
+   * @returns {boolean}
+   */
+  isCapturing(id) {
+    return this.captures.has(id);
+  }
+
+  /**
+   * 取消所有正在进行的触摸
+   * 场景被盖住、切到后台时由 GameManager 调用（之后可能收不到抬起事件）
+   */
+  cancelAll() {
+    for (const capture of this.captures.values()) {
+      capture.widget.touchCancel();
+    }
+    this.captures.clear();
+  }
+
+  /**
+   * 控件是否还在这棵控件树上
+   */
+  isAttached(widget) {
+    let node = widget;
+    while (node.parent) {
+      node = node.parent;
+    }
+    return node === this;
+  }
+
+  /**
+   * 绘制所有控件（由 GameManager 在场景的 render() 之后调用）
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    if (this.children.length === 0) {
+      return;
+    }
+    this.layout();
+    super.render(ctx);
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * 界面控件基类 - Widget
+ *
+ * 按钮、文字、面板、滑块……这些界面元素都继承这个类。
+ * 每个控件有一个矩形区域（x, y, width, height），可以有子控件，
+ * 子控件的坐标也是屏幕坐标（ScrollView 里的子控件除外，它们会跟着滚动）。
+ *
+ * 控件自己不监听触摸：触摸由 UIRoot 统一分发，
+ * UIRoot 先用 hitTest() 找到手指按住的控件，之后这根手指的移动和抬起都交给它，
+ * 所以按住按钮再滑出去、滑块拖到外面去，都不会"串"到别的控件上。
+ *
+ * 写新控件时一般只需要重写：
+ * - draw(ctx)                    画自己（子控件会在之后自动绘制）
+ * - touchStart / touchMove / touchEnd / touchCancel   处理触摸（interactive 为 true 时才会收到）
+ */
+
+import { pointInRect } from '../utils/utils.js';
+
+export default class Widget {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.x - 左上角 X
+   * @param {number} options.y - 左上角 Y
+   * @param {number} options.width - 宽度
+   * @param {number} options.height - 高度
+   * @param {boolean} options.visible - 是否显示（默认 true）
+   * @param {boolean} options.enabled - 是否可用（默认 true，不可用时半透明且不响应触摸）
+   */
+  constructor(options = {}) {
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.visible = options.visible !== false;
+    this.enabled = options.enabled !== false;
+
+    // 是否响应触摸（按钮、滑块等设为 true；文字、装饰性的面板是 false，触摸会穿过去）
+    this.interactive = false;
+
+    // 是否可以拖动滚动（ScrollView 设为 true，见 UIRoot 里"拖动取消按下"的处理）
+    this.scrollable = false;
+
+    this.parent = null;
+    this.children = [];
+  }
+
+  /**
+   * 设置位置和大小
+   *
+   * @param {Object} rect - { x, y, width, height }，比如 layout.place() 的返回值
+   * @returns {Widget} 自己，方便连着写
+   */
+  setBounds(rect) {
+    this.x = rect.x;
+    this.y = rect.y;
+    this.width = rect.width;
+    this.height = rect.height;
+    return this;
+  }
+
+  /**
+   * 添加子控件
+   *
+   * @param {Widget} child - 子控件
+   * @param {number} index - 插到第几个（默认加到最后，也就是画在最上面）
+   * @returns {Widget} 传入的子控件
+   */
+  add(child, index = this.children.length) {
+    if (child.parent) {
+      child.parent.remove(child);
+    }
+    child.parent = this;
+    this.children.splice(index, 0, child);
+    return child;
+  }
+
+  /**
+   * 移除子控件
+   *
+   * @param {Widget} child - 子控件
+   */
+  remove(child) {
+    const index = this.children.indexOf(child);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      child.parent = null;
+    }
+  }
+
+  /**
+   * 移除所有子控件
+   */
+  removeAll() {
+    for (const child of this.children) {
+      child.parent = null;
+    }
+    this.children = [];
+  }
+
+  /**
+   * 显示
+   */
+  show() {
+    this.visible = true;
+  }
+
+  /**
+   * 隐藏（隐藏的控件不绘制，也收不到触摸）
+   */
+  hide() {
+    this.visible = false;
+  }
+
+  /**
+   * 点是否在控件的矩形里
+   *
+   * @param {number} x - X 坐标（和控件的 x 在同一个坐标系）
+   * @param {number} y - Y 坐标
+   * @returns {boolean}
+   */
+  containsPoint(x, y) {
+    return pointInRect(x, y, this.x, this.y, this.width, this.height);
+  }
+
+  /**
+   * 控件和它的所有父控件是否都显示、都可用
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    for (let widget = this; widget; widget = widget.parent) {
+      if (!widget.visible || !widget.enabled) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 排版（Panel 在这里摆放子控件）
+   * UIRoot 在绘制和分发触摸之前调用，子类重写后记得调用 super.layout()
+   */
+  layout() {
+    for (const child of this.children) {
+      child.layout();
+    }
+  }
+
+  /**
+   * 找出某个点上最上面的、响应触摸的控件
+   * 后添加的子控件画在上面，所以倒着找
+   *
+   * @param {number} x - X 坐标
+   * @param {number} y - Y 坐标
+   * @returns {Widget|null}
+   */
+  hitTest(x, y) {
+    if (!this.visible) {
+      return null;
+    }
+
+    if (this.childrenAcceptPoint(x, y)) {
+      const point = this.toChildPoint(x, y);
+      for (let i = this.children.length - 1; i >= 0; i--) {
+        const hit = this.children[i].hitTest(point.x, point.y);
+        if (hit) {
+          return hit;
+        }
+      }
+    }
+
+    if (this.interactive && this.containsPoint(x, y)) {
+      return this;
+    }
+    return null;
+  }
+
+  /**
+   * 子控件能不能在这个点上被点到（ScrollView 重写：只有可见区域里的才能点到）
+   */
+  childrenAcceptPoint(x, y) {
+    return true;
+  }
+
+  /**
+   * 把点从自己的坐标系转换到子控件的坐标系（ScrollView 重写：加上滚动距离）
+   */
+  toChildPoint(x, y) {
+    return { x, y };
+  }
+
+  /**
+   * 把屏幕坐标转换到这个控件所在的坐标系（也就是 this.x / this.y 的坐标系）
+   *
+   * @param {number} x - 屏幕 X
+   * @param {number} y - 屏幕 Y
+   * @returns {Object} { x, y }
+   */
+  toLocalPoint(x, y) {
+    if (!this.parent) {
+      return { x, y };
+    }
+    const point = this.parent.toLocalPoint(x, y);
+    return this.parent.toChildPoint(point.x, point.y);
+  }
+
+  /**
+   * 往上找第一个可以滚动的父控件
+   *
+   * @returns {Widget|null}
+   */
+  findScrollableParent() {
+    for (let widget = this.parent; widget; widget = widget.parent) {
+      if (widget.scrollable) {
+        return widget;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 绘制控件和子控件
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    if (!this.visible) {
+      return;
+    }
+
+    // 不可用的控件画成半透明
+    if (!this.enabled) {
+      ctx.save();
+      ctx.globalAlpha *= 0.5;
+    }
+
+    this.draw(ctx);
+    this.renderChildren(ctx);
+
+    if (!this.enabled) {
+      ctx.restore();
+    }
+  }
+
+  /**
+   * 画自己（子类重写）
+   */
+  draw(ctx) {
+    // 子类实现
+  }
+
+  /**
+   * 画子控件（ScrollView 重写：裁剪并平移）
+   */
+  renderChildren(ctx) {
+    for (const child of this.children) {
+      child.render(ctx);
+    }
+  }
+
+  /**
+   * 手指按下（坐标已经转换到 toLocalPoint 的坐标系）
+   */
+  touchStart(point) {
+    // 子类实现
+  }
+
+  /**
+   * 手指移动
+   */
+  touchMove(point) {
+    // 子类实现
+  }
+
+  /**
+   * 手指抬起
+   */
+  touchEnd(point) {
+    // 子类实现
+  }
+
+  /**
+   * 这根手指的触摸被取消了（被滚动接管、场景被盖住、控件被移除等）
+   * 按下状态要复原，但不能触发点击
+   */
+  touchCancel() {
+    // 子类实现
+  }
+}
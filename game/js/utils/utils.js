@@ -5,18 +5,21 @@
  * 就像一个"工具箱"，需要什么工具就拿什么
  */
 
+import { defaultRandom } from '../random/Random.js';
+
 /**
  * 生成指定范围内的随机整数
  * 
  * @param {number} min - 最小值（包含）
  * @param {number} max - 最大值（包含）
+ * @param {Random} rng - 用哪个随机数生成器（游戏里传 this.rng，这样固定种子后结果可以重现）
  * @returns {number} 随机整数
  * 
  * 例如: randomInt(1, 6) 可能返回 1, 2, 3, 4, 5, 或 6
  * 就像掷骰子一样！
  */
-export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, rng = defaultRandom) {
+  return rng.int(min, max);
 }
 
 /**
@@ -24,10 +27,11 @@ export function randomInt(min, max) {
  * 
  * @param {number} min - 最小值
  * @param {number} max - 最大值
+ * @param {Random} rng - 用哪个随机数生成器（同 randomInt）
  * @returns {number} 随机小数
  */
-export function randomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+export function randomFloat(min, max, rng = defaultRandom) {
+  return rng.float(min, max);
 }
 
 /**
@@ -185,6 +189,21 @@ export function formatScore(score) {
   return score.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * 格式化时长显示
+ * 
+ * @param {number} seconds - 秒数
+ * @returns {string} "分:秒" 格式的字符串
+ * 
+ * 例如: formatDuration(65.4) 返回 "1:05"
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(total / 60);
+  const rest = total % 60;
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+}
+
 /**
  * 简单的缓动函数集合
  * 让动画更加平滑自然
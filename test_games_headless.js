@@ -0,0 +1,2271 @@
+/**
+ * 全部小游戏无头冒烟测试
+ *
+ * 用 Node 平台适配器把大厅和四个小游戏都"玩"一遍：
+ * 从大厅点击卡片进入游戏 → 开始游戏 → 做一些操作 → 返回大厅
+ *
+ * 运行方式: node test_games_headless.js
+ */
+
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import GameManager from './game/js/manager/GameManager.js';
+import GameLobby from './game/js/scenes/GameLobby.js';
+import FlappyBird from './game/js/games/flappybird/FlappyBird.js';
+import SnakeGame from './game/js/games/snake/SnakeGame.js';
+import Game2048 from './game/js/games/2048/2048Game.js';
+import LinkGame from './game/js/games/linkgame/index.js';
+import OverlayScene from './game/js/scenes/OverlayScene.js';
+import ResumeOverlay from './game/js/scenes/ResumeOverlay.js';
+import ResultsOverlay from './game/js/scenes/ResultsOverlay.js';
+import BaseGame from './game/js/base/BaseGame.js';
+import { GameEvents } from './game/js/events/EventBus.js';
+import Scheduler from './game/js/timing/Scheduler.js';
+import Tween from './game/js/animation/Tween.js';
+import TweenManager from './game/js/animation/TweenManager.js';
+import ParticleSystem from './game/js/particles/ParticleSystem.js';
+import ParticleEmitter from './game/js/particles/ParticleEmitter.js';
+import UIRoot from './game/js/ui/UIRoot.js';
+import Button from './game/js/ui/Button.js';
+import Panel from './game/js/ui/Panel.js';
+import Label from './game/js/ui/Label.js';
+import Modal from './game/js/ui/Modal.js';
+import Toggle from './game/js/ui/Toggle.js';
+import Slider from './game/js/ui/Slider.js';
+import ScrollView from './game/js/ui/ScrollView.js';
+import NodePlatform from './game/js/platform/node/NodePlatform.js';
+import SaveStore from './game/js/storage/SaveStore.js';
+import MemoryStorage from './game/js/storage/MemoryStorage.js';
+import Random from './game/js/random/Random.js';
+import ReplayRecorder from './game/js/replay/ReplayRecorder.js';
+import ReplayPlayer from './game/js/replay/ReplayPlayer.js';
+import StateMachine from './game/js/state/StateMachine.js';
+import AudioManager from './game/js/audio/AudioManager.js';
+import SilentAudioContext from './game/js/audio/SilentAudioContext.js';
+import { renderSfx, SFX_SAMPLE_RATE } from './game/js/audio/sfxSynth.js';
+import { SFX_PRESETS, resolveSfx } from './game/js/audio/sfxPresets.js';
+import { encodeWav } from './game/js/audio/wav.js';
+import Haptics from './game/js/haptics/Haptics.js';
+import AssetManager from './game/js/assets/AssetManager.js';
+import SpriteSheet from './game/js/assets/SpriteSheet.js';
+import BitmapFont from './game/js/assets/BitmapFont.js';
+import LoadingScene from './game/js/scenes/LoadingScene.js';
+import { HeadlessCanvas } from './game/js/platform/node/RecordingContext.js';
+import AnimatedSprite from './game/js/animation/AnimatedSprite.js';
+import SpriteAnimator from './game/js/animation/SpriteAnimator.js';
+import CircleBody from './game/js/physics/CircleBody.js';
+
+const platform = new NodePlatform({ width: 375, height: 667 });
+const gameManager = new GameManager();
+gameManager.init({ platform });
+gameManager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird });
+gameManager.registerGame({ id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame });
+gameManager.registerGame({ id: '2048', name: '2048', description: '', icon: '🔢', GameClass: Game2048 });
+gameManager.registerGame({ id: 'linkgame', name: '连连看', description: '', icon: '🔗', GameClass: LinkGame });
+gameManager.showLobby();
+gameManager.startGameLoop();
+
+/**
+ * 在大厅点击第 index 张卡片，返回进入的游戏
+ * 上次没玩完时大厅会先问要不要继续，resume 为 true 时选"继续"，否则选"重新开始"
+ */
+function enterGame(index, resume = false) {
+  assert.ok(gameManager.currentScene instanceof GameLobby, '应该在大厅');
+  platform.frames(30);
+  const card = gameManager.lobby.gameCards[index];
+  platform.touch.tap(card.x + card.width / 2, card.y + card.height / 2);
+  const dialog = gameManager.lobby.ui.children[0];
+  if (dialog) {
+    platform.frame(); // 排版后按钮才有位置
+    const button = dialog.buttonRow.children[resume ? 0 : 1];
+    platform.touch.tap(button.x + 5, button.y + 5);
+  }
+  platform.frames(30); // 等待过渡动画播放完
+  return gameManager.currentScene;
+}
+
+/**
+ * 点击返回按钮回到大厅
+ */
+function backToLobby(game) {
+  const btn = game.backButton;
+  platform.touch.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+  platform.frames(30);
+  assert.equal(gameManager.currentScene, gameManager.lobby, '应该回到大厅');
+}
+
+// ===== Flappy Bird：开始后不点击，小鸟掉到地上游戏结束，最高分写入存储 =====
+{
+  const game = enterGame(0);
+  assert.ok(game instanceof FlappyBird);
+  assert.equal(game.fsm.state, 'ready');
+  platform.touch.tap(200, 400);
+  assert.equal(game.fsm.state, 'playing');
+  platform.frames(60 * 3);
+  assert.equal(game.fsm.state, 'over', '不点击的话小鸟应该掉到地上');
+  assert.ok(platform.ctx.texts().includes('游戏结束'));
+
+  // 结算界面盖住了返回按钮，从结算界面回大厅
+  const results = gameManager.currentScene;
+  assert.ok(results instanceof ResultsOverlay);
+  const lobbyButton = results.dialog.buttonRow.children[1];
+  platform.touch.tap(lobbyButton.x + 5, lobbyButton.y + 5);
+  platform.frames(30);
+  assert.equal(gameManager.currentScene, gameManager.lobby, '应该回到大厅');
+  console.log('✅ Flappy Bird 通过');
+}
+
+// ===== 贪吃蛇：开始后蛇会移动 =====
+{
+  const game = enterGame(1);
+  assert.ok(game instanceof SnakeGame);
+  platform.touch.tap(200, 400);
+  const headX = game.snake[0].x;
+  platform.frames(20);
+  assert.ok(game.snake[0].x > headX, '蛇应该向右移动');
+  backToLobby(game);
+  console.log('✅ 贪吃蛇 通过');
+}
+
+// ===== 2048：向左滑动后网格发生变化 =====
+{
+  const game = enterGame(2);
+  assert.ok(game instanceof Game2048);
+  platform.touch.tap(200, 400);
+  assert.equal(game.fsm.is('playing'), true);
+
+  // 摆一个一定能向左合并的局面
+  game.grid = [
+    [0, 2, 0, 2],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0]
+  ];
+  platform.clock.advance(1000);
+  platform.frame();
+  platform.touch.swipe(300, 400, 100, 400);
+  assert.equal(game.grid[0][0], 4, '两个 2 应该合并成 4');
+  assert.equal(game.score, 4);
+
+  // 两个 2 先从原来的格子滑到最左边，滑到了再合并
+  const startX = game.gridPadding;
+  assert.deepEqual(game.slidingTiles.map((tile) => tile.x), [startX + game.cellSize, startX + game.cellSize * 3]);
+  assert.equal(game.tileEffects[0][0].hidden, true, '滑动的时候先不画合并出来的 4');
+  platform.frame();
+  const [first, second] = game.slidingTiles;
+  assert.ok(first.x > startX && first.x < startX + game.cellSize, '方块应该在半路上');
+  assert.ok(second.x > startX && second.x < startX + game.cellSize * 3);
+  assert.equal(game.tileEffects[0][0].scale, 1, '还没滑到，不应该播放合并动画');
+  platform.frames(6);
+  assert.equal(game.slidingTiles.length, 0, '滑到了就收起滑动的方块');
+  assert.equal(game.tileEffects[0][0].hidden, false);
+  platform.frame();
+  assert.ok(game.tileEffects[0][0].scale > 1, '滑到了再放大一下');
+
+  // 上一次还没滑完又滑了一次：直接滑到终点再开始新的滑动
+  game.grid = [
+    [2, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0]
+  ];
+  game.move('right');
+  assert.equal(game.slidingTiles.length, 1);
+  game.grid = [
+    [0, 0, 0, 2],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0]
+  ];
+  game.move('left');
+  assert.equal(game.slidingTiles.length, 1, '上一次滑动的方块应该收起来');
+  assert.equal(game.slidingTiles[0].x, startX + game.cellSize * 3);
+  platform.frames(10);
+  assert.equal(game.slidingTiles.length, 0);
+  assert.ok(game.tileEffects.every((row) => row.every((effect) => !effect.hidden)));
+  backToLobby(game);
+  console.log('✅ 2048 通过');
+}
+
+// ===== 连连看：按提示点击两个格子，它们被消除 =====
+{
+  const game = enterGame(3);
+  assert.ok(game instanceof LinkGame);
+  platform.touch.tap(200, 400);
+  assert.equal(game.fsm.is('playing'), true);
+
+  const hint = game.algorithm.findHint();
+  assert.ok(hint, '新关卡应该有可连接的格子');
+  const tapCell = (cell) => platform.touch.tap(cell.x + game.gridSize / 2, cell.y + game.gridSize / 2);
+  tapCell(hint.cell1);
+  tapCell(hint.cell2);
+  assert.equal(hint.cell1.matched, true);
+  assert.equal(hint.cell2.matched, true);
+  assert.ok(game.score > 0);
+  platform.frames(60);
+  backToLobby(game);
+  console.log('✅ 连连看 通过');
+}
+
+// ===== 场景栈：透明浮层盖住游戏时，游戏被冻结但仍然被绘制，触摸只发给浮层 =====
+{
+  const game = enterGame(1);
+  platform.touch.tap(200, 400);
+  platform.frames(5);
+
+  class TestOverlay extends OverlayScene {
+    init() {
+      this.touches = 0;
+    }
+    render(ctx) {
+      super.render(ctx);
+      ctx.fillText('浮层', 0, 0);
+    }
+    onTouchStart() {
+      this.touches++;
+    }
+  }
+
+  const overlay = new TestOverlay(gameManager);
+  gameManager.push(overlay, { transparent: true });
+  assert.equal(gameManager.currentScene, overlay);
+
+  const snakeBefore = JSON.stringify(game.snake);
+  platform.touch.tap(200, 400);
+  platform.ctx.clearCalls();
+  platform.frames(60);
+  assert.equal(overlay.touches, 1, '触摸应该只发给栈顶的浮层');
+  assert.equal(JSON.stringify(game.snake), snakeBefore, '被盖住的游戏不应该更新');
+  const texts = platform.ctx.texts();
+  assert.ok(texts.includes('浮层'), '应该绘制浮层');
+  assert.ok(texts.some(text => text.startsWith('得分')), '透明浮层下面的游戏也应该被绘制');
+
+  // 不透明浮层会完全盖住游戏
+  gameManager.replace(new TestOverlay(gameManager));
+  platform.ctx.clearCalls();
+  platform.frame();
+  assert.ok(!platform.ctx.texts().some(text => text.startsWith('得分')), '不透明浮层下面的游戏不应该被绘制');
+
+  gameManager.pop();
+  assert.equal(gameManager.currentScene, game);
+  assert.equal(gameManager.pop(), null, '栈底场景不能被弹出');
+  backToLobby(game);
+  console.log('✅ 场景栈 通过');
+}
+
+// ===== 场景过渡：过渡期间忽略触摸，结束后才销毁旧场景 =====
+{
+  const game = enterGame(1);
+  let destroyed = 0;
+  const originalDestroy = game.destroy.bind(game);
+  game.destroy = () => {
+    destroyed++;
+    originalDestroy();
+  };
+
+  const btn = game.backButton;
+  platform.touch.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+  assert.equal(gameManager.currentScene, gameManager.lobby);
+  assert.ok(gameManager.isTransitioning(), '应该正在播放过渡动画');
+  assert.equal(destroyed, 0, '过渡结束前不应该销毁旧场景');
+
+  // 过渡期间点击卡片不会进入游戏
+  const card = gameManager.lobby.gameCards[0];
+  platform.touch.tap(card.x + card.width / 2, card.y + card.height / 2);
+  assert.equal(gameManager.currentScene, gameManager.lobby, '过渡期间触摸应该被忽略');
+
+  platform.frames(30);
+  assert.equal(gameManager.isTransitioning(), false);
+  assert.equal(destroyed, 1, '过渡结束后旧场景应该被销毁一次');
+  console.log('✅ 场景过渡 通过');
+}
+
+// ===== 切后台：游戏自动暂停、主循环停止，回来后显示"点击继续"浮层 =====
+{
+  const game = enterGame(0);
+  platform.touch.tap(200, 400);
+  platform.frames(10);
+  const birdY = game.bird.getBody().y;
+
+  platform.hide();
+  assert.equal(game.isPaused, true, '切到后台应该暂停游戏');
+  assert.equal(gameManager.isRunning, false, '切到后台应该停止主循环');
+  platform.frames(60);
+  platform.clock.advance(10000);
+
+  platform.show();
+  assert.ok(gameManager.currentScene instanceof ResumeOverlay, '回来后应该显示点击继续浮层');
+  platform.frames(60);
+  assert.equal(game.bird.getBody().y, birdY, '点击继续之前小鸟不应该动');
+  assert.equal(game.fsm.state, 'playing');
+  assert.ok(platform.ctx.texts().includes('点击屏幕继续'));
+
+  platform.touch.tap(200, 400);
+  assert.equal(gameManager.currentScene, game);
+  assert.equal(game.isPaused, false);
+  platform.frames(5);
+  assert.equal(game.fsm.state, 'playing', '继续后小鸟不应该马上撞死');
+  backToLobby(game);
+  console.log('✅ 切后台自动暂停 通过');
+}
+
+// ===== 手势：点击、双击、长按、滑动、拖动、捏合，原始触摸带手指编号 =====
+{
+  class GestureTestGame extends BaseGame {
+    constructor(manager) {
+      super(manager);
+      this.gestures = [];
+      this.rawTouches = [];
+      for (const type of ['tap', 'doubletap', 'longpress', 'swipe', 'panstart', 'pan', 'panend', 'pinchstart', 'pinch', 'pinchend']) {
+        this.onGesture(type, (gesture) => this.gestures.push(gesture));
+      }
+    }
+    onTouchStart(touch) {
+      this.rawTouches.push(touch);
+    }
+    onTouchCancel(touch) {
+      this.cancelled = touch;
+    }
+    types() {
+      const types = this.gestures.map((g) => g.type);
+      this.gestures = [];
+      return types;
+    }
+  }
+
+  gameManager.switchToGame(GestureTestGame);
+  platform.frames(2);
+  const game = gameManager.currentScene;
+
+  // 点击、双击
+  platform.touch.tap(200, 300);
+  platform.clock.advance(100);
+  platform.touch.tap(205, 302);
+  assert.deepEqual(game.types(), ['tap', 'tap', 'doubletap']);
+  platform.clock.advance(1000);
+
+  // 长按：手指还按着就触发，抬起后不算点击
+  platform.touch.start(100, 100);
+  platform.frames(20);
+  assert.deepEqual(game.types(), []);
+  platform.frames(20);
+  assert.deepEqual(game.types(), ['longpress']);
+  platform.touch.end(100, 100);
+  assert.deepEqual(game.types(), []);
+
+  // 滑动：带方向和速度，同时也是一次拖动
+  platform.touch.start(300, 400);
+  platform.clock.advance(100);
+  platform.touch.move(200, 400);
+  platform.clock.advance(100);
+  platform.touch.end(100, 400);
+  const gestures = game.gestures;
+  assert.deepEqual(game.types(), ['panstart', 'pan', 'panend', 'swipe']);
+  const swipe = gestures[3];
+  assert.equal(swipe.direction, 'left');
+  assert.equal(swipe.velocity, 1000, '200 像素用了 0.2 秒，速度是 1000 像素/秒');
+  assert.equal(gestures[1].dx, -100);
+
+  // 慢慢拖动不算滑动
+  platform.touch.start(100, 200);
+  platform.clock.advance(200);
+  platform.touch.move(120, 200);
+  platform.clock.advance(2000);
+  platform.touch.move(140, 200);
+  platform.touch.end(140, 200);
+  assert.deepEqual(game.types(), ['panstart', 'pan', 'pan', 'panend']);
+
+  // 双指张开：捏合比例从 1 变到 2，不会触发点击和拖动
+  platform.touch.pinch(180, 300, 100, 200);
+  const pinches = game.gestures;
+  const types = game.types();
+  assert.equal(types[0], 'pinchstart');
+  assert.equal(types[types.length - 1], 'pinchend');
+  assert.ok(types.every((type) => type.startsWith('pinch')), '捏合时不应该有其他手势');
+  assert.equal(pinches[pinches.length - 1].scale, 2);
+  assert.equal(pinches[pinches.length - 1].x, 180, '捏合位置是两指中点');
+
+  // 两指捏到同一个点再分开：scale 变成 0 又变回来，deltaScale 不会变成无穷大或 NaN
+  platform.clock.advance(1000);
+  platform.touch.start(130, 300, 0);
+  platform.touch.start(230, 300, 1);
+  platform.touch.move(180, 300, 0);
+  platform.touch.move(180, 300, 1);
+  platform.touch.move(170, 300, 0);
+  platform.touch.move(190, 300, 1);
+  platform.touch.end(170, 300, 0);
+  platform.touch.end(190, 300, 1);
+  const pinchesToPoint = game.gestures.filter((g) => g.type === 'pinch');
+  assert.ok(pinchesToPoint.some((g) => g.scale === 0), '两指应该捏到了同一个点');
+  assert.ok(pinchesToPoint.every((g) => Number.isFinite(g.deltaScale)), '捏到同一个点时 deltaScale 应该是有限的数');
+  game.types();
+
+  // 原始触摸事件每根手指一次，带手指编号和所有按着的手指
+  const pinchStarts = game.rawTouches.slice(-2);
+  assert.deepEqual(pinchStarts.map((t) => t.id), [0, 1]);
+  assert.equal(pinchStarts[1].touches.length, 2);
+
+  // 触摸被系统打断：拖动结束，不算滑动；之后的点击照常识别，不会和打断的手指凑成捏合
+  platform.touch.start(300, 400);
+  platform.touch.move(200, 400);
+  platform.touch.cancel(200, 400);
+  assert.deepEqual(game.types(), ['panstart', 'pan', 'panend']);
+  assert.equal(game.cancelled.id, 0, '场景也收到了 onTouchCancel');
+  platform.clock.advance(1000);
+  platform.touch.tap(100, 100);
+  assert.deepEqual(game.types(), ['tap']);
+
+  // 捏合中一根手指被打断：捏合结束，另一根抬起后一切照常
+  platform.touch.start(100, 300, 0);
+  platform.touch.start(200, 300, 1);
+  platform.touch.cancel(200, 300, 1);
+  platform.touch.end(100, 300, 0);
+  assert.deepEqual(game.types(), ['pinchstart', 'pinchend']);
+  platform.clock.advance(1000);
+  platform.touch.tap(100, 100);
+  assert.deepEqual(game.types(), ['tap']);
+
+  // 按着返回按钮时被打断：按钮不触发，也不再捕获这根手指
+  const back = game.backButton;
+  platform.touch.start(back.x + 5, back.y + 5);
+  platform.touch.cancel(back.x + 5, back.y + 5);
+  platform.frames(2);
+  assert.equal(gameManager.currentScene, game);
+  assert.equal(game.ui.isCapturing(0), false);
+  assert.deepEqual(game.types(), []);
+
+  gameManager.showLobby();
+  console.log('✅ 手势识别 通过');
+}
+
+// ===== 键盘：方向键、空格、Esc 翻译成动作，每个游戏可以有自己的按键绑定 =====
+{
+  // 2048：空格开始，← 向左合并
+  let game = enterGame(2);
+  platform.keyboard.press('Space');
+  assert.equal(game.fsm.is('playing'), true, '空格应该开始游戏');
+  game.grid = [
+    [0, 2, 0, 2],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0]
+  ];
+  platform.clock.advance(1000);
+  platform.keyboard.press('ArrowLeft');
+  assert.equal(game.grid[0][0], 4, '← 应该向左移动');
+  platform.keyboard.press('Escape');
+  platform.frames(30);
+  assert.equal(gameManager.currentScene, gameManager.lobby, 'Esc 应该返回大厅');
+
+  // 贪吃蛇：W 向上转
+  game = enterGame(1);
+  platform.keyboard.press('Enter');
+  assert.equal(game.fsm.is('playing'), true);
+  platform.keyboard.press('KeyW');
+  assert.deepEqual(game.nextDirection, { x: 0, y: -1 }, 'W 应该向上转');
+  platform.keyboard.press('KeyA');
+  assert.deepEqual(game.nextDirection, { x: 0, y: -1 }, '还在向右走，不能直接掉头向左');
+  platform.frames(12);
+  platform.keyboard.press('KeyA');
+  assert.deepEqual(game.nextDirection, { x: -1, y: 0 }, '向上走之后可以向左转');
+  backToLobby(game);
+
+  // Flappy Bird：↑ 绑定成了跳跃，按住不放只跳一次
+  game = enterGame(0);
+  let jumps = 0;
+  const jump = game.bird.jump.bind(game.bird);
+  game.bird.jump = () => {
+    jumps++;
+    jump();
+  };
+  platform.keyboard.down('ArrowUp');
+  platform.keyboard.down('ArrowUp');
+  platform.keyboard.up('ArrowUp');
+  assert.equal(game.fsm.state, 'playing', '↑ 应该开始游戏');
+  assert.equal(jumps, 1, '按键自动重复时不应该重复跳跃');
+  assert.equal(gameManager.input.isDown('action'), false);
+  backToLobby(game);
+  console.log('✅ 键盘操作 通过');
+}
+
+// ===== 高清屏：画布按像素比放大，游戏仍然用逻辑坐标 =====
+{
+  assert.equal(platform.canvas.width, 750, '像素比 2 的画布宽度应该是逻辑宽度的 2 倍');
+  assert.equal(platform.canvas.height, 1334);
+  platform.ctx.clearCalls();
+  platform.frame();
+  assert.deepEqual(platform.ctx.callsOf('setTransform')[0].args, [2, 0, 0, 2, 0, 0], '每帧都应该重置成像素比缩放');
+
+  const p = new NodePlatform({ width: 375, height: 667, pixelRatio: 3 });
+  const manager = new GameManager();
+  manager.init({ platform: p, maxPixelRatio: 2 });
+  assert.equal(manager.pixelRatio, 2, '像素比不应该超过上限');
+  assert.equal(p.canvas.width, 750);
+  manager.setMaxPixelRatio(1);
+  assert.equal(p.canvas.width, 375);
+  assert.equal(manager.screenWidth, 375, '逻辑尺寸不变');
+  console.log('✅ 高清屏 通过');
+}
+
+// ===== 布局：刘海屏上按钮避开刘海，连连看的网格不会超出窄屏 =====
+{
+  const p = new NodePlatform({ width: 375, height: 812, safeInsets: { top: 44, bottom: 34 } });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  const layout = manager.layout;
+  assert.deepEqual(layout.safeArea, { x: 0, y: 44, width: 375, height: 734 });
+  assert.deepEqual(
+    layout.place({ anchor: 'bottom-right', x: -10, y: -10, width: '20%', height: 50 }),
+    { x: 290, y: 718, width: 75, height: 50 }
+  );
+  assert.deepEqual(layout.place({ anchor: 'center', width: 100, height: 100, safeArea: false }), { x: 137.5, y: 356, width: 100, height: 100 });
+
+  // 设计分辨率 750×1334 完整放进安全区域：宽度刚好放下，上下留空
+  const viewport = layout.fitDesign(750, 1334);
+  assert.equal(viewport.scale, 0.5);
+  assert.equal(viewport.y, 44 + (734 - 667) / 2);
+  assert.deepEqual(viewport.toDesign(viewport.x, viewport.y), { x: 0, y: 0 });
+
+  manager.switchToGame(LinkGame);
+  const game = manager.currentScene;
+  assert.ok(game.backButton.y >= 44, '返回按钮应该在刘海下面');
+  assert.ok(game.gridX >= 0 && game.gridX + game.gridWidth <= 375, '网格不应该超出屏幕左右');
+  assert.ok(game.gridY >= game.hintButton.y + game.hintButton.height, '网格应该在提示按钮下面');
+  assert.ok(game.gridY + game.gridHeight <= 812 - 34, '网格不应该被底部横条挡住');
+  console.log('✅ 布局 通过');
+}
+
+// ===== 事件总线：游戏开始、得分、结束、场景切换、切前后台都会广播，游戏销毁时自动取消订阅 =====
+{
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird });
+  manager.showLobby();
+  manager.startGameLoop();
+
+  const received = [];
+  for (const type of Object.values(GameEvents)) {
+    manager.events.on(type, (payload) => received.push({ type, payload }));
+  }
+  const typesOf = () => received.map((e) => e.type);
+
+  manager.switchToGame(FlappyBird);
+  const game = manager.currentScene;
+  assert.equal(game.gameId, 'flappybird');
+  assert.deepEqual(typesOf(), [GameEvents.SCENE_CHANGED]);
+  assert.equal(received[0].payload.scene, game);
+  assert.equal(received[0].payload.previous, manager.lobby);
+
+  // 游戏订阅的事件在销毁时自动取消
+  let hides = 0;
+  game.subscribe(GameEvents.APP_HIDE, () => hides++);
+  assert.equal(manager.events.listenerCount(GameEvents.APP_HIDE), 2);
+
+  received.length = 0;
+  p.touch.tap(200, 400);
+  assert.deepEqual(typesOf(), [GameEvents.GAME_START]);
+  assert.equal(received[0].payload.gameId, 'flappybird');
+
+  game.addScore(3);
+  assert.equal(received[1].type, GameEvents.SCORE_CHANGED);
+  assert.equal(received[1].payload.score, 3);
+  assert.equal(received[1].payload.delta, 3);
+
+  // 不点击，小鸟掉到地上
+  p.frames(240);
+  const over = received.find((e) => e.type === GameEvents.GAME_OVER);
+  assert.ok(over, '应该广播 game:over');
+  assert.equal(over.payload.gameId, 'flappybird');
+  assert.equal(over.payload.score, 3);
+
+  p.hide();
+  p.show();
+  assert.equal(hides, 1);
+  assert.ok(typesOf().includes(GameEvents.APP_HIDE));
+  assert.ok(typesOf().includes(GameEvents.APP_SHOW));
+
+  // 某个监听函数出错不影响其他监听函数
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args);
+  const off = manager.events.on(GameEvents.SCENE_CHANGED, () => { throw new Error('boom'); });
+  received.length = 0;
+  manager.showLobby();
+  console.error = originalError;
+  off();
+  assert.equal(errors.length, 1);
+  assert.deepEqual(typesOf(), [GameEvents.SCENE_CHANGED]);
+  assert.equal(manager.events.listenerCount(GameEvents.APP_HIDE), 1, '游戏销毁后它的订阅应该被取消');
+
+  manager.stopGameLoop();
+  console.log('✅ 事件总线 通过');
+}
+
+// ===== 定时器：按游戏时间触发，暂停时停住，游戏销毁后不会再触发 =====
+{
+  const scheduler = new Scheduler();
+  const log = [];
+  scheduler.after(0.5, () => log.push('after'));
+  const id = scheduler.every(0.2, () => log.push('every'));
+  scheduler.update(0.45);
+  assert.deepEqual(log, ['every', 'every'], '一帧很长时 every 要补上错过的次数');
+  scheduler.pause();
+  scheduler.update(1);
+  assert.equal(log.length, 2, '暂停时不应该触发');
+  scheduler.resume();
+  scheduler.timeScale = 0.5;
+  scheduler.update(0.4);
+  assert.deepEqual(log, ['every', 'every', 'after', 'every'], '按到期时间的先后顺序触发');
+  scheduler.cancel(id);
+  scheduler.update(10);
+  assert.equal(log.length, 4);
+
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.showLobby();
+  // 固定种子：随机的棋盘偶尔一开始就没有能连的格子，就没有提示了
+  manager.switchToGame(LinkGame, { seed: 1 });
+  manager.startGameLoop();
+  const game = manager.currentScene;
+  p.touch.tap(200, 400);
+  assert.ok(game.fsm.is('playing'));
+
+  p.frames(70);
+  assert.equal(game.timeLeft, 179, '每秒倒计时一次');
+
+  game.showHint();
+  assert.ok(game.hintCell);
+  game.pause();
+  p.frames(300);
+  assert.ok(game.hintCell, '暂停期间提示不应该消失');
+  assert.equal(game.timeLeft, 179, '暂停期间不应该倒计时');
+  game.resume();
+  p.frames(200);
+  assert.equal(game.hintCell, null, '3 秒后提示消失');
+
+  // 退出游戏后定时任务全部取消
+  game.showHint();
+  manager.showLobby();
+  assert.equal(game.scheduler.tasks.length, 0);
+  manager.stopGameLoop();
+  console.log('✅ 定时器 通过');
+}
+
+// ===== 补间动画：数字属性平滑变化，支持序列、并行、来回重复、延迟和完成回调 =====
+{
+  const tweens = new TweenManager();
+  const box = { x: 0, alpha: 1, scale: 1 };
+  const log = [];
+
+  tweens.to(box, { x: 100 }, { duration: 1, easing: 'linear', delay: 0.5, onComplete: () => log.push('x') });
+  tweens.update(0.5);
+  assert.equal(box.x, 0, '延迟期间不动');
+  tweens.update(0.25);
+  assert.equal(box.x, 25);
+  tweens.update(1);
+  assert.equal(box.x, 100, '结束时停在终点');
+  assert.deepEqual(log, ['x']);
+  assert.equal(tweens.count, 0, '播完的动画自动移除');
+
+  // 来回重复：去 → 回 → 去，停在终点
+  tweens.to(box, { scale: 2 }, { duration: 0.2, easing: 'linear', yoyo: true, repeat: 2 });
+  tweens.update(0.3);
+  assert.ok(Math.abs(box.scale - 1.5) < 1e-9, '第二轮往回播放');
+  tweens.update(0.35);
+  assert.equal(box.scale, 2);
+  assert.equal(tweens.count, 0);
+
+  // 序列里剩下的时间交给下一步；并行全部播完才完成
+  box.x = 0;
+  tweens.sequence([
+    new Tween(box, { x: 10 }, { duration: 0.1, easing: 'linear' }),
+    0.1,
+    new Tween(box, { alpha: 0 }, { duration: 0.2, easing: 'linear' }),
+    () => log.push('sequence')
+  ]);
+  tweens.update(0.25);
+  assert.equal(box.x, 10);
+  assert.ok(Math.abs(box.alpha - 0.75) < 1e-9, '第一步和等待用掉 0.2 秒，第三步播放了 0.05 秒');
+  tweens.update(1);
+  assert.deepEqual(log, ['x', 'sequence']);
+
+  tweens.parallel([
+    new Tween(box, { x: 0 }, { duration: 0.1 }),
+    new Tween(box, { alpha: 1 }, { duration: 0.3 })
+  ], { onComplete: () => log.push('parallel') });
+  tweens.update(0.2);
+  assert.equal(box.x, 0);
+  assert.equal(log.length, 2, '还有动画没播完');
+  tweens.update(0.2);
+  assert.deepEqual(log, ['x', 'sequence', 'parallel']);
+
+  // 停止某个对象的动画
+  tweens.to(box, { x: 50 }, { duration: 1 });
+  tweens.killTweensOf(box);
+  tweens.update(1);
+  assert.equal(box.x, 0);
+
+  // 游戏里：暂停时动画停住，连连看消除的格子播完动画才消失
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.showLobby();
+  manager.startGameLoop();
+  const before = manager.lobby.titleScale;
+  p.frames(5);
+  assert.notEqual(manager.lobby.titleScale, before, '大厅标题在呼吸');
+
+  manager.switchToGame(LinkGame);
+  const game = manager.currentScene;
+  p.touch.tap(200, 400);
+  const hint = game.algorithm.findHint();
+  game.tryConnectCells(hint.cell1, hint.cell2);
+  assert.ok(hint.cell1.matched && hint.cell1.removing, '消除动画播放中');
+  game.pause();
+  p.frames(60);
+  assert.ok(hint.cell1.removing, '暂停时动画停住');
+  game.resume();
+  p.frames(30);
+  assert.equal(hint.cell1.removing, false);
+  assert.equal(hint.cell1.alpha, 0);
+  manager.stopGameLoop();
+  console.log('✅ 补间动画 通过');
+}
+
+// ===== 粒子：爆发和持续发射、寿命、重力、曲线，粒子从对象池借用 =====
+{
+  const particles = new ParticleSystem({ maxParticles: 50 });
+  particles.burst(100, 100, { count: 10, speed: 0, gravity: 100, lifetime: 1 });
+  assert.equal(particles.count, 10);
+  particles.update(0.5);
+  assert.ok(Math.abs(particles.particles[0].y - 125) < 1e-9, '重力让粒子往下掉');
+  particles.update(0.6);
+  assert.equal(particles.count, 0, '寿命到了就消失');
+  assert.equal(particles.pool.size, 10, '消失的粒子还回对象池');
+
+  particles.burst(0, 0, { count: 5 });
+  assert.equal(particles.pool.size, 5, '新粒子从对象池里借');
+
+  const stream = particles.emitter(0, 0, { rate: 20, duration: 1, lifetime: 0.2 });
+  particles.update(0.5);
+  assert.equal(particles.count, 5 + 10, '每秒 20 个，0.5 秒发 10 个');
+  particles.update(0.6);
+  assert.equal(stream.emitting, false, '持续时间到了停止发射');
+  particles.update(1);
+  assert.equal(particles.emitters.length, 0, '发射完、粒子也消失后发射器被移除');
+
+  particles.burst(0, 0, { count: 80 });
+  assert.equal(particles.count, 50, '不能超过粒子上限');
+  particles.clear();
+
+  assert.equal(ParticleEmitter.sampleCurve([0, 8, 0], 0.5), 8);
+  assert.equal(ParticleEmitter.sampleCurve([6, 0], 0.25), 4.5);
+  const fade = new ParticleEmitter(particles, 'burst', { color: ['#000000', '#FF8000'] });
+  assert.equal(fade.sampleColor(0.5), 'rgb(128, 64, 0)', '颜色随寿命渐变');
+
+  // 贪吃蛇吃到食物时迸出闪光，粒子画在画布上
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.switchToGame(SnakeGame);
+  manager.startGameLoop();
+  const game = manager.currentScene;
+  p.touch.tap(200, 400);
+  const head = game.snake[0];
+  game.food = { x: head.x + 1, y: head.y };
+  p.frames(12);
+  assert.equal(game.score, 10);
+  assert.ok(game.particles.count > 0, '吃到食物应该有闪光');
+  game.food = { x: 0, y: 0 }; // 新食物放到角落，免得又吃到一个
+  p.ctx.clearCalls();
+  p.frame();
+  assert.ok(p.ctx.callsOf('arc').length > game.particles.count, '粒子应该画在画布上');
+  game.pause();
+  const frozen = game.particles.count;
+  p.frames(120);
+  assert.equal(game.particles.count, frozen, '暂停时粒子停住');
+  game.resume();
+  p.frames(60);
+  assert.equal(game.particles.count, 0);
+  manager.stopGameLoop();
+  console.log('✅ 粒子 通过');
+}
+
+// ===== 界面控件：按钮的按下/取消、禁用、滑块、开关、滚动、排版、对话框挡住触摸 =====
+{
+  const ui = new UIRoot(375, 667);
+  const touch = (method, x, y, id = 0) => ui[method]({ x, y, id });
+  const tap = (x, y) => {
+    const hit = touch('onTouchStart', x, y);
+    touch('onTouchEnd', x, y);
+    return hit;
+  };
+
+  // 按钮：在按钮上抬起才算点击，滑出去再抬起不算
+  let taps = 0;
+  const button = ui.add(new Button({ x: 10, y: 10, width: 100, height: 40, text: 'OK', onTap: () => taps++ }));
+  assert.equal(tap(50, 30), true, '点到按钮的触摸被界面吃掉');
+  assert.equal(taps, 1);
+  touch('onTouchStart', 50, 30);
+  assert.equal(button.pressed, true);
+  touch('onTouchMove', 200, 30);
+  assert.equal(button.pressed, false, '滑出按钮就松开');
+  touch('onTouchEnd', 200, 30);
+  assert.equal(taps, 1, '滑出去抬起不算点击');
+  assert.equal(tap(300, 300), false, '没点到控件的触摸交给游戏');
+
+  // 禁用和隐藏
+  button.enabled = false;
+  assert.equal(tap(50, 30), true, '点到禁用的按钮也会挡住触摸');
+  assert.equal(taps, 1, '禁用的按钮点了没反应');
+  button.enabled = true;
+  button.hide();
+  assert.equal(tap(50, 30), false, '隐藏的按钮点不到');
+  button.show();
+
+  // 滑块：按下跳到手指位置，拖到外面停在头上，按步长取整
+  const values = [];
+  const slider = ui.add(new Slider({ x: 0, y: 100, width: 120, height: 20, min: 0, max: 10, step: 1, onChange: (v) => values.push(v) }));
+  touch('onTouchStart', 60, 110);
+  assert.equal(slider.value, 5);
+  touch('onTouchMove', 500, 110);
+  assert.equal(slider.value, 10, '拖到外面停在最大值');
+  touch('onTouchEnd', 500, 110);
+  assert.deepEqual(values, [5, 10]);
+
+  // 开关
+  const toggle = ui.add(new Toggle({ x: 0, y: 150, width: 60, height: 30, onChange: (on) => values.push(on) }));
+  tap(30, 165);
+  assert.equal(toggle.value, true);
+  assert.equal(values.at(-1), true);
+
+  // 面板排版：竖着排，拉满宽度，高度跟着内容走
+  const panel = ui.add(new Panel({ x: 200, y: 0, width: 150, layout: { padding: 10, gap: 5, align: 'stretch' }, fitContent: true }));
+  const first = panel.add(new Label({ height: 30, text: 'A' }));
+  const second = panel.add(new Button({ height: 40, text: 'B' }));
+  ui.layout();
+  assert.deepEqual([first.x, first.y, first.width], [210, 10, 130]);
+  assert.equal(second.y, 45);
+  assert.equal(panel.height, 95);
+
+  // 滚动区域：拖动时滚动，按着的按钮被取消；滚动后点到的是下面的按钮
+  const list = ui.add(new ScrollView({ x: 0, y: 300, width: 200, height: 200 }));
+  const tapped = [];
+  for (let i = 0; i < 10; i++) {
+    list.add(new Button({ x: 0, y: 300 + i * 50, width: 200, height: 50, text: `${i}`, onTap: () => tapped.push(i) }));
+  }
+  assert.equal(list.maxScroll, 300);
+  touch('onTouchStart', 100, 420);
+  assert.equal(list.children[2].pressed, true);
+  touch('onTouchMove', 100, 380);
+  assert.equal(list.children[2].pressed, false, '拖动取消了按钮的按下');
+  touch('onTouchMove', 100, 320);
+  touch('onTouchEnd', 100, 320);
+  assert.equal(list.scrollY, 100);
+  assert.deepEqual(tapped, [], '拖动不算点击');
+  tap(100, 320);
+  assert.deepEqual(tapped, [2], '滚动 100 像素后，顶部是第 3 个按钮');
+  touch('onTouchStart', 100, 310);
+  touch('onTouchMove', 100, 1000);
+  touch('onTouchEnd', 100, 1000);
+  assert.equal(list.scrollY, 0, '不能滚过头');
+
+  // 对话框：遮罩挡住所有触摸，只有对话框里的按钮能点
+  let closed = 0;
+  const dialog = new Modal({ title: '提示', message: '第一行\n第二行', buttons: [{ text: '关闭', onTap: () => { closed++; dialog.close(); } }] });
+  dialog.open(ui);
+  assert.equal(tap(50, 30), true);
+  assert.equal(taps, 1, '对话框下面的按钮点不到');
+  assert.equal(tap(5, 660), true, '点遮罩也被挡住');
+  const closeButton = dialog.buttonRow.children[0];
+  tap(closeButton.x + 5, closeButton.y + 5);
+  assert.equal(closed, 1);
+  assert.equal(dialog.isOpen, false);
+  assert.equal(tap(50, 30), true);
+  assert.equal(taps, 2, '对话框关掉后又能点了');
+
+  // 按着按钮时场景被盖住：按下状态取消，之后的抬起不算点击
+  touch('onTouchStart', 50, 30);
+  ui.cancelAll();
+  assert.equal(button.pressed, false);
+  touch('onTouchEnd', 50, 30);
+  assert.equal(taps, 2);
+
+  // 游戏里：控件画在游戏上面，点到控件的手指不会发给游戏
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.switchToGame(FlappyBird);
+  manager.startGameLoop();
+  const game = manager.currentScene;
+  p.ctx.clearCalls();
+  p.frame();
+  assert.ok(p.ctx.texts().includes('← 返回'), '返回按钮由界面控件绘制');
+  const debug = game.debugButton;
+  p.touch.tap(debug.x + 5, debug.y + 5);
+  assert.equal(game.physicsWorld.debugMode, true);
+  assert.equal(debug.text, '调试:开');
+  assert.equal(game.fsm.state, 'ready', '点调试按钮不会开始游戏');
+
+  p.touch.tap(200, 400);
+  assert.equal(game.fsm.state, 'playing');
+  game.bird.getBody().setVelocity(0, 0);
+  game.handleGameOver();
+  const crashY = game.bird.getBody().y;
+  p.frames(30);
+  assert.ok(game.bird.getBody().y > crashY, '撞到后小鸟继续往下掉');
+  assert.equal(manager.currentScene, game, '还没落地，先不显示结算界面');
+  p.frames(30);
+  const landed = game.bird.getBody();
+  assert.equal(landed.y + landed.radius, game.groundY, '停在地面上');
+  assert.ok(p.ctx.texts().includes('游戏结束'));
+  p.touch.tap(200, 100);
+  assert.equal(game.fsm.state, 'over', '结束后点空白处没反应');
+  const restart = manager.currentScene.dialog.buttonRow.children[0];
+  p.touch.tap(restart.x + 5, restart.y + 5);
+  p.frames(30);
+  assert.equal(game.fsm.state, 'ready');
+  assert.equal(manager.currentScene, game, '结算界面关掉了');
+  assert.equal(game.debugButton.parent, game.ui, '重新开始不会重复创建调试按钮');
+  assert.equal(game.ui.children.length, 2);
+  manager.stopGameLoop();
+  console.log('✅ 界面控件 通过');
+}
+
+// ===== 结算界面：最高分、新纪录、用时、游戏自己的统计，再来一局 / 返回大厅 / 分享 =====
+{
+  // 旧版本的存法，第一次打开存档时迁移进去
+  const p = new NodePlatform({ width: 375, height: 667, storage: { 'snake_bestscore': 30 } });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.registerGame({ id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame });
+  manager.showLobby();
+  manager.startGameLoop();
+  p.frames(30);
+
+  const card = manager.lobby.gameCards[0];
+  p.touch.tap(card.x + card.width / 2, card.y + card.height / 2);
+  p.frames(30);
+  const game = manager.currentScene;
+  assert.equal(game.bestScore, 30, '进入游戏时读取最高分');
+  assert.equal(p.getStorage('snake_bestscore'), '', '旧的 key 迁移后删掉');
+
+  const overEvents = [];
+  manager.events.on(GameEvents.GAME_OVER, (e) => overEvents.push(e));
+  const playOnce = (score) => {
+    p.touch.tap(200, 400);
+    p.frames(30);
+    game.score = score;
+    game.gameOver();
+    p.frames(30);
+    return manager.currentScene;
+  };
+
+  // 没破纪录：最高分不变
+  let overlay = playOnce(20);
+  assert.ok(overlay instanceof ResultsOverlay);
+  let results = overlay.results;
+  assert.equal(results.gameName, '贪吃蛇');
+  assert.equal(results.isNewRecord, false);
+  assert.equal(results.best, 30);
+  assert.ok(Math.abs(results.duration - 0.5) < 0.1, '用时从开始游戏算起');
+  assert.equal(overEvents[0].results, results, 'game:over 事件带上结算信息');
+  const texts = p.ctx.texts();
+  assert.ok(texts.includes('最高分: 30'));
+  assert.ok(texts.includes('用时: 0:00'));
+  assert.ok(texts.includes(`长度: ${game.snake.length}`), '显示游戏自己的统计');
+  assert.ok(!texts.includes('🎉 新纪录！'));
+
+  // 分享
+  const share = overlay.dialog.buttonRow.children[2];
+  assert.equal(share.text, '分享');
+  p.touch.tap(share.x + 5, share.y + 5);
+  assert.equal(p.shares.length, 1);
+  assert.ok(p.shares[0].title.includes('贪吃蛇'));
+
+  // 再来一局（空格键也可以）：蛇的速度回到一开始
+  game.speed = 80;
+  p.keyboard.press('Space');
+  p.frames(30);
+  assert.equal(manager.currentScene, game);
+  assert.equal(game.isGameOver, false);
+  assert.equal(game.speed, 150);
+
+  // 破纪录：写入存储，显示新纪录
+  overlay = playOnce(50);
+  results = overlay.results;
+  assert.equal(results.isNewRecord, true);
+  assert.equal(results.best, 50);
+  assert.equal(p.getStorage('snake:bestScore'), '50');
+  assert.equal(game.bestScore, 50);
+  assert.ok(p.ctx.texts().includes('🎉 新纪录！'));
+
+  // 返回大厅：游戏和结算界面一起关掉
+  const lobby = overlay.dialog.buttonRow.children[1];
+  p.touch.tap(lobby.x + 5, lobby.y + 5);
+  p.frames(30);
+  assert.equal(manager.currentScene, manager.lobby);
+  assert.equal(manager.sceneStack.length, 1);
+  manager.stopGameLoop();
+  console.log('✅ 结算界面 通过');
+}
+
+// ===== 存档：按游戏分开、JSON 读写、数据损坏和存储满了不报错、版本迁移 =====
+{
+  const storage = new MemoryStorage();
+  const snake = new SaveStore({ namespace: 'snake', storage });
+  const link = new SaveStore({ namespace: 'linkgame', storage });
+  snake.set('bestScore', 10);
+  link.set('bestScore', 99);
+  snake.set('settings', { sound: false, skins: ['green'] });
+  assert.equal(storage.getItem('snake:bestScore'), '10');
+  assert.equal(snake.get('bestScore'), 10, '不同游戏的数据互不覆盖');
+  assert.deepEqual(new SaveStore({ namespace: 'snake', storage }).get('settings'), { sound: false, skins: ['green'] });
+  assert.equal(snake.get('missing', 'default'), 'default');
+  assert.equal(snake.has('missing'), false);
+  assert.equal(snake.update('playCount', (n) => n + 1, 0), 1);
+  snake.remove('playCount');
+  assert.equal(storage.getItem('snake:playCount'), '');
+
+  // 数据损坏：返回默认值
+  storage.setItem('snake:broken', '{not json');
+  assert.equal(snake.get('broken', 0), 0);
+
+  // 存储满了：返回 false，这次运行期间还能读到新值
+  const small = new MemoryStorage({}, { quota: 40 });
+  const full = new SaveStore({ namespace: 'snake', storage: small });
+  assert.equal(full.set('bestScore', 5), true);
+  assert.equal(full.set('history', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), false);
+  assert.deepEqual(full.get('history'), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(new SaveStore({ namespace: 'snake', storage: small }).get('history', null), null, '重启后就没有了');
+
+  // 读取也会出错的存储：当作没有数据
+  const throwing = { getItem() { throw new Error('boom'); }, setItem() { throw new Error('boom'); }, removeItem() {} };
+  assert.equal(new SaveStore({ namespace: 'x', storage: throwing, version: 1 }).get('a', 7), 7);
+
+  // 迁移：按顺序只执行缺少的版本
+  const migrated = new MemoryStorage({ 'flappybird_bestscore': 42 });
+  const ran = [];
+  const migrations = {
+    1: (save) => { ran.push(1); BaseGame.saveMigrations[1](save); },
+    2: (save) => { ran.push(2); save.set('settings', { sound: save.get('sound', true) }); save.remove('sound'); }
+  };
+  let save = new SaveStore({ namespace: 'flappybird', storage: migrated, version: 1, migrations });
+  assert.equal(save.get('bestScore'), 42, 'Flappy Bird 旧版本的最高分搬进存档');
+  assert.equal(migrated.getItem('flappybird_bestscore'), '');
+  save.set('sound', false);
+  save = new SaveStore({ namespace: 'flappybird', storage: migrated, version: 2, migrations });
+  assert.deepEqual(ran, [1, 2]);
+  assert.deepEqual(save.get('settings'), { sound: false });
+  assert.equal(save.storedVersion, 2);
+  new SaveStore({ namespace: 'flappybird', storage: migrated, version: 2, migrations });
+  assert.deepEqual(ran, [1, 2], '已经是最新版本就不再迁移');
+
+  // 迁移出错：停在上一个版本，下次再试
+  const failing = new SaveStore({
+    namespace: 'snake',
+    storage: new MemoryStorage(),
+    version: 2,
+    migrations: { 2: () => { throw new Error('bad migration'); } }
+  });
+  assert.equal(failing.storedVersion, 1);
+
+  // 游戏里：this.save 用 GameManager 的存储后端
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  const gameStorage = new MemoryStorage({ 'snake:bestScore': '77' });
+  manager.init({ platform: p, storage: gameStorage });
+  manager.registerGame({ id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame });
+  manager.switchToGame(SnakeGame);
+  const game = manager.currentScene;
+  assert.equal(game.bestScore, 77);
+  game.save.set('lastLength', 3);
+  assert.equal(gameStorage.getItem('snake:lastLength'), '3');
+  assert.equal(p.getStorage('snake:lastLength'), '', '没有写到平台存储');
+  console.log('✅ 存档 通过');
+}
+
+// ===== 继续上次的游戏：切后台/离开游戏时保存，重新打开后从大厅继续 =====
+{
+  const GAMES = [
+    { id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird },
+    { id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame },
+    { id: '2048', name: '2048', description: '', icon: '🔢', GameClass: Game2048 },
+    { id: 'linkgame', name: '连连看', description: '', icon: '🔗', GameClass: LinkGame }
+  ];
+
+  // 启动小游戏（storage 是上次关掉时留下的本地存储）
+  const launch = (storage = {}) => {
+    const p = new NodePlatform({ width: 375, height: 667, storage });
+    const manager = new GameManager();
+    manager.init({ platform: p });
+    GAMES.forEach((info) => manager.registerGame(info));
+    manager.showLobby();
+    manager.startGameLoop();
+    p.frames(30);
+    return { p, manager };
+  };
+  // 被系统关掉：只留下本地存储
+  const kill = ({ p, manager }) => {
+    manager.stopGameLoop();
+    return Object.fromEntries(p.storage.data);
+  };
+  // 在大厅点第 index 张卡片；choice 是对话框里要点的按钮（'继续' / '重新开始'），没有对话框时不传
+  const open = ({ p, manager }, index, choice) => {
+    const card = manager.lobby.gameCards[index];
+    p.touch.tap(card.x + card.width / 2, card.y + card.height / 2);
+    if (choice) {
+      p.frame();
+      const dialog = manager.lobby.ui.children[0];
+      assert.ok(dialog instanceof Modal, '有未完成的游戏时先问玩家');
+      const button = dialog.buttonRow.children.find((b) => b.text === choice);
+      p.touch.tap(button.x + 5, button.y + 5);
+    }
+    p.frames(30);
+    return manager.sceneStack[0].scene;
+  };
+
+  // 2048：切后台时保存棋盘，关掉重开后继续
+  let app = launch();
+  let game = open(app, 2);
+  app.p.touch.tap(200, 400);
+  game.grid = [[2, 4, 8, 16], [0, 0, 0, 0], [0, 0, 0, 0], [0, 2, 0, 0]];
+  game.score = 128;
+  app.p.hide();
+  app = launch(kill(app));
+  assert.equal(app.manager.lobby.gameCards[2].hasSession, true, '卡片上提示有未完成的游戏');
+  game = open(app, 2, '继续');
+  assert.deepEqual(game.grid, [[2, 4, 8, 16], [0, 0, 0, 0], [0, 0, 0, 0], [0, 2, 0, 0]]);
+  assert.equal(game.score, 128);
+  assert.equal(game.fsm.is('playing'), true);
+  assert.equal(game.isPaused, true, '恢复后先暂停');
+  assert.ok(app.manager.currentScene instanceof ResumeOverlay);
+  app.p.touch.tap(200, 400);
+  assert.equal(game.isPaused, false);
+  app.p.clock.advance(1000);
+  app.p.touch.swipe(300, 400, 100, 400);
+  assert.equal(game.grid[3][0], 2, '继续后可以接着滑');
+
+  // 贪吃蛇：离开游戏时也会保存
+  game.backToLobby();
+  app.p.frames(30);
+  game = open(app, 1);
+  app.p.touch.tap(200, 400);
+  app.p.frames(20);
+  const snake = JSON.stringify(game.snake);
+  const food = { ...game.food };
+  game.backButton.onTap();
+  app.p.frames(30);
+  game = open(app, 1, '继续');
+  assert.equal(JSON.stringify(game.snake), snake);
+  assert.deepEqual(game.food, food);
+  app.p.frames(30);
+  assert.equal(JSON.stringify(game.snake), snake, '点击继续之前蛇不动');
+  app.p.touch.tap(200, 400);
+  app.p.frames(12);
+  assert.notEqual(JSON.stringify(game.snake), snake, '继续后蛇接着走');
+
+  // 选"重新开始"：删掉保存的那一局
+  game.backToLobby();
+  app.p.frames(30);
+  game = open(app, 1, '重新开始');
+  assert.equal(game.fsm.state, 'ready');
+  assert.equal(app.manager.loadSession(SnakeGame), null);
+
+  // 连连看：关卡、剩余时间和消掉的格子
+  game.backToLobby();
+  app.p.frames(30);
+  game = open(app, 3);
+  app.p.touch.tap(200, 400);
+  const hint = game.algorithm.findHint();
+  game.selectedCell = hint.cell1;
+  game.handleCellClick(hint.cell2.x + 1, hint.cell2.y + 1);
+  game.currentLevel = 4;
+  game.timeLeft = 95;
+  const remaining = game.grid.flat().filter((cell) => cell.visible && !cell.matched).length;
+  app.p.hide();
+  app = launch(kill(app));
+  game = open(app, 3, '继续');
+  assert.equal(game.currentLevel, 4);
+  assert.equal(game.timeLeft, 95);
+  assert.equal(game.grid.flat().filter((cell) => cell.visible && !cell.matched).length, remaining);
+  assert.equal(game.grid[hint.cell1.row][hint.cell1.col].matched, true);
+  assert.equal(game.hintButton.visible, true);
+  app.p.touch.tap(200, 400);
+  app.p.frames(60);
+  assert.equal(game.timeLeft, 94, '继续倒计时');
+
+  // Flappy Bird：小鸟和管道
+  game.backToLobby();
+  app.p.frames(30);
+  game = open(app, 0);
+  app.p.touch.tap(200, 400);
+  app.p.frames(40);
+  app.p.touch.tap(200, 400);
+  app.p.frames(20);
+  assert.ok(game.pipes.length > 0);
+  const pipes = game.pipes.map((pipe) => pipe.x);
+  const birdY = game.bird.getBody().y;
+  app.p.hide();
+  app = launch(kill(app));
+  game = open(app, 0, '继续');
+  assert.equal(game.fsm.state, 'playing');
+  assert.deepEqual(game.pipes.map((pipe) => pipe.x), pipes);
+  assert.equal(game.bird.getBody().y, birdY);
+  assert.equal(game.physicsWorld.bodies.length, 1 + pipes.length * 2, '管道的碰撞体也加回物理世界');
+
+  // 游戏结束后离开：不再提示继续
+  game.handleGameOver();
+  app.p.frames(30);
+  game.backToLobby();
+  app.p.frames(30);
+  assert.equal(app.manager.lobby.gameCards[0].hasSession, false);
+
+  // 存档数据坏了：重新开始，不会卡住
+  app = launch({ '2048:session': JSON.stringify({ score: 10, elapsed: 0, state: { grid: [[2]] } }) });
+  game = open(app, 2, '继续');
+  assert.equal(game.fsm.state, 'ready');
+  assert.equal(game.isPaused, false);
+  assert.equal(app.manager.currentScene, game);
+  assert.equal(app.manager.loadSession(Game2048), null);
+  console.log('✅ 继续上次的游戏 通过');
+}
+
+// ===== 随机数：同一个种子得到同一局，分叉互不影响，继续游戏时接着原来的随机序列 =====
+{
+  const a = new Random(42);
+  const b = new Random(42);
+  const sequence = Array.from({ length: 5 }, () => a.next());
+  assert.deepEqual(Array.from({ length: 5 }, () => b.next()), sequence, '同一个种子序列一样');
+  assert.ok(sequence.every((n) => n >= 0 && n < 1));
+  assert.notDeepEqual(Array.from({ length: 5 }, () => new Random(43).next()), sequence);
+  assert.equal(new Random('2024-05-01').int(1, 1000000), new Random('2024-05-01').int(1, 1000000), '字符串种子');
+
+  // int 包含两端，pick / shuffle
+  const dice = new Random(7);
+  const rolls = new Set(Array.from({ length: 200 }, () => dice.int(1, 6)));
+  assert.deepEqual([...rolls].sort(), [1, 2, 3, 4, 5, 6]);
+  assert.equal(dice.pick([]), undefined);
+  const cards = [1, 2, 3, 4, 5, 6, 7, 8];
+  assert.equal(dice.shuffle(cards), cards, '原地打乱');
+  assert.deepEqual([...cards].sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+
+  // 带名字的分叉只和种子有关，不管原来的生成器用了多少次
+  const parent = new Random(99);
+  const early = parent.fork('clouds').next();
+  parent.next();
+  parent.next();
+  assert.equal(parent.fork('clouds').next(), early);
+  assert.notEqual(parent.fork('pipes').next(), early);
+
+  // 保存状态，之后接着生成同样的序列
+  const saved = parent.getState();
+  const next = [parent.next(), parent.next()];
+  parent.setState(saved);
+  assert.deepEqual([parent.next(), parent.next()], next);
+
+  // 固定种子：每个游戏开局的随机内容都一样
+  const startWithSeed = (GameClass, seed) => {
+    const p = new NodePlatform({ width: 375, height: 667 });
+    const manager = new GameManager();
+    manager.init({ platform: p });
+    manager.switchToGame(GameClass, { seed });
+    return manager.currentScene;
+  };
+  const snapshots = {
+    snake: (game) => ({ ...game.food }),
+    2048: (game) => game.grid.map((row) => [...row]),
+    linkgame: (game) => game.serialize().grid,
+    flappybird: (game) => game.clouds.map((cloud) => ({ ...cloud }))
+  };
+  const classes = { snake: SnakeGame, 2048: Game2048, linkgame: LinkGame, flappybird: FlappyBird };
+  for (const [name, snapshot] of Object.entries(snapshots)) {
+    const first = snapshot(startWithSeed(classes[name], 'daily'));
+    assert.deepEqual(snapshot(startWithSeed(classes[name], 'daily')), first, `${name} 同一个种子开局一样`);
+    assert.notDeepEqual(snapshot(startWithSeed(classes[name], 'other')), first, `${name} 不同种子开局不一样`);
+  }
+
+  // 固定种子后，重新开始的每一局也一样；管道高度也一样，云朵飘了多远都不影响
+  const flappy = startWithSeed(FlappyBird, 3);
+  const firstGapY = () => {
+    flappy.onAction('action');
+    flappy.spawnPipes(flappy.pipeSpawnInterval);
+    return flappy.pipes[0].gapY;
+  };
+  const gapY = firstGapY();
+  flappy.updateClouds(1000);
+  flappy.restart();
+  assert.equal(firstGapY(), gapY, '再来一局，管道和上一局一样');
+  flappy.particles.burst(100, 100, { count: 5 });
+  flappy.restart();
+  assert.equal(flappy.particles.count, 0, '再来一局，上一局的羽毛清掉');
+  assert.equal(flappy.pipeSpawnTimer, 1.5, '第一根管道和新开的一局同时出现');
+  assert.deepEqual(snapshots.flappybird(flappy), snapshots.flappybird(startWithSeed(FlappyBird, 3)), '云朵和新开的一局一样');
+
+  // 粒子特效用分叉出来的生成器，不会打乱游戏的随机序列
+  const quiet = startWithSeed(Game2048, 5);
+  const noisy = startWithSeed(Game2048, 5);
+  noisy.particles.burst(100, 100, { count: 50 });
+  assert.equal(noisy.rng.getState(), quiet.rng.getState());
+
+  // 继续上次的游戏：接着原来的随机序列，新出现的数字和没有被打断时一样
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.registerGame({ id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame });
+  manager.switchToGame(SnakeGame, { seed: 11 });
+  const snake = manager.currentScene;
+  snake.onAction('action');
+  snake.rng.next();
+  manager.saveSession();
+  const expected = snake.rng.int(0, 1000);
+  manager.switchToGame(SnakeGame, { session: manager.loadSession(SnakeGame) });
+  assert.equal(manager.sceneStack[0].scene.rng.int(0, 1000), expected);
+
+  console.log('✅ 随机数 通过');
+}
+
+// ===== 录像和回放：录下种子和输入，回放（不画画面 / 4 倍速）得到完全一样的结果，不改动真正的存档 =====
+{
+  const launch = () => {
+    const p = new NodePlatform({ width: 375, height: 667 });
+    const manager = new GameManager();
+    manager.init({ platform: p });
+    manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird });
+    manager.registerGame({ id: '2048', name: '2048', description: '', icon: '🔢', GameClass: Game2048 });
+    manager.showLobby();
+    manager.startGameLoop();
+    return { p, manager };
+  };
+  const pipesOf = (game) => game.pipes.map((pipe) => [pipe.x, pipe.gapY]);
+
+  // Flappy Bird：帧率忽快忽慢地玩一局，中间切一次后台，最后掉下去
+  let app = launch();
+  const recorder = new ReplayRecorder(app.manager);
+  const flappy = recorder.start(FlappyBird, { seed: 'bug-report' });
+  assert.equal(recorder.isRecording, true);
+  app.p.frames(20, 33);
+  app.p.touch.tap(200, 400);
+  for (let i = 0; i < 6; i++) {
+    app.p.frames(12, i % 2 ? 1000 / 45 : 1000 / 90);
+    app.p.touch.tap(200, 400);
+  }
+  app.p.hide();
+  app.p.show();
+  app.p.frame();
+  app.p.touch.tap(200, 400);
+  app.p.frames(300, 20);
+  assert.equal(flappy.isGameOver, true);
+  const replay = recorder.stop();
+  assert.equal(recorder.isRecording, false);
+  assert.equal(replay.game, 'flappybird');
+  assert.equal(replay.seed, Random.hashString('bug-report'));
+  assert.deepEqual(replay.screen, [375, 667]);
+  assert.ok(replay.ticks > 300);
+  assert.deepEqual(replay.final, { score: flappy.score, gameOver: true });
+  assert.deepEqual(replay.inputs[0].slice(1), ['ts', [0, 200, 400], [0, 200, 400]], '触摸压成 [编号, x, y]');
+  assert.ok(replay.inputs.some((input) => input[1] === 'h') && replay.inputs.some((input) => input[1] === 's'), '切前后台也录下来');
+
+  // 不画画面直接算到最后：小鸟和管道的位置和录像时完全一样，真正的存档没有被改动
+  app = launch();
+  const storageBefore = Object.fromEntries(app.p.storage.data);
+  const checker = new ReplayPlayer(app.manager, JSON.stringify(replay));
+  assert.equal(checker.start(), true);
+  const result = checker.runToEnd();
+  assert.equal(result.matches, true);
+  assert.equal(result.ticks, replay.ticks);
+  const replayed = app.manager.sceneStack[0].scene;
+  assert.equal(replayed.bird.getBody().y, flappy.bird.getBody().y);
+  assert.deepEqual(pipesOf(replayed), pipesOf(flappy));
+  assert.ok(app.manager.currentScene instanceof ResultsOverlay, '回放到结算界面');
+  assert.deepEqual(Object.fromEntries(app.p.storage.data), storageBefore, '回放不写最高分');
+
+  // 4 倍速在屏幕上播放：玩家的触摸被忽略，大约 1/4 的帧数就播完
+  app = launch();
+  const player = new ReplayPlayer(app.manager, replay, { speed: 4 });
+  player.start();
+  app.p.touch.tap(200, 400);
+  app.p.frame();
+  assert.equal(player.game.fsm.state, 'ready', '回放时玩家点屏幕不算数');
+  let frames = 1;
+  while (player.isPlaying && frames < replay.ticks) {
+    app.p.frame();
+    frames++;
+  }
+  assert.equal(player.result.matches, true);
+  assert.ok(frames <= Math.ceil(replay.ticks / 4) + 2, `4 倍速应该大约 ${replay.ticks / 4} 帧播完，实际 ${frames} 帧`);
+  assert.deepEqual(pipesOf(player.game), pipesOf(flappy));
+
+  // 2048：滑动手势（按逻辑帧计时）回放后棋盘一样；离开游戏时录像自动结束
+  app = launch();
+  const swipeRecorder = new ReplayRecorder(app.manager);
+  const game2048 = swipeRecorder.start(Game2048);
+  app.p.frames(5);
+  app.p.touch.tap(200, 400);
+  for (const [x1, y1, x2, y2] of [[300, 400, 100, 400], [200, 300, 200, 550], [100, 400, 300, 400], [200, 550, 200, 300]]) {
+    app.p.frames(10);
+    app.p.touch.swipe(x1, y1, x2, y2);
+  }
+  app.p.frames(10);
+  const grid = game2048.grid.map((row) => [...row]);
+  const back = game2048.backButton;
+  app.p.touch.tap(back.x + back.width / 2, back.y + back.height / 2);
+  assert.equal(swipeRecorder.isRecording, false, '回到大厅后录像结束');
+  const swipeReplay = swipeRecorder.stop();
+
+  app = launch();
+  const swipePlayer = new ReplayPlayer(app.manager, swipeReplay);
+  swipePlayer.start();
+  swipePlayer.runToEnd();
+  assert.deepEqual(swipePlayer.game.grid, grid);
+
+  // 录像格式不对
+  assert.throws(() => new ReplayPlayer(app.manager, JSON.stringify({ ...replay, version: 99 })), /不支持的录像版本/);
+  assert.throws(() => new ReplayPlayer(app.manager, JSON.stringify({ ...replay, inputs: [[0, 'zz']] })), /不认识的输入/);
+  assert.equal(new ReplayPlayer(app.manager, { ...replay, game: 'unknown' }).start(), false);
+
+  console.log('✅ 录像和回放 通过');
+}
+
+// ===== 状态机：只能按规定切换，守卫可以拦住切换，切换记录方便排查，2048 继续游戏后不会再弹出胜利界面 =====
+{
+  const log = [];
+  const context = { lives: 1 };
+  const fsm = new StateMachine({
+    name: 'test',
+    initial: 'ready',
+    context,
+    states: {
+      ready: { to: ['playing'], exit(to) { log.push(`exit ready → ${to}`); } },
+      playing: {
+        to: { over: function () { return this.lives === 0; }, paused: true },
+        enter(from, data) { log.push(`enter playing ← ${from} ${data}`); },
+        onAction: (action) => action === 'jump'
+      },
+      paused: { to: ['playing'], canEnter: (from, data) => data !== 'locked' },
+      over: { to: [] }
+    }
+  });
+  assert.equal(fsm.state, null);
+  fsm.reset();
+  assert.ok(fsm.is('ready'));
+  assert.equal(fsm.handle('onAction', 'jump'), false, '当前状态没有这个钩子');
+
+  // 不允许的切换：返回 false，状态不变
+  const warn = console.warn;
+  console.warn = () => {};
+  assert.equal(fsm.go('over'), false);
+  assert.equal(fsm.go('nowhere'), false);
+  console.warn = warn;
+  assert.ok(fsm.is('ready'));
+
+  // 允许的切换：先 exit 再 enter，data 传给两边
+  assert.equal(fsm.go('playing', 'tap'), true);
+  assert.deepEqual(log, ['exit ready → playing', 'enter playing ← ready tap']);
+  assert.equal(fsm.previous, 'ready');
+  assert.equal(fsm.handle('onAction', 'jump'), true);
+  assert.equal(fsm.handle('onAction', 'left'), false, '钩子返回 false 表示没有处理');
+
+  // 守卫：to 里的函数（this 是 context）和目标状态的 canEnter
+  assert.equal(fsm.can('over'), false);
+  assert.equal(fsm.go('over'), false);
+  assert.equal(fsm.go('paused', 'locked'), false);
+  assert.ok(fsm.is('playing'));
+  context.lives = 0;
+  assert.equal(fsm.can('over'), true);
+
+  // stateTime 每次切换清零，time 一直累加
+  fsm.update(0.5);
+  fsm.go('over');
+  fsm.update(0.25);
+  assert.equal(fsm.stateTime, 0.25);
+  assert.equal(fsm.time, 0.75);
+  assert.ok(fsm.hasVisited('playing'));
+  assert.equal(fsm.hasVisited('paused'), false);
+
+  // 切换记录（包括被拒绝的）
+  assert.deepEqual(fsm.trace.map((entry) => entry.result), ['reset', 'denied', 'ok', 'blocked', 'blocked', 'ok']);
+  assert.equal(fsm.formatTrace().split('\n')[5], '0.50s playing → over');
+  assert.equal(fsm.formatTrace().split('\n')[1], '0.00s ready → over（denied）');
+
+  // 保存和恢复：不调用 enter / exit
+  const snapshot = fsm.getSnapshot();
+  assert.deepEqual(snapshot, { state: 'over', visited: ['ready', 'playing', 'over'] });
+  fsm.reset();
+  assert.equal(fsm.hasVisited('playing'), false, 'reset 后重新记录');
+  log.length = 0;
+  fsm.restore(snapshot);
+  assert.ok(fsm.is('over'));
+  assert.ok(fsm.hasVisited('playing'));
+  assert.deepEqual(log, []);
+  assert.throws(() => fsm.restore({ state: 'nowhere' }));
+  assert.throws(() => new StateMachine({ initial: 'a', states: { a: { to: ['b'] } } }), '目标状态不存在');
+
+  // 2048：合成 2048 弹出胜利界面，继续游戏后不会每帧再弹出来
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.registerGame({ id: '2048', name: '2048', description: '', icon: '🔢', GameClass: Game2048 });
+  manager.switchToGame(Game2048, { seed: 3 });
+  manager.startGameLoop();
+  const game = manager.currentScene;
+  assert.equal(game.fsm.state, 'ready');
+  game.handleScreenTap();
+  game.grid[0][0] = 2048;
+  p.frames(2);
+  assert.equal(game.fsm.state, 'won');
+  assert.equal(game.actionButton.text, '继续游戏');
+
+  // 停在胜利界面上切后台：保存的这一局回来还是胜利界面
+  manager.saveSession();
+  const session = manager.loadSession(Game2048);
+  assert.deepEqual(session.fsm, { state: 'won', visited: ['ready', 'playing', 'won'] });
+
+  game.handleScreenTap();
+  p.frames(5);
+  assert.equal(game.fsm.state, 'playing', '继续游戏后不会再回到胜利界面');
+  assert.equal(game.actionButton.visible, false);
+
+  manager.switchToGame(Game2048, { session });
+  assert.equal(manager.sceneStack[0].scene.fsm.state, 'won');
+
+  console.log('✅ 状态机 通过');
+}
+
+// ===== 声音：音效声部复用、每个声音有同时播放上限，音乐交叉淡入淡出，音量保存在设置里，切后台静音 =====
+{
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const storage = new MemoryStorage();
+  const audio = new AudioManager({
+    platform: p,
+    settings: new SaveStore({ namespace: 'settings', storage }),
+    maxVoices: 3,
+    musicFade: 0.8
+  });
+
+  // 没注册过的声音什么都不做
+  assert.equal(audio.play('nothing'), null);
+  assert.equal(p.audioContexts.length, 0);
+
+  // 同一个声音最多同时响 2 个，再播就停掉最早的那个重新播
+  audio.register('jump', 'audio/jump.mp3', { maxInstances: 2, volume: 0.5 });
+  audio.register('coin', 'audio/coin.mp3');
+  const first = audio.play('jump');
+  const second = audio.play('jump');
+  assert.equal(audio.playingCount('jump'), 2);
+  assert.equal(audio.play('jump'), first, '超过上限时复用最早的声部');
+  assert.equal(audio.playingCount('jump'), 2);
+  assert.equal(first.context.src, 'audio/jump.mp3');
+  assert.equal(first.context.volume, 0.5);
+
+  // 池子满了（3 个声部）：停掉最早的那个音效
+  audio.play('coin');
+  assert.equal(audio.play('coin'), second);
+  assert.equal(second.context.src, 'audio/coin.mp3');
+  assert.equal(p.audioContexts.length, 3, '不会创建超过 maxVoices 个声部');
+
+  // 播完的声部放回池子里
+  second.context.finish();
+  assert.equal(audio.playingCount(), 2);
+  audio.play('jump');
+  assert.equal(p.audioContexts.length, 3);
+
+  // 音量：马上生效，保存在设置里，下次启动还在
+  audio.setVolume('sfx', 0.5);
+  assert.equal(first.context.volume, 0.25);
+  audio.setVolume('master', 2);
+  assert.equal(audio.getVolume('master'), 1, '音量限制在 0 ~ 1');
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  audio.setVolume('voice', 1);
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(JSON.parse(storage.getItem('settings:audio')), { master: 1, music: 0.6, sfx: 0.5 });
+  const reopened = new AudioManager({ settings: new SaveStore({ namespace: 'settings', storage }) });
+  assert.equal(reopened.getVolume('sfx'), 0.5);
+
+  // 音效音量是 0 时不播放
+  audio.setVolume('sfx', 0);
+  assert.equal(audio.play('coin'), null);
+  audio.setVolume('sfx', 1);
+
+  // 文件加载失败：只提示一次，之后不再播放这个文件
+  audio.register('broken', 'audio/broken.mp3');
+  audio.play('broken').context.fail();
+  audio.play('coin').context.fail();
+  assert.equal(audio.play('broken'), null);
+  assert.equal(warnings.filter((text) => text.includes('audio/broken.mp3')).length, 1);
+  console.warn = warn;
+
+  // 音乐：淡入，换歌时交叉淡入淡出，淡出完的销毁
+  audio.playMusic('audio/lobby.mp3');
+  const lobby = p.audioContexts[p.audioContexts.length - 1];
+  assert.equal(lobby.loop, true);
+  assert.equal(lobby.volume, 0);
+  audio.update(0.4);
+  assert.ok(Math.abs(lobby.volume - 0.3) < 1e-9, '淡入一半');
+  audio.update(0.4);
+  assert.ok(Math.abs(lobby.volume - 0.6) < 1e-9);
+  audio.playMusic('audio/lobby.mp3');
+  assert.equal(p.audioContexts.length, 4, '同一首不会重新开始');
+  audio.playMusic('audio/game.mp3');
+  const game = p.audioContexts[p.audioContexts.length - 1];
+  audio.update(0.4);
+  assert.ok(Math.abs(lobby.volume - 0.3) < 1e-9 && Math.abs(game.volume - 0.3) < 1e-9, '一首变小一首变大');
+  audio.update(0.4);
+  assert.equal(lobby.destroyed, true);
+  assert.equal(audio.currentMusic, 'audio/game.mp3');
+  audio.playMusic(null, { fade: 0 });
+  assert.equal(game.destroyed, true, 'fade: 0 直接停掉');
+  assert.equal(audio.currentMusic, null);
+
+  // 平台没有音频能力时用静音的代替，照样能调用
+  const silent = new AudioManager();
+  silent.register('jump', 'audio/jump.mp3');
+  assert.ok(silent.play('jump').context instanceof SilentAudioContext);
+
+  // GameManager：进入游戏换成游戏的音乐，游戏的音效带游戏编号前缀，切后台静音
+  class LoudBird extends FlappyBird {
+    static music = 'audio/flappy.mp3';
+    static sounds = { jump: 'audio/jump.mp3', score: { src: 'audio/score.mp3', maxInstances: 1 } };
+  }
+  const app = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: app });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: LoudBird });
+  manager.showLobby();
+  manager.startGameLoop();
+  assert.equal(manager.audio.currentMusic, null);
+  manager.switchToGame(LoudBird);
+  assert.equal(manager.audio.currentMusic, 'audio/flappy.mp3');
+  assert.ok(manager.audio.has('flappybird/jump'));
+  app.frames(60);
+  app.touch.tap(200, 400);
+  const playing = () => app.playingAudio.map((context) => context.src).sort();
+  assert.deepEqual(playing(), ['audio/flappy.mp3', 'audio/jump.mp3']);
+
+  app.hide();
+  assert.deepEqual(playing(), [], '切到后台全部静音');
+  assert.equal(manager.currentScene.playSound('jump'), null);
+  app.show();
+  assert.deepEqual(playing(), ['audio/flappy.mp3'], '回来后音乐接着放，音效不会再响');
+
+  // 回到大厅：游戏的音乐淡出
+  manager.showLobby();
+  assert.equal(manager.audio.currentMusic, null);
+  app.frames(60);
+  assert.deepEqual(playing(), []);
+
+  console.log('✅ 声音 通过');
+}
+
+// ===== 音效合成：预设参数算出 WAV 字节，每次结果一模一样（和记下的哈希比对），游戏用 { synth } 定义音效 =====
+{
+  // 六个预设的 WAV 字节（参数或算法改了声音就会变，确认是想要的改动后再更新这里）
+  const golden = {
+    jump: '1f04a8c76cfa3f004325497ad6e825ec48a4860d627ff2c033c9d590b850a03d',
+    coin: '0e88599c8eba589f0b2e1a9aaa285f05c1f6fb916eecf4eef74a55cdc4da08c8',
+    hit: 'f49974c2e927e755b5bcbbed7de74ef7553b85d01a39da9744446c11b7454aeb',
+    explosion: '847e4b485731c740df1f5cc229d46fbb34287d1d2b8fa77d6b75a79b74dfdc0c',
+    powerup: '38da2fc6d8aa63aaf221070c8e2df44c6936d44c1e33bb8eb467cea1858cbd7c',
+    blip: '92d38d3e20f1ec0dd3a84fe7abb10fb3c20c8a9197a7ea3f27a9fc7acde551b7'
+  };
+  const sha256 = (bytes) => createHash('sha256').update(bytes).digest('hex');
+  assert.deepEqual(Object.keys(SFX_PRESETS), Object.keys(golden));
+  for (const [name, hash] of Object.entries(golden)) {
+    assert.equal(sha256(encodeWav(renderSfx(SFX_PRESETS[name]), SFX_SAMPLE_RATE)), hash, `${name} 的声音变了`);
+  }
+
+  // WAV 文件头：单声道 16 位，长度和采样数对得上
+  const samples = renderSfx(SFX_PRESETS.blip);
+  const bytes = encodeWav(samples, SFX_SAMPLE_RATE);
+  const view = new DataView(bytes.buffer);
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), 'RIFF');
+  assert.equal(String.fromCharCode(...bytes.subarray(8, 16)), 'WAVEfmt ');
+  assert.equal(view.getUint32(4, true), bytes.length - 8);
+  assert.equal(view.getUint16(22, true), 1);
+  assert.equal(view.getUint32(24, true), 22050);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(view.getUint32(40, true), samples.length * 2);
+  assert.equal(samples.length, Math.ceil((0.04 + 0.06) * 22050), '长度 = attack + sustain + decay');
+  assert.deepEqual(Array.from(encodeWav([2, -2, 0.5], 8000).subarray(44)), [0xff, 0x7f, 0x01, 0x80, 0x00, 0x40], '超出 -1 ~ 1 的采样被截掉');
+
+  // 噪音由种子决定；音高掉到 minFrequency 以下时提前结束
+  const boom = (seed) => sha256(encodeWav(renderSfx({ ...SFX_PRESETS.explosion, seed }), SFX_SAMPLE_RATE));
+  assert.equal(boom(3), boom(3));
+  assert.notEqual(boom(3), boom(4));
+  const falling = renderSfx({ frequency: 400, slide: -10, minFrequency: 100, sustain: 1, decay: 0 });
+  assert.ok(Math.abs(falling.length - 0.2 * 22050) < 2, '降两个八度用 0.2 秒');
+  assert.throws(() => renderSfx({ wave: 'organ' }), /不认识的波形/);
+
+  // 在预设上改参数
+  assert.deepEqual(resolveSfx('blip'), SFX_PRESETS.blip);
+  assert.equal(resolveSfx({ preset: 'coin', frequency: 660 }).frequency, 660);
+  assert.equal(resolveSfx({ preset: 'coin', frequency: 660 }).arpeggio, 4 / 3);
+  assert.equal(resolveSfx({ wave: 'sine' }).wave, 'sine');
+  assert.throws(() => resolveSfx('laser'), /没有这个音效预设/);
+
+  // 游戏的 { synth } 音效：合成后写成文件，同样的参数只写一次
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: p });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird });
+  manager.switchToGame(FlappyBird);
+  assert.equal(p.files.size, 3);
+  const jumpFile = manager.audio.sounds.get('flappybird/jump').src;
+  assert.equal(sha256(p.files.get(jumpFile)), golden.jump);
+  manager.switchToGame(FlappyBird);
+  assert.equal(p.files.size, 3, '再次进入游戏不会重新合成');
+  manager.currentScene.flap();
+  assert.deepEqual(p.playingAudio.map((context) => context.src), [jumpFile]);
+
+  // 平台不能写文件时，这个声音不响，但不会出错
+  const silent = new AudioManager();
+  silent.registerAll({ jump: { synth: 'jump' } });
+  assert.equal(silent.play('jump'), null);
+
+  console.log('✅ 音效合成 通过');
+}
+
+// ===== 振动：图案按时间一下一下振，太频繁的被丢掉，可以关掉；游戏撞到、咬到自己、连错时振动 =====
+{
+  const p = new NodePlatform({ width: 375, height: 667 });
+  const storage = new MemoryStorage();
+  const haptics = new Haptics({ platform: p, settings: new SaveStore({ namespace: 'settings', storage }) });
+  const pulses = () => p.vibrations.map((v) => (v.type === 'long' ? 'long' : v.strength));
+
+  // 图案：数字是停顿，停顿由 update() 推进
+  assert.equal(haptics.play('error'), true);
+  assert.deepEqual(pulses(), ['medium']);
+  haptics.update(0.05);
+  assert.deepEqual(pulses(), ['medium']);
+  haptics.update(0.05);
+  assert.deepEqual(pulses(), ['medium', 'medium']);
+  p.clock.advance(100);
+  haptics.play('long');
+  assert.deepEqual(p.vibrations[2], { type: 'long', strength: null, time: 100 });
+  assert.throws(() => haptics.register('buzz', ['strong']), /不认识的步骤/);
+
+  // 限流：两次振动至少隔 0.08 秒；图案自己的冷却时间
+  p.vibrations.length = 0;
+  p.clock.advance(50);
+  assert.equal(haptics.play('crash'), false, '离上一下太近');
+  p.clock.advance(50);
+  assert.equal(haptics.play('crash'), true);
+  haptics.register('warn', ['light'], { cooldown: 1 });
+  p.clock.advance(100);
+  assert.equal(haptics.play('warn'), true);
+  p.clock.advance(500);
+  assert.equal(haptics.play('warn'), false, '还在冷却');
+  assert.equal(haptics.play('tap'), true, '冷却只管自己这个图案');
+  p.clock.advance(500);
+  assert.equal(haptics.play('warn'), true);
+  assert.deepEqual(pulses(), ['heavy', 'light', 'light', 'light']);
+
+  // 新的图案打断正在播的
+  p.clock.advance(100);
+  haptics.play('success');
+  p.clock.advance(100);
+  haptics.play('crash');
+  haptics.update(1);
+  assert.deepEqual(pulses().slice(4), ['light', 'heavy']);
+
+  // 切到后台：没振完的不再振，回来之前也不会振
+  p.clock.advance(100);
+  haptics.play('error');
+  haptics.suspend();
+  haptics.update(1);
+  p.clock.advance(100);
+  assert.equal(haptics.play('crash'), false);
+  haptics.resume();
+  assert.deepEqual(pulses().slice(6), ['medium']);
+
+  // 开关：保存在设置里；没有的图案提示一下
+  haptics.setEnabled(false);
+  p.clock.advance(100);
+  assert.equal(haptics.play('crash'), false);
+  assert.deepEqual(JSON.parse(storage.getItem('settings:haptics')), false);
+  const reopened = new Haptics({ platform: p, settings: new SaveStore({ namespace: 'settings', storage }) });
+  assert.equal(reopened.enabled, false);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  assert.equal(haptics.play('rumble'), false);
+  console.warn = warn;
+  assert.equal(warnings.length, 1);
+
+  // 平台不能振动时什么都不做
+  assert.equal(new Haptics().play('crash'), true);
+
+  // 游戏里：小鸟撞到东西重重振一下
+  const app = new NodePlatform({ width: 375, height: 667 });
+  const manager = new GameManager();
+  manager.init({ platform: app });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: FlappyBird });
+  manager.registerGame({ id: 'snake', name: '贪吃蛇', description: '', icon: '🐍', GameClass: SnakeGame });
+  manager.registerGame({ id: 'linkgame', name: '连连看', description: '', icon: '🔗', GameClass: LinkGame });
+  manager.startGameLoop();
+  manager.switchToGame(FlappyBird);
+  const bird = manager.currentScene;
+  app.frames(60);
+  app.touch.tap(200, 400);
+  app.frames(300);
+  assert.equal(bird.fsm.state, 'over');
+  assert.deepEqual(app.vibrations.map((v) => v.strength), ['heavy']);
+
+  // 贪吃蛇咬到自己：用游戏自己的 bite 图案，两下之间隔 0.07 秒
+  manager.switchToGame(SnakeGame);
+  const snake = manager.currentScene;
+  assert.ok(manager.haptics.has('snake/bite'));
+  app.frames(60);
+  snake.fsm.go('playing');
+  snake.snake = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 6 }, { x: 5, y: 6 }, { x: 4, y: 6 }];
+  snake.direction = { x: 0, y: 1 };
+  snake.nextDirection = { x: 0, y: 1 };
+  snake.moveSnake();
+  assert.equal(snake.fsm.state, 'over');
+  app.frames(10);
+  const bite = app.vibrations.slice(1);
+  assert.deepEqual(bite.map((v) => v.strength), ['heavy', 'medium']);
+  assert.ok(bite[1].time - bite[0].time >= 70);
+
+  // 连连看连不上：通用的 error 图案
+  manager.switchToGame(LinkGame);
+  const link = manager.currentScene;
+  app.frames(60);
+  app.touch.tap(200, 400);
+  const cells = link.grid.flat().filter((cell) => cell.visible && !cell.matched);
+  let pair = null;
+  for (const a of cells) {
+    const b = cells.find((other) => other !== a && !link.algorithm.canConnect(a, other));
+    if (b) {
+      pair = [a, b];
+      break;
+    }
+  }
+  link.tryConnectCells(pair[0], pair[1]);
+  app.frames(10);
+  assert.deepEqual(app.vibrations.slice(3).map((v) => v.strength), ['medium', 'medium']);
+
+  // 玩家关掉振动后游戏里也不振
+  manager.haptics.setEnabled(false);
+  assert.equal(link.vibrate('error'), false);
+
+  console.log('✅ 振动 通过');
+}
+
+// ===== 图片资源：图片、TexturePacker 图集、位图字体；进入游戏前显示加载界面；引用计数；加载失败时用代码画 =====
+{
+  // 图集：Hash 和 Array 两种 JSON，裁剪过、旋转过的帧也能画在对的位置
+  const image = { width: 128, height: 64 };
+  const sheet = new SpriteSheet(image, {
+    frames: {
+      'bird_0.png': { frame: { x: 0, y: 0, w: 30, h: 20 }, rotated: false, trimmed: true, spriteSourceSize: { x: 2, y: 4, w: 30, h: 20 }, sourceSize: { w: 34, h: 28 } },
+      'pipe.png': { frame: { x: 40, y: 0, w: 10, h: 50 }, rotated: true, trimmed: false, spriteSourceSize: { x: 0, y: 0, w: 10, h: 50 }, sourceSize: { w: 10, h: 50 } }
+    },
+    meta: { image: 'sheet.png' }
+  });
+  const listed = new SpriteSheet(image, { frames: [{ filename: 'bird_0.png', frame: { x: 0, y: 0, w: 30, h: 20 } }], meta: {} });
+  assert.deepEqual(sheet.names, ['bird_0.png', 'pipe.png']);
+  assert.equal(sheet.getFrame('bird_0'), sheet.getFrame('bird_0.png'), '可以不写 .png');
+  assert.equal(sheet.getFrame('ghost'), null);
+  assert.equal(listed.getFrame('bird_0').sourceWidth, 30, '没有 sourceSize 时就是帧的大小');
+
+  const ctx = new HeadlessCanvas(200, 200).getContext('2d');
+  sheet.draw(ctx, 'bird_0', 10, 10, 68, 56);
+  assert.deepEqual(ctx.callsOf('drawImage')[0].args, [image, 0, 0, 30, 20, 14, 18, 60, 40], '放大两倍，裁掉的边空出来');
+  ctx.clearCalls();
+  assert.equal(sheet.draw(ctx, 'pipe', 0, 0), true);
+  assert.deepEqual(ctx.callsOf('translate')[0].args, [0, 50]);
+  assert.deepEqual(ctx.callsOf('rotate')[0].args, [-Math.PI / 2]);
+  assert.deepEqual(ctx.callsOf('drawImage')[0].args, [image, 40, 0, 50, 10, 0, 0, 50, 10], '旋转过的帧在大图里宽高互换');
+
+  // 位图字体：解析 .fnt，字距调整，对齐和缩放
+  const fnt = [
+    'info face="digits" size=32 bold=0',
+    'common lineHeight=36 base=29 scaleW=128 scaleH=64 pages=1',
+    'page id=0 file="digits.png"',
+    'chars count=3',
+    'char id=48 x=30 y=0 width=18 height=28 xoffset=1 yoffset=4 xadvance=20 page=0 chnl=15',
+    'char id=49 x=0 y=0 width=12 height=28 xoffset=2 yoffset=4 xadvance=16 page=0 chnl=15',
+    'char id=50 x=12 y=0 width=18 height=28 xoffset=1 yoffset=4 xadvance=20 page=0 chnl=15',
+    'kerning first=49 second=49 amount=-2'
+  ].join('\n');
+  const fontData = BitmapFont.parse(fnt);
+  assert.equal(fontData.face, 'digits');
+  assert.equal(fontData.lineHeight, 36);
+  assert.deepEqual(fontData.pages, ['digits.png']);
+  const font = new BitmapFont(fontData, [image]);
+  assert.equal(font.measure('11'), 30, '16 + 16 - 2');
+  assert.equal(font.measure('12\n1'), 36, '取最宽的一行');
+  assert.equal(font.measure('1x'), 32, '没有的字占半个字号');
+  ctx.clearCalls();
+  font.draw(ctx, '12', 100, 50, { align: 'center', scale: 2 });
+  assert.deepEqual(ctx.callsOf('drawImage').map((call) => call.args), [
+    [image, 0, 0, 12, 28, 68, 58, 24, 56],
+    [image, 12, 0, 18, 28, 98, 58, 36, 56]
+  ]);
+  assert.throws(() => BitmapFont.parse('info face="x"'), /没有 page/);
+
+  // 加载：和真机一样是异步的，图集和字体先读文本，再加载它们的图片
+  const p = new NodePlatform({ width: 375, height: 667 });
+  p.addImage('images/bird.png', 34, 24);
+  p.addTextFile('images/tiles.json', { frames: { 'star_FF6B6B.png': { frame: { x: 0, y: 0, w: 40, h: 40 } } }, meta: { image: 'tiles.png' } });
+  p.addImage('images/tiles.png', 256, 256);
+  p.addTextFile('fonts/digits.fnt', fnt);
+  p.addImage('fonts/digits.png', 128, 64);
+  const assets = new AssetManager({ platform: p });
+  const bundle = assets.load({ bird: 'images/bird.png', tiles: { atlas: 'images/tiles.json' }, digits: { font: 'fonts/digits.fnt' } });
+  assert.equal(bundle.progress, 0);
+  assert.equal(bundle.frame('bird'), null, '还没加载完');
+  p.frame();
+  assert.ok(Math.abs(bundle.progress - 1 / 3) < 1e-9, '图片好了，图集和字体还要再加载各自的图片');
+  p.frame();
+  assert.equal(bundle.isComplete, true);
+  assert.equal(bundle.frame('bird').sourceWidth, 34);
+  assert.equal(bundle.frame('star_FF6B6B').image.src, 'images/tiles.png', '大图的路径相对于 JSON 所在的目录');
+  assert.ok(bundle.get('tiles') instanceof SpriteSheet);
+  assert.equal(bundle.font('digits').measure('11'), 30);
+  assert.equal(bundle.font('bird'), null);
+  assert.throws(() => assets.load({ bird: 'images/bird.png', jump: { sound: 'audio/jump.mp3' } }), /写法不对/);
+  assert.equal(assets.refCount('images/bird.png'), 1, '清单写错时一个都不加载');
+
+  // 引用计数：同一个文件只加载一次，最后一个用它的释放后才从缓存里删掉
+  const second = assets.load({ bird: 'images/bird.png' });
+  assert.equal(second.isComplete, true, '缓存里有，马上就能用');
+  assert.equal(assets.refCount('images/bird.png'), 2);
+  bundle.release();
+  bundle.release();
+  assert.equal(assets.refCount('images/bird.png'), 1, '重复释放不会多减');
+  assert.equal(assets.refCount('images/tiles.png'), 0, '图集释放时连带释放大图');
+  assert.equal(bundle.frame('bird'), null, '释放后取不到');
+  second.release();
+  assert.equal(assets.cache.size, 0);
+
+  // 加载失败：每个文件只提示一次，取到 null，也算加载完
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  const missing = assets.load({ ghost: 'images/ghost.png', broken: { atlas: 'images/nothing.json' } });
+  p.finishLoads();
+  assert.equal(missing.isComplete, true);
+  assert.deepEqual(missing.failed, ['ghost', 'broken']);
+  assert.equal(missing.frame('ghost'), null);
+  missing.release();
+  assets.load({ ghost: 'images/ghost.png' });
+  p.finishLoads();
+  assert.equal(warnings.length, 2);
+  assert.equal(new AssetManager().load({ bird: 'images/bird.png' }).isComplete, true, '平台不能加载图片时马上失败');
+  console.warn = warn;
+
+  // 进入游戏：先显示加载界面，加载完再创建游戏，游戏用图片画
+  class PrettyBird extends FlappyBird {
+    static assets = {
+      bird: 'images/bird.png',
+      pipes: { atlas: 'images/pipes.json' },
+      score: { font: 'fonts/digits.fnt' }
+    };
+  }
+  class BrokenBird extends FlappyBird {
+    static assets = { bird: 'images/missing.png' };
+  }
+  const app = new NodePlatform({ width: 375, height: 667 });
+  app.addImage('images/icon.png', 64, 64);
+  app.addImage('images/bird.png', 34, 24);
+  app.addTextFile('images/pipes.json', {
+    frames: {
+      'pipe.png': { frame: { x: 0, y: 0, w: 52, h: 160 } },
+      'pipeCap.png': { frame: { x: 52, y: 0, w: 60, h: 26 } }
+    },
+    meta: { image: 'pipes.png' }
+  });
+  app.addImage('images/pipes.png', 128, 256);
+  app.addTextFile('fonts/digits.fnt', fnt);
+  app.addImage('fonts/digits.png', 128, 64);
+  const manager = new GameManager();
+  manager.init({ platform: app });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', iconImage: 'images/icon.png', GameClass: PrettyBird });
+  manager.showLobby();
+  manager.startGameLoop();
+  const drawnImages = () => {
+    app.ctx.clearCalls();
+    app.frame();
+    return app.ctx.callsOf('drawImage').map((call) => call.args[0].src);
+  };
+  assert.deepEqual(drawnImages(), ['images/icon.png'], '大厅的图标用图片');
+
+  manager.switchToGame(PrettyBird);
+  assert.ok(manager.currentScene instanceof LoadingScene);
+  app.ctx.clearCalls();
+  app.frame();
+  assert.ok(app.ctx.texts().includes('Flappy Bird'));
+  assert.ok(app.ctx.texts().some((text) => text.startsWith('加载中')));
+  app.frame();
+  const pretty = manager.currentScene;
+  assert.ok(pretty instanceof PrettyBird, '加载完就进入游戏');
+  app.frames(30);
+  app.touch.tap(200, 400);
+  app.frames(120);
+  const drawn = drawnImages();
+  assert.ok(drawn.includes('images/bird.png'));
+  assert.ok(drawn.includes('images/pipes.png'));
+  assert.ok(drawn.includes('fonts/digits.png'), '分数用位图字体');
+  assert.equal(app.ctx.callsOf('strokeText').length, 0);
+  assert.equal(manager.assets.refCount('images/bird.png'), 1, '加载界面的引用已经还回去，只剩游戏的');
+  assert.equal(manager.assets.refCount('images/icon.png'), 0, '大厅关闭时释放图标');
+
+  // 资源都在缓存里时不显示加载界面；回到大厅后游戏的资源被释放
+  manager.switchToGame(PrettyBird);
+  assert.ok(manager.currentScene instanceof PrettyBird);
+  manager.showLobby();
+  assert.equal(manager.assets.refCount('images/bird.png'), 0);
+  assert.equal(manager.assets.refCount('images/pipes.png'), 0);
+
+  // 加载中回到大厅：不会再进入游戏
+  manager.switchToGame(PrettyBird);
+  manager.showLobby();
+  app.frames(5);
+  assert.equal(manager.currentScene, manager.lobby);
+  assert.equal(manager.assets.refCount('images/bird.png'), 0);
+
+  // 不等加载（录像和回放）：马上进入游戏，加载好之前用代码画
+  manager.switchToGame(PrettyBird, { preload: false });
+  assert.ok(manager.currentScene instanceof PrettyBird);
+  assert.equal(manager.currentScene.assets.frame('bird'), null, '刚开始还没加载好');
+  assert.ok(drawnImages().includes('images/bird.png'));
+
+  // 加载失败：照样进入游戏，用代码画
+  console.warn = () => {};
+  manager.switchToGame(BrokenBird);
+  app.frames(2);
+  console.warn = warn;
+  assert.ok(manager.currentScene instanceof BrokenBird);
+  assert.deepEqual(drawnImages(), []);
+  assert.ok(app.ctx.callsOf('arc').length > 0, '小鸟是代码画的圆');
+
+  console.log('✅ 图片资源 通过');
+}
+
+// ===== 帧动画：片段、每帧时间、循环方式、动画事件；锚点、翻转、旋转、缩放；跟着物理体走 =====
+{
+  const image = { width: 128, height: 32 };
+  const frames = {};
+  for (let i = 0; i < 4; i++) {
+    frames[`walk_${i}.png`] = { frame: { x: i * 32, y: 0, w: 32, h: 32 }, pivot: { x: 0.5, y: 1 } };
+  }
+  const sheet = new SpriteSheet(image, { frames: frames, meta: { image: 'walk.png' } });
+  const names = ['walk_0', 'walk_1', 'walk_2', 'walk_3'];
+  const played = (sprite, steps, dt = 0.1) => {
+    const seen = [];
+    for (let i = 0; i < steps; i++) {
+      sprite.update(dt);
+      seen.push(sprite.frameIndex);
+    }
+    return seen;
+  };
+
+  // 循环：从头再来，每播完一遍触发 loop；一次推进好几帧时中间的事件都会触发
+  const events = [];
+  const walker = new AnimatedSprite({
+    source: sheet,
+    clips: {
+      walk: { frames: names, fps: 10, events: { 1: 'step', 3: ['step', 'dust'] } },
+      bounce: { frames: names, durations: [0.1, 0.2, 0.1, 0.1], loop: 'pingpong' },
+      jump: { frames: ['walk_2', 'walk_3'], durations: 0.1, loop: 'once', next: 'walk' }
+    },
+    play: 'walk'
+  });
+  walker.on('step', (event) => events.push(`step@${event.frame}`));
+  walker.on('dust', () => events.push('dust'));
+  walker.on('loop', (event) => events.push(`loop:${event.clip}`));
+  walker.on('complete', (event) => events.push(`complete:${event.clip}`));
+  assert.deepEqual(played(walker, 5), [1, 2, 3, 0, 1]);
+  assert.deepEqual(events, ['step@1', 'step@3', 'dust', 'loop:walk', 'step@1']);
+  assert.equal(walker.loops, 1);
+  events.length = 0;
+  walker.update(0.45);
+  assert.equal(walker.frameIndex, 1, '0.45 秒翻过四帧多一点');
+  assert.ok(Math.abs(walker.frameTime - 0.05) < 1e-9, '剩下的时间算在这一帧里');
+  assert.deepEqual(events, ['step@3', 'dust', 'loop:walk', 'step@1']);
+  assert.equal(walker.play('walk'), true);
+  assert.equal(walker.frameIndex, 1, '正在播放的片段不会从头开始');
+  walker.play('walk', { restart: true });
+  assert.deepEqual([walker.frameIndex, walker.frameTime, walker.loops], [0, 0, 0]);
+
+  // 来回播放：每帧的时间可以不一样，回到第一帧算一遍
+  walker.play('bounce');
+  events.length = 0;
+  assert.deepEqual(played(walker, 9), [1, 1, 2, 3, 2, 1, 1, 0, 1]);
+  assert.deepEqual(events, ['loop:bounce']);
+
+  // 播一遍：停在最后一帧，触发 complete，再接着播 next
+  walker.play('jump');
+  events.length = 0;
+  walker.update(0.1);
+  assert.equal(walker.isPlaying('jump'), true);
+  walker.update(0.1);
+  assert.deepEqual(events, ['complete:jump']);
+  assert.equal(walker.isPlaying('walk'), true, '播完接着播 next');
+  assert.equal(walker.frameIndex, 0);
+
+  const once = new AnimatedSprite({ source: sheet, clips: { hit: { frames: names, fps: 20, loop: 'once' } }, play: 'hit' });
+  once.update(10);
+  assert.equal(once.isFinished, true);
+  assert.equal(once.frameIndex, 3, '停在最后一帧');
+  once.resume();
+  assert.equal(once.isPlaying(), false, '播完的片段要 restart 才会重播');
+  once.play('hit', { restart: true });
+  once.update(0.05);
+  once.stop();
+  once.update(1);
+  assert.equal(once.frameIndex, 1, 'stop() 后停在当前这一帧');
+  once.resume();
+  once.speed = 2;
+  once.update(0.025);
+  assert.equal(once.frameIndex, 2, '两倍速');
+
+  // complete 的监听函数里换了片段，就不接着播 next
+  const interrupted = new AnimatedSprite({ clips: { a: { frames: names, loop: 'once', next: 'b' }, b: { frames: names }, c: { frames: names } }, play: 'a' });
+  interrupted.on('complete', () => interrupted.play('c'));
+  interrupted.update(1);
+  assert.equal(interrupted.clipName, 'c');
+
+  // 写错了：构造时报错，播放没有的片段给出提示
+  assert.throws(() => new AnimatedSprite({ clips: { a: { frames: [] } } }), /没有帧/);
+  assert.throws(() => new AnimatedSprite({ clips: { a: { frames: names, loop: 'forever' } } }), /loop/);
+  assert.throws(() => new AnimatedSprite({ clips: { a: { frames: names, durations: [0.1] } } }), /不一样长/);
+  assert.throws(() => new AnimatedSprite({ clips: { a: { frames: names, durations: 0 } } }), /大于 0/);
+  assert.throws(() => new AnimatedSprite({ clips: { a: { frames: names, loop: 'once', next: 'b' } } }), /没有这段动画/);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  assert.equal(walker.play('fly'), false);
+  console.warn = warn;
+  assert.ok(warnings[0].includes('fly'));
+
+  // 画：锚点默认用帧的 pivot（脚底），绕锚点旋转、缩放、翻转
+  const ctx = new HeadlessCanvas(200, 200).getContext('2d');
+  const hero = new AnimatedSprite({ source: sheet, clips: { walk: { frames: names } }, play: 'walk', x: 100, y: 150 });
+  assert.equal(hero.render(ctx), true);
+  assert.deepEqual(ctx.callsOf('translate')[0].args, [100, 150]);
+  assert.deepEqual(ctx.callsOf('drawImage')[0].args, [image, 0, 0, 32, 32, -16, -32, 32, 32]);
+  ctx.clearCalls();
+  Object.assign(hero, { rotation: Math.PI / 4, scaleX: 2, flipX: true, flipY: true, opacity: 0.5, anchorX: 0, anchorY: 0, height: 64 });
+  hero.render(ctx);
+  assert.deepEqual(ctx.callsOf('rotate')[0].args, [Math.PI / 4]);
+  assert.deepEqual(ctx.callsOf('scale')[0].args, [-2, -1]);
+  assert.deepEqual(ctx.calls.filter((call) => call.name === 'globalAlpha').map((call) => call.value), [0.5]);
+  assert.deepEqual(ctx.callsOf('drawImage')[0].args, [image, 0, 0, 32, 32, 0, 0, 64, 64], '只写高度时按图片比例算宽度');
+  assert.equal(ctx.globalAlpha, 1, '画完恢复画布的状态');
+
+  // 跟着物理体走，画的时候用插值后的位置
+  const body = new CircleBody(0, 0, 10);
+  body.setVelocity(60, 0);
+  body.update(1);
+  hero.attach(body, 0, -10);
+  Object.assign(hero, { rotation: 0, scaleX: 1, flipX: false, flipY: false });
+  ctx.clearCalls();
+  hero.render(ctx, 0.5);
+  assert.deepEqual(ctx.callsOf('translate')[0].args, [30, -10]);
+  hero.detach();
+  assert.deepEqual([hero.x, hero.y], [60, -10], '不跟着走了就停在现在的位置');
+
+  // 图集里没有这些帧（还没加载好、加载失败）时什么都不画
+  const ghost = new AnimatedSprite({ source: sheet, clips: { idle: { frames: ['ghost_0'] } }, play: 'idle' });
+  assert.equal(ghost.currentFrame, null);
+  ctx.clearCalls();
+  assert.equal(ghost.render(ctx), false);
+  assert.equal(ctx.calls.length, 0);
+
+  // 管理器：create() 默认在 source 里找帧，暂停时停住
+  const animator = new SpriteAnimator({ source: sheet });
+  const a = animator.create({ clips: { walk: { frames: names } }, play: 'walk' });
+  const b = animator.add(new AnimatedSprite({ clips: { walk: { frames: names } }, play: 'walk' }));
+  assert.equal(a.currentFrame, sheet.getFrame('walk_0'));
+  animator.update(0.1);
+  assert.deepEqual([a.frameIndex, b.frameIndex], [1, 1]);
+  animator.pause();
+  animator.update(0.1);
+  assert.equal(a.frameIndex, 1);
+  animator.resume();
+  animator.remove(b);
+  animator.update(0.1);
+  assert.deepEqual([a.frameIndex, b.frameIndex], [2, 1]);
+  assert.equal(animator.count, 1);
+
+  // Flappy Bird：图集里有小鸟的帧时播放帧动画，跳的时候用力扇一下；暂停时动画停住
+  class AnimatedBird extends FlappyBird {
+    static assets = { bird: { atlas: 'images/bird.json' } };
+  }
+  const app = new NodePlatform({ width: 375, height: 667 });
+  app.addTextFile('images/bird.json', {
+    frames: {
+      'bird_0.png': { frame: { x: 0, y: 0, w: 34, h: 24 } },
+      'bird_1.png': { frame: { x: 34, y: 0, w: 34, h: 24 } },
+      'bird_2.png': { frame: { x: 68, y: 0, w: 34, h: 24 } }
+    },
+    meta: { image: 'bird.png' }
+  });
+  app.addImage('images/bird.png', 102, 24);
+  const manager = new GameManager();
+  manager.init({ platform: app });
+  manager.registerGame({ id: 'flappybird', name: 'Flappy Bird', description: '', icon: '🐦', GameClass: AnimatedBird });
+  manager.switchToGame(AnimatedBird);
+  manager.startGameLoop();
+  app.frames(30);
+  const game = manager.currentScene;
+  assert.ok(game instanceof AnimatedBird);
+  const sprite = game.bird.sprite;
+  assert.ok(game.sprites.sprites.includes(sprite));
+  assert.equal(sprite.target, game.bird.getBody());
+  assert.equal(sprite.isPlaying('fly'), true);
+  app.ctx.clearCalls();
+  app.frame();
+  const birdDraws = app.ctx.callsOf('drawImage').filter((call) => call.args[0].src === 'images/bird.png');
+  assert.equal(birdDraws.length, 1);
+  assert.equal(birdDraws[0].args[8], game.bird.radius * 2, '和身体一样高');
+
+  app.touch.tap(200, 400);
+  app.frame();
+  assert.equal(sprite.isPlaying('flap'), true, '跳的时候扇一下');
+  app.frames(20);
+  assert.equal(sprite.isPlaying('fly'), true, '扇完接着飞');
+
+  game.pause();
+  const frozen = [sprite.frameIndex, sprite.frameTime];
+  app.frames(10);
+  assert.deepEqual([sprite.frameIndex, sprite.frameTime], frozen, '暂停时帧动画停住');
+  game.resume();
+
+  // 重新开始：上一局的精灵清掉，新的小鸟有新的精灵
+  game.init();
+  assert.deepEqual(game.sprites.sprites, [game.bird.sprite]);
+  assert.notEqual(game.bird.sprite, sprite);
+
+  console.log('✅ 帧动画 通过');
+}
+
+// ===== 固定步长：30Hz 和 120Hz 的手机上，小鸟下落的轨迹完全一样 =====
+{
+  const birdYAfterOneSecond = (fps) => {
+    const p = new NodePlatform({ width: 375, height: 667 });
+    const manager = new GameManager();
+    manager.init({ platform: p });
+    manager.switchToGame(FlappyBird);
+    manager.startGameLoop();
+    p.touch.tap(200, 400);
+    p.frames(fps, 1000 / fps);
+    manager.stopGameLoop();
+    return { y: manager.currentScene.bird.getBody().y, ticks: manager.tickCount };
+  };
+
+  const slow = birdYAfterOneSecond(30);
+  const fast = birdYAfterOneSecond(120);
+  assert.equal(slow.ticks, fast.ticks, '逻辑帧数应该一样');
+  assert.equal(slow.y, fast.y, '小鸟位置应该完全一样');
+  console.log('✅ 固定步长 通过');
+}
+
+console.log('\n✅ 全部小游戏无头测试通过');
@@ -1,99 +1,77 @@
 /**
  * 贪吃蛇游戏点击开始功能测试
- * 
- * 这个脚本测试贪吃蛇游戏的点击开始功能是否正常工作
+ *
+ * 这个脚本用 Node 平台适配器驱动真正的 GameManager、GameLobby 和 SnakeGame，
+ * 测试贪吃蛇游戏的点击开始功能是否正常工作
+ *
+ * 运行方式: node test_snake_start.js
  */
 
-// 模拟贪吃蛇游戏的关键功能
-class TestSnakeGame {
-  constructor() {
-    this.gameStarted = false;
-    this.isGameOver = false;
-    this.score = 0;
-  }
-  
-  // 模拟初始化
-  init() {
-    this.gameStarted = false; // 游戏开始时显示开始界面
-    this.isGameOver = false; // 重置游戏结束状态
-    this.score = 0;
-    console.log('✅ 游戏初始化完成，等待用户点击开始');
-  }
-  
-  // 模拟触摸开始事件
-  onTouchStart() {
-    if (!this.gameStarted) {
-      this.gameStarted = true;
-      console.log('▶️ 游戏开始');
-      return true;
-    }
-    
-    if (this.isGameOver) {
-      this.init();
-      this.gameStarted = true; // 重新开始后立即开始游戏
-      this.isGameOver = false; // 重置游戏结束状态
-      console.log('🔄 游戏重新开始');
-      return true;
-    }
-    
-    return false;
-  }
-  
-  // 模拟游戏结束
-  gameOver() {
-    this.isGameOver = true;
-    this.gameStarted = false; // 游戏结束后需要重新点击开始
-    console.log('💀 游戏结束，得分:', this.score);
-  }
-  
-  // 模拟游戏逻辑
-  update() {
-    if (!this.gameStarted || this.isGameOver) {
-      return; // 游戏未开始或已结束，不更新
-    }
-    
-    // 正常游戏逻辑
-    console.log('🎮 游戏进行中...');
-  }
-  
-  // 模拟渲染
-  render() {
-    if (this.isGameOver) {
-      console.log('📱 显示游戏结束界面：点击屏幕重新开始');
-      return;
-    }
-    
-    if (!this.gameStarted) {
-      console.log('📱 显示开始界面：点击屏幕开始游戏');
-      return;
-    }
-    
-    console.log('📱 显示游戏画面');
-  }
-}
+import assert from 'node:assert/strict';
+import GameManager from './game/js/manager/GameManager.js';
+import SnakeGame from './game/js/games/snake/SnakeGame.js';
+import NodePlatform from './game/js/platform/node/NodePlatform.js';
 
-// 测试流程
 console.log('🧪 开始测试贪吃蛇游戏点击开始功能\n');
 
-const game = new TestSnakeGame();
+const platform = new NodePlatform({ width: 375, height: 667 });
+const gameManager = new GameManager();
+gameManager.init({ platform });
+gameManager.registerGame({
+  id: 'snake',
+  name: '贪吃蛇',
+  description: '控制小蛇吃食物，越吃越长！',
+  icon: '🐍',
+  GameClass: SnakeGame
+});
+gameManager.showLobby();
+gameManager.startGameLoop();
+platform.frames(30);
 
-// 1. 初始化游戏
-game.init();
-game.render(); // 应该显示开始界面
+// 1. 在大厅点击贪吃蛇卡片，进入游戏
+const card = gameManager.lobby.gameCards[0];
+platform.touch.tap(card.x + card.width / 2, card.y + card.height / 2);
+platform.frames(30); // 等待从卡片放大的过渡动画播放完
 
-// 2. 点击屏幕开始游戏
-game.onTouchStart();
-game.render(); // 应该显示游戏画面
-game.update(); // 游戏逻辑应该运行
+const game = gameManager.currentScene;
+assert.ok(game instanceof SnakeGame, '应该进入贪吃蛇游戏');
+assert.equal(game.fsm.state, 'ready', '初始化后应该等待用户点击开始');
+assert.ok(platform.ctx.texts().includes('点击屏幕开始游戏'), '应该显示开始界面');
 
-// 3. 模拟游戏结束
-game.score = 100;
-game.gameOver();
-game.render(); // 应该显示游戏结束界面
+// 2. 点击屏幕开始游戏，蛇开始移动
+platform.touch.tap(200, 400);
+assert.equal(game.fsm.is('playing'), true, '点击后游戏应该开始');
 
-// 4. 点击屏幕重新开始
-game.onTouchStart();
-game.render(); // 应该显示游戏画面
-game.update(); // 游戏逻辑应该运行
+const headX = game.snake[0].x;
+platform.frames(12);
+assert.equal(game.snake[0].x, headX + 1, '蛇应该向右移动一格');
 
-console.log('\n✅ 测试完成！贪吃蛇游戏点击开始功能正常工作');
\ No newline at end of file
+// 3. 按住并向上拖动，松手后蛇沿新方向移动
+platform.touch.swipe(200, 400, 200, 300);
+platform.frames(12);
+assert.deepEqual(game.direction, { x: 0, y: -1 }, '蛇应该改为向上移动');
+
+// 4. 一直向上撞墙，游戏结束
+platform.frames(60 * 10);
+assert.equal(game.isGameOver, true, '撞墙后游戏应该结束');
+platform.ctx.clearCalls();
+platform.frame();
+assert.ok(platform.ctx.texts().includes('游戏结束'), '应该显示结算界面');
+
+// 5. 点结算界面的"再来一局"：先回到开始界面，再点一次开始
+const retry = gameManager.currentScene.dialog.buttonRow.children[0];
+assert.equal(retry.text, '再来一局');
+platform.touch.tap(retry.x + retry.width / 2, retry.y + retry.height / 2);
+platform.frames(30);
+assert.equal(gameManager.currentScene, game, '结算界面应该关闭');
+assert.equal(game.isGameOver, false, '点击后应该重置游戏');
+assert.equal(game.fsm.state, 'ready', '重置后应该显示开始界面');
+platform.touch.tap(200, 400);
+assert.equal(game.fsm.is('playing'), true, '再次点击后游戏应该开始');
+
+// 6. 点击返回按钮回到大厅
+const btn = game.backButton;
+platform.touch.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+assert.equal(gameManager.currentScene, gameManager.lobby, '应该回到游戏大厅');
+
+console.log('\n✅ 测试完成！贪吃蛇游戏点击开始功能正常工作');